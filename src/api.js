@@ -0,0 +1,16 @@
+/**
+ * Blackout Secure Sitemap Generator
+ * Copyright © 2025-2026 Blackout Secure
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Programmatic API for build scripts (no GitHub Actions dependency)
+ */
+
+const { DEFAULT_OPTIONS, generateSitemaps } = require('./lib/generator');
+const { validateSitemaps } = require('./lib/sitemap-validator');
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  generateSitemaps,
+  validateSitemaps,
+};
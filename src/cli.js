@@ -0,0 +1,250 @@
+#!/usr/bin/env node
+
+/**
+ * Blackout Secure Sitemap Generator
+ * Copyright © 2025-2026 Blackout Secure
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Command-line interface (runs the same generator as the GitHub Action)
+ */
+
+const { run } = require('./lib/runner');
+const { CONFIG_SCHEMA } = require('./lib/config-file');
+const { validateSitemaps } = require('./lib/sitemap-validator');
+const { printExternalValidation } = require('./lib/output-formatter');
+const { PROJECT_CONFIG } = require('./lib/project-config');
+
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+// Every action input is a flag: site_url -> --site-url
+const CLI_OPTIONS = {
+  config_file: { type: 'string' },
+  ...CONFIG_SCHEMA,
+};
+
+const VALIDATE_OPTIONS = {
+  strict: { type: 'boolean' },
+  max_urls: { type: 'number' },
+  max_size_mb: { type: 'number' },
+};
+
+const toFlag = (name) => `--${name.replace(/_/g, '-')}`;
+
+/**
+ * Parse command-line arguments
+ * Flags take "--name value" or "--name=value"; boolean flags also accept
+ * "--name" and "--no-name".
+ * @param {string[]} argv - Arguments (without node and script)
+ * @returns {{command: string, inputs: Object, positional: string[], help: boolean, version: boolean, errors: string[]}}
+ */
+function parseArgs(argv) {
+  const result = {
+    command: 'generate',
+    inputs: {},
+    positional: [],
+    help: false,
+    version: false,
+    errors: [],
+  };
+  const args = [...argv];
+  if (args[0] === 'generate' || args[0] === 'validate') {
+    result.command = args.shift();
+  }
+  const options =
+    result.command === 'validate' ? VALIDATE_OPTIONS : CLI_OPTIONS;
+
+  while (args.length) {
+    const arg = args.shift();
+    if (arg === '--help' || arg === '-h') {
+      result.help = true;
+      continue;
+    }
+    if (arg === '--version' || arg === '-v') {
+      result.version = true;
+      continue;
+    }
+    if (!arg.startsWith('--')) {
+      result.positional.push(arg);
+      continue;
+    }
+    const eq = arg.indexOf('=');
+    let flag = (eq === -1 ? arg : arg.slice(0, eq)).slice(2);
+    let value = eq === -1 ? undefined : arg.slice(eq + 1);
+    let negated = false;
+    if (!options[flag.replace(/-/g, '_')] && flag.startsWith('no-')) {
+      flag = flag.slice(3);
+      negated = true;
+    }
+    const name = flag.replace(/-/g, '_');
+    const spec = options[name];
+    if (!spec) {
+      result.errors.push(`Unknown option: ${arg}`);
+      continue;
+    }
+    if (spec.type === 'boolean') {
+      if (value === undefined && /^(true|false)$/i.test(args[0] || '')) {
+        value = args.shift();
+      }
+      if (negated && value !== undefined) {
+        result.errors.push(`${toFlag(`no-${flag}`)} does not take a value`);
+        continue;
+      }
+      result.inputs[name] = negated ? 'false' : (value ?? 'true');
+      continue;
+    }
+    if (negated) {
+      result.errors.push(`Unknown option: ${arg}`);
+      continue;
+    }
+    if (value === undefined) {
+      if (!args.length || args[0].startsWith('--')) {
+        result.errors.push(`${toFlag(name)} requires a value`);
+        continue;
+      }
+      value = args.shift();
+    }
+    result.inputs[name] = value;
+  }
+  return result;
+}
+
+/**
+ * Create a core-compatible logger backed by CLI flags and output streams
+ * Unset flags fall back to the action.yml defaults so the CLI behaves like
+ * the action.
+ * @param {Object} inputs - Parsed flag values by input name
+ * @param {Object} io - Output streams
+ * @returns {Object} - getInput/info/warning/error/setFailed/setOutput plus a failed flag
+ */
+function createCliCore(inputs, { stdout, stderr }) {
+  const cliCore = {
+    failed: false,
+    getInput(name) {
+      return String(inputs[name] ?? CONFIG_SCHEMA[name]?.default ?? '').trim();
+    },
+    info(message) {
+      stdout.write(`${message}\n`);
+    },
+    warning(message) {
+      stderr.write(`${message}\n`);
+    },
+    error(message) {
+      stderr.write(`${message}\n`);
+    },
+    setFailed(message) {
+      cliCore.failed = true;
+      stderr.write(`${message}\n`);
+    },
+    // Output paths are already reported in the log
+    setOutput() {},
+  };
+  return cliCore;
+}
+
+/**
+ * Build --help text
+ * @returns {string}
+ */
+function formatHelp() {
+  const flagLines = Object.entries(CLI_OPTIONS).map(([name, spec]) => {
+    const flag =
+      spec.type === 'boolean'
+        ? `${toFlag(name)}, ${toFlag(`no-${name}`)}`
+        : `${toFlag(name)} <value>`;
+    const details = [];
+    if (spec.values) details.push(spec.values.join('|'));
+    if (spec.default !== undefined) details.push(`default: ${spec.default}`);
+    return `  ${flag.padEnd(48)} ${details.join(', ')}`.trimEnd();
+  });
+  return [
+    `${PROJECT_CONFIG.name} v${PROJECT_CONFIG.version}`,
+    '',
+    'Usage:',
+    '  bos-sitemap-generator [generate] [options]',
+    '  bos-sitemap-generator validate <sitemap...> [--strict] [--max-urls <n>] [--max-size-mb <n>]',
+    '',
+    'Commands:',
+    '  generate    Generate sitemaps (default)',
+    '  validate    Validate existing sitemap, sitemap index or TXT sitemap files',
+    '',
+    'Generate options (one per action input; see README for details):',
+    ...flagLines,
+    '',
+    'Other options:',
+    '  -h, --help                                       Show this help',
+    '  -v, --version                                    Show the version',
+    '',
+    'Exit codes: 0 success, 1 generation or validation failed, 2 invalid usage',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} [argv] - Arguments (defaults to process.argv)
+ * @param {Object} [io] - Output streams ({stdout, stderr})
+ * @returns {Promise<number>} - Exit code
+ */
+async function main(
+  argv = process.argv.slice(2),
+  io = { stdout: process.stdout, stderr: process.stderr },
+) {
+  const args = parseArgs(argv);
+  if (args.help) {
+    io.stdout.write(formatHelp());
+    return EXIT_OK;
+  }
+  if (args.version) {
+    io.stdout.write(`${PROJECT_CONFIG.version}\n`);
+    return EXIT_OK;
+  }
+  if (args.command === 'generate' && args.positional.length) {
+    args.errors.push(`Unexpected argument: ${args.positional[0]}`);
+  }
+  if (args.command === 'validate' && !args.positional.length) {
+    args.errors.push('validate requires at least one sitemap path');
+  }
+  if (args.errors.length) {
+    for (const error of args.errors) io.stderr.write(`❌ ${error}\n`);
+    io.stderr.write('Run with --help for usage.\n');
+    return EXIT_USAGE;
+  }
+
+  const cliCore = createCliCore(args.inputs, io);
+  if (args.command === 'validate') {
+    cliCore.info('🔍 Sitemap Validation:');
+    const results = await validateSitemaps(args.positional, {
+      strict: /^true$/i.test(args.inputs.strict || 'false'),
+      maxUrls: Number(args.inputs.max_urls) || undefined,
+      maxSizeMb: Number(args.inputs.max_size_mb) || undefined,
+    });
+    printExternalValidation(cliCore, results);
+    return results.valid ? EXIT_OK : EXIT_FAILED;
+  }
+
+  await run(cliCore);
+  return cliCore.failed ? EXIT_FAILED : EXIT_OK;
+}
+
+if (require.main === module) {
+  main()
+    .then((code) => {
+      process.exitCode = code;
+    })
+    .catch((err) => {
+      process.stderr.write(`❌ ${err?.message || err}\n`);
+      process.exitCode = EXIT_FAILED;
+    });
+}
+
+module.exports = {
+  EXIT_OK,
+  EXIT_FAILED,
+  EXIT_USAGE,
+  parseArgs,
+  createCliCore,
+  formatHelp,
+  main,
+};
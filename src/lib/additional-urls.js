@@ -0,0 +1,352 @@
+/**
+ * Blackout Secure Sitemap Generator
+ * Copyright © 2025-2026 Blackout Secure
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * additional_urls_file loading (JSON, CSV or plain text) with per-entry validation
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { toW3CDatetime } = require('./lastmod');
+const { isValidHreflang } = require('./hreflang');
+const { VALID_CHANGEFREQ } = require('./sitemap-validator');
+
+const ENTRY_FIELDS = [
+  'url',
+  'lastmod',
+  'changefreq',
+  'priority',
+  'images',
+  'alternates',
+];
+
+/**
+ * 1-based line number of a character offset
+ * @private
+ */
+function lineAt(text, offset) {
+  let line = 1;
+  for (let i = 0; i < offset && i < text.length; i++) {
+    if (text[i] === '\n') line++;
+  }
+  return line;
+}
+
+const isHttpUrl = (value) => {
+  if (typeof value !== 'string' || !/^https?:\/\//i.test(value)) return false;
+  try {
+    new URL(value);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Validate one entry and convert it to a URL item
+ * @param {Object} raw - Entry fields (strings from CSV, any JSON type)
+ * @returns {{item: Object|null, errors: string[]}} - URL item, or null with the problems found
+ * @private
+ */
+function toUrlItem(raw) {
+  const errors = [];
+  const item = {};
+  if (!isHttpUrl(raw.url)) {
+    errors.push(
+      raw.url
+        ? `invalid url "${raw.url}" (must be absolute http/https)`
+        : 'missing url',
+    );
+  } else {
+    item.url = raw.url;
+  }
+  if (raw.lastmod !== undefined && raw.lastmod !== '') {
+    const lastmod = toW3CDatetime(raw.lastmod);
+    if (lastmod) item.lastmod = lastmod;
+    else errors.push(`invalid lastmod "${raw.lastmod}"`);
+  }
+  if (raw.changefreq !== undefined && raw.changefreq !== '') {
+    if (VALID_CHANGEFREQ.includes(raw.changefreq)) {
+      item.changefreq = raw.changefreq;
+    } else {
+      errors.push(
+        `invalid changefreq "${raw.changefreq}" (valid: ${VALID_CHANGEFREQ.join(', ')})`,
+      );
+    }
+  }
+  if (raw.priority !== undefined && raw.priority !== '') {
+    const priority = Number(raw.priority);
+    if (
+      (typeof raw.priority === 'number' || typeof raw.priority === 'string') &&
+      !isNaN(priority) &&
+      priority >= 0 &&
+      priority <= 1
+    ) {
+      item.priority = priority;
+    } else {
+      errors.push(`invalid priority "${raw.priority}" (must be 0.0 to 1.0)`);
+    }
+  }
+  if (raw.images !== undefined && raw.images !== '') {
+    const images = Array.isArray(raw.images) ? raw.images : null;
+    const urls = images?.map((img) =>
+      typeof img === 'string' ? img : img?.url,
+    );
+    if (!urls || !urls.every(isHttpUrl)) {
+      errors.push('images must be a list of absolute http/https URLs');
+    } else if (urls.length) {
+      item.images = urls.map((url) => ({ url }));
+    }
+  }
+  if (raw.alternates !== undefined && raw.alternates !== '') {
+    const alternates = Array.isArray(raw.alternates) ? raw.alternates : null;
+    if (
+      !alternates ||
+      !alternates.every(
+        (alt) => isValidHreflang(alt?.lang) && isHttpUrl(alt?.url),
+      )
+    ) {
+      errors.push(
+        'alternates must be a list of {lang, url} with valid hreflang codes and absolute URLs',
+      );
+    } else if (alternates.length) {
+      item.alternates = alternates.map(({ lang, url }) => ({ lang, url }));
+    }
+  }
+  return { item: errors.length ? null : item, errors };
+}
+
+/**
+ * Start offsets of the top-level elements of a JSON array
+ * @private
+ */
+function arrayElementOffsets(text, arrayStart) {
+  const offsets = [];
+  let depth = 0;
+  let inString = false;
+  let expectValue = false;
+  for (let i = arrayStart; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (depth === 1 && expectValue && !/[\s,\]]/.test(ch)) {
+      offsets.push(i);
+      expectValue = false;
+    }
+    if (ch === '"') inString = true;
+    else if (ch === '[' || ch === '{') {
+      depth++;
+      if (depth === 1) expectValue = true;
+    } else if (ch === ']' || ch === '}') {
+      depth--;
+      if (depth === 0) break;
+    } else if (ch === ',' && depth === 1) {
+      expectValue = true;
+    }
+  }
+  return offsets;
+}
+
+/**
+ * Parse a JSON list: an array (or {urls: [...]}) of URL strings or objects
+ * @private
+ */
+function parseJsonList(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    // Newer engines report "(line N column M)", older ones "at position N"
+    const line = err.message.match(/\(line (\d+)/);
+    const position = err.message.match(/position (\d+)/);
+    const where = line
+      ? `line ${line[1]}: `
+      : position
+        ? `line ${lineAt(text, Number(position[1]))}: `
+        : '';
+    return { rows: [], errors: [`${where}invalid JSON (${err.message})`] };
+  }
+  const list = Array.isArray(data) ? data : data?.urls;
+  if (!Array.isArray(list)) {
+    return {
+      rows: [],
+      errors: ['expected a JSON array of URLs or {"urls": [...]}'],
+    };
+  }
+  // Line numbers come from where each element starts in the source
+  const arrayStart = Array.isArray(data)
+    ? text.indexOf('[')
+    : text.indexOf('[', text.search(/"urls"\s*:/));
+  const offsets = arrayElementOffsets(text, arrayStart);
+  const rows = [];
+  const errors = [];
+  list.forEach((value, i) => {
+    const line = lineAt(text, offsets[i] ?? 0);
+    if (typeof value === 'string') {
+      rows.push({ line, fields: { url: value } });
+    } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+      const unknown = Object.keys(value).filter(
+        (key) => !ENTRY_FIELDS.includes(key),
+      );
+      if (unknown.length) {
+        errors.push(
+          `line ${line}: unknown field(s) ${unknown.map((k) => `"${k}"`).join(', ')}`,
+        );
+        return;
+      }
+      rows.push({ line, fields: value });
+    } else {
+      errors.push(`line ${line}: expected a URL string or an object`);
+    }
+  });
+  return { rows, errors };
+}
+
+/**
+ * Split CSV text into records (RFC 4180 quoting) with their starting line
+ * @private
+ */
+function splitCsv(text) {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+  const endRecord = () => {
+    fields.push(field);
+    if (fields.length > 1 || fields[0].trim()) {
+      records.push({ line: recordLine, values: fields });
+    }
+    fields = [];
+    field = '';
+  };
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === '\n') line++;
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      fields.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += ch;
+    }
+  }
+  if (field || fields.length) endRecord();
+  return records;
+}
+
+/**
+ * Parse CSV with a header row. images are separated by "|"; alternates are
+ * "lang=url" pairs separated by "|". Unknown columns are ignored.
+ * @private
+ */
+function parseCsvList(text) {
+  const [header, ...records] = splitCsv(text.replace(/^\uFEFF/, ''));
+  if (!header) return { rows: [], errors: [] };
+  const columns = header.values.map((c) => c.trim().toLowerCase());
+  if (!columns.includes('url')) {
+    return {
+      rows: [],
+      errors: ['line 1: header row must include a "url" column'],
+    };
+  }
+  const rows = records.map(({ line, values }) => {
+    const fields = {};
+    columns.forEach((column, i) => {
+      if (!ENTRY_FIELDS.includes(column)) return;
+      const value = (values[i] ?? '').trim();
+      if (column === 'images' && value) {
+        fields.images = value.split('|').map((s) => s.trim());
+      } else if (column === 'alternates' && value) {
+        fields.alternates = value.split('|').map((pair) => {
+          const [lang, ...url] = pair.split('=');
+          return { lang: lang.trim(), url: url.join('=').trim() };
+        });
+      } else {
+        fields[column] = value;
+      }
+    });
+    return { line, fields };
+  });
+  return { rows, errors: [] };
+}
+
+/**
+ * Parse plain text: one URL per line; blank lines and # comments are skipped
+ * @private
+ */
+function parseTextList(text) {
+  const rows = [];
+  text.split(/\r?\n/).forEach((raw, i) => {
+    const url = raw.trim();
+    if (url && !url.startsWith('#'))
+      rows.push({ line: i + 1, fields: { url } });
+  });
+  return { rows, errors: [] };
+}
+
+/**
+ * Parse an additional URLs list
+ * @param {string} text - File content
+ * @param {string} format - json, csv or txt
+ * @returns {{entries: Object[], errors: string[]}} - Valid URL items and "line N: ..." problems (invalid entries are left out)
+ */
+function parseAdditionalUrls(text, format) {
+  const parse =
+    format === 'json'
+      ? parseJsonList
+      : format === 'csv'
+        ? parseCsvList
+        : parseTextList;
+  const { rows, errors } = parse(String(text || ''));
+  const entries = [];
+  for (const { line, fields } of rows) {
+    const { item, errors: entryErrors } = toUrlItem(fields);
+    if (item) entries.push(item);
+    for (const error of entryErrors) errors.push(`line ${line}: ${error}`);
+  }
+  return { entries, errors };
+}
+
+/**
+ * Load an additional_urls_file
+ * The format follows the extension: .json, .csv, anything else is plain text.
+ * @param {string} filePath - File path
+ * @returns {{entries: Object[], errors: string[]}} - Valid URL items and problems prefixed with the file name
+ * @throws {Error} - When the file cannot be read
+ */
+function loadAdditionalUrlsFile(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  const format = ext === '.json' ? 'json' : ext === '.csv' ? 'csv' : 'txt';
+  const { entries, errors } = parseAdditionalUrls(
+    fs.readFileSync(filePath, 'utf8'),
+    format,
+  );
+  const name = path.basename(filePath);
+  return { entries, errors: errors.map((e) => `${name} ${e}`) };
+}
+
+module.exports = {
+  parseAdditionalUrls,
+  loadAdditionalUrlsFile,
+};
@@ -0,0 +1,50 @@
+/**
+ * Blackout Secure Sitemap Generator
+ * Copyright © 2025-2026 Blackout Secure
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Shared runner for the Vite, Astro and Eleventy build plugins
+ */
+
+const { inferSiteUrl } = require('./utils');
+const { generateSitemaps } = require('./generator');
+
+/**
+ * Generate sitemaps after a framework build
+ * Plugin options are generateSitemaps() options. siteUrl and publicDir
+ * default to the values the build reports; siteUrl falls back to a CNAME
+ * file or the GitHub Pages URL like the action does.
+ * @param {string} name - Plugin name used in messages
+ * @param {Object} options - generateSitemaps() options from the plugin call
+ * @param {Object} build - Values from the build
+ * @param {string} build.publicDir - Build output directory
+ * @param {string} [build.siteUrl] - Site URL from the framework config
+ * @param {Object} [build.logger] - Logger with info/warning/error methods
+ * @returns {Promise<Object>} - generateSitemaps() result
+ * @throws {Error} - When no site URL is known or validation finds errors
+ */
+async function runBuildPlugin(name, options, { publicDir, siteUrl, logger }) {
+  const resolved = {
+    ...options,
+    publicDir: options.publicDir || publicDir,
+    siteUrl: options.siteUrl || siteUrl,
+  };
+  resolved.siteUrl ||= inferSiteUrl(resolved.publicDir);
+  if (!resolved.siteUrl) {
+    throw new Error(
+      `${name}: siteUrl is required. Set it in the plugin options or the framework config.`,
+    );
+  }
+  const result = await generateSitemaps(resolved, { logger });
+  if (!result.valid) {
+    const errors = result.issues.filter((issue) => issue.type === 'error');
+    throw new Error(
+      `${name}: sitemap validation failed with ${errors.length} error(s): ${errors.map((e) => e.message).join('; ')}`,
+    );
+  }
+  return result;
+}
+
+module.exports = {
+  runBuildPlugin,
+};
@@ -0,0 +1,92 @@
+/**
+ * Blackout Secure Sitemap Generator
+ * Copyright © 2025-2026 Blackout Secure
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Consistency checks for <link rel="canonical"> declarations
+ */
+
+const CANONICAL_REPORT_MODES = ['warn', 'strict', 'off'];
+
+// Issue types in report order, with the headline used for each
+const CANONICAL_ISSUE_LABELS = {
+  duplicate: 'canonical URL(s) claimed by more than one page',
+  crossDomain: 'page(s) with a canonical URL on another host',
+  missingTarget:
+    'page(s) with a canonical URL that is not a page of this build',
+  noindexTarget: 'page(s) with a canonical URL that is marked noindex',
+  chained: 'page(s) with a canonical URL that declares a different canonical',
+  relative: 'page(s) with a relative canonical URL',
+};
+
+const originOf = (url) => {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Check canonical declarations against each other and the pages of the build
+ * @param {Array<{page: string, href: string, canonical: string}>} declarations - Page URL, href as written and the resolved canonical URL
+ * @param {Object} context - Build context
+ * @param {string} context.siteOrigin - Origin of site_url
+ * @param {Set<string>} context.pageUrls - URLs of the pages found in the build
+ * @param {Set<string>} [context.noindexUrls] - URLs of pages marked noindex
+ * @returns {Array<{type: string, page: string, canonical: string, detail: string}>} - Issues in CANONICAL_ISSUE_LABELS order
+ */
+function analyzeCanonicals(
+  declarations,
+  { siteOrigin, pageUrls, noindexUrls = new Set() },
+) {
+  const issues = Object.fromEntries(
+    Object.keys(CANONICAL_ISSUE_LABELS).map((type) => [type, []]),
+  );
+  const add = (type, page, canonical, detail) =>
+    issues[type].push({ type, page, canonical, detail });
+
+  const canonicalOf = new Map();
+  const claims = new Map();
+  for (const { page, canonical } of declarations) {
+    if (canonical === page) continue;
+    canonicalOf.set(page, canonical);
+    if (!claims.has(canonical)) claims.set(canonical, []);
+    claims.get(canonical).push(page);
+  }
+
+  for (const [canonical, pages] of claims) {
+    if (pages.length < 2) continue;
+    add('duplicate', pages[0], canonical, `${canonical} ← ${pages.join(', ')}`);
+  }
+
+  for (const { page, href, canonical } of declarations) {
+    if (!/^https?:\/\//i.test(href)) {
+      add('relative', page, canonical, `${page} (href="${href}")`);
+    }
+    if (canonical === page) continue;
+    if (originOf(canonical) !== siteOrigin) {
+      add('crossDomain', page, canonical, `${page} → ${canonical}`);
+      continue;
+    }
+    if (noindexUrls.has(canonical)) {
+      add('noindexTarget', page, canonical, `${page} → ${canonical}`);
+    } else if (!pageUrls.has(canonical)) {
+      add('missingTarget', page, canonical, `${page} → ${canonical}`);
+    } else if (canonicalOf.has(canonical)) {
+      add(
+        'chained',
+        page,
+        canonical,
+        `${page} → ${canonical} → ${canonicalOf.get(canonical)}`,
+      );
+    }
+  }
+  return Object.values(issues).flat();
+}
+
+module.exports = {
+  CANONICAL_REPORT_MODES,
+  CANONICAL_ISSUE_LABELS,
+  analyzeCanonicals,
+};
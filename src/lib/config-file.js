@@ -0,0 +1,371 @@
+/**
+ * Blackout Secure Sitemap Generator
+ * Copyright © 2025-2026 Blackout Secure
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Configuration file loading, validation and input merging
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { VALID_CHANGEFREQ } = require('./sitemap-validator');
+const { URL_STYLES } = require('./utils');
+const { DISCOVERY_MODES } = require('./crawler');
+const { CANONICAL_REPORT_MODES } = require('./canonical-report');
+const { BROKEN_LINK_REPORT_MODES } = require('./link-report');
+
+/* global __non_webpack_require__ */
+// The bundler rewrites require(); .js config files are loaded at runtime
+const runtimeRequire =
+  typeof __non_webpack_require__ === 'function'
+    ? __non_webpack_require__
+    : require;
+
+// Looked up in the working directory when config_file is not set
+const CONFIG_FILE_NAMES = [
+  'sitemap.config.json',
+  'sitemap.config.yaml',
+  'sitemap.config.yml',
+  'sitemap.config.js',
+  'sitemap.config.cjs',
+];
+
+// Config file keys are the action input names. Defaults mirror action.yml:
+// an input still at its action.yml default does not override the config file.
+const CONFIG_SCHEMA = {
+  site_url: { type: 'string' },
+  public_dir: { type: 'string', default: 'dist' },
+  sitemap_output_dir: { type: 'string' },
+  include_patterns: { type: 'list', default: '**/*.html,**/*.htm' },
+  exclude_patterns: { type: 'list', default: '**/*.map' },
+  exclude_urls: {
+    type: 'list',
+    default: '*/sitemap*.xml,*/sitemap*.txt,*/sitemap*.xml.gz',
+  },
+  exclude_extensions: {
+    type: 'list',
+    default: '.zip,.exe,.dmg,.pkg,.deb,.rpm,.tar,.gz,.7z,.rar,.iso',
+  },
+  additional_urls: { type: 'list' },
+  additional_urls_file: { type: 'string' },
+  route_manifests: { type: 'list' },
+  discovery_mode: { type: 'enum', values: DISCOVERY_MODES, default: 'files' },
+  crawl_url: { type: 'string' },
+  crawl_max_depth: {
+    type: 'number',
+    min: 0,
+    max: 100,
+    integer: true,
+    default: '10',
+  },
+  crawl_max_pages: {
+    type: 'number',
+    min: 1,
+    max: 100000,
+    integer: true,
+    default: '1000',
+  },
+  gzip: { type: 'boolean', default: 'true' },
+  lastmod_strategy: { type: 'list', default: 'git' },
+  lastmod_source_map: { type: 'list' },
+  lastmod_state_file: { type: 'string', default: '.sitemap-lastmod.json' },
+  lastmod_hash_ignore: { type: 'list' },
+  changefreq: { type: 'enum', values: VALID_CHANGEFREQ },
+  priority: { type: 'number', min: 0, max: 1 },
+  url_rules: { type: 'json' },
+  url_rules_file: { type: 'string' },
+  sitemap_filename: { type: 'string', default: 'sitemap.xml' },
+  allow_autodetect: { type: 'boolean', default: 'true' },
+  prefer_company_name: { type: 'string' },
+  url_style: { type: 'enum', values: URL_STYLES, default: 'file' },
+  respect_noindex: { type: 'boolean', default: 'true' },
+  respect_robots_txt: { type: 'boolean', default: 'false' },
+  respect_redirects: { type: 'boolean', default: 'true' },
+  skip_refresh_redirects: { type: 'boolean', default: 'true' },
+  refresh_redirect_targets: { type: 'boolean', default: 'false' },
+  skip_error_pages: { type: 'boolean', default: 'true' },
+  skip_spa_shells: { type: 'boolean', default: 'true' },
+  parse_canonical: { type: 'boolean', default: 'true' },
+  canonical_report: {
+    type: 'enum',
+    values: CANONICAL_REPORT_MODES,
+    default: 'warn',
+  },
+  discover_links: { type: 'boolean', default: 'true' },
+  broken_link_report: {
+    type: 'enum',
+    values: BROKEN_LINK_REPORT_MODES,
+    default: 'warn',
+  },
+  broken_link_report_file: { type: 'string' },
+  sitemap_images: { type: 'boolean', default: 'false' },
+  sitemap_videos: { type: 'boolean', default: 'false' },
+  hreflang: { type: 'boolean', default: 'false' },
+  hreflang_locales: { type: 'list' },
+  hreflang_default: { type: 'string' },
+  generate_news_sitemap: { type: 'boolean', default: 'false' },
+  news_sitemap_filename: { type: 'string', default: 'sitemap-news.xml' },
+  news_publication_name: { type: 'string' },
+  news_publication_language: { type: 'string', default: 'en' },
+  generate_robots_txt: { type: 'boolean', default: 'false' },
+  robots_txt_template: { type: 'string' },
+  generate_sitemap_xml: { type: 'boolean', default: 'true' },
+  generate_sitemap_txt: { type: 'boolean', default: 'true' },
+  generate_sitemap_gzip: { type: 'boolean', default: 'true' },
+  validate_output: { type: 'boolean', default: 'true' },
+  strict_validation: { type: 'boolean', default: 'true' },
+  validate_sitemaps: { type: 'list' },
+  debug_list_files: { type: 'boolean', default: 'false' },
+  debug_list_canonical: { type: 'boolean', default: 'false' },
+  debug_list_urls: { type: 'boolean', default: 'false' },
+  debug_show_sitemap: { type: 'boolean', default: 'false' },
+  debug_show_sitemap_txt: { type: 'boolean', default: 'false' },
+  debug_show_exclusions: { type: 'boolean', default: 'false' },
+  upload_artifacts: { type: 'boolean', default: 'true' },
+  artifact_name: { type: 'string', default: 'sitemap-files' },
+  artifact_retention_days: { type: 'number', min: 1, max: 90, integer: true },
+};
+
+/**
+ * Error raised for unreadable or invalid configuration files
+ */
+class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+/**
+ * Find a configuration file in a directory
+ * @param {string} dir - Directory to search
+ * @returns {string|null} - Path of the first file found
+ */
+function findConfigFile(dir) {
+  for (const name of CONFIG_FILE_NAMES) {
+    const candidate = path.join(dir, name);
+    if (fs.existsSync(candidate)) return candidate;
+  }
+  return null;
+}
+
+/**
+ * Read and parse a configuration file (JSON, YAML or CommonJS)
+ * @param {string} filePath - Configuration file path
+ * @returns {Object} - Raw configuration object
+ * @throws {ConfigError} - When the file cannot be read or parsed
+ */
+function readConfigFile(filePath) {
+  const name = path.basename(filePath);
+  const ext = path.extname(filePath).toLowerCase();
+  let raw;
+  try {
+    if (ext === '.js' || ext === '.cjs') {
+      const resolved = path.resolve(filePath);
+      delete runtimeRequire.cache[resolved];
+      raw = runtimeRequire(resolved);
+    } else {
+      const text = fs.readFileSync(filePath, 'utf8');
+      raw = ext === '.json' ? JSON.parse(text) : YAML.parse(text);
+    }
+  } catch (err) {
+    if (err.code === 'ENOENT' || err.code === 'MODULE_NOT_FOUND') {
+      throw new ConfigError(`Config file not found: ${filePath}`);
+    }
+    throw new ConfigError(`${name}: ${err.message}`);
+  }
+  if (raw === null || raw === undefined) return {};
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new ConfigError(`${name}: expected an object of options`);
+  }
+  return raw;
+}
+
+/**
+ * Closest schema key to an unknown key (for "did you mean" hints)
+ * @private
+ */
+function suggestKey(key) {
+  const distance = (a, b) => {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      let previous = row[0];
+      row[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const current = row[j];
+        row[j] = Math.min(
+          row[j] + 1,
+          row[j - 1] + 1,
+          previous + (a[i - 1] === b[j - 1] ? 0 : 1),
+        );
+        previous = current;
+      }
+    }
+    return row[b.length];
+  };
+  let best = null;
+  for (const candidate of Object.keys(CONFIG_SCHEMA)) {
+    const d = distance(key, candidate);
+    if (d <= 3 && (!best || d < best.d)) best = { candidate, d };
+  }
+  return best?.candidate;
+}
+
+/**
+ * Convert one option to its action input string form
+ * @private
+ */
+function toInputValue(key, value, spec) {
+  const got = JSON.stringify(value);
+  switch (spec.type) {
+    case 'boolean':
+      if (typeof value === 'boolean') return String(value);
+      if (/^(true|false)$/i.test(value)) return String(value).toLowerCase();
+      throw new Error(`"${key}" must be true or false (got ${got})`);
+    case 'number': {
+      const n =
+        typeof value === 'string' && value.trim() ? Number(value) : value;
+      if (
+        typeof n !== 'number' ||
+        isNaN(n) ||
+        n < spec.min ||
+        n > spec.max ||
+        (spec.integer && !Number.isInteger(n))
+      ) {
+        throw new Error(
+          `"${key}" must be ${spec.integer ? 'an integer' : 'a number'} between ${spec.min} and ${spec.max} (got ${got})`,
+        );
+      }
+      return String(value);
+    }
+    case 'enum':
+      if (!spec.values.includes(value)) {
+        throw new Error(
+          `"${key}" must be one of ${spec.values.join(', ')} (got ${got})`,
+        );
+      }
+      return value;
+    case 'list':
+      if (typeof value === 'string') return value;
+      if (
+        Array.isArray(value) &&
+        value.every((v) => typeof v === 'string' && !v.includes(','))
+      ) {
+        return value.join(',');
+      }
+      throw new Error(
+        `"${key}" must be a string or an array of strings without commas (got ${got})`,
+      );
+    case 'json':
+      if (typeof value === 'string') return value;
+      if (value && typeof value === 'object') return JSON.stringify(value);
+      throw new Error(`"${key}" must be an array, an object or a JSON string`);
+    default:
+      if (typeof value === 'string') return value;
+      if (typeof value === 'number') return String(value);
+      throw new Error(`"${key}" must be a string (got ${got})`);
+  }
+}
+
+/**
+ * Validate a configuration object against the schema
+ * Values are converted to the string form action inputs use (lists joined
+ * with commas, url_rules serialized as JSON).
+ * @param {Object} raw - Configuration object
+ * @param {string} [name] - File name used in error messages
+ * @returns {{values: Object, errors: string[]}} - Input values by key and validation errors
+ */
+function validateConfig(raw, name = 'config') {
+  const values = {};
+  const errors = [];
+  for (const [key, value] of Object.entries(raw)) {
+    const spec = CONFIG_SCHEMA[key];
+    if (!spec) {
+      const hint = suggestKey(key);
+      errors.push(
+        `${name}: unknown option "${key}"${hint ? ` (did you mean "${hint}"?)` : ''}`,
+      );
+      continue;
+    }
+    if (value === null || value === undefined) continue;
+    try {
+      values[key] = toInputValue(key, value, spec);
+    } catch (err) {
+      errors.push(`${name}: ${err.message}`);
+    }
+  }
+  return { values, errors };
+}
+
+/**
+ * Load and validate a configuration file
+ * @param {string} filePath - Configuration file path
+ * @returns {{path: string, name: string, values: Object}} - Validated input values
+ * @throws {ConfigError} - When the file is unreadable or invalid (all problems are listed)
+ */
+function loadConfigFile(filePath) {
+  const name = path.basename(filePath);
+  const { values, errors } = validateConfig(readConfigFile(filePath), name);
+  if (errors.length) {
+    throw new ConfigError(
+      `Invalid configuration:\n${errors.map((e) => `  - ${e}`).join('\n')}`,
+    );
+  }
+  return { path: filePath, name, values };
+}
+
+/**
+ * Create an input reader that merges action inputs with a config file
+ * Precedence: action.yml defaults < config file < action inputs. An input
+ * equal to its action.yml default counts as unset, because GitHub fills in
+ * defaults before the action runs.
+ * @param {Object} core - GitHub Actions core module
+ * @param {{name: string, values: Object}|null} config - Result of loadConfigFile()
+ * @returns {{get: Function, source: Function}} - get(name) returns the merged value; source(name) where it came from
+ */
+function createInputReader(core, config) {
+  const configValues = config?.values || {};
+  const sources = {};
+
+  function get(name) {
+    const raw = core.getInput(name);
+    const inConfig = Object.prototype.hasOwnProperty.call(configValues, name);
+    const isDefault = raw === CONFIG_SCHEMA[name]?.default;
+    if (raw && !(inConfig && isDefault)) {
+      sources[name] = isDefault ? 'default' : 'input';
+      return raw;
+    }
+    if (inConfig) {
+      sources[name] = config.name;
+      return configValues[name];
+    }
+    sources[name] = 'default';
+    return raw;
+  }
+
+  function source(...names) {
+    for (const name of names) {
+      if (!(name in sources)) get(name);
+    }
+    const found = names.map((n) => sources[n]);
+    return (
+      found.find((s) => s !== 'default' && s !== 'input') ||
+      found.find((s) => s === 'input') ||
+      'default'
+    );
+  }
+
+  return { get, source };
+}
+
+module.exports = {
+  CONFIG_FILE_NAMES,
+  CONFIG_SCHEMA,
+  ConfigError,
+  findConfigFile,
+  readConfigFile,
+  validateConfig,
+  loadConfigFile,
+  createInputReader,
+};
@@ -0,0 +1,154 @@
+/**
+ * Blackout Secure Sitemap Generator
+ * Copyright © 2025-2026 Blackout Secure
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Content-hash based lastmod with a persisted state file
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parse: parseHtml } = require('node-html-parser');
+
+const STATE_VERSION = 1;
+
+/**
+ * Hash the meaningful content of a page
+ * HTML comments, nonce attributes and elements matching ignoreSelectors are
+ * removed and whitespace is collapsed before hashing, so per-build values
+ * don't count as changes. Other file types are hashed as-is.
+ * @param {Buffer|string} content - File content
+ * @param {Object} [options] - Hash options
+ * @param {boolean} [options.html] - Treat content as HTML (defaults to true)
+ * @param {string} [options.ignoreSelectors] - CSS selector list of volatile elements
+ * @returns {string} - sha256 hex digest
+ */
+function computeContentHash(content, { html = true, ignoreSelectors } = {}) {
+  let normalized = content;
+  if (html) {
+    const root = parseHtml(String(content), { comment: false });
+    if (ignoreSelectors) {
+      for (const el of root.querySelectorAll(ignoreSelectors)) el.remove();
+    }
+    for (const el of root.querySelectorAll('[nonce]')) {
+      el.removeAttribute('nonce');
+    }
+    normalized = root
+      .toString()
+      .replace(/>\s+</g, '><')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Check whether a CSS selector list is supported by the HTML parser
+ * @param {string} selector - CSS selector list
+ * @returns {boolean}
+ */
+function isValidSelector(selector) {
+  try {
+    parseHtml('<p></p>').querySelectorAll(selector);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Load a lastmod state file
+ * @param {string} statePath - State file path
+ * @returns {Object|null} - Map of page key -> {hash, lastmod}, or null when missing or unreadable
+ */
+function loadLastmodState(statePath) {
+  try {
+    const data = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    if (data?.version !== STATE_VERSION || typeof data.pages !== 'object') {
+      return null;
+    }
+    return data.pages;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Create a content-hash lastmod store
+ * Pages keep their stored lastmod while their hash is unchanged; new or
+ * changed pages are dated with the build time. save() writes only the pages
+ * seen in this run (hashed or kept), so deleted pages drop out of the state.
+ * @param {string} statePath - JSON state file (commit it or cache it between runs)
+ * @param {Object} [options] - Store options
+ * @param {string} [options.ignoreSelectors] - CSS selector list of volatile elements
+ * @param {Date} [options.now] - Build time (defaults to current time)
+ * @returns {{found: boolean, keep: Function, lookup: Function, save: Function}} - Store
+ */
+function createContentHashStore(statePath, { ignoreSelectors, now } = {}) {
+  const previous = loadLastmodState(statePath);
+  const buildTime = (now || new Date()).toISOString();
+  const pages = {};
+  const stats = { changed: 0, unchanged: 0, added: 0, removed: 0 };
+
+  /**
+   * Carry a page's stored entry over to this run without hashing it, e.g.
+   * when an earlier strategy in the chain dated the page
+   * @param {string} key - Stable page key (path relative to publicDir)
+   */
+  function keep(key) {
+    if (!pages[key] && previous?.[key]) pages[key] = previous[key];
+  }
+
+  /**
+   * Lastmod for a page, based on its content hash
+   * @param {string} key - Stable page key (path relative to publicDir)
+   * @param {Buffer|string} content - File content
+   * @param {boolean} [html] - Whether the file is HTML
+   * @returns {string} - ISO date string
+   */
+  function lookup(key, content, html = true) {
+    const hash = computeContentHash(content, { html, ignoreSelectors });
+    const entry = previous?.[key];
+    let lastmod = buildTime;
+    if (entry && entry.hash === hash && entry.lastmod) {
+      lastmod = entry.lastmod;
+      stats.unchanged++;
+    } else if (entry) {
+      stats.changed++;
+    } else {
+      stats.added++;
+    }
+    pages[key] = { hash, lastmod };
+    return lastmod;
+  }
+
+  /**
+   * Write the state file
+   * @returns {{changed: number, unchanged: number, added: number, removed: number}} - Run statistics
+   * @throws {Error} - When the file cannot be written
+   */
+  function save() {
+    if (previous) {
+      stats.removed = Object.keys(previous).filter((k) => !pages[k]).length;
+    }
+    const sorted = {};
+    for (const key of Object.keys(pages).sort()) sorted[key] = pages[key];
+    fs.mkdirSync(path.dirname(path.resolve(statePath)), { recursive: true });
+    fs.writeFileSync(
+      statePath,
+      JSON.stringify({ version: STATE_VERSION, pages: sorted }, null, 2) + '\n',
+      'utf8',
+    );
+    return { ...stats };
+  }
+
+  return { found: previous !== null, keep, lookup, save };
+}
+
+module.exports = {
+  computeContentHash,
+  isValidSelector,
+  loadLastmodState,
+  createContentHashStore,
+};
@@ -0,0 +1,315 @@
+/**
+ * Blackout Secure Sitemap Generator
+ * Copyright © 2025-2026 Blackout Secure
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Local static server and breadth-first crawler for discovery_mode crawl
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const { parse: parseHtml } = require('node-html-parser');
+
+const DISCOVERY_MODES = ['files', 'crawl'];
+
+const MAX_REDIRECTS = 10;
+const REQUEST_TIMEOUT_MS = 10000;
+const MAX_HTML_BYTES = 10 * 1024 * 1024;
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf',
+};
+
+/**
+ * Resolve a request path to a file in publicDir the way static hosts do:
+ * the file itself, /dir/ → dir/index.html, /page → page.html
+ * @param {string} publicDir - Public directory path
+ * @param {string} pathname - URL path (percent-encoded)
+ * @returns {{file: string}|{redirect: string}|null} - File relative to publicDir, a trailing-slash redirect, or null
+ */
+function resolveStaticFile(publicDir, pathname) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch {
+    return null;
+  }
+  const root = path.resolve(publicDir);
+  const target = path.join(root, path.normalize(decoded));
+  const rel = path.relative(root, target);
+  if (rel.startsWith('..') || path.isAbsolute(rel)) return null;
+  const isFile = (p) => fs.existsSync(p) && fs.statSync(p).isFile();
+  const toRel = (p) => path.relative(root, p).replace(/\\/g, '/');
+  if (rel && isFile(target)) return { file: toRel(target) };
+  if (fs.existsSync(target) && fs.statSync(target).isDirectory()) {
+    if (!pathname.endsWith('/')) return { redirect: `${pathname}/` };
+    for (const index of ['index.html', 'index.htm']) {
+      if (isFile(path.join(target, index))) {
+        return { file: toRel(path.join(target, index)) };
+      }
+    }
+    return null;
+  }
+  for (const ext of ['.html', '.htm']) {
+    if (isFile(target + ext)) return { file: toRel(target + ext) };
+  }
+  return null;
+}
+
+/**
+ * Serve publicDir over HTTP on a free local port
+ * publicDir is mounted at basePath, the way a project site is published
+ * below https://user.github.io/repo/. Missing paths answer 404 (with
+ * 404.html as the body when present).
+ * @param {string} publicDir - Public directory path
+ * @param {Object} [options] - Server options
+ * @param {string} [options.basePath='/'] - URL path publicDir is served at (e.g., '/repo/')
+ * @returns {Promise<{url: string, close: function(): Promise<void>}>} - URL of basePath on the server and a close function
+ */
+function startStaticServer(publicDir, { basePath = '/' } = {}) {
+  const mount = basePath.replace(/\/?$/, '/');
+  const server = http.createServer((req, res) => {
+    const { pathname, search } = new URL(req.url, 'http://localhost');
+    const resolved =
+      pathname === mount.slice(0, -1)
+        ? { redirect: '/' }
+        : pathname.startsWith(mount)
+          ? resolveStaticFile(publicDir, pathname.slice(mount.length - 1))
+          : null;
+    if (resolved?.redirect) {
+      res.writeHead(301, {
+        Location: mount.slice(0, -1) + resolved.redirect + search,
+      });
+      res.end();
+      return;
+    }
+    const notFound = path.join(publicDir, '404.html');
+    const file = resolved
+      ? path.join(publicDir, resolved.file)
+      : fs.existsSync(notFound)
+        ? notFound
+        : null;
+    res.writeHead(resolved ? 200 : 404, {
+      'Content-Type': file
+        ? CONTENT_TYPES[path.extname(file).toLowerCase()] ||
+          'application/octet-stream'
+        : 'text/plain; charset=utf-8',
+    });
+    if (req.method === 'HEAD') res.end();
+    else if (file) fs.createReadStream(file).pipe(res);
+    else res.end('Not Found');
+  });
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        url: `http://127.0.0.1:${port}${mount}`,
+        close: () => new Promise((done) => server.close(() => done())),
+      });
+    });
+  });
+}
+
+/**
+ * GET a URL without following redirects; only HTML bodies are read
+ * @private
+ */
+function requestPage(url, timeoutMs) {
+  const client = url.startsWith('https:') ? https : http;
+  return new Promise((resolve) => {
+    const req = client.get(url, { timeout: timeoutMs }, (res) => {
+      const contentType = String(res.headers['content-type'] || '');
+      const page = {
+        status: res.statusCode,
+        location: res.headers.location || null,
+        contentType,
+        robotsTag: res.headers['x-robots-tag'] || null,
+        body: null,
+      };
+      if (res.statusCode !== 200 || !/text\/html/i.test(contentType)) {
+        res.resume();
+        res.on('end', () => resolve(page));
+        return;
+      }
+      const chunks = [];
+      let size = 0;
+      res.on('data', (chunk) => {
+        size += chunk.length;
+        if (size <= MAX_HTML_BYTES) chunks.push(chunk);
+      });
+      res.on('end', () => {
+        page.body = Buffer.concat(chunks).toString('utf8');
+        resolve(page);
+      });
+    });
+    req.on('timeout', () => req.destroy(new Error('timeout')));
+    req.on('error', (err) =>
+      resolve({
+        status: 0,
+        location: null,
+        contentType: '',
+        robotsTag: null,
+        body: null,
+        error: err.message,
+      }),
+    );
+  });
+}
+
+/**
+ * Strip the fragment and keep http(s) URLs on the crawl origin
+ * Links to an alias origin (the public site_url) are mapped onto the crawl
+ * origin so absolute internal links and canonical URLs are followed.
+ * @private
+ */
+function toCrawlUrl(href, documentUrl, origin, aliasOrigins) {
+  let target;
+  try {
+    target = new URL(String(href || '').trim(), documentUrl);
+  } catch {
+    return null;
+  }
+  if (!/^https?:$/.test(target.protocol)) return null;
+  target.hash = '';
+  if (aliasOrigins.includes(target.origin)) {
+    return new URL(target.pathname + target.search, origin).href;
+  }
+  return target.origin === origin ? target.href : null;
+}
+
+/**
+ * Breadth-first crawl of a site from its start URL
+ * Every requested URL is recorded with its HTTP status and, for redirects,
+ * the final target. Redirects are followed on the same origin only.
+ * <a href> and <link rel="canonical"> targets are queued.
+ * @param {string} startUrl - Start URL (usually the homepage)
+ * @param {Object} [options] - Crawl options
+ * @param {number} [options.maxDepth=10] - Link depth below the start URL
+ * @param {number} [options.maxPages=1000] - Maximum URLs requested
+ * @param {string[]} [options.aliasOrigins] - Origins treated as the crawl origin
+ * @param {number} [options.timeoutMs] - Per-request timeout
+ * @param {function(Object, Object|null): void} [options.onPage] - Called for each 200 response with the page and its parsed HTML (null for other content)
+ * @returns {Promise<{pages: Array<{url: string, depth: number, status: number, finalUrl: string|null, contentType: string, robotsTag: string|null, error?: string}>, truncated: boolean}>} - Crawled URLs in crawl order
+ */
+async function crawlSite(
+  startUrl,
+  {
+    maxDepth = 10,
+    maxPages = 1000,
+    aliasOrigins = [],
+    timeoutMs = REQUEST_TIMEOUT_MS,
+    onPage = () => {},
+  } = {},
+) {
+  const origin = new URL(startUrl).origin;
+  const queue = [{ url: new URL(startUrl).href, depth: 0 }];
+  const seen = new Set([queue[0].url]);
+  const pages = [];
+  let truncated = false;
+
+  const enqueue = (url, depth) => {
+    if (!url || seen.has(url)) return;
+    seen.add(url);
+    queue.push({ url, depth });
+  };
+
+  while (queue.length) {
+    if (pages.length >= maxPages) {
+      truncated = true;
+      break;
+    }
+    const { url, depth } = queue.shift();
+    // Follow the redirect chain, recording every hop
+    const hops = [];
+    let current = url;
+    let response = await requestPage(current, timeoutMs);
+    hops.push({ url: current, response });
+    while (
+      response.status >= 300 &&
+      response.status < 400 &&
+      response.location &&
+      hops.length <= MAX_REDIRECTS &&
+      pages.length + hops.length < maxPages
+    ) {
+      const next = toCrawlUrl(response.location, current, origin, []);
+      if (!next || hops.some((hop) => hop.url === next)) break;
+      // Targets crawled earlier keep their own record
+      if (seen.has(next) && !queue.some((q) => q.url === next)) break;
+      seen.add(next);
+      current = next;
+      response = await requestPage(current, timeoutMs);
+      hops.push({ url: current, response });
+    }
+    const last = hops[hops.length - 1];
+    let finalUrl = last.url;
+    if (last.response.status >= 300 && last.response.status < 400) {
+      try {
+        finalUrl = new URL(last.response.location, last.url).href;
+      } catch {
+        finalUrl = null;
+      }
+    }
+    for (const hop of hops) {
+      const { status, contentType, robotsTag, error } = hop.response;
+      const page = { url: hop.url, depth, status, finalUrl, contentType };
+      page.robotsTag = robotsTag;
+      if (error) page.error = error;
+      pages.push(page);
+    }
+    // Drop a redirect target that was still queued; it was just fetched
+    const queued = queue.findIndex((q) => q.url === last.url);
+    if (queued !== -1 && last.url !== url) queue.splice(queued, 1);
+
+    if (last.response.status !== 200) continue;
+    const page = pages[pages.length - 1];
+    const root = last.response.body ? parseHtml(last.response.body) : null;
+    onPage(page, root);
+    if (!root || depth >= maxDepth) continue;
+    const baseHref = root.querySelector('base[href]')?.getAttribute('href');
+    let documentUrl = last.url;
+    try {
+      if (baseHref) documentUrl = new URL(baseHref, last.url).href;
+    } catch {
+      // Ignore malformed <base href>
+    }
+    const links = [
+      ...(root.querySelectorAll('a[href]') || []),
+      ...(root.querySelectorAll('link[rel="canonical"]') || []),
+    ];
+    for (const link of links) {
+      enqueue(
+        toCrawlUrl(
+          link.getAttribute('href'),
+          documentUrl,
+          origin,
+          aliasOrigins,
+        ),
+        depth + 1,
+      );
+    }
+  }
+  return { pages, truncated };
+}
+
+module.exports = {
+  DISCOVERY_MODES,
+  resolveStaticFile,
+  startStaticServer,
+  crawlSite,
+};
@@ -0,0 +1,570 @@
+/**
+ * Blackout Secure Sitemap Generator
+ * Copyright © 2025-2026 Blackout Secure
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Sitemap generation pipeline (discovery, writing and validation) with an
+ * injectable logger
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { normalizeUrl, formatFileSize } = require('./utils');
+const { buildUrls } = require('./url-builder');
+const { writeRobotsTxt } = require('./robots-txt');
+const {
+  writeSitemapXml,
+  selectNewsArticles,
+  writeNewsSitemap,
+  writeSitemapTxt,
+  writeGzip,
+  writeSitemapIndex,
+} = require('./sitemap-writer');
+const {
+  validateXmlSitemap,
+  validateTxtSitemap,
+  validateSitemapIndex,
+} = require('./sitemap-validator');
+
+const NEWS_MAX_URLS = 1000; // Google News sitemap limit
+
+// Mirrors the action.yml defaults
+const DEFAULT_OPTIONS = {
+  sitemapFilename: 'sitemap.xml',
+  includePatterns: ['**/*.html', '**/*.htm'],
+  excludePatterns: ['**/*.map'],
+  excludeUrls: ['*/sitemap*.xml', '*/sitemap*.txt', '*/sitemap*.xml.gz'],
+  excludeExtensions: [
+    '.zip',
+    '.exe',
+    '.dmg',
+    '.pkg',
+    '.deb',
+    '.rpm',
+    '.tar',
+    '.gz',
+    '.7z',
+    '.rar',
+    '.iso',
+  ],
+  additionalUrls: [],
+  routeManifests: [],
+  discoveryMode: 'files',
+  crawlUrl: '',
+  crawlMaxDepth: 10,
+  crawlMaxPages: 1000,
+  lastmodStrategy: 'git',
+  lastmodSourceRules: [],
+  lastmodMatchRoutes: false,
+  lastmodStateFile: '.sitemap-lastmod.json',
+  urlRules: [],
+  urlStyle: 'file',
+  respectNoindex: true,
+  respectRobotsTxt: false,
+  respectRedirects: true,
+  skipRefreshRedirects: true,
+  refreshRedirectTargets: false,
+  skipErrorPages: true,
+  skipSpaShells: true,
+  parseCanonical: true,
+  canonicalReport: 'warn',
+  discoverLinks: true,
+  brokenLinkReport: 'warn',
+  includeImages: false,
+  includeVideos: false,
+  hreflang: false,
+  hreflangLocales: [],
+  generateXmlSitemap: true,
+  generateTxtSitemap: true,
+  generateGzip: true,
+  generateNewsSitemap: false,
+  newsSitemapFilename: 'sitemap-news.xml',
+  newsPublicationLanguage: 'en',
+  generateRobotsTxt: false,
+  strictValidation: true,
+  maxUrlsPerSitemap: 50000,
+  xmlMaxSizeMb: 50,
+  txtMaxSizeMb: 50,
+};
+
+const SILENT_LOGGER = { info() {}, warning() {}, error() {} };
+
+/**
+ * Generate sitemaps for a built site
+ * Warnings and errors are logged as they occur and collected in
+ * result.issues; the GitHub Action fails the run on logged errors.
+ * @param {Object} options - Generation options (see DEFAULT_OPTIONS; siteUrl and publicDir are required)
+ * @param {string} options.siteUrl - Site base URL (http or https)
+ * @param {string} options.publicDir - Built site directory
+ * @param {string} [options.sitemapOutputDir] - Output directory (defaults to publicDir)
+ * @param {Object} [context] - Runtime context
+ * @param {Object} [context.logger] - Logger with info/warning/error methods (defaults to silent)
+ * @returns {Promise<{urls: Array, files: string[], outputs: Object, issues: Array<{type: string, message: string}>, valid: boolean}>} - URLs written, files written, output paths by action output name, warnings and errors
+ * @throws {Error} - When siteUrl or publicDir is missing or invalid
+ */
+async function generateSitemaps(options, { logger } = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const {
+    siteUrl,
+    publicDir,
+    sitemapFilename,
+    excludeUrls,
+    excludeExtensions,
+    additionalUrls,
+    generateXmlSitemap,
+    generateTxtSitemap,
+    generateGzip,
+    generateNewsSitemap,
+    newsSitemapFilename,
+    newsPublicationLanguage,
+    generateRobotsTxt,
+    robotsTxtTemplate,
+    strictValidation,
+    maxUrlsPerSitemap,
+    xmlMaxSizeMb,
+    txtMaxSizeMb,
+    debugShowSitemap,
+    debugShowTxtSitemap,
+  } = opts;
+
+  const issues = [];
+  const files = [];
+  const base = { ...SILENT_LOGGER, ...logger };
+  const log = {
+    info: (message) => base.info(message),
+    warning: (message) => {
+      issues.push({ type: 'warning', message: message.trim() });
+      base.warning(message);
+    },
+    error: (message) => {
+      issues.push({ type: 'error', message: message.trim() });
+      base.error(message);
+    },
+  };
+  const report = (results) => {
+    for (const r of results) {
+      if (r.type === 'error') log.error(r.message);
+      else if (r.type === 'warning') log.warning(r.message);
+      else log.info(r.message);
+    }
+  };
+  const sitemapUrl = (file) =>
+    normalizeUrl(
+      siteUrl,
+      `/${path.relative(publicDir, file).replace(/\\/g, '/')}`,
+    );
+
+  if (!siteUrl) throw new Error('site_url is required');
+  if (!/^https?:\/\//i.test(siteUrl)) {
+    throw new Error('site_url must start with http:// or https://');
+  }
+
+  // Early strict validation of additional_urls (before buildUrls merges them)
+  // Ensures we surface invalid entries even if later filtering or errors prevent TXT sitemap validation
+  if (strictValidation && additionalUrls.length) {
+    const invalidAdditional = additionalUrls.filter(
+      (u) => !/^https?:\/\//i.test(u.url ?? u),
+    );
+    if (invalidAdditional.length) {
+      log.error(
+        `      ✗ Contains ${invalidAdditional.length} invalid URL(s) in additional_urls (must start with http/https)`,
+      );
+    }
+  }
+
+  if (!publicDir) throw new Error('public_dir is required');
+  if (!fs.existsSync(publicDir)) {
+    throw new Error(`public_dir not found: ${publicDir}`);
+  }
+
+  const sitemapOutputDir = opts.sitemapOutputDir || publicDir;
+  const newsPublicationName =
+    opts.newsPublicationName || new URL(siteUrl).hostname;
+
+  log.info('');
+  // News metadata is only collected when the news sitemap is written
+  let urls = await buildUrls(
+    { ...opts, baseUrl: siteUrl, includeNews: generateNewsSitemap },
+    log,
+  );
+
+  if (!urls.length) {
+    log.warning('⚠️  No URLs discovered for sitemap');
+  }
+
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // Validation: Ensure no excluded items leaked through
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  const invalidUrls = [];
+  const sitemapPatterns = ['sitemap.xml', 'sitemap.txt', 'sitemap-index.xml'];
+
+  for (const item of urls) {
+    const urlPath = new URL(item.url).pathname;
+    const filename = path.basename(urlPath);
+
+    // Check if it's a sitemap file that shouldn't be included
+    if (sitemapPatterns.some((pattern) => filename.includes(pattern))) {
+      invalidUrls.push({ url: item.url, reason: 'sitemap file' });
+    }
+
+    // Check if it matches exclude_urls patterns
+    for (const pattern of excludeUrls) {
+      const regex = new RegExp(
+        '^' + pattern.replace(/\*/g, '.*').replace(/\?/g, '.') + '$',
+      );
+      if (regex.test(item.url)) {
+        invalidUrls.push({
+          url: item.url,
+          reason: `matches exclude_urls pattern: ${pattern}`,
+        });
+      }
+    }
+
+    // Check if extension matches exclude_extensions
+    for (const ext of excludeExtensions) {
+      if (filename.toLowerCase().endsWith(ext)) {
+        invalidUrls.push({
+          url: item.url,
+          reason: `has excluded extension: ${ext}`,
+        });
+      }
+    }
+  }
+
+  if (invalidUrls.length > 0) {
+    log.warning(
+      `\n⚠️  Pre-write validation found ${invalidUrls.length} URL(s) that should have been excluded:`,
+    );
+    for (const invalid of invalidUrls.slice(0, 10)) {
+      log.warning(`   - ${invalid.url} (${invalid.reason})`);
+    }
+    if (invalidUrls.length > 10) {
+      log.warning(`   ... and ${invalidUrls.length - 10} more`);
+    }
+    // Filter them out before writing
+    urls = urls.filter(
+      (item) => !invalidUrls.some((inv) => inv.url === item.url),
+    );
+    log.info(
+      `✓ Filtered out ${invalidUrls.length} invalid URL(s) before writing`,
+    );
+  }
+
+  // Split into chunks if needed
+  const chunks = [];
+  for (let i = 0; i < urls.length; i += maxUrlsPerSitemap) {
+    chunks.push(urls.slice(i, i + maxUrlsPerSitemap));
+  }
+
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // Sitemap Generation
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  log.info('\n📝 Sitemap Generation:');
+  log.info('   🚀 Starting sitemap generation...');
+
+  let outMain = '';
+  let sitemapIndexPath = '';
+  const indexItems = [];
+
+  const writeGzipCopy = async (content, gzPath) => {
+    await writeGzip(content, gzPath);
+    files.push(gzPath);
+    const gzSize = formatFileSize(fs.statSync(gzPath).size);
+    log.info(`   ✓ ${gzPath} (${gzSize})`);
+  };
+
+  if (generateXmlSitemap) {
+    outMain = path.join(sitemapOutputDir, sitemapFilename);
+
+    if (chunks.length <= 1) {
+      const xml = await writeSitemapXml(urls, outMain);
+      files.push(outMain);
+      log.info(`   ✓ ${outMain} (${urls.length} URLs)`);
+      indexItems.push({
+        url: sitemapUrl(outMain),
+        lastmod: new Date().toISOString(),
+      });
+      if (debugShowSitemap) {
+        log.info('[DEBUG] Generated sitemap.xml content:');
+        log.info(xml.toString());
+      }
+      if (generateGzip) {
+        await writeGzipCopy(
+          xml,
+          path.join(sitemapOutputDir, path.basename(outMain) + '.gz'),
+        );
+      }
+    } else {
+      log.info(`   Splitting into ${chunks.length} sitemap file(s)`);
+      // Write multiple sitemaps and an index
+      for (let i = 0; i < chunks.length; i++) {
+        const partName = sitemapFilename.replace(/\.xml$/i, `-${i + 1}.xml`);
+        const outPart = path.join(sitemapOutputDir, partName);
+        const xml = await writeSitemapXml(chunks[i], outPart);
+        files.push(outPart);
+        log.info(`   ✓ ${outPart} (${chunks[i].length} URLs)`);
+        indexItems.push({
+          url: sitemapUrl(outPart),
+          lastmod: new Date().toISOString(),
+        });
+        if (generateGzip) {
+          await writeGzipCopy(
+            xml,
+            path.join(sitemapOutputDir, path.basename(outPart) + '.gz'),
+          );
+        }
+      }
+    }
+  }
+
+  // Google News sitemap (recent articles only, referenced from the index)
+  let newsSitemapPath = '';
+  if (generateNewsSitemap) {
+    const articles = selectNewsArticles(urls);
+    if (articles.length) {
+      newsSitemapPath = path.join(sitemapOutputDir, newsSitemapFilename);
+      const newsXml = await writeNewsSitemap(articles, newsSitemapPath, {
+        name: newsPublicationName,
+        language: newsPublicationLanguage,
+      });
+      files.push(newsSitemapPath);
+      log.info(`   ✓ ${newsSitemapPath} (${articles.length} articles)`);
+      indexItems.push({
+        url: sitemapUrl(newsSitemapPath),
+        lastmod: new Date().toISOString(),
+      });
+      if (generateGzip) {
+        await writeGzipCopy(newsXml, newsSitemapPath + '.gz');
+      }
+    } else {
+      log.info(
+        '   ℹ️  No news articles published in the last 48 hours; news sitemap skipped',
+      );
+    }
+  }
+
+  // Build sitemap index when output spans more than one sitemap file
+  if (indexItems.length > 1) {
+    sitemapIndexPath = path.join(sitemapOutputDir, 'sitemap-index.xml');
+    const xmlIndexContent = writeSitemapIndex(indexItems, sitemapIndexPath);
+    files.push(sitemapIndexPath);
+    log.info(`   ✓ ${sitemapIndexPath} (index)`);
+    if (process.env.TEST_CORRUPT_SITEMAP_INDEX === 'true') {
+      // Remove closing tag to simulate corruption for testing
+      const corrupted = xmlIndexContent.replace(/<\/sitemapindex>/i, '');
+      fs.writeFileSync(sitemapIndexPath, corrupted, 'utf8');
+    }
+    if (generateGzip) {
+      await writeGzipCopy(
+        xmlIndexContent,
+        path.join(sitemapOutputDir, path.basename(sitemapIndexPath) + '.gz'),
+      );
+    }
+  }
+
+  // Generate TXT sitemap if enabled
+  let txtSitemapPath = '';
+  const txtPartPaths = [];
+  if (generateTxtSitemap) {
+    const txtFilename = sitemapFilename.replace(/\.xml$/i, '.txt');
+    txtSitemapPath = path.join(sitemapOutputDir, txtFilename);
+
+    if (chunks.length <= 1) {
+      await writeSitemapTxt(urls, txtSitemapPath);
+      files.push(txtSitemapPath);
+      log.info(`   ✓ ${txtSitemapPath} (${urls.length} URLs)`);
+      if (debugShowTxtSitemap) {
+        const txtContent = fs.readFileSync(txtSitemapPath, 'utf8');
+        log.info('[DEBUG] Generated sitemap.txt content:');
+        log.info(txtContent);
+      }
+    } else {
+      // Write multiple TXT sitemaps
+      for (let i = 0; i < chunks.length; i++) {
+        const partName = txtFilename.replace(/\.txt$/i, `-${i + 1}.txt`);
+        const outPart = path.join(sitemapOutputDir, partName);
+        await writeSitemapTxt(chunks[i], outPart);
+        files.push(outPart);
+        txtPartPaths.push(outPart);
+        log.info(`   ✓ ${outPart} (${chunks[i].length} URLs)`);
+      }
+    }
+  }
+
+  // Create or update robots.txt with Sitemap directives
+  let robotsTxtPath = '';
+  if (generateRobotsTxt) {
+    // Prefer the index, then the main XML sitemap, then TXT sitemaps
+    let robotsSitemapFiles = [];
+    if (sitemapIndexPath) robotsSitemapFiles = [sitemapIndexPath];
+    else if (outMain && fs.existsSync(outMain)) robotsSitemapFiles = [outMain];
+    else if (txtPartPaths.length) robotsSitemapFiles = txtPartPaths;
+    else if (txtSitemapPath) robotsSitemapFiles = [txtSitemapPath];
+    const robotsSitemapUrls = robotsSitemapFiles.map(sitemapUrl);
+    const robots = writeRobotsTxt({
+      outputDir: sitemapOutputDir,
+      siteUrl,
+      sitemapUrls: robotsSitemapUrls,
+      template: robotsTxtTemplate,
+    });
+    robotsTxtPath = robots.path;
+    files.push(robotsTxtPath);
+    log.info(
+      `   ✓ ${robotsTxtPath} (${robots.created ? 'created' : 'updated'}, ${robotsSitemapUrls.length} Sitemap directive(s))`,
+    );
+  }
+
+  log.info('   ✅ Sitemap generation completed successfully!');
+
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // Validation
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  log.info('');
+  log.info('🔍 Validation:');
+
+  if (strictValidation) {
+    log.info('   Mode: Strict (will fail on errors)');
+  } else {
+    log.info('   Mode: Standard (warnings only)');
+  }
+  // Size and parse problems only count as errors in strict mode
+  const strictIssue = (message) =>
+    strictValidation ? log.error(message) : log.warning(message);
+
+  try {
+    // ─────────────────────────────────────────
+    // XML Sitemap Validation
+    // ─────────────────────────────────────────
+    if (generateXmlSitemap && fs.existsSync(outMain)) {
+      log.info('\n   📄 XML Sitemap:');
+      const xmlContent = fs.readFileSync(outMain, 'utf8');
+      report(
+        validateXmlSitemap(xmlContent, {
+          strict: strictValidation,
+          maxUrls: maxUrlsPerSitemap,
+        }),
+      );
+    }
+
+    // Validate sitemap.xml size (show before format validation)
+    if (outMain && fs.existsSync(outMain)) {
+      const mainSize = fs.statSync(outMain).size;
+      const sizeStr = formatFileSize(mainSize);
+      const mainSizeMB = mainSize / (1024 * 1024);
+      if (mainSizeMB > xmlMaxSizeMb) {
+        strictIssue(
+          `      ✗ Exceeds ${xmlMaxSizeMb} MB (${sizeStr}). Consider splitting or relying on gzip.`,
+        );
+      } else {
+        log.info(`      ✓ Size OK (${sizeStr})`);
+      }
+    } else {
+      log.info('      ℹ️ No XML sitemap generated; skipping size validation');
+    }
+
+    // Validate sitemap.xml.gz size if it was written
+    if (outMain && fs.existsSync(outMain)) {
+      const gzPath = outMain + '.gz';
+      if (fs.existsSync(gzPath)) {
+        const gzSize = fs.statSync(gzPath).size;
+        const gzSizeStr = formatFileSize(gzSize);
+        const gzSizeMB = gzSize / (1024 * 1024);
+        if (gzSizeMB > xmlMaxSizeMb) {
+          strictIssue(
+            `      ✗ Gzip exceeds ${xmlMaxSizeMb} MB (${gzSizeStr}). Consider splitting.`,
+          );
+        } else {
+          log.info(`      ✓ Gzip size OK (${gzSizeStr})`);
+        }
+      }
+    }
+
+    // ─────────────────────────────────────────
+    // TXT Sitemap Validation
+    // ─────────────────────────────────────────
+    if (generateTxtSitemap && txtSitemapPath && fs.existsSync(txtSitemapPath)) {
+      log.info('\n   📄 TXT Sitemap:');
+      try {
+        const txtContent = fs.readFileSync(txtSitemapPath, 'utf8');
+        const txtSize = fs.statSync(txtSitemapPath).size;
+        const txtSizeStr = formatFileSize(txtSize);
+        const txtSizeMB = txtSize / (1024 * 1024);
+        if (txtSizeMB > txtMaxSizeMb) {
+          strictIssue(`      ✗ Exceeds ${txtMaxSizeMb} MB (${txtSizeStr})`);
+        } else {
+          log.info(`      ✓ Size OK (${txtSizeStr})`);
+        }
+        // Additional strict invalid protocol check before generic validation helper
+        const rawLines = txtContent.split(/\r?\n/).filter(Boolean);
+        const invalidProtocolLines = rawLines.filter(
+          (l) => !/^https?:\/\//i.test(l),
+        );
+        if (strictValidation && invalidProtocolLines.length > 0) {
+          log.error(
+            `      ✗ Contains ${invalidProtocolLines.length} invalid URL(s) (strict mode)`,
+          );
+        }
+        report(
+          validateTxtSitemap(txtContent, {
+            strict: strictValidation,
+            maxUrls: maxUrlsPerSitemap,
+          }),
+        );
+      } catch (txtError) {
+        strictIssue(`      ✗ Validation error: ${txtError.message}`);
+      }
+    }
+
+    // ─────────────────────────────────────────
+    // News Sitemap Validation
+    // ─────────────────────────────────────────
+    if (newsSitemapPath && fs.existsSync(newsSitemapPath)) {
+      log.info('\n   📄 News Sitemap:');
+      const newsContent = fs.readFileSync(newsSitemapPath, 'utf8');
+      report(
+        validateXmlSitemap(newsContent, {
+          strict: strictValidation,
+          maxUrls: NEWS_MAX_URLS,
+        }),
+      );
+    }
+
+    // Sitemap Index Validation
+    const indexPathLocal = path.join(sitemapOutputDir, 'sitemap-index.xml');
+    if (fs.existsSync(indexPathLocal)) {
+      log.info('\n   📄 Sitemap Index:');
+      try {
+        const indexContent = fs.readFileSync(indexPathLocal, 'utf8');
+        report(
+          validateSitemapIndex(indexContent, {
+            strict: strictValidation,
+            maxSitemaps: maxUrlsPerSitemap,
+          }),
+        );
+      } catch (e) {
+        strictIssue(`      ✗ Index validation error: ${e.message}`);
+      }
+    }
+  } catch (e) {
+    log.warning(`   ⚠️  Validation skipped: ${e.message}`);
+  }
+
+  return {
+    urls,
+    files,
+    outputs: {
+      sitemap_path: outMain,
+      sitemap_index_path: sitemapIndexPath,
+      sitemap_txt_path: txtSitemapPath,
+      news_sitemap_path: newsSitemapPath,
+      robots_txt_path: robotsTxtPath,
+    },
+    issues,
+    valid: !issues.some((issue) => issue.type === 'error'),
+  };
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  generateSitemaps,
+};
@@ -0,0 +1,235 @@
+/**
+ * Blackout Secure Sitemap Generator
+ * Copyright © 2025-2026 Blackout Secure
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Batched git history lookup for lastmod
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { getSourceCandidates } = require('./source-mapper');
+
+// git log output for large repositories can run to tens of megabytes
+const GIT_LOG_MAX_BUFFER = 256 * 1024 * 1024;
+
+// Marks commit lines in the git log output (ASCII unit separator)
+const COMMIT_MARKER = '\x1f';
+
+// Page source formats considered when mapping output files to sources
+const SOURCE_EXTENSIONS = [
+  '.md',
+  '.mdx',
+  '.markdown',
+  '.html',
+  '.htm',
+  '.adoc',
+  '.rst',
+  '.njk',
+  '.liquid',
+  '.hbs',
+  '.pug',
+  '.ejs',
+  '.astro',
+  '.svelte',
+  '.vue',
+  '.jsx',
+  '.tsx',
+];
+
+/**
+ * Run a git command and return its stdout
+ * @private
+ */
+function runGit(args, cwd) {
+  return execFileSync('git', args, {
+    cwd,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'ignore'],
+    maxBuffer: GIT_LOG_MAX_BUFFER,
+  });
+}
+
+/**
+ * Parse `git log --format=<marker>%cI --name-only` output
+ * History is newest first, so the first date seen for a path is its last
+ * commit.
+ * @param {string} output - git log output
+ * @returns {Map<string, string>} - Repository-relative path -> ISO date
+ */
+function parseGitLog(output) {
+  const dates = new Map();
+  let current = null;
+  for (const line of String(output || '').split('\n')) {
+    if (line.startsWith(COMMIT_MARKER)) {
+      current = line.slice(COMMIT_MARKER.length).trim();
+    } else if (line && current && !dates.has(line)) {
+      dates.set(line, current);
+    }
+  }
+  return dates;
+}
+
+/**
+ * Resolve symlinks (git reports real paths) when the path exists
+ * @private
+ */
+function realPath(p) {
+  try {
+    return fs.realpathSync(path.resolve(p));
+  } catch {
+    return path.resolve(p);
+  }
+}
+
+/**
+ * Route key for a path: extension and trailing index segment removed
+ * (blog/post/index.html, blog/post.md and blog/post/_index.md -> blog/post)
+ * @private
+ */
+function routeKey(relPath) {
+  return relPath
+    .replace(/\.[^/.]+$/, '')
+    .replace(/(^|\/)_?index$/, '')
+    .replace(/\/+$/, '');
+}
+
+/**
+ * Index tracked files by every trailing run of route segments so a build
+ * output path can be matched to its source (blog/post -> content/blog/post.md)
+ * @private
+ */
+function buildSuffixIndex(dates) {
+  const index = new Map();
+  for (const [file, date] of dates) {
+    if (!SOURCE_EXTENSIONS.includes(path.extname(file).toLowerCase())) continue;
+    const segments = routeKey(file).split('/').filter(Boolean);
+    for (let i = 0; i < segments.length; i++) {
+      const suffix = segments.slice(i).join('/');
+      const existing = index.get(suffix);
+      // Prefer the shallowest source, then the most recent commit
+      if (
+        !existing ||
+        i < existing.depth ||
+        (i === existing.depth && Date.parse(date) > Date.parse(existing.date))
+      ) {
+        index.set(suffix, { date, file, depth: i });
+      }
+    }
+  }
+  return index;
+}
+
+/**
+ * Create a git lastmod provider backed by a single history pass
+ * The provider resolves a build output file to its own history when it is
+ * tracked, then to the first tracked candidate from the source map rules,
+ * then, with matchRoutes, to any tracked source with the same route (for
+ * example public/blog/post/index.html -> content/blog/post.md).
+ * @param {string} dir - Directory inside the repository (usually publicDir)
+ * @param {Object} core - GitHub Actions core module (for logging)
+ * @param {Object} [options] - Source mapping options
+ * @param {Array} [options.sourceRules] - Rules from parseSourceMap()
+ * @param {boolean} [options.matchRoutes=false] - Fall back to sources matched by route alone
+ * @param {string} [options.sourceRoot] - Directory source paths are relative to (defaults to cwd)
+ * @returns {{available: boolean, shallow: boolean, size: number, routeMatches: string[], lookup: Function}} - Provider; routeMatches lists the pages dated by route
+ */
+function createGitLastmodProvider(
+  dir,
+  core,
+  { sourceRules = [], matchRoutes = false, sourceRoot = process.cwd() } = {},
+) {
+  const unavailable = {
+    available: false,
+    shallow: false,
+    size: 0,
+    routeMatches: [],
+    lookup: () => null,
+  };
+
+  let repoRoot;
+  try {
+    repoRoot = runGit(['rev-parse', '--show-toplevel'], dir).trim();
+  } catch {
+    core.info(
+      'ℹ️  lastmod_strategy "git": not a git repository; using file modification times',
+    );
+    return unavailable;
+  }
+
+  let shallow = false;
+  try {
+    shallow =
+      runGit(['rev-parse', '--is-shallow-repository'], repoRoot).trim() ===
+      'true';
+  } catch {
+    // Older git without --is-shallow-repository
+  }
+  if (shallow) {
+    core.warning(
+      '⚠️  Shallow git clone detected: lastmod dates only reflect the fetched history. Set "fetch-depth: 0" on actions/checkout for accurate dates.',
+    );
+  }
+
+  let dates;
+  try {
+    dates = parseGitLog(
+      runGit(
+        [
+          '-c',
+          'core.quotepath=off',
+          'log',
+          `--format=${COMMIT_MARKER}%cI`,
+          '--name-only',
+        ],
+        repoRoot,
+      ),
+    );
+  } catch {
+    core.warning(
+      '⚠️  Unable to read git history; falling back to file modification times.',
+    );
+    return unavailable;
+  }
+  core.info(`🕒 Loaded git history for ${dates.size} file(s)`);
+
+  let suffixIndex = null;
+  const routeMatches = [];
+  const sourceBase = realPath(sourceRoot);
+
+  /**
+   * Last commit date for a file (or its source), or null when unknown
+   * @param {string} fsPath - Absolute or cwd-relative file path
+   * @param {string} [relPath] - Path relative to publicDir (enables source mapping)
+   * @returns {string|null} - ISO date string
+   */
+  function lookup(fsPath, relPath) {
+    const repoPath = path
+      .relative(repoRoot, realPath(fsPath))
+      .replace(/\\/g, '/');
+    if (dates.has(repoPath)) return dates.get(repoPath);
+    if (!relPath) return null;
+    for (const candidate of getSourceCandidates(sourceRules, relPath)) {
+      const sourcePath = path
+        .relative(repoRoot, path.resolve(sourceBase, candidate))
+        .replace(/\\/g, '/');
+      if (dates.has(sourcePath)) return dates.get(sourcePath);
+    }
+    if (!matchRoutes) return null;
+    const key = routeKey(relPath.replace(/\\/g, '/'));
+    if (!key) return null;
+    if (!suffixIndex) suffixIndex = buildSuffixIndex(dates);
+    const match = suffixIndex.get(key);
+    if (!match) return null;
+    routeMatches.push(`${relPath} ← ${match.file}`);
+    return match.date;
+  }
+
+  return { available: true, shallow, size: dates.size, routeMatches, lookup };
+}
+
+module.exports = {
+  parseGitLog,
+  createGitLastmodProvider,
+};
@@ -0,0 +1,504 @@
+/**
+ * Blackout Secure Sitemap Generator
+ * Copyright © 2025-2026 Blackout Secure
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Static host configuration parsing (Netlify/Cloudflare Pages _headers and
+ * _redirects, netlify.toml, vercel.json)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Robots directives that take a "name: value" form (not user-agent scopes)
+const VALUED_DIRECTIVES = [
+  'max-snippet',
+  'max-image-preview',
+  'max-video-preview',
+  'unavailable_after',
+];
+
+/**
+ * Parse a _headers file
+ * Path lines start at column 0; header lines are indented "Name: value"
+ * pairs. Cloudflare's "! Name" form detaches a header set by an earlier rule.
+ * @param {string} content - _headers file content
+ * @returns {Array<{pattern: string, headers: Array<{name: string, value: string|null}>}>} - Rules in file order
+ */
+function parseHeadersFile(content) {
+  const rules = [];
+  let current = null;
+  for (const rawLine of String(content || '').split(/\r?\n/)) {
+    const trimmed = rawLine.trim();
+    if (!trimmed || trimmed.startsWith('#')) continue;
+    if (!/^\s/.test(rawLine)) {
+      current = { pattern: trimmed, headers: [] };
+      rules.push(current);
+      continue;
+    }
+    if (!current) continue;
+    if (trimmed.startsWith('!')) {
+      current.headers.push({ name: trimmed.slice(1).trim(), value: null });
+      continue;
+    }
+    const colon = trimmed.indexOf(':');
+    if (colon <= 0) continue;
+    current.headers.push({
+      name: trimmed.slice(0, colon).trim(),
+      value: trimmed.slice(colon + 1).trim(),
+    });
+  }
+  return rules;
+}
+
+/**
+ * Load _headers rules from the public directory
+ * @param {string} publicDir - Public directory path
+ * @returns {Array} - Parsed rules (empty when no _headers file exists)
+ */
+function loadHeadersRules(publicDir) {
+  const headersPath = path.join(publicDir, '_headers');
+  try {
+    return parseHeadersFile(fs.readFileSync(headersPath, 'utf8'));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Convert a _headers path pattern to a regex
+ * Supports * splats and :placeholder segments.
+ * @private
+ */
+function patternToRegex(pattern) {
+  // Patterns may be absolute URLs (https://example.com/path); match the path
+  const pathPattern = pattern.replace(/^https?:\/\/[^/]+/i, '') || '/';
+  const source = pathPattern
+    .split(/(\*|:[A-Za-z]\w*)/)
+    .map((part) => {
+      if (part === '*') return '.*';
+      if (/^:[A-Za-z]/.test(part)) return '[^/]+';
+      return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Paths a host may serve a file under (/a/index.html -> /a/, /a.html -> /a)
+ * @param {string} pathname - URL path
+ * @returns {string[]} - The path and its clean URL variants
+ */
+function servedPaths(pathname) {
+  const variants = new Set([pathname]);
+  if (/\/index\.html?$/i.test(pathname)) {
+    const dir = pathname.replace(/index\.html?$/i, '');
+    variants.add(dir);
+    if (dir.length > 1) variants.add(dir.replace(/\/$/, ''));
+  } else if (/\.html?$/i.test(pathname)) {
+    const bare = pathname.replace(/\.html?$/i, '');
+    variants.add(bare);
+    variants.add(bare + '/');
+  }
+  return [...variants];
+}
+
+/**
+ * Collect header values that apply to a path
+ * Rules are applied in file order; a detached header clears earlier values.
+ * @param {Array} rules - Rules from parseHeadersFile()
+ * @param {string} pathname - URL path (e.g., '/blog/index.html')
+ * @param {string} headerName - Header name (case-insensitive)
+ * @returns {string[]} - Header values in effect for the path
+ */
+function getHeaderValues(rules, pathname, headerName) {
+  const wanted = headerName.toLowerCase();
+  const candidates = servedPaths(pathname);
+  let values = [];
+  for (const rule of rules) {
+    const regex = patternToRegex(rule.pattern);
+    if (!candidates.some((p) => regex.test(p))) continue;
+    for (const header of rule.headers) {
+      if (header.name.toLowerCase() !== wanted) continue;
+      if (header.value === null) values = [];
+      else values.push(header.value);
+    }
+  }
+  return values;
+}
+
+/**
+ * Check whether robots directives exclude a page from indexing
+ * Accepts plain directives ("noindex, nofollow") and user-agent scoped
+ * X-Robots-Tag values ("googlebot: noindex"); scopes other than robots and
+ * googlebot are ignored.
+ * @param {string} value - Directive list
+ * @returns {boolean}
+ */
+function isNoindexDirective(value) {
+  let directives = String(value || '').toLowerCase();
+  const scoped = directives.match(/^\s*([a-z][\w-]*)\s*:(.*)$/);
+  if (scoped && !VALUED_DIRECTIVES.includes(scoped[1])) {
+    if (!['robots', 'googlebot'].includes(scoped[1])) return false;
+    directives = scoped[2];
+  }
+  return directives
+    .split(',')
+    .map((d) => d.trim())
+    .some((d) => d === 'noindex' || d === 'none');
+}
+
+/**
+ * Parse a _redirects file (Netlify and Cloudflare Pages)
+ * Lines are "from [query=:param ...] to [status][!] [Condition=value ...]".
+ * Rules with query or country/language/role conditions are marked
+ * conditional, since they don't apply to every request for the path.
+ * @param {string} content - _redirects file content
+ * @returns {Array<{from: string, to: string, status: number, force: boolean, conditional: boolean}>} - Rules in file order
+ */
+function parseRedirectsFile(content) {
+  const rules = [];
+  for (const rawLine of String(content || '').split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) continue;
+    const [from, ...rest] = line.split(/\s+/);
+    const toIndex = rest.findIndex((t) => /^(\/|https?:\/\/)/i.test(t));
+    if (toIndex === -1) continue;
+    const status = rest[toIndex + 1]?.match(/^(\d{3})(!?)$/);
+    const conditions = [
+      ...rest.slice(0, toIndex),
+      ...rest.slice(toIndex + (status ? 2 : 1)),
+    ];
+    rules.push({
+      from,
+      to: rest[toIndex],
+      status: status ? Number(status[1]) : 301,
+      force: Boolean(status?.[2]),
+      conditional: conditions.some((t) => t.includes('=')),
+    });
+  }
+  return rules;
+}
+
+/**
+ * Parse one TOML value: strings, numbers and booleans; inline tables and
+ * arrays are kept as a truthy placeholder
+ * @private
+ */
+function parseTomlValue(raw) {
+  const value = raw.trim();
+  if (value.startsWith('"')) {
+    try {
+      return JSON.parse(value.match(/^"(?:[^"\\]|\\.)*"/)[0]);
+    } catch {
+      return null;
+    }
+  }
+  if (value.startsWith("'")) return value.slice(1, value.indexOf("'", 1));
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (/^[+-]?\d+(\.\d+)?$/.test(value)) return Number(value);
+  return value.startsWith('{') || value.startsWith('[') ? {} : null;
+}
+
+/**
+ * Parse the [[redirects]] and [[headers]] tables of a netlify.toml
+ * Only the keys those tables use are read; other tables are skipped.
+ * @param {string} content - netlify.toml content
+ * @returns {{redirects: Array, headers: Array}} - Redirect rules and header rules (parseHeadersFile() shape)
+ */
+function parseNetlifyToml(content) {
+  const redirects = [];
+  const headers = [];
+  let table = null;
+  for (const rawLine of String(content || '').split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) continue;
+    const section = line.match(/^(\[\[?)\s*([\w.-]+)\s*\]\]?/);
+    if (section) {
+      const isArray = section[1] === '[[';
+      const name = section[2];
+      if (isArray && name === 'redirects') {
+        table = {};
+        redirects.push(table);
+      } else if (isArray && name === 'headers') {
+        table = { values: {} };
+        headers.push(table);
+      } else if (name === 'headers.values' && headers.length) {
+        table = headers[headers.length - 1].values;
+      } else if (
+        ['redirects.conditions', 'redirects.query'].includes(name) &&
+        redirects.length
+      ) {
+        redirects[redirects.length - 1].conditions = {};
+        table = null;
+      } else {
+        table = null;
+      }
+      continue;
+    }
+    const pair = line.match(/^(["']?)([\w.-]+)\1\s*=\s*(.+)$/);
+    if (pair && table) table[pair[2]] = parseTomlValue(pair[3]);
+  }
+  return {
+    redirects: redirects
+      .filter((r) => typeof r.from === 'string' && typeof r.to === 'string')
+      .map((r) => ({
+        from: r.from,
+        to: r.to,
+        status: Number(r.status) || 301,
+        force: r.force === true,
+        conditional: Boolean(r.conditions || r.query),
+      })),
+    headers: headers
+      .filter((h) => typeof h.for === 'string')
+      .map((h) => ({
+        pattern: h.for,
+        headers: Object.entries(h.values)
+          .filter(([, value]) => typeof value === 'string')
+          .map(([name, value]) => ({ name, value })),
+      })),
+  };
+}
+
+/**
+ * Convert a vercel.json source (path-to-regexp) to a splat pattern for
+ * header matching
+ * @private
+ */
+function vercelSourceToPattern(source) {
+  return String(source)
+    .replace(/:[A-Za-z]\w*[*+?]|\(\.\*\)/g, '*')
+    .replace(/\(([^)]*)\)/g, '*');
+}
+
+/**
+ * Parse the redirects, rewrites, headers, cleanUrls and trailingSlash
+ * settings of a vercel.json
+ * Rewrites become status 200 rules. Redirects default to 308 (permanent)
+ * or 307, like Vercel.
+ * @param {Object} config - Parsed vercel.json
+ * @returns {{redirects: Array, headers: Array, cleanUrls: boolean, trailingSlash: boolean|undefined}}
+ */
+function parseVercelConfig(config) {
+  const data = config && typeof config === 'object' ? config : {};
+  const list = (value) => (Array.isArray(value) ? value : []);
+  const toRule = (rule, status) => ({
+    from: rule.source,
+    to: rule.destination,
+    status,
+    force: true,
+    conditional: Boolean(rule.has || rule.missing),
+  });
+  return {
+    redirects: [
+      ...list(data.redirects).map((r) =>
+        toRule(r, r.statusCode || (r.permanent === false ? 307 : 308)),
+      ),
+      ...list(data.rewrites).map((r) => toRule(r, 200)),
+    ].filter((r) => typeof r.from === 'string' && typeof r.to === 'string'),
+    headers: list(data.headers)
+      .filter((h) => typeof h.source === 'string')
+      .map((h) => ({
+        pattern: vercelSourceToPattern(h.source),
+        headers: list(h.headers).map((x) => ({ name: x.key, value: x.value })),
+      })),
+    cleanUrls: data.cleanUrls === true,
+    trailingSlash:
+      typeof data.trailingSlash === 'boolean' ? data.trailingSlash : undefined,
+  };
+}
+
+/**
+ * Load host configuration: _redirects and _headers from publicDir,
+ * netlify.toml and vercel.json from publicDir or the working directory
+ * @param {string} publicDir - Public directory path
+ * @param {Object} [options] - Load options
+ * @param {string} [options.cwd] - Project root (default: process.cwd())
+ * @returns {{redirects: Array, headers: Array, urlStyle: string|null, sources: string[]}} - Rules from every file, the url_style implied by vercel.json cleanUrls/trailingSlash and the files read
+ */
+function loadHostConfig(publicDir, { cwd = process.cwd() } = {}) {
+  const sources = [];
+  const redirects = [];
+  const headers = loadHeadersRules(publicDir);
+  let urlStyle = null;
+  const read = (name) => {
+    for (const dir of [publicDir, cwd]) {
+      try {
+        const content = fs.readFileSync(path.join(dir, name), 'utf8');
+        sources.push(name);
+        return content;
+      } catch {
+        // Try the next location
+      }
+    }
+    return null;
+  };
+  const redirectsFile = path.join(publicDir, '_redirects');
+  if (fs.existsSync(redirectsFile)) {
+    sources.push('_redirects');
+    redirects.push(
+      ...parseRedirectsFile(fs.readFileSync(redirectsFile, 'utf8')),
+    );
+  }
+  const netlify = read('netlify.toml');
+  if (netlify !== null) {
+    const parsed = parseNetlifyToml(netlify);
+    redirects.push(...parsed.redirects);
+    headers.push(...parsed.headers);
+  }
+  const vercel = read('vercel.json');
+  if (vercel !== null) {
+    let parsed;
+    try {
+      parsed = parseVercelConfig(JSON.parse(vercel));
+    } catch {
+      parsed = parseVercelConfig({});
+    }
+    redirects.push(...parsed.redirects);
+    headers.push(...parsed.headers);
+    if (parsed.cleanUrls) {
+      urlStyle = parsed.trailingSlash ? 'directory' : 'extensionless';
+    } else if (parsed.trailingSlash === true) {
+      urlStyle = 'directory';
+    }
+  }
+  return { redirects, headers, urlStyle, sources };
+}
+
+/**
+ * Convert a redirect source to a regex with named captures for :splat and
+ * :placeholders (Vercel's :name*, :name+ and (.*) included)
+ * @private
+ */
+function redirectPatternToRegex(pattern) {
+  const pathPattern = pattern.replace(/^https?:\/\/[^/]+/i, '') || '/';
+  const source = pathPattern
+    .split(/(\*|\(\.\*\)|:[A-Za-z]\w*[*+?]?)/)
+    .map((part) => {
+      if (part === '*' || part === '(.*)') return '(?<splat>.*)';
+      const named = part.match(/^:([A-Za-z]\w*)([*+?]?)$/);
+      if (named) {
+        return named[2] ? `(?<${named[1]}>.*)` : `(?<${named[1]}>[^/]+)`;
+      }
+      return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  try {
+    return new RegExp(`^${source}$`);
+  } catch {
+    return null;
+  }
+}
+
+// Destinations that still hold a placeholder after substitution
+const UNRESOLVED_DESTINATION = /\/:[A-Za-z]|\*|\$\d|\(/;
+
+/**
+ * Find the redirect that applies to a path
+ * Only unconditional redirects (3xx) and error rules (4xx) are considered;
+ * the first matching rule wins. Rules for another host (or any host, when
+ * no origin is given) are ignored. Like Netlify's shadowing, rules without
+ * force (a "!" status) don't apply to a path that a file serves.
+ * @param {Array} rules - Rules from loadHostConfig()
+ * @param {string} pathname - URL path (e.g., '/old/index.html')
+ * @param {string} [origin] - Site origin for host-specific rules
+ * @param {Object} [options] - Match options
+ * @param {function(string): boolean} [options.isServed] - Whether a file serves the path
+ * @returns {{rule: Object, target: string|null}|null} - The rule and its destination with placeholders filled in (null when it cannot be resolved)
+ */
+function matchRedirect(rules, pathname, origin, { isServed } = {}) {
+  const shadowed = Boolean(isServed?.(pathname));
+  const found = matchRule(
+    rules.filter((rule) => rule.status !== 200 && (rule.force || !shadowed)),
+    pathname,
+    origin,
+  );
+  if (!found) return null;
+  const { rule, groups } = found;
+  const target = rule.to.replace(/:([A-Za-z]\w*)[*+?]?/g, (whole, name) =>
+    name in groups ? groups[name] || '' : whole,
+  );
+  const targetPath = target.replace(/^https?:\/\/[^/]+/i, '');
+  return {
+    rule,
+    target: UNRESOLVED_DESTINATION.test(targetPath) ? null : target,
+  };
+}
+
+/**
+ * Find the rewrite (status 200) that serves a path
+ * Catch-all SPA fallbacks count: the host answers every path they match.
+ * @param {Array} rules - Rules from loadHostConfig()
+ * @param {string} pathname - URL path
+ * @param {string} [origin] - Site origin for host-specific rules
+ * @returns {Object|null} - The first matching rule
+ */
+function matchRewrite(rules, pathname, origin) {
+  return (
+    matchRule(
+      rules.filter((rule) => rule.status === 200),
+      pathname,
+      origin,
+    )?.rule || null
+  );
+}
+
+/**
+ * First unconditional rule whose source matches a path, with its captures
+ * @private
+ */
+function matchRule(rules, pathname, origin) {
+  // Hosts match paths with or without a trailing slash
+  const candidates = servedPaths(pathname).flatMap((p) =>
+    p.length > 1 && p.endsWith('/') ? [p, p.slice(0, -1)] : [p],
+  );
+  for (const rule of rules) {
+    if (rule.conditional) continue;
+    const host = rule.from.match(/^https?:\/\/[^/]+/i)?.[0];
+    if (host && host.toLowerCase() !== String(origin).toLowerCase()) continue;
+    const regex = redirectPatternToRegex(rule.from);
+    if (!regex) continue;
+    for (const candidate of candidates) {
+      const match = candidate.match(regex);
+      if (match) return { rule, groups: match.groups || {} };
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the public path a page is rewritten from
+ * Only rewrites (status 200) with a concrete source and destination are
+ * considered, so catch-all SPA fallbacks never rename pages.
+ * @param {Array} rules - Rules from loadHostConfig()
+ * @param {string} pathname - URL path of the page that serves the content
+ * @returns {string|null} - Public path or null
+ */
+function findRewriteSource(rules, pathname) {
+  const candidates = servedPaths(pathname);
+  for (const rule of rules) {
+    if (rule.conditional || rule.status !== 200) continue;
+    if (!rule.from.startsWith('/') || !rule.to.startsWith('/')) continue;
+    if (UNRESOLVED_DESTINATION.test(rule.from + rule.to)) continue;
+    if (/\/:[A-Za-z]/.test(rule.from)) continue;
+    if (servedPaths(rule.to).some((p) => candidates.includes(p))) {
+      return rule.from;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  parseHeadersFile,
+  loadHeadersRules,
+  getHeaderValues,
+  isNoindexDirective,
+  servedPaths,
+  parseRedirectsFile,
+  parseNetlifyToml,
+  parseVercelConfig,
+  loadHostConfig,
+  matchRedirect,
+  matchRewrite,
+  findRewriteSource,
+};
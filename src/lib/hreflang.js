@@ -0,0 +1,178 @@
+/**
+ * Blackout Secure Sitemap Generator
+ * Copyright © 2025-2026 Blackout Secure
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * hreflang alternate grouping for multilingual sites
+ */
+
+// BCP 47 subset accepted by Google: language[-Script][-REGION] or x-default
+const HREFLANG_PATTERN =
+  /^(x-default|[a-z]{2,3}(-[a-z]{4})?(-([a-z]{2}|\d{3}))?)$/i;
+
+/**
+ * Check whether a value is a valid hreflang code
+ * @param {string} lang - hreflang value (e.g., 'en', 'de-AT', 'x-default')
+ * @returns {boolean}
+ */
+function isValidHreflang(lang) {
+  return HREFLANG_PATTERN.test(String(lang || ''));
+}
+
+/**
+ * Parse a locale-directory mapping
+ * @param {string|string[]} input - Entries like 'en=/en/,de=/de/' (or an array of them)
+ * @returns {Array<{lang: string, prefix: string}>} - Locale prefixes, longest first
+ */
+function parseLocaleMap(input) {
+  const entries = Array.isArray(input) ? input : String(input || '').split(',');
+  const locales = [];
+  for (const entry of entries) {
+    const [lang, dir] = entry.split('=').map((s) => s?.trim());
+    if (!lang || dir === undefined) continue;
+    let prefix = '/' + dir.replace(/^\/+|\/+$/g, '');
+    if (prefix !== '/') prefix += '/';
+    locales.push({ lang, prefix });
+  }
+  return locales.sort((a, b) => b.prefix.length - a.prefix.length);
+}
+
+/**
+ * Find the locale whose directory contains a URL
+ * @private
+ */
+function matchLocale(url, locales) {
+  let pathname;
+  try {
+    pathname = new URL(url).pathname;
+  } catch {
+    return null;
+  }
+  for (const locale of locales) {
+    if (pathname.startsWith(locale.prefix)) {
+      return { ...locale, rest: pathname.slice(locale.prefix.length) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Group equivalent pages and attach reciprocal hreflang alternates
+ *
+ * Pages are linked when one declares the other via <link rel="alternate"
+ * hreflang> (item.alternates) or when they share a path under different
+ * locale directories. Only URLs present in the sitemap join a cluster, so
+ * every emitted alternate is reciprocated. Each member of a cluster with two
+ * or more languages, and the cluster's x-default page, receives item.links
+ * (self-reference and x-default included).
+ *
+ * @param {Array} items - URL objects; item.alternates = [{lang, url}] if harvested
+ * @param {Object} options - Grouping options
+ * @param {Array<{lang: string, prefix: string}>} options.locales - From parseLocaleMap()
+ * @param {string} [options.defaultLocale] - Locale used for x-default when pages don't declare one
+ * @returns {{clusters: number, conflicts: string[]}} - Cluster count and language conflicts
+ */
+function applyHreflangClusters(items, { locales = [], defaultLocale } = {}) {
+  const byUrl = new Map(items.map((item) => [item.url, item]));
+
+  // Union-find over sitemap URLs
+  const parent = new Map(items.map((item) => [item.url, item.url]));
+  const find = (u) => {
+    while (parent.get(u) !== u) {
+      parent.set(u, parent.get(parent.get(u)));
+      u = parent.get(u);
+    }
+    return u;
+  };
+  const union = (a, b) => {
+    if (!byUrl.has(a) || !byUrl.has(b)) return;
+    const ra = find(a);
+    const rb = find(b);
+    if (ra !== rb) parent.set(rb, ra);
+  };
+
+  // Language and x-default hints per URL
+  const langOf = new Map();
+  const xDefaultHints = new Map();
+  for (const item of items) {
+    for (const alt of item.alternates || []) {
+      if (alt.lang.toLowerCase() === 'x-default') {
+        xDefaultHints.set(item.url, alt.url);
+      } else if (byUrl.has(alt.url) && !langOf.has(alt.url)) {
+        langOf.set(alt.url, alt.lang);
+      }
+      union(item.url, alt.url);
+    }
+  }
+
+  // Locale-directory inference: /en/x ~ /de/x
+  if (locales.length) {
+    const byRest = new Map();
+    for (const item of items) {
+      const match = matchLocale(item.url, locales);
+      if (!match) continue;
+      if (!langOf.has(item.url)) langOf.set(item.url, match.lang);
+      const origin = new URL(item.url).origin;
+      const key = `${origin}|${match.rest}`;
+      if (byRest.has(key)) union(byRest.get(key), item.url);
+      else byRest.set(key, item.url);
+    }
+  }
+
+  const groups = new Map();
+  for (const item of items) {
+    const root = find(item.url);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(item);
+  }
+
+  let clusters = 0;
+  const conflicts = [];
+  for (const members of groups.values()) {
+    const links = [];
+    const seenLangs = new Set();
+    for (const member of members) {
+      const lang = langOf.get(member.url);
+      if (!lang || !isValidHreflang(lang)) continue;
+      const key = lang.toLowerCase();
+      if (seenLangs.has(key)) {
+        conflicts.push(`${member.url} (duplicate hreflang "${lang}")`);
+        continue;
+      }
+      seenLangs.add(key);
+      links.push({ lang, url: member.url });
+    }
+    if (links.length < 2) continue;
+
+    // x-default: declared by a member, else the configured default locale
+    let xDefault = members
+      .map((m) => xDefaultHints.get(m.url))
+      .find((u) => u && byUrl.has(u) && find(u) === find(members[0].url));
+    if (!xDefault && defaultLocale) {
+      xDefault = links.find(
+        (l) => l.lang.toLowerCase() === defaultLocale.toLowerCase(),
+      )?.url;
+    }
+    links.sort((a, b) => a.lang.localeCompare(b.lang));
+    if (xDefault) links.push({ lang: 'x-default', url: xDefault });
+
+    // The x-default page may carry no language of its own; it still gets the
+    // full set so the alternates pointing at it are reciprocated
+    const linkedUrls = new Set(links.map((l) => l.url));
+    for (const member of members) {
+      if (member.url === xDefault || linkedUrls.has(member.url)) {
+        member.links = links;
+      }
+    }
+    clusters++;
+  }
+
+  for (const item of items) delete item.alternates;
+  return { clusters, conflicts };
+}
+
+module.exports = {
+  isValidHreflang,
+  parseLocaleMap,
+  applyHreflangClusters,
+};
@@ -8,6 +8,7 @@
 
 const fs = require('fs');
 const { parse: parseHtml } = require('node-html-parser');
+const { toW3CDatetime } = require('./lastmod');
 
 /**
  * Extract canonical URL from HTML file
@@ -53,7 +54,421 @@ function discoverInternalLinks(htmlPath) {
   }
 }
 
+/**
+ * Extract robots meta directives that apply to Google
+ * @param {HTMLElement} root - Parsed HTML root
+ * @returns {Array<{name: string, content: string}>} - robots and googlebot meta tags
+ */
+function extractRobotsMeta(root) {
+  const directives = [];
+  for (const meta of root.querySelectorAll('meta[name]')) {
+    const name = meta.getAttribute('name').trim().toLowerCase();
+    if (name !== 'robots' && name !== 'googlebot') continue;
+    const content = meta.getAttribute('content');
+    if (content) directives.push({ name, content });
+  }
+  return directives;
+}
+
+/**
+ * Extract a <meta http-equiv="refresh"> redirect
+ * @param {HTMLElement} root - Parsed HTML root
+ * @returns {{delay: number, url: string}|null} - Delay in seconds and target (as written), or null without a refresh target
+ */
+function extractMetaRefresh(root) {
+  for (const meta of root.querySelectorAll('meta[http-equiv]')) {
+    if (meta.getAttribute('http-equiv').trim().toLowerCase() !== 'refresh') {
+      continue;
+    }
+    const match = String(meta.getAttribute('content') || '').match(
+      /^\s*(\d+(?:\.\d+)?)?\s*[;,]?\s*(?:url\s*=\s*)?(['"]?)(.*?)\2\s*$/i,
+    );
+    if (match?.[3]) return { delay: Number(match[1] || 0), url: match[3] };
+  }
+  return null;
+}
+
+// Elements whose content is not visible page text
+const NON_TEXT_TAGS = ['script', 'style', 'noscript', 'template', 'svg'];
+
+// <script type> values browsers execute; data blocks such as JSON-LD are not
+const EXECUTABLE_SCRIPT_TYPE =
+  /^(|module|(text|application)\/(x-)?(java|ecma)script)$/i;
+
+/**
+ * Length of the visible text under an element
+ * @private
+ */
+function visibleTextLength(node) {
+  if (node.nodeType === 3) return node.rawText.trim().length;
+  if (NON_TEXT_TAGS.includes(node.rawTagName?.toLowerCase())) return 0;
+  return (node.childNodes || []).reduce(
+    (sum, child) => sum + visibleTextLength(child),
+    0,
+  );
+}
+
+/**
+ * Check whether a page is an empty single-page-app shell: executable scripts
+ * and a mount point, but no visible text or media until JavaScript runs
+ * @param {HTMLElement} root - Parsed HTML root
+ * @returns {boolean}
+ */
+function isEmptySpaShell(root) {
+  const body = root.querySelector('body') || root;
+  const scripts = root.querySelectorAll('script');
+  if (
+    !scripts.some((script) =>
+      EXECUTABLE_SCRIPT_TYPE.test((script.getAttribute('type') || '').trim()),
+    )
+  ) {
+    return false;
+  }
+  if (body.querySelector('img, picture, video, iframe, object')) return false;
+  return visibleTextLength(body) === 0;
+}
+
+/**
+ * Parse a srcset attribute into its candidate URLs
+ * @param {string} srcset - srcset attribute value (e.g., 'a.jpg 1x, b.jpg 2x')
+ * @returns {string[]} - Candidate URLs without descriptors
+ */
+function parseSrcset(srcset) {
+  if (!srcset) return [];
+  return srcset
+    .split(/,\s+/)
+    .map((candidate) => candidate.trim().split(/\s+/)[0])
+    .filter(Boolean);
+}
+
+/**
+ * Extract image sources from a parsed HTML document
+ * Collects <img src>, <img srcset>, <picture><source srcset> and og:image.
+ * @param {HTMLElement} root - Parsed HTML document root
+ * @returns {string[]} - Unique image sources as written in the document
+ */
+function extractImageSources(root) {
+  const sources = [];
+  for (const img of root.querySelectorAll('img')) {
+    sources.push(img.getAttribute('src'));
+    sources.push(...parseSrcset(img.getAttribute('srcset')));
+  }
+  for (const source of root.querySelectorAll('picture source')) {
+    sources.push(...parseSrcset(source.getAttribute('srcset')));
+  }
+  for (const meta of root.querySelectorAll('meta[property="og:image"]')) {
+    sources.push(meta.getAttribute('content'));
+  }
+  const unique = [];
+  for (const src of sources) {
+    const value = src?.trim();
+    // Inline images cannot be referenced from a sitemap
+    if (!value || /^data:/i.test(value)) continue;
+    if (!unique.includes(value)) unique.push(value);
+  }
+  return unique;
+}
+
+/**
+ * Extract JSON-LD objects from a parsed HTML document
+ * Flattens top-level arrays and @graph containers; invalid blocks are skipped.
+ * @param {HTMLElement} root - Parsed HTML document root
+ * @returns {Object[]} - JSON-LD nodes
+ */
+function extractJsonLd(root) {
+  const nodes = [];
+  const visit = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(visit);
+    } else if (value && typeof value === 'object') {
+      nodes.push(value);
+      if (Array.isArray(value['@graph'])) value['@graph'].forEach(visit);
+    }
+  };
+  for (const script of root.querySelectorAll(
+    'script[type="application/ld+json"]',
+  )) {
+    try {
+      visit(JSON.parse(script.textContent));
+    } catch {
+      // Ignore malformed JSON-LD blocks
+    }
+  }
+  return nodes;
+}
+
+/**
+ * Check whether a JSON-LD node has the given schema.org type
+ * @param {Object} node - JSON-LD node
+ * @param {string} type - Type name (e.g., 'VideoObject')
+ * @returns {boolean}
+ */
+function hasJsonLdType(node, type) {
+  const types = [].concat(node?.['@type'] || []);
+  return types.some((t) => String(t).replace(/^schema:/, '') === type);
+}
+
+/**
+ * Text of a JSON-LD property value
+ * Arrays use their first entry and value objects ({"@value": "..."}) are
+ * unwrapped; other values are ignored.
+ * @param {*} value - JSON-LD property value
+ * @returns {string|undefined} - Trimmed text, or undefined if not a string
+ */
+function jsonLdText(value) {
+  const first = Array.isArray(value) ? value[0] : value;
+  const text = first && typeof first === 'object' ? first['@value'] : first;
+  return typeof text === 'string' ? text.trim() || undefined : undefined;
+}
+
+/**
+ * Convert an ISO 8601 duration (e.g., 'PT1M30S') to seconds
+ * @param {string} duration - ISO 8601 duration
+ * @returns {number|undefined} - Whole seconds, or undefined if unparseable
+ */
+function parseIsoDuration(duration) {
+  const m =
+    /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i.exec(
+      String(duration || '').trim(),
+    );
+  if (!m || !m.slice(1).some(Boolean)) return undefined;
+  const [days, hours, minutes, seconds] = m
+    .slice(1)
+    .map((v) => parseFloat(v || '0'));
+  return Math.round(days * 86400 + hours * 3600 + minutes * 60 + seconds);
+}
+
+// Embeddable video players recognized in <iframe src>
+const VIDEO_PLAYER_PATTERNS = [
+  /^(?:https?:)?\/\/(?:www\.)?youtube(?:-nocookie)?\.com\/embed\//i,
+  /^(?:https?:)?\/\/player\.vimeo\.com\/video\//i,
+  /^(?:https?:)?\/\/(?:www\.)?dailymotion\.com\/embed\//i,
+  /^(?:https?:)?\/\/fast\.wistia\.net\/embed\//i,
+];
+
+/**
+ * Derive a thumbnail for well-known players that expose one by convention
+ * @param {string} playerUrl - Player (embed) URL
+ * @returns {string|undefined} - Thumbnail URL
+ */
+function playerThumbnail(playerUrl) {
+  const yt = /youtube(?:-nocookie)?\.com\/embed\/([\w-]{6,})/i.exec(playerUrl);
+  return yt ? `https://i.ytimg.com/vi/${yt[1]}/hqdefault.jpg` : undefined;
+}
+
+/**
+ * Extract video metadata from a parsed HTML document
+ * Sources: schema.org VideoObject JSON-LD, <video>/<source> elements and
+ * <iframe> embeds of known players. Tag-derived entries fall back to page
+ * metadata (og:title/<title>, description, og:image) for required fields.
+ * URLs are returned as written in the document.
+ * @param {HTMLElement} root - Parsed HTML document root
+ * @returns {Object[]} - Video entries (thumbnail_loc, title, description,
+ *   content_loc, player_loc, duration, publication_date)
+ */
+function extractVideos(root) {
+  const meta = (selector) =>
+    root.querySelector(selector)?.getAttribute('content')?.trim() || undefined;
+  const pageTitle =
+    meta('meta[property="og:title"]') ||
+    root.querySelector('title')?.textContent?.trim() ||
+    undefined;
+  const pageDescription =
+    meta('meta[name="description"]') || meta('meta[property="og:description"]');
+  const pageImage = meta('meta[property="og:image"]');
+
+  const videos = [];
+  const seenLocations = new Set();
+  const add = (video) => {
+    const key = video.content_loc || video.player_loc;
+    if (!key || seenLocations.has(key)) return;
+    seenLocations.add(key);
+    videos.push(video);
+  };
+
+  // Structured data is the most complete source, so it wins on duplicates
+  for (const node of extractJsonLd(root)) {
+    if (!hasJsonLdType(node, 'VideoObject')) continue;
+    const thumbnail = [].concat(node.thumbnailUrl || node.thumbnail || [])[0];
+    add({
+      thumbnail_loc: jsonLdText(thumbnail?.url ?? thumbnail),
+      title: jsonLdText(node.name),
+      description: jsonLdText(node.description),
+      content_loc: jsonLdText(node.contentUrl),
+      player_loc: jsonLdText(node.embedUrl),
+      duration: parseIsoDuration(jsonLdText(node.duration)),
+      publication_date: jsonLdText(node.uploadDate),
+    });
+  }
+
+  for (const video of root.querySelectorAll('video')) {
+    const src =
+      video.getAttribute('src') ||
+      video.querySelector('source[src]')?.getAttribute('src');
+    add({
+      thumbnail_loc: video.getAttribute('poster') || pageImage,
+      title:
+        video.getAttribute('title') ||
+        video.getAttribute('aria-label') ||
+        pageTitle,
+      description: pageDescription,
+      content_loc: src || undefined,
+    });
+  }
+
+  for (const iframe of root.querySelectorAll('iframe[src]')) {
+    const src = iframe.getAttribute('src');
+    if (!VIDEO_PLAYER_PATTERNS.some((re) => re.test(src))) continue;
+    add({
+      thumbnail_loc: playerThumbnail(src) || pageImage,
+      title: iframe.getAttribute('title') || pageTitle,
+      description: pageDescription,
+      player_loc: src,
+    });
+  }
+
+  return videos;
+}
+
+/**
+ * Extract hreflang alternates from a parsed HTML document
+ * @param {HTMLElement} root - Parsed HTML document root
+ * @returns {Array<{lang: string, href: string}>} - Alternates as written in the document
+ */
+function extractAlternateLinks(root) {
+  const alternates = [];
+  for (const link of root.querySelectorAll('link[hreflang]')) {
+    const rel = (link.getAttribute('rel') || '').toLowerCase().split(/\s+/);
+    const lang = link.getAttribute('hreflang')?.trim();
+    const href = link.getAttribute('href')?.trim();
+    if (rel.includes('alternate') && lang && href) {
+      alternates.push({ lang, href });
+    }
+  }
+  return alternates;
+}
+
+// schema.org types treated as news articles
+const ARTICLE_TYPES = [
+  'NewsArticle',
+  'Article',
+  'BlogPosting',
+  'ReportageNewsArticle',
+  'AnalysisNewsArticle',
+];
+
+/**
+ * Normalize a BCP 47 language tag to the ISO 639 form Google News expects
+ * Chinese keeps its script/region variant (zh-cn, zh-tw); others use the primary subtag.
+ * @param {string} lang - Language tag (e.g., 'en-US')
+ * @returns {string|undefined} - Language code (e.g., 'en')
+ */
+function normalizeNewsLanguage(lang) {
+  const value = String(lang || '')
+    .trim()
+    .toLowerCase();
+  if (!value) return undefined;
+  if (/^zh-(cn|hans)/.test(value)) return 'zh-cn';
+  if (/^zh-(tw|hk|hant)/.test(value)) return 'zh-tw';
+  return value.split(/[-_]/)[0];
+}
+
+/**
+ * Extract news article metadata from a parsed HTML document
+ * Publication date comes from article:published_time or JSON-LD datePublished
+ * (normalized to W3C Datetime; pages without a valid date are not articles);
+ * title from JSON-LD headline, og:title or <title>; language from <html lang>.
+ * @param {HTMLElement} root - Parsed HTML document root
+ * @returns {{publicationDate: string, title: string, language?: string}|null} - Metadata or null if not an article
+ */
+function extractNewsMetadata(root) {
+  const article = extractJsonLd(root).find((node) =>
+    ARTICLE_TYPES.some((type) => hasJsonLdType(node, type)),
+  );
+  const publicationDate = toW3CDatetime(
+    root
+      .querySelector('meta[property="article:published_time"]')
+      ?.getAttribute('content')
+      ?.trim() || jsonLdText(article?.datePublished),
+  );
+  if (!publicationDate) return null;
+
+  const title =
+    jsonLdText(article?.headline) ||
+    root
+      .querySelector('meta[property="og:title"]')
+      ?.getAttribute('content')
+      ?.trim() ||
+    root.querySelector('title')?.textContent?.trim();
+  if (!title) return null;
+
+  const metadata = { publicationDate, title };
+  const language = normalizeNewsLanguage(
+    root.querySelector('html')?.getAttribute('lang') || article?.inLanguage,
+  );
+  if (language) metadata.language = language;
+  return metadata;
+}
+
+/**
+ * Extract declared modification dates from a parsed HTML document
+ * Candidates are returned in precedence order: JSON-LD dateModified,
+ * article:modified_time / og:updated_time, <meta name="last-modified"> (and
+ * dcterms.modified / http-equiv), <time itemprop="dateModified">, then the
+ * first <time datetime>. Values are returned as written.
+ * @param {HTMLElement} root - Parsed HTML document root
+ * @returns {Array<{source: string, value: string}>} - Date candidates
+ */
+function extractModifiedDates(root) {
+  const candidates = [];
+  const add = (source, value) => {
+    if (typeof value === 'string' && value.trim()) {
+      candidates.push({ source, value: value.trim() });
+    }
+  };
+  for (const node of extractJsonLd(root)) {
+    add('JSON-LD dateModified', node.dateModified);
+  }
+  for (const property of ['article:modified_time', 'og:updated_time']) {
+    add(
+      property,
+      root
+        .querySelector(`meta[property="${property}"]`)
+        ?.getAttribute('content'),
+    );
+  }
+  for (const meta of root.querySelectorAll('meta[name], meta[http-equiv]')) {
+    const name = (
+      meta.getAttribute('name') || meta.getAttribute('http-equiv')
+    ).toLowerCase();
+    if (['last-modified', 'dcterms.modified', 'revised'].includes(name)) {
+      add(`meta ${name}`, meta.getAttribute('content'));
+    }
+  }
+  add(
+    'time dateModified',
+    root
+      .querySelector('time[itemprop="dateModified"][datetime]')
+      ?.getAttribute('datetime'),
+  );
+  add('time', root.querySelector('time[datetime]')?.getAttribute('datetime'));
+  return candidates;
+}
+
 module.exports = {
   extractCanonicalUrl,
   discoverInternalLinks,
+  extractRobotsMeta,
+  extractMetaRefresh,
+  isEmptySpaShell,
+  parseSrcset,
+  extractImageSources,
+  extractJsonLd,
+  hasJsonLdType,
+  parseIsoDuration,
+  extractVideos,
+  extractAlternateLinks,
+  normalizeNewsLanguage,
+  extractNewsMetadata,
+  extractModifiedDates,
 };
@@ -0,0 +1,145 @@
+/**
+ * Blackout Secure Sitemap Generator
+ * Copyright © 2025-2026 Blackout Secure
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * lastmod strategy chains and date normalization
+ */
+
+const LASTMOD_STRATEGIES = [
+  'git',
+  'filemtime',
+  'content-hash',
+  'meta',
+  'current',
+  'none',
+];
+
+// Strategies that always produce a result (or deliberately none); nothing
+// after them in a chain is ever reached
+const TERMINAL_STRATEGIES = ['filemtime', 'content-hash', 'current', 'none'];
+
+// Front matter keys holding a modification date, most specific first
+const FRONT_MATTER_KEYS = [
+  'lastmod',
+  'last_modified_at',
+  'last_modified',
+  'modified',
+  'updated',
+  'datemodified',
+  'date',
+];
+
+/**
+ * Parse a lastmod_strategy value into an ordered fallback chain
+ * A single strategy ("git") or a comma-separated chain ("meta,git,filemtime")
+ * is accepted. Chains that can come up empty (ending in meta or git) fall back
+ * to file modification times, as git always has. An empty value yields an
+ * empty chain (no lastmod).
+ * @param {string} input - lastmod_strategy input value
+ * @returns {{chain: string[], errors: string[]}} - Strategies in order and unknown or misplaced entries
+ */
+function parseLastmodStrategy(input) {
+  const entries = String(input || '')
+    .split(',')
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+  const chain = [];
+  const errors = [];
+  for (const entry of entries) {
+    if (!LASTMOD_STRATEGIES.includes(entry)) {
+      errors.push(entry);
+    } else if (chain.some((s) => TERMINAL_STRATEGIES.includes(s))) {
+      errors.push(`${entry} (unreachable after ${chain[chain.length - 1]})`);
+    } else if (!chain.includes(entry)) {
+      chain.push(entry);
+    }
+  }
+  if (!chain.length) return { chain, errors };
+  if (!TERMINAL_STRATEGIES.includes(chain[chain.length - 1])) {
+    chain.push('filemtime');
+  }
+  return { chain, errors };
+}
+
+/**
+ * Normalize a date value to W3C Datetime (ISO 8601, UTC)
+ * Accepts ISO 8601 dates and datetimes (a missing offset is read as UTC),
+ * RFC 2822/HTTP dates ("Tue, 15 Nov 1994 12:45:26 GMT") and Date objects.
+ * @param {string|Date} value - Date value
+ * @returns {string|null} - ISO string, or null when the value is not a date
+ */
+function toW3CDatetime(value) {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value.toISOString();
+  }
+  let text = String(value ?? '')
+    .trim()
+    .replace(/^["']|["']$/g, '');
+  if (!text || /^\d+$/.test(text)) return null;
+  const iso = text.match(
+    /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?)\s*(Z|[+-]\d{2}:?\d{2})?)?$/i,
+  );
+  if (iso) {
+    const [, date, time, offset] = iso;
+    if (!time) {
+      text = `${date}T00:00:00Z`;
+    } else {
+      const zone = (offset || 'Z').replace(/^([+-]\d{2})(\d{2})$/, '$1:$2');
+      text = `${date}T${time}${zone.toUpperCase()}`;
+    }
+  } else if (!/[a-z]{3}/i.test(text)) {
+    // Only ISO 8601 and textual (RFC 2822) dates are unambiguous
+    return null;
+  }
+  const time = Date.parse(text);
+  if (Number.isNaN(time)) return null;
+  return new Date(time).toISOString();
+}
+
+/**
+ * First candidate that normalizes to a valid date
+ * @param {Array<{source: string, value: string}>} candidates - Candidates in precedence order
+ * @returns {{source: string, lastmod: string}|null} - Normalized date and where it came from
+ */
+function pickLastmod(candidates) {
+  for (const { source, value } of candidates) {
+    const lastmod = toW3CDatetime(value);
+    if (lastmod) return { source, lastmod };
+  }
+  return null;
+}
+
+/**
+ * Read a modification date from YAML (---) or TOML (+++) front matter
+ * Keys checked: lastmod, last_modified_at, last_modified, modified, updated,
+ * dateModified, then date.
+ * @param {string} content - File content
+ * @returns {string|null} - Raw date value, or null when none is declared
+ */
+function extractFrontMatterDate(content) {
+  const match = String(content || '').match(
+    /^\uFEFF?(---|\+\+\+)\r?\n([\s\S]*?)\r?\n\1\s*(?:\r?\n|$)/,
+  );
+  if (!match) return null;
+  const values = {};
+  for (const line of match[2].split(/\r?\n/)) {
+    // Top-level keys only; nested values are indented
+    const pair = line.match(/^([A-Za-z_][\w-]*)\s*[:=]\s*(.+?)\s*$/);
+    if (!pair) continue;
+    const key = pair[1].toLowerCase();
+    if (!(key in values)) values[key] = pair[2].replace(/\s+#.*$/, '');
+  }
+  for (const key of FRONT_MATTER_KEYS) {
+    if (values[key]) return values[key];
+  }
+  return null;
+}
+
+module.exports = {
+  LASTMOD_STRATEGIES,
+  parseLastmodStrategy,
+  toW3CDatetime,
+  pickLastmod,
+  extractFrontMatterDate,
+};
@@ -0,0 +1,107 @@
+/**
+ * Blackout Secure Sitemap Generator
+ * Copyright © 2025-2026 Blackout Secure
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Broken internal link report (JSON or Markdown)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const BROKEN_LINK_REPORT_MODES = ['warn', 'strict', 'off'];
+
+/**
+ * Report format for a file name: .json or .md/.markdown
+ * @param {string} filePath - Report file path
+ * @returns {string|null} - 'json', 'markdown' or null for other extensions
+ */
+function reportFormatOf(filePath) {
+  const ext = path.extname(String(filePath || '')).toLowerCase();
+  if (ext === '.json') return 'json';
+  if (ext === '.md' || ext === '.markdown') return 'markdown';
+  return null;
+}
+
+// Markdown table cells: escape pipes and keep each cell on one line
+const cell = (value) =>
+  String(value).replace(/\|/g, '\\|').replace(/\s+/g, ' ');
+
+/**
+ * Render the broken link report
+ * @param {Array<{source: string, line: number, href: string, url: string}>} links - Broken links in page order
+ * @param {Object} options - Report options
+ * @param {string} options.format - json or markdown
+ * @param {string} options.siteUrl - Site base URL
+ * @returns {string} - Report content
+ */
+function formatBrokenLinkReport(links, { format, siteUrl }) {
+  const bySource = new Map();
+  for (const link of links) {
+    if (!bySource.has(link.source)) bySource.set(link.source, []);
+    bySource.get(link.source).push(link);
+  }
+  if (format === 'json') {
+    return `${JSON.stringify(
+      {
+        siteUrl,
+        brokenLinks: links.length,
+        pages: bySource.size,
+        links: links.map(({ source, line, href, url }) => ({
+          source,
+          line,
+          href,
+          url,
+        })),
+      },
+      null,
+      2,
+    )}\n`;
+  }
+  const lines = ['# Broken internal links', ''];
+  if (!links.length) {
+    lines.push(`No broken internal links found on ${siteUrl}.`);
+    return `${lines.join('\n')}\n`;
+  }
+  lines.push(
+    `${links.length} broken internal link(s) on ${bySource.size} page(s) of ${siteUrl}.`,
+  );
+  for (const [source, pageLinks] of bySource) {
+    lines.push('', `## ${source}`, '', '| Line | Link | Resolves to |');
+    lines.push('| ---: | --- | --- |');
+    for (const { line, href, url } of pageLinks) {
+      lines.push(`| ${line} | \`${cell(href)}\` | ${cell(url)} |`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Write the broken link report; the format follows the file extension
+ * @param {string} filePath - Report file path (.json, .md or .markdown)
+ * @param {Array} links - Broken links (see formatBrokenLinkReport)
+ * @param {Object} options - Report options
+ * @param {string} options.siteUrl - Site base URL
+ * @throws {Error} - For other extensions or when the file cannot be written
+ */
+function writeBrokenLinkReport(filePath, links, { siteUrl }) {
+  const format = reportFormatOf(filePath);
+  if (!format) {
+    throw new Error(
+      `Unsupported broken link report file: ${filePath} (use .json or .md)`,
+    );
+  }
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+  fs.writeFileSync(
+    filePath,
+    formatBrokenLinkReport(links, { format, siteUrl }),
+    'utf8',
+  );
+}
+
+module.exports = {
+  BROKEN_LINK_REPORT_MODES,
+  reportFormatOf,
+  formatBrokenLinkReport,
+  writeBrokenLinkReport,
+};
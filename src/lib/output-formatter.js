@@ -6,6 +6,7 @@
  * Output formatting utilities for console logging
  */
 
+const path = require('path');
 const {
   getCopyrightNotice,
   getProjectTitle,
@@ -97,11 +98,13 @@ function printConfigHeader(core) {
  * @param {string} emoji - Section emoji
  * @param {string} title - Section title
  * @param {object} items - Configuration items as key-value pairs
+ * @param {object} [sources] - Where each item's value came from, by key (default, input or config file name)
  */
-function printConfigSection(core, emoji, title, items) {
+function printConfigSection(core, emoji, title, items, sources = {}) {
   core.info(`\n${emoji} ${title}:`);
   for (const [key, value] of Object.entries(items)) {
-    core.info(`   ${key.padEnd(20)} ${value}`);
+    const source = sources[key] ? `  [${sources[key]}]` : '';
+    core.info(`   ${key.padEnd(20)} ${value}${source}`);
   }
 }
 
@@ -179,6 +182,54 @@ function printValidationHeader(core, strict) {
   }
 }
 
+/**
+ * Print results of validating existing sitemap files
+ * Errors are reported through core.setFailed.
+ * @param {object} core - GitHub Actions core module
+ * @param {object} validationResults - Results from validateSitemaps()
+ */
+function printExternalValidation(core, validationResults) {
+  for (const fileResult of validationResults.files) {
+    core.info(`\n   📄 ${path.basename(fileResult.path)}`);
+    core.info(`      Path: ${fileResult.path}`);
+
+    if (!fileResult.exists) {
+      core.warning(`      ✗ File not found`);
+      continue;
+    }
+
+    core.info(`      Type: ${fileResult.type || 'unknown'}`);
+    core.info(`      Size: ${fileResult.sizeFormatted}`);
+
+    // Display info messages
+    for (const info of fileResult.info) {
+      core.info(`      ✓ ${info}`);
+    }
+
+    // Display warnings
+    for (const warning of fileResult.warnings) {
+      core.warning(`      ⚠️  ${warning}`);
+    }
+
+    // Display errors
+    for (const error of fileResult.errors) {
+      core.setFailed(`      ✗ ${error}`);
+    }
+  }
+
+  // Summary
+  core.info('');
+  if (validationResults.valid) {
+    core.info('   ✅ All external sitemaps are valid!');
+  } else {
+    const errorCount = validationResults.errors.length;
+    const warningCount = validationResults.warnings.length;
+    core.warning(
+      `   ⚠️  Validation completed with issues: ${errorCount} error(s), ${warningCount} warning(s)`,
+    );
+  }
+}
+
 module.exports = {
   printHeader,
   printFooter,
@@ -190,4 +241,5 @@ module.exports = {
   printSitemapSection,
   printSitemapValidation,
   printValidationHeader,
+  printExternalValidation,
 };
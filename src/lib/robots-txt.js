@@ -0,0 +1,227 @@
+/**
+ * Blackout Secure Sitemap Generator
+ * Copyright © 2025-2026 Blackout Secure
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * robots.txt generation and Sitemap directive management
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getGenerationComment } = require('./project-config');
+
+// Body used when no robots.txt exists and no template is configured
+const DEFAULT_ROBOTS_TEMPLATE = ['User-agent: *', 'Allow: /', ''].join('\n');
+
+/**
+ * Render a robots.txt template
+ * Supported placeholders: {{site_url}} and {{sitemap_url}} (first sitemap).
+ * @param {string} template - Template text
+ * @param {Object} values - Placeholder values
+ * @param {string} values.siteUrl - Site base URL
+ * @param {string[]} values.sitemapUrls - Absolute sitemap URLs
+ * @returns {string} - Rendered robots.txt body
+ */
+function renderRobotsTemplate(template, { siteUrl, sitemapUrls }) {
+  return String(template)
+    .replace(
+      /\{\{\s*site_url\s*\}\}/g,
+      String(siteUrl || '').replace(/\/$/, ''),
+    )
+    .replace(/\{\{\s*sitemap_url\s*\}\}/g, sitemapUrls[0] || '');
+}
+
+/**
+ * Check whether a Sitemap directive points at the site being generated
+ * @private
+ */
+function isOwnSitemap(value, siteOrigin) {
+  try {
+    return new URL(value).origin === siteOrigin;
+  } catch {
+    // Relative or malformed values are invalid anyway; replace them
+    return true;
+  }
+}
+
+/**
+ * Insert or replace Sitemap directives in robots.txt content
+ * Existing directives for the site's own origin are replaced in place (at
+ * the position of the first one); directives for other hosts, user-agent
+ * groups and comments are preserved. New directives are appended when the
+ * file has none.
+ * @param {string} content - Existing robots.txt content
+ * @param {string[]} sitemapUrls - Absolute sitemap URLs to reference
+ * @param {string} siteUrl - Site base URL
+ * @returns {string} - Updated robots.txt content
+ */
+function updateRobotsTxt(content, sitemapUrls, siteUrl) {
+  const siteOrigin = new URL(siteUrl).origin;
+  const directives = sitemapUrls.map((u) => `Sitemap: ${u}`);
+  const lines = String(content || '').split(/\r?\n/);
+  const output = [];
+  let inserted = false;
+
+  for (const line of lines) {
+    const match = line.match(/^\s*sitemap\s*:\s*(.*?)\s*$/i);
+    if (match && isOwnSitemap(match[1], siteOrigin)) {
+      if (!inserted) {
+        output.push(...directives);
+        inserted = true;
+      }
+      continue;
+    }
+    output.push(line);
+  }
+
+  // Trim trailing blank lines before appending
+  while (output.length && output[output.length - 1].trim() === '') {
+    output.pop();
+  }
+  if (!inserted && directives.length) {
+    if (output.length) output.push('');
+    output.push(...directives);
+  }
+  return output.join('\n') + '\n';
+}
+
+/**
+ * Parse robots.txt into user-agent groups
+ * Consecutive User-agent lines share one group; Allow/Disallow lines outside
+ * a group are ignored, as are other directives.
+ * @param {string} content - robots.txt content
+ * @returns {Array<{agents: string[], rules: Array<{allow: boolean, path: string}>}>} - Groups in file order
+ */
+function parseRobotsTxt(content) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+  for (const rawLine of String(content || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const match = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+    if (!match) continue;
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+    if (field === 'user-agent') {
+      if (!lastWasAgent || !current) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (!current || (field !== 'allow' && field !== 'disallow')) continue;
+    // An empty Disallow allows everything
+    if (!value) continue;
+    current.rules.push({ allow: field === 'allow', path: value });
+  }
+  return groups;
+}
+
+/**
+ * Convert a robots.txt path pattern to a regex (* and $ wildcards)
+ * @private
+ */
+function robotsPatternToRegex(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = anchored ? pattern.slice(0, -1) : pattern;
+  const source = body
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Check whether robots.txt allows a crawler to fetch a URL
+ * Follows Google's rules: the group naming the most specific user agent
+ * applies (falling back to *), groups for the same agent are merged, the
+ * longest matching rule wins and Allow wins ties.
+ * @param {Array} groups - Groups from parseRobotsTxt()
+ * @param {string} url - Absolute URL or path
+ * @param {string} [userAgent] - Crawler token (defaults to googlebot)
+ * @returns {boolean} - True when crawling is allowed
+ */
+function isAllowedByRobots(groups, url, userAgent = 'googlebot') {
+  let target;
+  try {
+    const parsed = new URL(url, 'http://robots.invalid');
+    target = parsed.pathname + parsed.search;
+  } catch {
+    return true;
+  }
+  const agent = userAgent.toLowerCase();
+  let best = '';
+  for (const group of groups) {
+    for (const name of group.agents) {
+      if (name !== '*' && agent.startsWith(name) && name.length > best.length)
+        best = name;
+    }
+  }
+  if (!best) best = '*';
+  const rules = groups
+    .filter((g) => g.agents.includes(best))
+    .flatMap((g) => g.rules);
+
+  let verdict = null;
+  for (const rule of rules) {
+    if (!robotsPatternToRegex(rule.path).test(target)) continue;
+    const length = rule.path.length;
+    if (
+      !verdict ||
+      length > verdict.length ||
+      (length === verdict.length && rule.allow)
+    ) {
+      verdict = { length, allow: rule.allow };
+    }
+  }
+  return verdict ? verdict.allow : true;
+}
+
+/**
+ * Load robots.txt rules from a directory
+ * @param {string} dir - Directory containing robots.txt
+ * @returns {Array|null} - Parsed groups, or null when robots.txt does not exist
+ */
+function loadRobotsTxt(dir) {
+  const robotsPath = path.join(dir, 'robots.txt');
+  if (!fs.existsSync(robotsPath)) return null;
+  return parseRobotsTxt(fs.readFileSync(robotsPath, 'utf8'));
+}
+
+/**
+ * Create or update robots.txt with Sitemap directives
+ * @param {Object} options - robots.txt options
+ * @param {string} options.outputDir - Directory containing robots.txt
+ * @param {string} options.siteUrl - Site base URL
+ * @param {string[]} options.sitemapUrls - Absolute sitemap URLs
+ * @param {string} [options.template] - Body used when robots.txt does not exist
+ * @returns {{path: string, created: boolean, content: string}} - Result details
+ */
+function writeRobotsTxt({ outputDir, siteUrl, sitemapUrls, template }) {
+  const robotsPath = path.join(outputDir, 'robots.txt');
+  const created = !fs.existsSync(robotsPath);
+  const base = created
+    ? `${getGenerationComment('robots.txt')}\n` +
+      renderRobotsTemplate(template || DEFAULT_ROBOTS_TEMPLATE, {
+        siteUrl,
+        sitemapUrls,
+      })
+    : fs.readFileSync(robotsPath, 'utf8');
+  const content = updateRobotsTxt(base, sitemapUrls, siteUrl);
+  fs.mkdirSync(outputDir, { recursive: true });
+  fs.writeFileSync(robotsPath, content, 'utf8');
+  return { path: robotsPath, created, content };
+}
+
+module.exports = {
+  DEFAULT_ROBOTS_TEMPLATE,
+  renderRobotsTemplate,
+  updateRobotsTxt,
+  writeRobotsTxt,
+  parseRobotsTxt,
+  isAllowedByRobots,
+  loadRobotsTxt,
+};
@@ -0,0 +1,266 @@
+/**
+ * Blackout Secure Sitemap Generator
+ * Copyright © 2025-2026 Blackout Secure
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Framework route manifests (Next.js, Nuxt, SvelteKit, Angular) as URL sources
+ */
+
+const fs = require('fs');
+const path = require('path');
+const glob = require('glob');
+
+// Where each framework leaves its manifest, relative to the working
+// directory ({public} is publicDir)
+const ROUTE_MANIFEST_DEFAULTS = {
+  next: '.next',
+  nuxt: '{public}',
+  sveltekit: '.svelte-kit/output/prerendered/pages',
+  angular: 'dist/*/prerendered-routes.json',
+};
+
+const ROUTE_MANIFEST_FRAMEWORKS = Object.keys(ROUTE_MANIFEST_DEFAULTS);
+
+// [slug], [...slug], :id, * and ** segments are patterns, not pages
+const DYNAMIC_SEGMENT = /\[[^\]]*\]|(^|\/)[:*]/;
+
+// Next.js internals and error pages that are listed as routes
+const NEXT_INTERNAL_ROUTE = /^\/(_[^/]*|404|500)$/;
+
+/**
+ * Whether a route is a dynamic pattern rather than a concrete page
+ * @param {string} route - Route path
+ * @returns {boolean}
+ */
+function isDynamicRoute(route) {
+  return DYNAMIC_SEGMENT.test(route);
+}
+
+/**
+ * Parse a route_manifests value
+ * Entries are a framework name (next, nuxt, sveltekit, angular), optionally
+ * with a manifest file or build directory ("next=apps/web/.next"), or
+ * "auto" to read every default location that exists.
+ * @param {string|string[]} input - route_manifests input value
+ * @returns {{entries: Array<{framework: string, location: string|null, optional: boolean}>, errors: string[]}} - Parsed entries and invalid entries
+ */
+function parseRouteManifests(input) {
+  const entries = [];
+  const errors = [];
+  const values = (Array.isArray(input) ? input : String(input || '').split(','))
+    .map((s) => s.trim())
+    .filter(Boolean);
+  for (const value of values) {
+    const [name, ...rest] = value.split('=');
+    const framework = name.trim().toLowerCase();
+    const location = rest.join('=').trim() || null;
+    if (framework === 'auto' && !location) {
+      for (const fw of ROUTE_MANIFEST_FRAMEWORKS) {
+        entries.push({ framework: fw, location: null, optional: true });
+      }
+    } else if (ROUTE_MANIFEST_FRAMEWORKS.includes(framework)) {
+      entries.push({ framework, location, optional: false });
+    } else {
+      errors.push(value);
+    }
+  }
+  return { entries, errors };
+}
+
+/**
+ * Read a JSON file, or null when it is missing or unparsable
+ * @private
+ */
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Normalize a manifest route to a path with a leading slash
+ * @private
+ */
+function normalizeRoute(route) {
+  const clean = String(route).split(/[?#]/)[0].trim();
+  return clean.startsWith('/') ? clean : `/${clean}`;
+}
+
+/**
+ * Next.js: prerender-manifest.json (routes / dynamicRoutes) and
+ * routes-manifest.json (staticRoutes / dynamicRoutes)
+ * @private
+ */
+function readNextManifests(location) {
+  const files = fs.statSync(location).isDirectory()
+    ? ['prerender-manifest.json', 'routes-manifest.json']
+        .map((name) => path.join(location, name))
+        .filter((file) => fs.existsSync(file))
+    : [location];
+  const result = { routes: [], dynamic: [], sources: [] };
+  for (const file of files) {
+    const data = readJson(file);
+    if (!data) continue;
+    result.sources.push(file);
+    if (data.routes && !Array.isArray(data.routes)) {
+      result.routes.push(...Object.keys(data.routes));
+    }
+    if (Array.isArray(data.staticRoutes)) {
+      result.routes.push(...data.staticRoutes.map((r) => r.page));
+    }
+    const dynamic = data.dynamicRoutes;
+    if (Array.isArray(dynamic)) {
+      result.dynamic.push(...dynamic.map((r) => r.page));
+    } else if (dynamic) {
+      result.dynamic.push(...Object.keys(dynamic));
+    }
+  }
+  result.routes = result.routes.filter(
+    (route) => route && !NEXT_INTERNAL_ROUTE.test(route),
+  );
+  return result.sources.length ? result : null;
+}
+
+/**
+ * Nuxt: prerendered list in _nuxt/builds/meta/*.json and one _payload.json
+ * per prerendered route
+ * @private
+ */
+function readNuxtManifests(location) {
+  const result = { routes: [], dynamic: [], sources: [] };
+  for (const meta of glob.sync('_nuxt/builds/meta/*.json', {
+    cwd: location,
+  })) {
+    const data = readJson(path.join(location, meta));
+    if (!Array.isArray(data?.prerendered)) continue;
+    result.sources.push(path.join(location, meta));
+    result.routes.push(...data.prerendered);
+  }
+  const payloads = glob.sync('**/_payload.json', { cwd: location });
+  if (payloads.length) {
+    result.sources.push(path.join(location, '**/_payload.json'));
+    for (const payload of payloads) {
+      const dir = path.dirname(payload.replace(/\\/g, '/'));
+      result.routes.push(dir === '.' ? '/' : `/${dir}`);
+    }
+  }
+  return result.sources.length ? result : null;
+}
+
+/**
+ * SvelteKit: prerendered pages written to .svelte-kit/output/prerendered/pages
+ * @private
+ */
+function readSvelteKitPages(location) {
+  if (!fs.statSync(location).isDirectory()) return null;
+  const routes = glob.sync('**/*.html', { cwd: location }).map((file) => {
+    const route = file.replace(/\\/g, '/').replace(/\.html$/, '');
+    if (route === 'index') return '/';
+    // trailingSlash: 'always' writes about/index.html for /about/
+    return route.endsWith('/index') ? `/${route.slice(0, -5)}` : `/${route}`;
+  });
+  return { routes, dynamic: [], sources: [location] };
+}
+
+/**
+ * Angular: prerendered-routes.json ({routes: [...]} or {routes: {route: {}}})
+ * @private
+ */
+function readAngularManifest(location) {
+  const file = fs.statSync(location).isDirectory()
+    ? path.join(location, 'prerendered-routes.json')
+    : location;
+  const data = readJson(file);
+  if (!data?.routes) return null;
+  const routes = Array.isArray(data.routes)
+    ? data.routes
+    : Object.keys(data.routes);
+  return { routes, dynamic: [], sources: [file] };
+}
+
+const READERS = {
+  next: readNextManifests,
+  nuxt: readNuxtManifests,
+  sveltekit: readSvelteKitPages,
+  angular: readAngularManifest,
+};
+
+/**
+ * Load prerendered routes from framework manifests
+ * Dynamic route patterns are only listed when a manifest names them; they
+ * never become URLs unless a concrete route was prerendered.
+ * @param {string|string[]} input - route_manifests value
+ * @param {Object} [options] - Load options
+ * @param {string} [options.publicDir] - Built site directory (default Nuxt location)
+ * @returns {{routes: string[], dynamic: string[], sources: string[], warnings: string[]}} - Concrete routes, skipped patterns, files read and problems
+ */
+function loadRouteManifests(input, { publicDir = '.' } = {}) {
+  const { entries, errors } = parseRouteManifests(input);
+  const warnings = errors.map((e) => `Unknown route manifest: ${e}`);
+  const routes = new Set();
+  const dynamic = new Set();
+  const sources = [];
+  for (const { framework, location, optional } of entries) {
+    const pattern = (location || ROUTE_MANIFEST_DEFAULTS[framework]).replace(
+      '{public}',
+      publicDir,
+    );
+    const locations = glob.hasMagic(pattern)
+      ? glob.sync(pattern)
+      : [pattern].filter((p) => fs.existsSync(p));
+    let found = false;
+    for (const loc of locations) {
+      const manifest = READERS[framework](loc);
+      if (!manifest) continue;
+      found = true;
+      sources.push(...manifest.sources);
+      for (const route of manifest.dynamic) dynamic.add(normalizeRoute(route));
+      for (const route of manifest.routes.map(normalizeRoute)) {
+        if (isDynamicRoute(route)) dynamic.add(route);
+        else routes.add(route);
+      }
+    }
+    if (!found && !optional) {
+      warnings.push(`No ${framework} route manifest found at ${pattern}`);
+    }
+  }
+  return {
+    routes: [...routes],
+    dynamic: [...dynamic],
+    sources,
+    warnings,
+  };
+}
+
+/**
+ * Files in publicDir that would serve a route
+ * @param {string} route - Route path
+ * @returns {string[]} - Candidate paths relative to publicDir
+ */
+function routeFileCandidates(route) {
+  let decoded = route;
+  try {
+    decoded = decodeURIComponent(route);
+  } catch {
+    // Keep malformed escapes as written
+  }
+  const rel = decoded.replace(/^\/+|\/+$/g, '');
+  if (!rel) return ['index.html', 'index.htm'];
+  return [
+    rel,
+    `${rel}.html`,
+    `${rel}.htm`,
+    `${rel}/index.html`,
+    `${rel}/index.htm`,
+  ];
+}
+
+module.exports = {
+  ROUTE_MANIFEST_FRAMEWORKS,
+  isDynamicRoute,
+  parseRouteManifests,
+  loadRouteManifests,
+  routeFileCandidates,
+};
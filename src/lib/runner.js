@@ -0,0 +1,919 @@
+/**
+ * Blackout Secure Sitemap Generator
+ * Copyright © 2025-2026 Blackout Secure
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Sitemap generation run shared by the GitHub Action and the CLI
+ */
+
+const fs = require('fs');
+
+let artifactClient = null;
+try {
+  if (process.env.GITHUB_ACTIONS === 'true') {
+    const artifact = require('@actions/artifact');
+    if (artifact?.DefaultArtifactClient) {
+      artifactClient = new artifact.DefaultArtifactClient();
+    } else if (
+      artifact?.default &&
+      typeof artifact.default.uploadArtifact === 'function'
+    ) {
+      // Fallback for default export shape
+      artifactClient = artifact.default;
+    }
+  }
+} catch {
+  // Artifact client not available (likely local/dev environment)
+}
+
+// Library imports
+const {
+  URL_STYLES,
+  formatFileSize,
+  findPublicDir,
+  inferSiteUrl,
+} = require('./utils');
+const { generateSitemaps } = require('./generator');
+const { parseLocaleMap } = require('./hreflang');
+const { loadAdditionalUrlsFile } = require('./additional-urls');
+const { DISCOVERY_MODES } = require('./crawler');
+const { CANONICAL_REPORT_MODES } = require('./canonical-report');
+const { BROKEN_LINK_REPORT_MODES, reportFormatOf } = require('./link-report');
+const { loadHostConfig } = require('./host-rules');
+const { parseSourceMap, ROUTE_MATCHING } = require('./source-mapper');
+const { isValidSelector } = require('./content-hash');
+const { LASTMOD_STRATEGIES, parseLastmodStrategy } = require('./lastmod');
+const { parseUrlRules } = require('./url-rules');
+const {
+  ROUTE_MANIFEST_FRAMEWORKS,
+  parseRouteManifests,
+} = require('./route-manifest');
+const {
+  findConfigFile,
+  loadConfigFile,
+  createInputReader,
+} = require('./config-file');
+const {
+  printHeader,
+  printFooter,
+  printConfigHeader,
+  printConfigSection,
+  printExternalValidation,
+} = require('./output-formatter');
+const { validateSitemaps } = require('./sitemap-validator');
+
+// Limits with optional test overrides via environment variables for controlled testing.
+// These are evaluated at runtime (not build time) to honor per-test overrides.
+function getMaxUrlsPerSitemap() {
+  return parseInt(process.env.TEST_MAX_URLS_PER_SITEMAP || '50000', 10);
+} // Google limit default
+
+function getXmlMaxSizeMb() {
+  return parseInt(process.env.TEST_XML_MAX_SIZE_MB || '50', 10);
+}
+
+function getTxtMaxSizeMb() {
+  return parseInt(process.env.TEST_TXT_MAX_SIZE_MB || '50', 10);
+}
+const DEFAULT_SITEMAP_FILENAME = 'sitemap.xml';
+const DEFAULT_NEWS_SITEMAP_FILENAME = 'sitemap-news.xml';
+const DEFAULT_LASTMOD_STATE_FILE = '.sitemap-lastmod.json';
+
+/**
+ * Run the generator
+ * @param {Object} core - GitHub Actions core module, or an object with the
+ *   same getInput/info/warning/error/setFailed/setOutput methods (see src/cli.js)
+ * @returns {Promise<void>}
+ */
+async function run(core) {
+  try {
+    // Print application header
+    printHeader(core);
+
+    // Resolve runtime limits (allows per-run test overrides)
+    const MAX_URLS_PER_SITEMAP = getMaxUrlsPerSitemap();
+    const XML_MAX_SIZE_MB = getXmlMaxSizeMb();
+    const TXT_MAX_SIZE_MB = getTxtMaxSizeMb();
+
+    // Optional configuration file: config_file input or sitemap.config.* in
+    // the working directory. Action inputs override it.
+    let config = null;
+    const configFilePath =
+      core.getInput('config_file') || findConfigFile(process.cwd());
+    if (configFilePath) {
+      try {
+        config = loadConfigFile(configFilePath);
+      } catch (err) {
+        core.setFailed(`❌ ${err.message}`);
+        return;
+      }
+      core.info(`🗂️  Loaded configuration from ${configFilePath}`);
+    }
+    const input = createInputReader(core, config);
+    const sourcesOf = (rows) =>
+      Object.fromEntries(
+        Object.entries(rows).map(([key, names]) => [
+          key,
+          input.source(...[].concat(names)),
+        ]),
+      );
+
+    const allowAutodetect = /^true$/i.test(
+      input.get('allow_autodetect') || 'true',
+    );
+    const sponsorName = input.get('prefer_company_name') || '';
+
+    const siteUrlInputRaw = input.get('site_url');
+    let siteUrl = siteUrlInputRaw;
+    let publicDir = input.get('public_dir');
+
+    if (allowAutodetect) {
+      core.info('🔧 Auto-detection enabled');
+      if (!publicDir) {
+        publicDir = findPublicDir(publicDir);
+        if (publicDir) core.info(`   ✓ Auto-detected public_dir: ${publicDir}`);
+      }
+      if (!siteUrl) {
+        siteUrl = inferSiteUrl(publicDir);
+        if (siteUrl) core.info(`   ✓ Auto-inferred site_url: ${siteUrl}`);
+      }
+    }
+
+    // Warn when using the default example URL without explicit specification
+    if (
+      !siteUrlInputRaw &&
+      siteUrl &&
+      /^https:\/\/example\.com\/?$/i.test(siteUrl)
+    ) {
+      core.warning(
+        '⚠️  Using default site_url https://example.com/. For real sites, set the `site_url` input to your domain to generate correct URLs.',
+      );
+    }
+
+    if (!siteUrl) {
+      core.setFailed(
+        '❌ site_url is missing and could not be inferred. Provide `site_url` or add a CNAME file or enable GitHub Pages.',
+      );
+      return;
+    }
+    if (!publicDir) {
+      core.setFailed(
+        '❌ public_dir is missing and could not be auto-detected. Provide `public_dir` explicitly.',
+      );
+      return;
+    }
+
+    const sitemapOutputDir = input.get('sitemap_output_dir') || publicDir;
+
+    const includePatterns = (
+      input.get('include_patterns') || '**/*.html,**/*.htm'
+    )
+      .split(',')
+      .map((s) => s.trim())
+      .filter(Boolean);
+    const excludePatterns = (input.get('exclude_patterns') || '**/*.map')
+      .split(',')
+      .map((s) => s.trim())
+      .filter(Boolean);
+    const excludeUrls = (
+      input.get('exclude_urls') ||
+      '*/sitemap*.xml,*/sitemap*.txt,*/sitemap*.xml.gz'
+    )
+      .split(',')
+      .map((s) => s.trim())
+      .filter(Boolean);
+    const excludeExtensions = (
+      input.get('exclude_extensions') ||
+      '.zip,.exe,.dmg,.pkg,.deb,.rpm,.tar,.gz,.7z,.rar,.iso'
+    )
+      .split(',')
+      .map((s) => s.trim().toLowerCase())
+      .filter(Boolean)
+      .map((ext) => (ext.startsWith('.') ? ext : '.' + ext)); // Ensure extensions start with .
+    const additionalUrls = (input.get('additional_urls') || '')
+      .split(',')
+      .map((s) => s.trim())
+      .filter(Boolean);
+    const routeManifests = (input.get('route_manifests') || '')
+      .split(',')
+      .map((s) => s.trim())
+      .filter(Boolean);
+    const { errors: routeManifestErrors } = parseRouteManifests(routeManifests);
+    if (routeManifestErrors.length) {
+      core.setFailed(
+        `Invalid route_manifests: ${routeManifestErrors.join(', ')}. Valid values: auto, ${ROUTE_MANIFEST_FRAMEWORKS.join(', ')}, optionally as framework=path`,
+      );
+      return;
+    }
+    const discoveryMode = (input.get('discovery_mode') || 'files')
+      .trim()
+      .toLowerCase();
+    if (!DISCOVERY_MODES.includes(discoveryMode)) {
+      core.setFailed(
+        `Invalid discovery_mode: "${discoveryMode}". Valid values: ${DISCOVERY_MODES.join(', ')}`,
+      );
+      return;
+    }
+    const crawlUrl = (input.get('crawl_url') || '').trim();
+    if (crawlUrl && !/^https?:\/\//i.test(crawlUrl)) {
+      core.setFailed('crawl_url must start with http:// or https://');
+      return;
+    }
+    const crawlMaxDepth = Number(input.get('crawl_max_depth') || '10');
+    const crawlMaxPages = Number(input.get('crawl_max_pages') || '1000');
+    if (!Number.isInteger(crawlMaxDepth) || crawlMaxDepth < 0) {
+      core.setFailed(
+        `Invalid crawl_max_depth: "${input.get('crawl_max_depth')}". Must be a whole number of 0 or more.`,
+      );
+      return;
+    }
+    if (!Number.isInteger(crawlMaxPages) || crawlMaxPages < 1) {
+      core.setFailed(
+        `Invalid crawl_max_pages: "${input.get('crawl_max_pages')}". Must be a whole number of 1 or more.`,
+      );
+      return;
+    }
+    const debugListFiles = /^true$/i.test(
+      input.get('debug_list_files') || 'false',
+    );
+    const debugListCanonical = /^true$/i.test(
+      input.get('debug_list_canonical') || 'false',
+    );
+    const debugShowSitemap = /^true$/i.test(
+      input.get('debug_show_sitemap') || 'false',
+    );
+    const debugShowTxtSitemap = /^true$/i.test(
+      input.get('debug_show_sitemap_txt') || 'false',
+    );
+    const debugShowExclusions = /^true$/i.test(
+      input.get('debug_show_exclusions') || 'false',
+    );
+    const debugListUrls = /^true$/i.test(
+      input.get('debug_list_urls') || 'false',
+    );
+
+    let urlStyle = input.get('url_style') || 'file';
+    const respectNoindex = /^true$/i.test(
+      input.get('respect_noindex') || 'true',
+    );
+    const respectRobotsTxt = /^true$/i.test(
+      input.get('respect_robots_txt') || 'false',
+    );
+    const respectRedirects = /^true$/i.test(
+      input.get('respect_redirects') || 'true',
+    );
+    const skipRefreshRedirects = /^true$/i.test(
+      input.get('skip_refresh_redirects') || 'true',
+    );
+    const refreshRedirectTargets = /^true$/i.test(
+      input.get('refresh_redirect_targets') || 'false',
+    );
+    const skipErrorPages = /^true$/i.test(
+      input.get('skip_error_pages') || 'true',
+    );
+    const skipSpaShells = /^true$/i.test(
+      input.get('skip_spa_shells') || 'true',
+    );
+
+    // Without an explicit url_style, follow vercel.json cleanUrls/trailingSlash
+    if (input.source('url_style') === 'default' && publicDir) {
+      const hostUrlStyle = loadHostConfig(publicDir).urlStyle;
+      if (hostUrlStyle) {
+        urlStyle = hostUrlStyle;
+        core.info(`   ✓ url_style ${urlStyle} from vercel.json`);
+      }
+    }
+
+    // Validate url_style
+    if (!URL_STYLES.includes(urlStyle)) {
+      core.setFailed(
+        `Invalid url_style: "${urlStyle}". Valid values: ${URL_STYLES.join(', ')}`,
+      );
+      return;
+    }
+    const lastmodStrategy = input.get('lastmod_strategy') || 'git';
+
+    // Validate lastmod_strategy (a single strategy or a fallback chain)
+    const { chain: lastmodChain, errors: lastmodErrors } =
+      parseLastmodStrategy(lastmodStrategy);
+    if (lastmodErrors.length) {
+      core.error(
+        `Invalid lastmod_strategy: "${lastmodStrategy}" (${lastmodErrors.join(', ')}). Valid values: ${LASTMOD_STRATEGIES.join(', ')}, or a comma-separated fallback chain such as "meta,git,filemtime"`,
+      );
+    } else if (lastmodStrategy === 'current') {
+      core.warning(
+        `⚠️  lastmod_strategy "current" is rarely recommended. It sets all pages to the same build time, which doesn't help search engines identify updated content. Consider using "git" (recommended) or "filemtime" instead.`,
+      );
+    } else if (lastmodStrategy === 'none') {
+      core.warning(
+        `⚠️  lastmod_strategy "none" omits the <lastmod> tag entirely, which is not recommended. The <lastmod> tag helps search engines prioritize crawling updated content. Consider using "git" (recommended) or "filemtime" instead.`,
+      );
+    }
+
+    // Map build output back to source files for git lastmod
+    const lastmodSourceMap = parseSourceMap(
+      input.get('lastmod_source_map') || '',
+    );
+    if (lastmodSourceMap.errors.length) {
+      core.warning(
+        `⚠️  Ignoring invalid lastmod_source_map entries (expected a preset or "output => source"): ${lastmodSourceMap.errors.join(', ')}`,
+      );
+    }
+
+    // content-hash strategy: state file and volatile regions to ignore
+    const lastmodStateFile =
+      input.get('lastmod_state_file') || DEFAULT_LASTMOD_STATE_FILE;
+    let lastmodHashIgnore = input.get('lastmod_hash_ignore') || undefined;
+    if (lastmodHashIgnore && !isValidSelector(lastmodHashIgnore)) {
+      core.warning(
+        `⚠️  Ignoring invalid lastmod_hash_ignore selector: ${lastmodHashIgnore}`,
+      );
+      lastmodHashIgnore = undefined;
+    }
+
+    const changefreq = input.get('changefreq') || undefined;
+    const priorityInput = input.get('priority') || undefined;
+    let priority = undefined;
+
+    // Validate priority input (Google recommends omitting - they ignore it)
+    if (priorityInput) {
+      const pr = parseFloat(priorityInput);
+      if (isNaN(pr) || pr < 0.0 || pr > 1.0) {
+        core.setFailed(
+          `Invalid priority value "${priorityInput}". Must be between 0.0 and 1.0.`,
+        );
+        return;
+      }
+      priority = priorityInput;
+      core.warning(
+        '⚠️ Priority specified. Note: Google ignores <priority> values. Consider omitting for cleaner sitemaps.',
+      );
+    }
+
+    // Per-path rules: inline url_rules are evaluated before url_rules_file
+    const urlRules = [];
+    const urlRuleSources = [
+      ['url_rules', input.get('url_rules') || ''],
+      ['url_rules_file', input.get('url_rules_file') || ''],
+    ];
+    for (const [name, value] of urlRuleSources) {
+      if (!value.trim()) continue;
+      let json = value;
+      if (name === 'url_rules_file') {
+        try {
+          json = fs.readFileSync(value, 'utf8');
+        } catch {
+          core.setFailed(`url_rules_file not found: ${value}`);
+          return;
+        }
+      }
+      const { rules, errors } = parseUrlRules(json);
+      if (errors.length) {
+        core.setFailed(`Invalid ${name}: ${errors.join('; ')}`);
+        return;
+      }
+      urlRules.push(...rules);
+    }
+
+    const parseCanonical = /^true$/i.test(
+      input.get('parse_canonical') || 'true',
+    );
+    const canonicalReport = (input.get('canonical_report') || 'warn')
+      .trim()
+      .toLowerCase();
+    if (!CANONICAL_REPORT_MODES.includes(canonicalReport)) {
+      core.setFailed(
+        `Invalid canonical_report: "${canonicalReport}". Valid values: ${CANONICAL_REPORT_MODES.join(', ')}`,
+      );
+      return;
+    }
+    const discoverLinks = /^true$/i.test(input.get('discover_links') || 'true');
+    const brokenLinkReport = (input.get('broken_link_report') || 'warn')
+      .trim()
+      .toLowerCase();
+    if (!BROKEN_LINK_REPORT_MODES.includes(brokenLinkReport)) {
+      core.setFailed(
+        `Invalid broken_link_report: "${brokenLinkReport}". Valid values: ${BROKEN_LINK_REPORT_MODES.join(', ')}`,
+      );
+      return;
+    }
+    const brokenLinkReportFile = (
+      input.get('broken_link_report_file') || ''
+    ).trim();
+    if (brokenLinkReportFile && !reportFormatOf(brokenLinkReportFile)) {
+      core.setFailed(
+        `Invalid broken_link_report_file: "${brokenLinkReportFile}". Use a .json or .md file.`,
+      );
+      return;
+    }
+    const includeImages = /^true$/i.test(
+      input.get('sitemap_images') || 'false',
+    );
+    const includeVideos = /^true$/i.test(
+      input.get('sitemap_videos') || 'false',
+    );
+    const hreflang = /^true$/i.test(input.get('hreflang') || 'false');
+    const hreflangLocales = parseLocaleMap(input.get('hreflang_locales') || '');
+    const hreflangDefault = input.get('hreflang_default') || undefined;
+    const generateNewsSitemap = /^true$/i.test(
+      input.get('generate_news_sitemap') || 'false',
+    );
+    const newsSitemapFilename =
+      input.get('news_sitemap_filename') || DEFAULT_NEWS_SITEMAP_FILENAME;
+    const newsPublicationName =
+      input.get('news_publication_name') ||
+      sponsorName ||
+      (/^https?:\/\//i.test(siteUrl) ? new URL(siteUrl).hostname : siteUrl);
+    const newsPublicationLanguage =
+      input.get('news_publication_language') || 'en';
+    const generateRobotsTxt = /^true$/i.test(
+      input.get('generate_robots_txt') || 'false',
+    );
+    // Template is inline text when multi-line, otherwise a file path
+    const robotsTxtTemplateInput = input.get('robots_txt_template') || '';
+    let robotsTxtTemplate;
+    if (robotsTxtTemplateInput.includes('\n')) {
+      robotsTxtTemplate = robotsTxtTemplateInput;
+    } else if (robotsTxtTemplateInput) {
+      if (fs.existsSync(robotsTxtTemplateInput)) {
+        robotsTxtTemplate = fs.readFileSync(robotsTxtTemplateInput, 'utf8');
+      } else {
+        core.warning(
+          `⚠️  robots_txt_template not found: ${robotsTxtTemplateInput}. Using the default robots.txt body.`,
+        );
+      }
+    }
+    // Support legacy alternative input names (generate_xml_sitemap, generate_txt_sitemap, generate_gzip)
+    function resolveBooleanInput(primary, legacy, def) {
+      const rawPrimary = input.get(primary);
+      const rawLegacy = input.get(legacy);
+      const chosen = rawPrimary || rawLegacy || def;
+      return /^true$/i.test(chosen);
+    }
+    const generateXmlSitemap = resolveBooleanInput(
+      'generate_sitemap_xml',
+      'generate_xml_sitemap',
+      'true',
+    );
+    const generateTxtSitemap = resolveBooleanInput(
+      'generate_sitemap_txt',
+      'generate_txt_sitemap',
+      'true',
+    );
+    const generateGzip = resolveBooleanInput(
+      'generate_sitemap_gzip',
+      'generate_gzip',
+      'true',
+    );
+
+    // Artifact upload inputs
+    const uploadArtifacts = /^true$/i.test(
+      input.get('upload_artifacts') || 'true',
+    );
+    const artifactName = input.get('artifact_name') || 'sitemap-files';
+    const artifactRetentionDays =
+      input.get('artifact_retention_days')?.trim() || '';
+
+    // Sitemap validator inputs
+    const strictValidation = /^true$/i.test(
+      input.get('strict_validation') || 'false',
+    );
+    const validateSitemapPaths = (input.get('validate_sitemaps') || '')
+      .split(',')
+      .map((s) => s.trim())
+      .filter(Boolean);
+
+    // Entries from additional_urls_file are merged after additional_urls
+    const additionalUrlsFile = input.get('additional_urls_file') || '';
+    const fileUrls = [];
+    if (additionalUrlsFile.trim()) {
+      let loaded;
+      try {
+        loaded = loadAdditionalUrlsFile(additionalUrlsFile);
+      } catch (err) {
+        core.setFailed(
+          `additional_urls_file cannot be read: ${additionalUrlsFile} (${err.message})`,
+        );
+        return;
+      }
+      fileUrls.push(...loaded.entries);
+      for (const error of loaded.errors) core.warning(`⚠️  ${error}`);
+      if (loaded.errors.length && strictValidation) {
+        core.setFailed(
+          `additional_urls_file has ${loaded.errors.length} invalid entr${loaded.errors.length === 1 ? 'y' : 'ies'}`,
+        );
+      }
+    }
+
+    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+    // Configuration Summary
+    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+    printConfigHeader(core);
+
+    printConfigSection(
+      core,
+      '📍',
+      'Site & Directory Settings',
+      {
+        'Config File:': config ? config.path : '(none)',
+        'Base URL:': siteUrl,
+        'Public Directory:': publicDir,
+        'Sitemap Output Dir:': sitemapOutputDir,
+      },
+      {
+        ...sourcesOf({
+          'Public Directory:': 'public_dir',
+          'Sitemap Output Dir:': 'sitemap_output_dir',
+        }),
+        'Base URL:': siteUrlInputRaw ? input.source('site_url') : 'detected',
+      },
+    );
+
+    printConfigSection(
+      core,
+      '📋',
+      'File Processing',
+      {
+        'Include Patterns:': includePatterns.length
+          ? includePatterns.join(', ')
+          : '(default: **/*)',
+        'Exclude Patterns:': excludePatterns.length
+          ? excludePatterns.join(', ')
+          : '(none)',
+        'Exclude URLs:': excludeUrls.length ? excludeUrls.join(', ') : '(none)',
+        'Exclude Extensions:': excludeExtensions.length
+          ? excludeExtensions.join(', ')
+          : '(none)',
+      },
+      sourcesOf({
+        'Include Patterns:': 'include_patterns',
+        'Exclude Patterns:': 'exclude_patterns',
+        'Exclude URLs:': 'exclude_urls',
+        'Exclude Extensions:': 'exclude_extensions',
+      }),
+    );
+
+    printConfigSection(
+      core,
+      '🔗',
+      'URL Discovery',
+      {
+        'Discovery Mode:':
+          discoveryMode === 'crawl'
+            ? `crawl ${crawlUrl || '(static server over public_dir)'} (depth ${crawlMaxDepth}, max ${crawlMaxPages} URLs)`
+            : 'files',
+        'URL Style:': urlStyle,
+        'Respect noindex:': respectNoindex ? 'Yes' : 'No',
+        'Respect robots.txt:': respectRobotsTxt ? 'Yes' : 'No',
+        'Respect Redirects:': respectRedirects ? 'Yes' : 'No',
+        'Skip Refresh Stubs:': skipRefreshRedirects
+          ? refreshRedirectTargets
+            ? 'Yes (targets added)'
+            : 'Yes'
+          : 'No',
+        'Skip Error Pages:': skipErrorPages ? 'Yes' : 'No',
+        'Skip SPA Shells:': skipSpaShells ? 'Yes' : 'No',
+        'Parse Canonical:': parseCanonical ? 'Yes' : 'No',
+        'Canonical Report:': parseCanonical ? canonicalReport : 'off',
+        'Discover Links:': discoverLinks ? 'Yes' : 'No',
+        'Broken Links:':
+          brokenLinkReport === 'off'
+            ? 'off'
+            : `${brokenLinkReport}${brokenLinkReportFile ? ` → ${brokenLinkReportFile}` : ''}`,
+        'Image Entries:': includeImages ? 'Yes' : 'No',
+        'Video Entries:': includeVideos ? 'Yes' : 'No',
+        'hreflang:': hreflang
+          ? hreflangLocales.length
+            ? `Yes (${hreflangLocales.map((l) => `${l.lang}=${l.prefix}`).join(', ')})`
+            : 'Yes'
+          : 'No',
+        'Additional URLs:': additionalUrls.length
+          ? additionalUrls.join(', ')
+          : '(none)',
+        'Additional URLs File:': additionalUrlsFile
+          ? `${additionalUrlsFile} (${fileUrls.length} URL(s))`
+          : '(none)',
+        'Route Manifests:': routeManifests.length
+          ? routeManifests.join(', ')
+          : '(none)',
+      },
+      sourcesOf({
+        'Discovery Mode:': [
+          'discovery_mode',
+          'crawl_url',
+          'crawl_max_depth',
+          'crawl_max_pages',
+        ],
+        'URL Style:': 'url_style',
+        'Respect noindex:': 'respect_noindex',
+        'Respect robots.txt:': 'respect_robots_txt',
+        'Respect Redirects:': 'respect_redirects',
+        'Skip Refresh Stubs:': [
+          'skip_refresh_redirects',
+          'refresh_redirect_targets',
+        ],
+        'Skip Error Pages:': 'skip_error_pages',
+        'Skip SPA Shells:': 'skip_spa_shells',
+        'Parse Canonical:': 'parse_canonical',
+        'Canonical Report:': ['canonical_report', 'parse_canonical'],
+        'Discover Links:': 'discover_links',
+        'Broken Links:': ['broken_link_report', 'broken_link_report_file'],
+        'Image Entries:': 'sitemap_images',
+        'Video Entries:': 'sitemap_videos',
+        'hreflang:': ['hreflang', 'hreflang_locales'],
+        'Additional URLs:': 'additional_urls',
+        'Additional URLs File:': 'additional_urls_file',
+        'Route Manifests:': 'route_manifests',
+      }),
+    );
+
+    let lastmodSummary = lastmodChain.join(' → ') || 'none';
+    if (
+      (lastmodChain.includes('git') || lastmodChain.includes('meta')) &&
+      lastmodSourceMap.presets.length + lastmodSourceMap.rules.length
+    ) {
+      lastmodSummary += ` (source map: ${lastmodSourceMap.presets.length ? lastmodSourceMap.presets.join(', ') : 'custom'})`;
+    } else if (lastmodChain.includes('content-hash')) {
+      lastmodSummary += ` (state: ${lastmodStateFile})`;
+    }
+    printConfigSection(
+      core,
+      '📈',
+      'SEO',
+      {
+        'Last Modified:': lastmodSummary,
+        'Change Frequency:': changefreq || '(not set)',
+        'Priority:': priority || '(not set)',
+        'URL Rules:': urlRules.length ? `${urlRules.length} rule(s)` : '(none)',
+      },
+      sourcesOf({
+        'Last Modified:': [
+          'lastmod_strategy',
+          'lastmod_source_map',
+          'lastmod_state_file',
+        ],
+        'Change Frequency:': 'changefreq',
+        'Priority:': 'priority',
+        'URL Rules:': ['url_rules', 'url_rules_file'],
+      }),
+    );
+
+    printConfigSection(
+      core,
+      '📄',
+      'Output Formats',
+      {
+        'XML Sitemap:': generateXmlSitemap ? 'Enabled' : 'Disabled',
+        'TXT Sitemap:': generateTxtSitemap ? 'Enabled' : 'Disabled',
+        'Gzip Compression:': generateGzip ? 'Enabled (XML only)' : 'Disabled',
+        'News Sitemap:': generateNewsSitemap
+          ? `Enabled (${newsSitemapFilename}, ${newsPublicationName})`
+          : 'Disabled',
+        'robots.txt:': generateRobotsTxt
+          ? robotsTxtTemplate
+            ? 'Enabled (custom template)'
+            : 'Enabled'
+          : 'Disabled',
+      },
+      sourcesOf({
+        'XML Sitemap:': ['generate_sitemap_xml', 'generate_xml_sitemap'],
+        'TXT Sitemap:': ['generate_sitemap_txt', 'generate_txt_sitemap'],
+        'Gzip Compression:': ['generate_sitemap_gzip', 'generate_gzip'],
+        'News Sitemap:': [
+          'generate_news_sitemap',
+          'news_sitemap_filename',
+          'news_publication_name',
+        ],
+        'robots.txt:': ['generate_robots_txt', 'robots_txt_template'],
+      }),
+    );
+
+    printConfigSection(
+      core,
+      '📦',
+      'GitHub Artifacts',
+      {
+        'Upload Artifacts:': uploadArtifacts ? 'Enabled' : 'Disabled',
+        'Artifact Name:': artifactName,
+        'Retention Days:': artifactRetentionDays || '(repo default)',
+      },
+      sourcesOf({
+        'Upload Artifacts:': 'upload_artifacts',
+        'Artifact Name:': 'artifact_name',
+        'Retention Days:': 'artifact_retention_days',
+      }),
+    );
+
+    if (validateSitemapPaths.length > 0) {
+      printConfigSection(core, '✅', 'Sitemap Validation (External)', {
+        'Sitemaps to Validate:': validateSitemapPaths.join(', '),
+      });
+    }
+
+    core.info('\n Debug Options:');
+    core.info(
+      `   List Files:          ${debugListFiles ? 'Enabled' : 'Disabled'}`,
+    );
+    core.info(
+      `   List Canonical URLs: ${debugListCanonical ? 'Enabled' : 'Disabled'}`,
+    );
+    core.info(
+      `   List URLs:           ${debugListUrls ? 'Enabled' : 'Disabled'}`,
+    );
+    core.info(
+      `   Show sitemap.xml:    ${debugShowSitemap ? 'Enabled' : 'Disabled'}`,
+    );
+    core.info(
+      `   Show sitemap.txt:    ${debugShowTxtSitemap ? 'Enabled' : 'Disabled'}`,
+    );
+    core.info(
+      `   Show Exclusions:     ${debugShowExclusions ? 'Enabled' : 'Disabled'}`,
+    );
+
+    core.info('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+    const sitemapFilename =
+      input.get('sitemap_filename') || DEFAULT_SITEMAP_FILENAME;
+
+    let result;
+    try {
+      result = await generateSitemaps(
+        {
+          siteUrl,
+          publicDir,
+          sitemapOutputDir,
+          sitemapFilename,
+          includePatterns,
+          excludePatterns,
+          excludeExtensions,
+          excludeUrls,
+          lastmodStrategy,
+          lastmodSourceRules: lastmodSourceMap.rules,
+          lastmodMatchRoutes: lastmodSourceMap.presets.includes(ROUTE_MATCHING),
+          lastmodStateFile,
+          lastmodHashIgnore,
+          changefreq,
+          priority,
+          urlRules,
+          additionalUrls: [...additionalUrls, ...fileUrls],
+          routeManifests,
+          discoveryMode,
+          crawlUrl,
+          crawlMaxDepth,
+          crawlMaxPages,
+          urlStyle,
+          respectNoindex,
+          respectRobotsTxt,
+          respectRedirects,
+          skipRefreshRedirects,
+          refreshRedirectTargets,
+          skipErrorPages,
+          skipSpaShells,
+          parseCanonical,
+          canonicalReport,
+          discoverLinks,
+          brokenLinkReport,
+          brokenLinkReportFile,
+          includeImages,
+          includeVideos,
+          hreflang,
+          hreflangLocales,
+          hreflangDefault,
+          generateXmlSitemap,
+          generateTxtSitemap,
+          generateGzip,
+          generateNewsSitemap,
+          newsSitemapFilename,
+          newsPublicationName,
+          newsPublicationLanguage,
+          generateRobotsTxt,
+          robotsTxtTemplate,
+          strictValidation,
+          maxUrlsPerSitemap: MAX_URLS_PER_SITEMAP,
+          xmlMaxSizeMb: XML_MAX_SIZE_MB,
+          txtMaxSizeMb: TXT_MAX_SIZE_MB,
+          debugListFiles,
+          debugListCanonical,
+          debugListUrls,
+          debugShowSitemap,
+          debugShowTxtSitemap,
+          debugShowExclusions,
+        },
+        // Errors found while generating fail the action
+        {
+          logger: {
+            info: (message) => core.info(message),
+            warning: (message) => core.warning(message),
+            error: (message) => core.setFailed(message),
+          },
+        },
+      );
+    } catch (err) {
+      core.setFailed(`❌ ${err.message}`);
+      return;
+    }
+    const { outputs } = result;
+
+    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+    // Upload Artifacts (if enabled)
+    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+    if (uploadArtifacts) {
+      try {
+        core.info('');
+        core.info('📦 Uploading artifacts...');
+
+        // Collect the main generated files
+        const filesToUpload = [
+          outputs.sitemap_path,
+          outputs.sitemap_index_path,
+          outputs.news_sitemap_path,
+          outputs.robots_txt_path,
+          outputs.sitemap_txt_path,
+          outputs.sitemap_path && `${outputs.sitemap_path}.gz`,
+        ].filter((file) => file && fs.existsSync(file));
+
+        if (filesToUpload.length > 0) {
+          if (artifactClient?.uploadArtifact) {
+            const uploadOptions = {
+              compressionLevel: 6,
+            };
+
+            if (artifactRetentionDays) {
+              uploadOptions.retentionDays = parseInt(artifactRetentionDays, 10);
+            }
+
+            const uploadResponse = await artifactClient.uploadArtifact(
+              artifactName,
+              filesToUpload,
+              sitemapOutputDir,
+              uploadOptions,
+            );
+
+            const uploadedId = uploadResponse?.id;
+            const uploadedSize = uploadResponse?.size;
+            const uploadedDigest = uploadResponse?.digest;
+
+            core.info(`   ✓ Files uploaded: ${filesToUpload.length}`);
+            if (uploadedId !== undefined) {
+              core.info(`   ✓ Artifact ID: ${uploadedId}`);
+            }
+            if (uploadedSize !== undefined) {
+              core.info(`   ✓ Artifact size: ${formatFileSize(uploadedSize)}`);
+            }
+            if (uploadedDigest) {
+              core.info(`   ✓ Artifact digest (SHA256): ${uploadedDigest}`);
+            }
+            if (artifactRetentionDays) {
+              core.info(`   ℹ️  Retention: ${artifactRetentionDays} days`);
+            }
+
+            core.info('   ✅ Artifact upload completed successfully!');
+          } else {
+            core.info(
+              '   ℹ️  Artifact upload skipped (not in GitHub Actions environment)',
+            );
+          }
+        } else {
+          core.info('   ℹ️  No files to upload');
+        }
+      } catch (err) {
+        core.warning(`   ⚠️  Failed to upload artifacts: ${err.message}`);
+      }
+    }
+
+    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+    // External Sitemap Validation (Optional)
+    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+    if (validateSitemapPaths.length > 0) {
+      core.info('');
+      core.info('🔍 External Sitemap Validation:');
+
+      try {
+        const validationResults = await validateSitemaps(validateSitemapPaths, {
+          strict: strictValidation,
+          maxUrls: MAX_URLS_PER_SITEMAP,
+          maxSizeMb: XML_MAX_SIZE_MB,
+        });
+
+        printExternalValidation(core, validationResults);
+      } catch (err) {
+        core.warning(
+          `   ⚠️  External sitemap validation failed: ${err.message}`,
+        );
+      }
+    }
+
+    // Print application footer after optional uploads
+    printFooter(core, sponsorName);
+
+    for (const [name, value] of Object.entries(outputs)) {
+      core.setOutput(name, value);
+    }
+  } catch (err) {
+    core.setFailed(err instanceof Error ? err.message : String(err));
+  }
+}
+
+module.exports = {
+  run,
+};
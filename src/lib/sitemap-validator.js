@@ -11,6 +11,7 @@
 const fs = require('fs');
 const path = require('path');
 const { formatFileSize } = require('./utils');
+const { isValidHreflang } = require('./hreflang');
 
 // Valid changefreq values per sitemaps.org spec
 const VALID_CHANGEFREQ = [
@@ -23,6 +24,247 @@ const VALID_CHANGEFREQ = [
   'never',
 ];
 
+// Google image sitemap extension
+const IMAGE_NAMESPACE = 'http://www.google.com/schemas/sitemap-image/1.1';
+const MAX_IMAGES_PER_URL = 1000;
+
+// Google video sitemap extension
+const VIDEO_NAMESPACE = 'http://www.google.com/schemas/sitemap-video/1.1';
+const REQUIRED_VIDEO_ELEMENTS = ['thumbnail_loc', 'title', 'description'];
+const MAX_VIDEO_DURATION_SECONDS = 28800;
+
+// Google News sitemap extension
+const NEWS_NAMESPACE = 'http://www.google.com/schemas/sitemap-news/0.9';
+const REQUIRED_NEWS_ELEMENTS = [
+  'publication',
+  'name',
+  'language',
+  'publication_date',
+  'title',
+];
+const MAX_NEWS_URLS = 1000;
+// W3C Datetime: YYYY, YYYY-MM, YYYY-MM-DD or a date with hh:mm[:ss[.s]]TZD
+const W3C_DATETIME =
+  /^\d{4}(?:-\d{2}(?:-\d{2}(?:T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:\d{2}))?)?)?$/;
+
+/**
+ * Checks image extension usage (namespace declaration and per-URL limit)
+ * @private
+ * @param {string} content - Sitemap XML content
+ * @returns {{label: string, count: number, issues: string[]}} Image count and problems found
+ */
+function checkImageExtension(content) {
+  const count = (content.match(/<image:image>/gi) || []).length;
+  const issues = [];
+  if (count === 0) return { label: 'image', count, issues };
+
+  if (!content.includes(`xmlns:image="${IMAGE_NAMESPACE}"`)) {
+    issues.push(`Missing image namespace: xmlns:image="${IMAGE_NAMESPACE}"`);
+  }
+
+  const urlBlocks = content.match(/<url>[\s\S]*?<\/url>/gi) || [];
+  let overLimit = 0;
+  let invalidLocs = 0;
+  for (const block of urlBlocks) {
+    const images = block.match(/<image:image>[\s\S]*?<\/image:image>/gi) || [];
+    if (images.length > MAX_IMAGES_PER_URL) overLimit++;
+    for (const image of images) {
+      const m = image.match(/<image:loc>(.*?)<\/image:loc>/i);
+      if (!m || !/^https?:\/\//i.test(m[1].trim())) invalidLocs++;
+    }
+  }
+  if (overLimit > 0) {
+    issues.push(
+      `${overLimit} URL(s) exceed ${MAX_IMAGES_PER_URL} <image:image> entries`,
+    );
+  }
+  if (invalidLocs > 0) {
+    issues.push(
+      `Contains ${invalidLocs} image(s) without a valid http/https <image:loc>`,
+    );
+  }
+  return { label: 'image', count, issues };
+}
+
+/**
+ * Checks video extension usage (namespace and required child elements)
+ * @private
+ * @param {string} content - Sitemap XML content
+ * @returns {{label: string, count: number, issues: string[]}} Video count and problems found
+ */
+function checkVideoExtension(content) {
+  const videos = content.match(/<video:video>[\s\S]*?<\/video:video>/gi) || [];
+  const issues = [];
+  if (videos.length === 0) return { label: 'video', count: 0, issues };
+
+  if (!content.includes(`xmlns:video="${VIDEO_NAMESPACE}"`)) {
+    issues.push(`Missing video namespace: xmlns:video="${VIDEO_NAMESPACE}"`);
+  }
+
+  const missing = {};
+  let missingLocation = 0;
+  let invalidDuration = 0;
+  for (const video of videos) {
+    for (const name of REQUIRED_VIDEO_ELEMENTS) {
+      const m = video.match(
+        new RegExp(`<video:${name}>([\\s\\S]*?)</video:${name}>`, 'i'),
+      );
+      if (!m || !m[1].trim()) missing[name] = (missing[name] || 0) + 1;
+    }
+    if (!/<video:(content_loc|player_loc)[\s>]/i.test(video)) {
+      missingLocation++;
+    }
+    const duration = video.match(/<video:duration>(.*?)<\/video:duration>/i);
+    if (duration) {
+      const seconds = Number(duration[1].trim());
+      if (
+        !Number.isInteger(seconds) ||
+        seconds < 1 ||
+        seconds > MAX_VIDEO_DURATION_SECONDS
+      ) {
+        invalidDuration++;
+      }
+    }
+  }
+  for (const [name, n] of Object.entries(missing)) {
+    issues.push(`Contains ${n} video(s) missing <video:${name}>`);
+  }
+  if (missingLocation > 0) {
+    issues.push(
+      `Contains ${missingLocation} video(s) missing <video:content_loc> or <video:player_loc>`,
+    );
+  }
+  if (invalidDuration > 0) {
+    issues.push(
+      `Contains ${invalidDuration} invalid <video:duration> value(s) (must be 1-${MAX_VIDEO_DURATION_SECONDS} seconds)`,
+    );
+  }
+  return { label: 'video', count: videos.length, issues };
+}
+
+/**
+ * Checks news extension usage (namespace, required elements, 1,000 URL limit)
+ * @private
+ * @param {string} content - Sitemap XML content
+ * @returns {{label: string, count: number, issues: string[]}} Article count and problems found
+ */
+function checkNewsExtension(content) {
+  const articles = content.match(/<news:news>[\s\S]*?<\/news:news>/gi) || [];
+  const issues = [];
+  if (articles.length === 0) return { label: 'news article', count: 0, issues };
+
+  if (!content.includes(`xmlns:news="${NEWS_NAMESPACE}"`)) {
+    issues.push(`Missing news namespace: xmlns:news="${NEWS_NAMESPACE}"`);
+  }
+  if (articles.length > MAX_NEWS_URLS) {
+    issues.push(
+      `Exceeds news sitemap limit: ${articles.length} articles (max: ${MAX_NEWS_URLS})`,
+    );
+  }
+
+  const missing = {};
+  let invalidDates = 0;
+  for (const article of articles) {
+    for (const name of REQUIRED_NEWS_ELEMENTS) {
+      if (!new RegExp(`<news:${name}>`, 'i').test(article)) {
+        missing[name] = (missing[name] || 0) + 1;
+      }
+    }
+    const date = article.match(
+      /<news:publication_date>(.*?)<\/news:publication_date>/i,
+    );
+    if (date && !W3C_DATETIME.test(date[1].trim())) invalidDates++;
+  }
+  for (const [name, n] of Object.entries(missing)) {
+    issues.push(`Contains ${n} news article(s) missing <news:${name}>`);
+  }
+  if (invalidDates > 0) {
+    issues.push(
+      `Contains ${invalidDates} invalid <news:publication_date> value(s) (must be W3C Datetime)`,
+    );
+  }
+  return { label: 'news article', count: articles.length, issues };
+}
+
+/**
+ * Checks hreflang alternates (namespace, language codes, reciprocity)
+ * Every alternate that points at another <url> in the same file must be
+ * answered by a link back, and each annotated URL must reference itself.
+ * @private
+ * @param {string} content - Sitemap XML content
+ * @returns {{label: string, count: number, issues: string[]}} Alternate count and problems found
+ */
+function checkHreflangExtension(content) {
+  const linkTags = content.match(/<xhtml:link\b[^>]*>/gi) || [];
+  const issues = [];
+  if (linkTags.length === 0) {
+    return { label: 'hreflang alternate', count: 0, issues };
+  }
+
+  if (!content.includes('xmlns:xhtml="http://www.w3.org/1999/xhtml"')) {
+    issues.push(
+      'Missing xhtml namespace: xmlns:xhtml="http://www.w3.org/1999/xhtml"',
+    );
+  }
+
+  const attr = (tag, name) =>
+    (tag.match(new RegExp(`\\b${name}="([^"]*)"`, 'i')) || [])[1];
+  const linksByUrl = new Map();
+  for (const block of content.match(/<url>[\s\S]*?<\/url>/gi) || []) {
+    const loc = (block.match(/<loc>(.*?)<\/loc>/i) || [])[1]?.trim();
+    if (!loc) continue;
+    const links = (block.match(/<xhtml:link\b[^>]*>/gi) || []).map((tag) => ({
+      lang: attr(tag, 'hreflang'),
+      href: attr(tag, 'href')?.replace(/&amp;/g, '&'),
+    }));
+    linksByUrl.set(loc.replace(/&amp;/g, '&'), links);
+  }
+
+  let invalidLangs = 0;
+  let missingSelf = 0;
+  let oneWay = 0;
+  for (const [url, links] of linksByUrl) {
+    if (links.length === 0) continue;
+    invalidLangs += links.filter((l) => !isValidHreflang(l.lang)).length;
+    if (!links.some((l) => l.href === url)) missingSelf++;
+    for (const link of links) {
+      if (link.href === url || !linksByUrl.has(link.href)) continue;
+      if (!linksByUrl.get(link.href).some((back) => back.href === url)) {
+        oneWay++;
+      }
+    }
+  }
+  if (invalidLangs > 0) {
+    issues.push(`Contains ${invalidLangs} invalid hreflang value(s)`);
+  }
+  if (missingSelf > 0) {
+    issues.push(
+      `Contains ${missingSelf} URL(s) whose alternates omit a self-referencing hreflang`,
+    );
+  }
+  if (oneWay > 0) {
+    issues.push(
+      `Contains ${oneWay} hreflang alternate(s) without a return link (clusters must be bidirectional)`,
+    );
+  }
+  return { label: 'hreflang alternate', count: linkTags.length, issues };
+}
+
+/**
+ * Runs all sitemap extension checks
+ * @private
+ * @param {string} content - Sitemap XML content
+ * @returns {Array<{label: string, count: number, issues: string[]}>}
+ */
+function checkExtensions(content) {
+  return [
+    checkImageExtension(content),
+    checkVideoExtension(content),
+    checkNewsExtension(content),
+    checkHreflangExtension(content),
+  ];
+}
+
 /**
  * Validates XML sitemap content (for generated sitemaps)
  * @param {string} xmlContent - XML content to validate
@@ -134,6 +376,22 @@ function validateXmlSitemap(xmlContent, { strict = false, maxUrls = 50000 }) {
       });
     }
 
+    // Sitemap extensions (image, video, news, hreflang)
+    for (const check of checkExtensions(xmlContent)) {
+      for (const issue of check.issues) {
+        results.push({
+          type: strict ? 'error' : 'warning',
+          message: `      ✗ ${issue}`,
+        });
+      }
+      if (check.count > 0 && check.issues.length === 0) {
+        results.push({
+          type: 'info',
+          message: `      ✓ Valid ${check.label} extension (${check.count} ${check.label}(s))`,
+        });
+      }
+    }
+
     if (hasNamespace && hasUrlTags && hasLocTags && locMatches.length > 0) {
       results.push({
         type: 'info',
@@ -492,6 +750,20 @@ function validateXmlFileContent(content, result, { strict, maxUrls }) {
   // Validate optional elements
   validateXmlOptionalElements(content, result);
 
+  // Validate sitemap extensions (image, video, news, hreflang)
+  for (const check of checkExtensions(content)) {
+    for (const issue of check.issues) {
+      if (strict) {
+        result.errors.push(issue);
+      } else {
+        result.warnings.push(issue);
+      }
+    }
+    if (check.count > 0 && check.issues.length === 0) {
+      result.info.push(`Contains ${check.count} ${check.label}(s)`);
+    }
+  }
+
   // Summary
   if (
     hasNamespace &&
@@ -667,6 +939,7 @@ function validateTxtFileContent(content, result, { strict, maxUrls }) {
 }
 
 module.exports = {
+  VALID_CHANGEFREQ,
   // For generated sitemaps
   validateXmlSitemap,
   validateTxtSitemap,
@@ -12,27 +12,35 @@ const { promisify } = require('util');
 const zlib = require('zlib');
 const { SitemapStream } = require('sitemap');
 const { getXmlGenerationHeader } = require('./project-config');
+const { toW3CDatetime } = require('./lastmod');
 
 const gzipPromise = promisify(zlib.gzip);
 
+// Google News sitemap rules: only articles from the last two days, max 1,000 URLs
+const NEWS_MAX_AGE_MS = 48 * 60 * 60 * 1000;
+const NEWS_MAX_URLS = 1000;
+
 /**
- * Write URLs to XML sitemap file
- * @param {Array} urls - Array of URL objects with url, lastmod, changefreq, priority
+ * Stream sitemap entries to disk and pretty print the result
+ * @private
+ * @param {Array} entries - SitemapStream item objects
  * @param {string} outPath - Output file path
+ * @param {Object} extensions - Extension namespaces to declare (news, xhtml, image, video)
  * @returns {Promise<Buffer>} - XML content as buffer
  */
-async function writeSitemapXml(urls, outPath) {
+async function streamSitemapXml(entries, outPath, extensions) {
   // Configure SitemapStream per sitemaps.org protocol
   const stream = new SitemapStream({
     hostname: undefined,
     xmlns: {
       // Required namespace per sitemaps.org protocol
       '': 'http://www.sitemaps.org/schemas/sitemap/0.9',
-      // Remove extra namespaces to keep sitemap cleaner and more compliant
+      // Extension namespaces are only declared when entries use them
       news: false,
       xhtml: false,
       image: false,
       video: false,
+      ...extensions,
     },
   });
   fs.mkdirSync(path.dirname(outPath), { recursive: true });
@@ -43,24 +51,8 @@ async function writeSitemapXml(urls, outPath) {
     stream.on('error', reject);
   });
   stream.pipe(out);
-  for (const u of urls) {
-    // Ensure URL data matches sitemaps.org protocol requirements
-    const urlEntry = {
-      url: u.url, // Required: must be < 2,048 chars, start with http/https
-    };
-    if (u.lastmod) {
-      // Optional: W3C Datetime format (YYYY-MM-DD or full ISO8601)
-      urlEntry.lastmod = u.lastmod;
-    }
-    if (u.changefreq) {
-      // Optional: always|hourly|daily|weekly|monthly|yearly|never
-      urlEntry.changefreq = u.changefreq;
-    }
-    if (u.priority !== undefined) {
-      // Optional: 0.0 to 1.0
-      urlEntry.priority = u.priority;
-    }
-    stream.write(urlEntry);
+  for (const entry of entries) {
+    stream.write(entry);
   }
   stream.end();
   await done;
@@ -78,6 +70,14 @@ async function writeSitemapXml(urls, outPath) {
     .replace(/<\/url>/g, '\n  </url>') // Indent closing url tag
     .replace(/<(loc|lastmod|changefreq|priority)>/g, '\n    <$1>') // Indent child tags
     .replace(/<\/(loc|lastmod|changefreq|priority)>/g, '</$1>') // Keep closing tags on same line
+    .replace(/<(\/?)(image:image|video:video|news:news)>/g, '\n    <$1$2>') // Indent extension blocks
+    .replace(
+      /<((?:image|video|news):(?!image>|video>|news>)\w+)/g,
+      '\n      <$1',
+    ) // Indent extension child tags
+    .replace(/<xhtml:link /g, '\n    <xhtml:link ') // Indent hreflang alternates
+    .replace(/<\/news:publication>/g, '\n      </news:publication>') // Close nested news block
+    .replace(/ {6}<(news:name|news:language)>/g, '        <$1>') // Indent nested news tags
     .replace(/^\s+$/gm, '') // Remove empty lines with whitespace
     .replace(/\n{2,}/g, '\n') // Remove all extra blank lines
     .trim();
@@ -91,6 +91,101 @@ async function writeSitemapXml(urls, outPath) {
   return Buffer.from(xml, 'utf8');
 }
 
+/**
+ * Write URLs to XML sitemap file
+ * @param {Array} urls - Array of URL objects with url, lastmod, changefreq, priority
+ * @param {string} outPath - Output file path
+ * @returns {Promise<Buffer>} - XML content as buffer
+ */
+async function writeSitemapXml(urls, outPath) {
+  const entries = urls.map((u) => {
+    // Ensure URL data matches sitemaps.org protocol requirements
+    const urlEntry = {
+      url: u.url, // Required: must be < 2,048 chars, start with http/https
+    };
+    if (u.lastmod) {
+      // Optional: W3C Datetime format (YYYY-MM-DD or full ISO8601)
+      urlEntry.lastmod = u.lastmod;
+    }
+    if (u.changefreq) {
+      // Optional: always|hourly|daily|weekly|monthly|yearly|never
+      urlEntry.changefreq = u.changefreq;
+    }
+    if (u.priority !== undefined) {
+      // Optional: 0.0 to 1.0
+      urlEntry.priority = u.priority;
+    }
+    if (u.images?.length) {
+      // Image extension: <image:image><image:loc> (max 1,000 per URL)
+      urlEntry.img = u.images.map((img) => ({ url: img.url }));
+    }
+    if (u.videos?.length) {
+      // Video extension: <video:video> with required thumbnail/title/description
+      urlEntry.video = u.videos.map((v) => ({ ...v }));
+    }
+    if (u.links?.length) {
+      // hreflang alternates: <xhtml:link rel="alternate" hreflang href>
+      urlEntry.links = u.links.map((l) => ({ lang: l.lang, url: l.url }));
+    }
+    return urlEntry;
+  });
+  return streamSitemapXml(entries, outPath, {
+    image: urls.some((u) => u.images?.length),
+    video: urls.some((u) => u.videos?.length),
+    xhtml: urls.some((u) => u.links?.length),
+  });
+}
+
+/**
+ * Select articles eligible for a Google News sitemap
+ * Keeps URLs with news metadata published within the last 48 hours,
+ * newest first, capped at 1,000 entries. Articles whose publicationDate is
+ * not a date are dropped.
+ * @param {Array} urls - Array of URL objects (news: {publicationDate, title, language})
+ * @param {Date} [now] - Reference time (defaults to current time)
+ * @returns {Array} - Eligible URL objects
+ */
+function selectNewsArticles(urls, now = new Date()) {
+  const cutoff = now.getTime() - NEWS_MAX_AGE_MS;
+  const publishedAt = (u) => {
+    const date = u.news && toW3CDatetime(u.news.publicationDate);
+    return date ? Date.parse(date) : NaN;
+  };
+  return urls
+    .filter((u) => {
+      const published = publishedAt(u);
+      return (
+        !isNaN(published) && published >= cutoff && published <= now.getTime()
+      );
+    })
+    .sort((a, b) => publishedAt(b) - publishedAt(a))
+    .slice(0, NEWS_MAX_URLS);
+}
+
+/**
+ * Write Google News sitemap file
+ * @param {Array} articles - URL objects from selectNewsArticles()
+ * @param {string} outPath - Output file path
+ * @param {Object} publication - Publication details
+ * @param {string} publication.name - Publication name as it appears on news.google.com
+ * @param {string} publication.language - Default ISO 639 language code
+ * @returns {Promise<Buffer>} - XML content as buffer
+ */
+async function writeNewsSitemap(articles, outPath, publication) {
+  const entries = articles.slice(0, NEWS_MAX_URLS).map((u) => ({
+    url: u.url,
+    news: {
+      publication: {
+        name: publication.name,
+        language: u.news.language || publication.language,
+      },
+      publication_date: toW3CDatetime(u.news.publicationDate),
+      title: u.news.title,
+    },
+  }));
+  return streamSitemapXml(entries, outPath, { news: true });
+}
+
 /**
  * Write URLs to TXT sitemap file
  * @param {Array} urls - Array of URL objects
@@ -157,6 +252,8 @@ function writeSitemapIndex(sitemapUrls, outPath) {
 
 module.exports = {
   writeSitemapXml,
+  selectNewsArticles,
+  writeNewsSitemap,
   writeSitemapTxt,
   writeGzip,
   writeSitemapIndex,
@@ -0,0 +1,232 @@
+/**
+ * Blackout Secure Sitemap Generator
+ * Copyright © 2025-2026 Blackout Secure
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Build output to source file mapping for git lastmod
+ */
+
+// Output patterns are relative to publicDir; sources are relative to the
+// working directory (usually the repository root). Rules are tried in order
+// and every matching rule contributes candidates.
+const SOURCE_MAP_PRESETS = {
+  hugo: [
+    ['index.html', ['content/_index.md', 'content/_index.html']],
+    [
+      '{path*}/index.html',
+      [
+        'content/{path*}.md',
+        'content/{path*}/index.md',
+        'content/{path*}/_index.md',
+        'content/{path*}.html',
+      ],
+    ],
+  ],
+  jekyll: [
+    ['index.html', ['index.md', 'index.markdown', 'index.html']],
+    [
+      '{year}/{month}/{day}/{slug}.html',
+      [
+        '_posts/{year}-{month}-{day}-{slug}.md',
+        '_posts/{year}-{month}-{day}-{slug}.markdown',
+        '_posts/{year}-{month}-{day}-{slug}.html',
+      ],
+    ],
+    [
+      '{categories*}/{year}/{month}/{day}/{slug}.html',
+      [
+        '_posts/{year}-{month}-{day}-{slug}.md',
+        '_posts/{year}-{month}-{day}-{slug}.markdown',
+      ],
+    ],
+    [
+      '{path*}/index.html',
+      ['{path*}.md', '{path*}/index.md', '{path*}.html', '{path*}/index.html'],
+    ],
+    ['{path*}.html', ['{path*}.md', '{path*}.markdown', '{path*}.html']],
+  ],
+  astro: [
+    [
+      'index.html',
+      ['src/pages/index.astro', 'src/pages/index.md', 'src/pages/index.mdx'],
+    ],
+    [
+      '{path*}/index.html',
+      [
+        'src/pages/{path*}.astro',
+        'src/pages/{path*}.md',
+        'src/pages/{path*}.mdx',
+        'src/pages/{path*}/index.astro',
+        'src/content/{path*}.md',
+        'src/content/{path*}.mdx',
+      ],
+    ],
+    [
+      '{path*}.html',
+      [
+        'src/pages/{path*}.astro',
+        'src/pages/{path*}.md',
+        'src/pages/{path*}.mdx',
+      ],
+    ],
+  ],
+  eleventy: [
+    [
+      'index.html',
+      ['index.md', 'index.njk', 'index.html', 'src/index.md', 'src/index.njk'],
+    ],
+    [
+      '{path*}/index.html',
+      [
+        '{path*}.md',
+        '{path*}.njk',
+        '{path*}.html',
+        '{path*}/index.md',
+        '{path*}/index.njk',
+        'src/{path*}.md',
+        'src/{path*}.njk',
+        'src/{path*}/index.md',
+      ],
+    ],
+  ],
+  docusaurus: [
+    [
+      'index.html',
+      [
+        'src/pages/index.js',
+        'src/pages/index.jsx',
+        'src/pages/index.tsx',
+        'src/pages/index.md',
+        'src/pages/index.mdx',
+      ],
+    ],
+    [
+      'docs/{path*}/index.html',
+      [
+        'docs/{path*}.md',
+        'docs/{path*}.mdx',
+        'docs/{path*}/index.md',
+        'docs/{path*}/index.mdx',
+      ],
+    ],
+    ['docs/{path*}.html', ['docs/{path*}.md', 'docs/{path*}.mdx']],
+    [
+      'blog/{year}/{month}/{day}/{slug}/index.html',
+      [
+        'blog/{year}-{month}-{day}-{slug}.md',
+        'blog/{year}-{month}-{day}-{slug}.mdx',
+        'blog/{year}-{month}-{day}-{slug}/index.md',
+        'blog/{year}-{month}-{day}-{slug}/index.mdx',
+      ],
+    ],
+    [
+      '{path*}/index.html',
+      [
+        'src/pages/{path*}.js',
+        'src/pages/{path*}.jsx',
+        'src/pages/{path*}.tsx',
+        'src/pages/{path*}.md',
+        'src/pages/{path*}.mdx',
+      ],
+    ],
+  ],
+};
+
+// lastmod_source_map entry that opts into matching sources by route alone
+const ROUTE_MATCHING = 'route';
+
+/**
+ * Compile an output pattern into a matcher
+ * {name} matches one path segment; {name*} matches one or more segments.
+ * @private
+ */
+function compileRule(output, sources) {
+  const names = [];
+  const source = output
+    .split(/(\{[A-Za-z_]\w*\*?\})/)
+    .map((part) => {
+      const placeholder = part.match(/^\{([A-Za-z_]\w*)(\*?)\}$/);
+      if (!placeholder) return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+      names.push(placeholder[1]);
+      return placeholder[2] ? '(.+)' : '([^/]+)';
+    })
+    .join('');
+  return { output, sources, regex: new RegExp(`^${source}$`), names };
+}
+
+/**
+ * Parse a lastmod_source_map value
+ * Entries are separated by newlines or commas. Each entry is a preset name
+ * (hugo, jekyll, astro, eleventy, docusaurus), "route" (match any tracked
+ * source with the same route) or a custom rule "output => source | source",
+ * e.g. "blog/{slug}/index.html => content/blog/{slug}.md".
+ * @param {string} input - lastmod_source_map input value
+ * @returns {{rules: Array, presets: string[], errors: string[]}} - Compiled rules, presets used and invalid entries
+ */
+function parseSourceMap(input) {
+  const rules = [];
+  const presets = [];
+  const errors = [];
+  const entries = String(input || '')
+    .split(/[\n,]/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+  for (const entry of entries) {
+    if (entry.toLowerCase() === ROUTE_MATCHING) {
+      presets.push(ROUTE_MATCHING);
+      continue;
+    }
+    const preset = SOURCE_MAP_PRESETS[entry.toLowerCase()];
+    if (preset) {
+      presets.push(entry.toLowerCase());
+      for (const [output, sources] of preset) {
+        rules.push(compileRule(output, sources));
+      }
+      continue;
+    }
+    const [output, sourceList] = entry.split('=>').map((s) => s?.trim());
+    const sources = (sourceList || '')
+      .split('|')
+      .map((s) => s.trim())
+      .filter(Boolean);
+    if (!output || !sources.length) {
+      errors.push(entry);
+      continue;
+    }
+    rules.push(compileRule(output.replace(/^\/+/, ''), sources));
+  }
+  return { rules, presets, errors };
+}
+
+/**
+ * Source file candidates for a build output file, in rule order
+ * @param {Array} rules - Rules from parseSourceMap()
+ * @param {string} relPath - Output path relative to publicDir
+ * @returns {string[]} - Candidate source paths (relative to the working directory)
+ */
+function getSourceCandidates(rules, relPath) {
+  const normalized = relPath.replace(/\\/g, '/').replace(/^\/+/, '');
+  const candidates = [];
+  for (const rule of rules) {
+    const match = normalized.match(rule.regex);
+    if (!match) continue;
+    for (const template of rule.sources) {
+      const candidate = template.replace(
+        /\{([A-Za-z_]\w*)\*?\}/g,
+        (whole, name) => {
+          const i = rule.names.indexOf(name);
+          return i === -1 ? whole : match[i + 1];
+        },
+      );
+      if (!candidates.includes(candidate)) candidates.push(candidate);
+    }
+  }
+  return candidates;
+}
+
+module.exports = {
+  SOURCE_MAP_PRESETS,
+  ROUTE_MATCHING,
+  parseSourceMap,
+  getSourceCandidates,
+};
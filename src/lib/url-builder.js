@@ -13,8 +13,63 @@ const { parse: parseHtml } = require('node-html-parser');
 const {
   normalizeUrl,
   normalizePathToUrl,
-  getGitLastCommitISO,
+  applyUrlStyle,
+  resolveInternalLink,
 } = require('./utils');
+const {
+  extractImageSources,
+  extractVideos,
+  extractNewsMetadata,
+  extractAlternateLinks,
+  extractRobotsMeta,
+  extractModifiedDates,
+  extractMetaRefresh,
+  isEmptySpaShell,
+} = require('./html-parser');
+const {
+  loadHostConfig,
+  getHeaderValues,
+  isNoindexDirective,
+  matchRedirect,
+  matchRewrite,
+  findRewriteSource,
+} = require('./host-rules');
+const { loadRobotsTxt, isAllowedByRobots } = require('./robots-txt');
+const { createGitLastmodProvider } = require('./git-lastmod');
+const { createContentHashStore } = require('./content-hash');
+const {
+  parseLastmodStrategy,
+  toW3CDatetime,
+  pickLastmod,
+  extractFrontMatterDate,
+} = require('./lastmod');
+const { getSourceCandidates } = require('./source-mapper');
+const { matchUrlRule } = require('./url-rules');
+const { loadRouteManifests, routeFileCandidates } = require('./route-manifest');
+const { applyHreflangClusters } = require('./hreflang');
+const {
+  CANONICAL_ISSUE_LABELS,
+  analyzeCanonicals,
+} = require('./canonical-report');
+const { writeBrokenLinkReport } = require('./link-report');
+const {
+  resolveStaticFile,
+  startStaticServer,
+  crawlSite,
+} = require('./crawler');
+
+// Google image sitemap limit: at most 1,000 <image:image> entries per <url>
+const MAX_IMAGES_PER_URL = 1000;
+
+// Error pages written by static site generators at the site root: 404.html,
+// 404/index.html (Gatsby, Next.js trailingSlash), 500.html and Next.js
+// _not-found. Other numeric paths (/410.html, /500/) may be real content.
+const ERROR_PAGE_PATH =
+  /^\/(?:404(?:\.html?|\/(?:index\.html?)?)?|500\.html?|_not-found(?:\.html?|\/(?:index\.html?)?)?)$/i;
+
+// Google video sitemap limits
+const MAX_VIDEO_DESCRIPTION_LENGTH = 2048;
+const MAX_VIDEO_DURATION_SECONDS = 28800;
 
 // Limits with optional test overrides (evaluated at call time to honor per-run env changes)
 function getMaxDiscoveredLinks() {
@@ -25,6 +80,149 @@ function getMaxTotalUrls() {
   return parseInt(process.env.TEST_MAX_TOTAL_URLS || '100000', 10);
 }
 
+/**
+ * Resolve image sources against the page they appear on
+ * @param {string[]} sources - Image sources as written in the document
+ * @param {string} documentUrl - Absolute URL of the containing page
+ * @returns {Array<{url: string}>} - Absolute http(s) image entries
+ */
+function resolveImageUrls(sources, documentUrl) {
+  const images = [];
+  const seen = new Set();
+  for (const src of sources) {
+    const resolved = resolveHttpUrl(src, documentUrl);
+    if (!resolved || seen.has(resolved)) continue;
+    seen.add(resolved);
+    images.push({ url: resolved });
+  }
+  return images;
+}
+
+/**
+ * Resolve a possibly relative reference to an absolute http(s) URL
+ * @param {string} ref - Reference as written in the document
+ * @param {string} documentUrl - Absolute URL of the containing page
+ * @returns {string|undefined} - Absolute URL or undefined
+ */
+function resolveHttpUrl(ref, documentUrl) {
+  if (!ref) return undefined;
+  try {
+    const resolved = new URL(ref, documentUrl).toString();
+    return /^https?:\/\//i.test(resolved) ? resolved : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Resolve extracted video entries and drop those missing required fields
+ * Google requires thumbnail_loc, title, description and content_loc or player_loc.
+ * Entries whose resolved location was already listed are dropped, so an
+ * absolute JSON-LD contentUrl and a relative <video src> count once.
+ * @param {Object[]} videos - Entries from extractVideos()
+ * @param {string} documentUrl - Absolute URL of the containing page
+ * @returns {{videos: Object[], skipped: number}} - Usable entries and skip count
+ */
+function resolveVideoEntries(videos, documentUrl) {
+  const resolved = [];
+  const seenLocations = new Set();
+  let skipped = 0;
+  for (const v of videos) {
+    const entry = {
+      thumbnail_loc: resolveHttpUrl(v.thumbnail_loc, documentUrl),
+      title: v.title?.trim(),
+      description: v.description?.trim().slice(0, MAX_VIDEO_DESCRIPTION_LENGTH),
+      content_loc: resolveHttpUrl(v.content_loc, documentUrl),
+      player_loc: resolveHttpUrl(v.player_loc, documentUrl),
+    };
+    if (
+      !entry.thumbnail_loc ||
+      !entry.title ||
+      !entry.description ||
+      (!entry.content_loc && !entry.player_loc)
+    ) {
+      skipped++;
+      continue;
+    }
+    const location = entry.content_loc || entry.player_loc;
+    if (seenLocations.has(location)) continue;
+    seenLocations.add(location);
+    if (v.duration >= 1 && v.duration <= MAX_VIDEO_DURATION_SECONDS) {
+      entry.duration = v.duration;
+    }
+    if (v.publication_date) entry.publication_date = v.publication_date;
+    resolved.push(entry);
+  }
+  return { videos: resolved, skipped };
+}
+
+/**
+ * Read a lastmod date from front matter
+ * Markdown files published as-is carry their own front matter; other pages
+ * are looked up through the lastmod_source_map candidates.
+ * @param {string} fullFsPath - Page file path
+ * @param {string} relPath - Page path relative to publicDir
+ * @param {Array} sourceRules - Rules from parseSourceMap()
+ * @returns {string|null} - ISO date string
+ * @private
+ */
+function readFrontMatterLastmod(fullFsPath, relPath, sourceRules) {
+  const files = ['.md', '.markdown', '.mdx'].includes(
+    path.extname(relPath).toLowerCase(),
+  )
+    ? [fullFsPath]
+    : [];
+  files.push(...getSourceCandidates(sourceRules, relPath));
+  for (const file of files) {
+    try {
+      const lastmod = toW3CDatetime(
+        extractFrontMatterDate(fs.readFileSync(file, 'utf8')),
+      );
+      if (lastmod) return lastmod;
+    } catch {
+      // Missing candidate sources are expected
+    }
+  }
+  return null;
+}
+
+/**
+ * Check whether a static host serves a path: the file itself, a directory
+ * index or the file with an .html/.htm extension
+ * @private
+ */
+function isServedPath(fsPath) {
+  const isFile = (p) => fs.existsSync(p) && fs.statSync(p).isFile();
+  return [
+    fsPath,
+    path.join(fsPath, 'index.html'),
+    path.join(fsPath, 'index.htm'),
+    `${fsPath}.html`,
+    `${fsPath}.htm`,
+  ].some(isFile);
+}
+
+/**
+ * Map character offsets in a text to 1-based line numbers
+ * @private
+ */
+function lineCounter(text) {
+  const lineStarts = [0];
+  for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) {
+    lineStarts.push(i + 1);
+  }
+  return (offset) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (lineStarts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return low + 1;
+  };
+}
+
 /**
  * Build URL list from file system and discovery
  * @param {Object} options - Configuration options
@@ -41,11 +239,39 @@ async function buildUrls(options, core) {
     // excludeExtensions - reserved for future use
     excludeUrls,
     lastmodStrategy,
+    lastmodSourceRules = [],
+    lastmodMatchRoutes = false,
+    lastmodStateFile,
+    lastmodHashIgnore,
     changefreq,
     priority,
+    urlRules = [],
     additionalUrls,
+    routeManifests = [],
+    discoveryMode = 'files',
+    crawlUrl,
+    crawlMaxDepth = 10,
+    crawlMaxPages = 1000,
+    urlStyle = 'file',
+    respectNoindex = true,
+    respectRobotsTxt = false,
+    respectRedirects = true,
+    skipRefreshRedirects = true,
+    refreshRedirectTargets = false,
+    skipErrorPages = true,
+    skipSpaShells = true,
+    strictValidation = false,
     parseCanonical,
+    canonicalReport = 'warn',
     discoverLinks,
+    brokenLinkReport = 'warn',
+    brokenLinkReportFile,
+    includeImages,
+    includeVideos,
+    includeNews,
+    hreflang,
+    hreflangLocales,
+    hreflangDefault,
     debugListFiles,
     debugListCanonical,
     debugListUrls,
@@ -54,33 +280,268 @@ async function buildUrls(options, core) {
 
   const patterns = includePatterns.length ? includePatterns : ['**/*'];
   const ignore = excludePatterns;
+  // Links are discovered while pages are parsed for canonical URLs, so
+  // parse_canonical: false also turns discovery off
+  const followLinks = discoverLinks && parseCanonical;
+
+  // Page URLs on this site follow url_style; other hosts are left untouched
+  const siteOrigin = new URL(baseUrl).origin;
+  // Paths below the site_url base path map onto publicDir
+  const basePath = new URL(baseUrl).pathname.replace(/\/?$/, '/');
+  const toPublicPath = (pathname) =>
+    pathname.startsWith(basePath)
+      ? pathname.slice(basePath.length - 1)
+      : pathname;
+  const styleUrl = (u) => {
+    try {
+      return new URL(u).origin === siteOrigin ? applyUrlStyle(u, urlStyle) : u;
+    } catch {
+      return u;
+    }
+  };
 
   // Track exclusions for debug output
   const excludedItems = {
     byExtension: [],
+    noindex: [],
+    robotsTxt: [],
+    urlRules: [],
+    dynamicRoutes: [],
+    crawl: [],
+    redirects: [],
+    refreshRedirects: [],
+    errorPages: [],
+    spaShells: [],
+  };
+
+  // Pages that are not pages of their own: error pages by path, and
+  // meta-refresh redirect stubs (Jekyll redirect_from, Hugo aliases) and
+  // empty SPA shells by content
+  const detectSkip = (urlPath, root, documentUrl) => {
+    if (skipErrorPages && ERROR_PAGE_PATH.test(urlPath)) {
+      return { reason: 'errorPages' };
+    }
+    if (!root) return null;
+    const refresh = skipRefreshRedirects && extractMetaRefresh(root);
+    if (refresh && refresh.delay === 0) {
+      const target = resolveHttpUrl(refresh.url, documentUrl);
+      return { reason: 'refreshRedirects', target: target && styleUrl(target) };
+    }
+    if (skipSpaShells && isEmptySpaShell(root)) return { reason: 'spaShells' };
+    return null;
+  };
+  const refreshTargets = new Set();
+  const recordSkip = (pageUrl, skip) => {
+    excludedItems[skip.reason].push(
+      skip.target ? `${pageUrl} → ${skip.target}` : pageUrl,
+    );
+    if (refreshRedirectTargets && skip.target) refreshTargets.add(skip.target);
+  };
+
+  const crawlMode = discoveryMode === 'crawl';
+  // Broken internal links are found while walking anchors in publicDir
+  const checkLinks = brokenLinkReport !== 'off' && !crawlMode;
+  if (!crawlMode) {
+    core.info('🔍 Scanning for files...');
+    core.info(`   Patterns: ${patterns.join(', ')}`);
+    if (ignore.length) core.info(`   Excluding: ${ignore.join(', ')}`);
+  }
+
+  // Host configuration: _headers, _redirects, netlify.toml, vercel.json
+  const hostConfig = loadHostConfig(publicDir);
+
+  // X-Robots-Tag rules from _headers, netlify.toml and vercel.json
+  const headerRules = respectNoindex ? hostConfig.headers : [];
+  if (headerRules.length) {
+    core.info(`📜 Loaded ${headerRules.length} header rule(s)`);
+  }
+
+  // lastmod strategies are tried in order until one yields a date
+  const { chain: lastmodChain } = parseLastmodStrategy(lastmodStrategy);
+  const lastmodCounts = {};
+  // Strategies used by the default chain or any url_rules override
+  const lastmodStrategies = new Set([
+    ...lastmodChain,
+    ...urlRules.flatMap((rule) => rule.lastmod || []),
+  ]);
+
+  // One git history pass for all files instead of a git process per file
+  const gitLastmod = lastmodStrategies.has('git')
+    ? createGitLastmodProvider(publicDir, core, {
+        sourceRules: lastmodSourceRules,
+        matchRoutes: lastmodMatchRoutes,
+      })
+    : null;
+  const gitFallbackFiles = [];
+
+  // Content hashes compared against the previous run's state file
+  const contentHashStore = lastmodStrategies.has('content-hash')
+    ? createContentHashStore(lastmodStateFile, {
+        ignoreSelectors: lastmodHashIgnore,
+      })
+    : null;
+  if (contentHashStore && !contentHashStore.found) {
+    core.info(
+      `ℹ️  No lastmod state found at ${lastmodStateFile}; all pages are dated with the build time. Commit or cache this file to keep dates between runs.`,
+    );
+  }
+
+  // First strategy in the chain that yields a date; file-based strategies
+  // are skipped for pages that no file in publicDir serves
+  const resolveLastmod = (chain, { f, ext, stat, metaLastmod, noindex }) => {
+    const fullFsPath = f ? path.join(publicDir, f) : null;
+    // Pages dated by another strategy keep their stored hash for later runs
+    if (f && contentHashStore) contentHashStore.keep(f.replace(/\\/g, '/'));
+    for (const strategy of chain) {
+      let lastmod = null;
+      if (strategy === 'meta') {
+        lastmod =
+          metaLastmod ||
+          (noindex || !f
+            ? null
+            : readFrontMatterLastmod(fullFsPath, f, lastmodSourceRules));
+      } else if (strategy === 'git') {
+        if (!f) continue;
+        lastmod = gitLastmod.lookup(fullFsPath, f);
+        if (!lastmod) gitFallbackFiles.push(f);
+      } else if (strategy === 'filemtime') {
+        if (!f) continue;
+        lastmod = new Date(
+          (stat || fs.statSync(fullFsPath)).mtime,
+        ).toISOString();
+      } else if (strategy === 'content-hash') {
+        if (!f) continue;
+        lastmod = contentHashStore.lookup(
+          f.replace(/\\/g, '/'),
+          fs.readFileSync(fullFsPath),
+          ['.html', '.htm'].includes(ext),
+        );
+      } else if (strategy === 'current') {
+        lastmod = new Date().toISOString();
+      } else {
+        // 'none': omit lastmod
+        return null;
+      }
+      if (lastmod) {
+        lastmodCounts[strategy] = (lastmodCounts[strategy] || 0) + 1;
+        return lastmod;
+      }
+    }
+    return null;
   };
 
-  core.info('🔍 Scanning for files...');
-  core.info(`   Patterns: ${patterns.join(', ')}`);
-  if (ignore.length) core.info(`   Excluding: ${ignore.join(', ')}`);
-
-  const files = glob.sync(
-    patterns.length > 1 ? `{${patterns.join(',')}}` : patterns[0],
-    {
-      cwd: publicDir,
-      ignore,
-      nodir: true,
-      dot: false,
-      follow: false,
-    },
-  );
+  // discovery_mode crawl finds pages over HTTP instead of globbing publicDir
+  const files = crawlMode
+    ? []
+    : glob.sync(patterns.length > 1 ? `{${patterns.join(',')}}` : patterns[0], {
+        cwd: publicDir,
+        ignore,
+        nodir: true,
+        dot: false,
+        follow: false,
+      });
 
   const items = [];
   const discoveredSet = new Set();
   let skippedCount = 0;
   let canonicalCount = 0;
   const canonicalUrls = [];
+  // Canonical declarations and the page URLs they are checked against
+  const canonicalDeclarations = [];
+  const builtPageUrls = new Set();
+  // Anchors whose target no file serves; redirects and listed routes are
+  // ruled out once all URLs are known
+  const unservedLinks = [];
+  let checkedLinkCount = 0;
   let linksDiscoveredCount = 0;
+  let imageCount = 0;
+  let pagesWithImages = 0;
+  let videoCount = 0;
+  let skippedVideoCount = 0;
+  let newsArticleCount = 0;
+  const noindexUrls = new Set();
+  // url_rules matched against the page's own path (before canonical rewrites)
+  const itemRules = new WeakMap();
+
+  // What an indexable page declares about itself, shared by files and
+  // crawled pages: images, videos, news and alternates are attached to the
+  // item; the canonical URL and declared lastmod are returned, since each
+  // mode applies a canonical differently
+  const readPageMetadata = (
+    root,
+    { item, documentUrl, source, resolveCanonical },
+  ) => {
+    const metadata = { canonical: null, metaLastmod: null };
+    if (parseCanonical) {
+      const href = root
+        .querySelector('link[rel="canonical"]')
+        ?.getAttribute('href');
+      const canonical = href && resolveCanonical(href);
+      if (canonical) {
+        canonicalDeclarations.push({ page: item.url, href, canonical });
+        canonicalCount++;
+        if (debugListCanonical) canonicalUrls.push(canonical);
+        metadata.canonical = canonical;
+      }
+    }
+    // Declared modification dates for lastmod_strategy meta
+    if (lastmodStrategies.has('meta')) {
+      metadata.metaLastmod =
+        pickLastmod(extractModifiedDates(root))?.lastmod || null;
+    }
+    // Optional image sitemap extension: collect page images
+    if (includeImages) {
+      const images = resolveImageUrls(extractImageSources(root), documentUrl);
+      if (images.length > MAX_IMAGES_PER_URL) {
+        core.warning(
+          `⚠️  ${source} references ${images.length} images; only the first ${MAX_IMAGES_PER_URL} are included.`,
+        );
+        images.length = MAX_IMAGES_PER_URL;
+      }
+      if (images.length) {
+        item.images = images;
+        imageCount += images.length;
+        pagesWithImages++;
+      }
+    }
+    // Optional video sitemap extension: <video>, embeds and JSON-LD
+    if (includeVideos) {
+      const { videos, skipped } = resolveVideoEntries(
+        extractVideos(root),
+        documentUrl,
+      );
+      if (videos.length) {
+        item.videos = videos;
+        videoCount += videos.length;
+      }
+      if (skipped > 0) {
+        skippedVideoCount += skipped;
+        if (debugListFiles) {
+          core.info(
+            `[DEBUG] Skipped ${skipped} video(s) missing thumbnail, title, description or location: ${source}`,
+          );
+        }
+      }
+    }
+    // Optional news metadata for the Google News sitemap
+    if (includeNews) {
+      const news = extractNewsMetadata(root);
+      if (news) {
+        item.news = news;
+        newsArticleCount++;
+      }
+    }
+    // Optional hreflang alternates declared by the page
+    if (hreflang) {
+      const alternates = [];
+      for (const alt of extractAlternateLinks(root)) {
+        const url = resolveHttpUrl(alt.href, documentUrl);
+        if (url) alternates.push({ lang: alt.lang, url: styleUrl(url) });
+      }
+      if (alternates.length) item.alternates = alternates;
+    }
+    return metadata;
+  };
 
   for (const f of files) {
     const ext = path.extname(f).toLowerCase();
@@ -96,87 +557,402 @@ async function buildUrls(options, core) {
     const urlPath = '/' + f.replace(/\\/g, '/');
 
     let fullUrl = normalizeUrl(baseUrl, urlPath);
-    const item = { url: fullUrl };
+    const item = { url: styleUrl(fullUrl) };
+    const pageUrl = item.url;
+    const rule = matchUrlRule(urlRules, pageUrl, baseUrl);
+    itemRules.set(item, rule);
 
+    // X-Robots-Tag applies to every file type, not just HTML
+    let noindexReason = null;
+    let skip = detectSkip(urlPath, null);
+    let metaLastmod = null;
+    if (
+      headerRules.length &&
+      getHeaderValues(headerRules, urlPath, 'X-Robots-Tag').some(
+        isNoindexDirective,
+      )
+    ) {
+      noindexReason = 'X-Robots-Tag';
+    }
+
+    const fullFsPath = path.join(publicDir, f);
+    let stat = null;
     try {
-      const fullFsPath = path.join(publicDir, f);
-      const stat = fs.statSync(fullFsPath);
-      // Canonical parsing for HTML files
-      if (parseCanonical && ['.html', '.htm'].includes(ext)) {
+      stat = fs.statSync(fullFsPath);
+    } catch {
+      // Ignore file stat errors
+    }
+    if (stat) {
+      // HTML parsing for canonical URLs, link discovery and images
+      const needsHtml =
+        parseCanonical ||
+        includeImages ||
+        includeVideos ||
+        includeNews ||
+        hreflang ||
+        respectNoindex ||
+        lastmodStrategies.has('meta') ||
+        skipRefreshRedirects ||
+        skipSpaShells ||
+        checkLinks;
+      let html = null;
+      let root = null;
+      if (!skip && needsHtml && ['.html', '.htm'].includes(ext)) {
         try {
-          const html = fs.readFileSync(fullFsPath, 'utf8');
-          const root = parseHtml(html);
-          const linkCanonical = root.querySelector('link[rel="canonical"]');
-          const href = linkCanonical?.getAttribute('href');
-          if (href) {
-            // Absolute or relative
-            const candidate = /^https?:\/\//i.test(href)
-              ? href
-              : normalizePathToUrl(
-                  baseUrl,
-                  publicDir,
-                  path.join(publicDir, href.replace(/^\//, '')),
-                );
-            fullUrl = candidate;
-            item.url = candidate;
-            canonicalCount++;
-            if (debugListCanonical) canonicalUrls.push(candidate);
+          html = fs.readFileSync(fullFsPath, 'utf8');
+          root = parseHtml(html);
+        } catch {
+          // Ignore unreadable or malformed HTML
+        }
+      }
+      if (root) {
+        // Relative references resolve against the document's own location
+        const documentUrl = fullUrl;
+        // robots/googlebot meta noindex keeps the page out of the sitemap
+        if (respectNoindex && !noindexReason) {
+          const meta = extractRobotsMeta(root).find((m) =>
+            isNoindexDirective(m.content),
+          );
+          if (meta) noindexReason = `meta ${meta.name}`;
+        }
+        skip = detectSkip(urlPath, root, documentUrl);
+        if (!noindexReason && !skip) {
+          const metadata = readPageMetadata(root, {
+            item,
+            documentUrl,
+            source: f,
+            // Absolute or relative to publicDir
+            resolveCanonical: (href) =>
+              /^https?:\/\//i.test(href)
+                ? styleUrl(href)
+                : normalizePathToUrl(
+                    baseUrl,
+                    publicDir,
+                    path.join(publicDir, href.replace(/^\//, '')),
+                    urlStyle,
+                  ),
+          });
+          metaLastmod = metadata.metaLastmod;
+          if (metadata.canonical) {
+            fullUrl = metadata.canonical;
+            item.url = metadata.canonical;
           }
-          // Optional link discovery: collect internal anchors
-          if (discoverLinks) {
-            const anchors = root.querySelectorAll('a[href]') || [];
-            for (const a of anchors) {
-              // Safety limit: stop discovering if we hit the limit
-              if (discoveredSet.size >= MAX_DISCOVERED_LINKS) {
-                break;
+        }
+        // Optional link discovery: collect internal anchors (noindex
+        // pages are still followed); the broken link report checks them all
+        if (followLinks || checkLinks) {
+          const anchors = root.querySelectorAll('a[href]') || [];
+          const baseHref = root
+            .querySelector('base[href]')
+            ?.getAttribute('href');
+          const lineOf = lineCounter(html);
+          for (const a of anchors) {
+            // Resolve against the linking page, confined to publicDir
+            const href = a.getAttribute('href');
+            const targetFs = resolveInternalLink(
+              href,
+              documentUrl,
+              publicDir,
+              baseHref,
+              baseUrl,
+            );
+            if (!targetFs) continue;
+            if (checkLinks) {
+              checkedLinkCount++;
+              if (!isServedPath(targetFs)) {
+                unservedLinks.push({
+                  source: f.replace(/\\/g, '/'),
+                  line: lineOf(a.range[0]),
+                  href,
+                  url: normalizePathToUrl(
+                    baseUrl,
+                    publicDir,
+                    targetFs,
+                    urlStyle,
+                  ),
+                });
+                continue;
               }
-              const hrefA = a.getAttribute('href');
-              if (!hrefA) continue;
-              // Only internal relative links
-              if (/^https?:\/\//i.test(hrefA)) continue;
-              if (hrefA.startsWith('#')) continue;
-              // Normalize fs path under publicDir
-              const targetFs = path.join(publicDir, hrefA.replace(/^\//, ''));
-              if (fs.existsSync(targetFs) && fs.statSync(targetFs).isFile()) {
-                const targetUrl = normalizePathToUrl(
-                  baseUrl,
-                  publicDir,
-                  targetFs,
-                );
-                if (!discoveredSet.has(targetUrl)) {
-                  discoveredSet.add(targetUrl);
-                  linksDiscoveredCount++;
-                }
+            }
+            // Safety limit: stop discovering if we hit the limit
+            if (!followLinks || discoveredSet.size >= MAX_DISCOVERED_LINKS) {
+              continue;
+            }
+            if (fs.existsSync(targetFs) && fs.statSync(targetFs).isFile()) {
+              const targetUrl = normalizePathToUrl(
+                baseUrl,
+                publicDir,
+                targetFs,
+                urlStyle,
+              );
+              if (!discoveredSet.has(targetUrl)) {
+                discoveredSet.add(targetUrl);
+                linksDiscoveredCount++;
               }
             }
           }
-        } catch {
-          // Ignore HTML parsing errors
         }
       }
-      if (lastmodStrategy === 'filemtime') {
-        item.lastmod = new Date(stat.mtime).toISOString();
-      } else if (lastmodStrategy === 'git') {
-        const iso = getGitLastCommitISO(fullFsPath);
-        if (iso) item.lastmod = iso;
-        else item.lastmod = new Date(stat.mtime).toISOString();
-      } else if (lastmodStrategy === 'current') {
-        item.lastmod = new Date().toISOString();
-      }
-      // If lastmodStrategy === 'none', don't set lastmod at all
-    } catch {
-      // Ignore file stat errors
+      const lastmod = resolveLastmod(rule?.lastmod || lastmodChain, {
+        f,
+        ext,
+        stat,
+        metaLastmod,
+        noindex: Boolean(noindexReason),
+      });
+      if (lastmod) item.lastmod = lastmod;
+    }
+
+    if (noindexReason) {
+      noindexUrls.add(pageUrl);
+      excludedItems.noindex.push(`${pageUrl} (${noindexReason})`);
+      if (debugListFiles)
+        core.info(`[DEBUG] Skipping (noindex via ${noindexReason}): ${f}`);
+      continue;
+    }
+    if (skip) {
+      recordSkip(pageUrl, skip);
+      if (debugListFiles) core.info(`[DEBUG] Skipping (${skip.reason}): ${f}`);
+      continue;
     }
 
     if (changefreq) item.changefreq = changefreq;
     if (priority) item.priority = Number(priority);
 
+    builtPageUrls.add(pageUrl);
     items.push(item);
   }
 
+  // Crawl the served site: only 200 pages that are their own canonical URL
+  // are included; redirects, errors and duplicates are reported
+  if (crawlMode) {
+    // Crawled paths match the published ones, base path included; files
+    // and header rules in publicDir are looked up below the base path
+    const server = crawlUrl
+      ? null
+      : await startStaticServer(publicDir, { basePath });
+    const startUrl = crawlUrl || server.url;
+    const crawlOrigin = new URL(startUrl).origin;
+    core.info(
+      `🕷️  Crawling ${crawlUrl ? startUrl : `${publicDir} via ${startUrl}`} (depth ${crawlMaxDepth}, up to ${crawlMaxPages} URL(s))`,
+    );
+    // Crawled URLs are published on the site_url origin
+    const toSiteUrl = (u) => {
+      const parsed = new URL(u);
+      return parsed.origin === crawlOrigin
+        ? new URL(parsed.pathname + parsed.search, siteOrigin).href
+        : u;
+    };
+    const crawledItems = new Map();
+    let result;
+    try {
+      result = await crawlSite(startUrl, {
+        maxDepth: crawlMaxDepth,
+        maxPages: crawlMaxPages,
+        aliasOrigins: [siteOrigin],
+        onPage: (page, root) => {
+          const pathname = toPublicPath(new URL(page.url).pathname);
+          const documentUrl = toSiteUrl(page.url);
+          const item = { url: styleUrl(documentUrl) };
+          const f = resolveStaticFile(publicDir, pathname)?.file || null;
+          let noindexReason = null;
+          let metaLastmod = null;
+          if (respectNoindex) {
+            const headerValues = [
+              ...(page.robotsTag ? [page.robotsTag] : []),
+              ...getHeaderValues(headerRules, pathname, 'X-Robots-Tag'),
+            ];
+            if (headerValues.some(isNoindexDirective)) {
+              noindexReason = 'X-Robots-Tag';
+            }
+            const meta =
+              root &&
+              !noindexReason &&
+              extractRobotsMeta(root).find((m) =>
+                isNoindexDirective(m.content),
+              );
+            if (meta) noindexReason = `meta ${meta.name}`;
+          }
+          const skip = detectSkip(pathname, root, documentUrl);
+          if (skip) item.skip = skip;
+          if (root && !noindexReason && !skip) {
+            const metadata = readPageMetadata(root, {
+              item,
+              documentUrl,
+              source: documentUrl,
+              resolveCanonical: (href) => {
+                const canonical = resolveHttpUrl(href, documentUrl);
+                return canonical ? styleUrl(canonical) : null;
+              },
+            });
+            metaLastmod = metadata.metaLastmod;
+            if (metadata.canonical && metadata.canonical !== item.url) {
+              item.canonical = metadata.canonical;
+            }
+          }
+          const rule = matchUrlRule(urlRules, item.url, baseUrl);
+          itemRules.set(item, rule);
+          const lastmod = resolveLastmod(rule?.lastmod || lastmodChain, {
+            f,
+            ext: f ? path.extname(f).toLowerCase() : '',
+            metaLastmod,
+            noindex: Boolean(noindexReason),
+          });
+          if (lastmod) item.lastmod = lastmod;
+          if (noindexReason) item.noindexReason = noindexReason;
+          crawledItems.set(page.url, item);
+        },
+      });
+    } finally {
+      if (server) await server.close();
+    }
+
+    let redirectCount = 0;
+    let errorCount = 0;
+    for (const page of result.pages) {
+      const siteUrl = styleUrl(toSiteUrl(page.url));
+      if (debugListFiles) {
+        core.info(
+          `[DEBUG] Crawled ${page.status || page.error} ${page.url}${page.finalUrl && page.finalUrl !== page.url ? ` → ${page.finalUrl}` : ''}`,
+        );
+      }
+      if (page.status >= 300 && page.status < 400) {
+        redirectCount++;
+        excludedItems.crawl.push(
+          `${siteUrl} (${page.status} → ${page.finalUrl ? styleUrl(toSiteUrl(page.finalUrl)) : 'invalid Location'})`,
+        );
+        continue;
+      }
+      if (page.status !== 200) {
+        errorCount++;
+        excludedItems.crawl.push(
+          `${siteUrl} (${page.status ? `HTTP ${page.status}` : page.error})`,
+        );
+        continue;
+      }
+      const item = crawledItems.get(page.url);
+      if (item.noindexReason) {
+        noindexUrls.add(item.url);
+        excludedItems.noindex.push(`${item.url} (${item.noindexReason})`);
+        continue;
+      }
+      if (item.skip) {
+        recordSkip(item.url, item.skip);
+        continue;
+      }
+      builtPageUrls.add(item.url);
+      if (item.canonical) {
+        excludedItems.crawl.push(`${item.url} (canonical → ${item.canonical})`);
+        continue;
+      }
+      if (changefreq) item.changefreq = changefreq;
+      if (priority) item.priority = Number(priority);
+      items.push(item);
+    }
+    core.info(
+      `🕷️  Crawled ${result.pages.length} URL(s): ${items.length} page(s) included, ${redirectCount} redirect(s), ${errorCount} error(s)`,
+    );
+    if (result.truncated) {
+      core.warning(
+        `⚠️  crawl_max_pages limit reached (${crawlMaxPages}). Some pages were not crawled.`,
+      );
+    }
+  }
+
+  // Canonical consistency: conflicting, off-site, dangling, chained and
+  // relative canonicals are rewritten silently above, so report them
+  if (parseCanonical && canonicalReport !== 'off') {
+    const canonicalIssues = analyzeCanonicals(canonicalDeclarations, {
+      siteOrigin,
+      pageUrls: builtPageUrls,
+      noindexUrls,
+    });
+    const reportIssue = (message) =>
+      canonicalReport === 'strict'
+        ? core.error(message)
+        : core.warning(message);
+    for (const [type, label] of Object.entries(CANONICAL_ISSUE_LABELS)) {
+      const issues = canonicalIssues.filter((issue) => issue.type === type);
+      if (!issues.length) continue;
+      reportIssue(`⚠️  Canonical report: ${issues.length} ${label}`);
+      for (const issue of issues.slice(0, 10)) {
+        core.info(`   - ${issue.detail}`);
+      }
+      if (issues.length > 10) {
+        core.info(`   … and ${issues.length - 10} more`);
+      }
+    }
+  }
+
+  if (excludedItems.refreshRedirects.length > 0) {
+    let addedTargets = 0;
+    for (const url of refreshTargets) {
+      if (new URL(url).origin !== siteOrigin) continue;
+      if (items.some((it) => it.url === url)) continue;
+      items.push({ url, changefreq, priority });
+      addedTargets++;
+    }
+    core.info(
+      `🔀 Skipped ${excludedItems.refreshRedirects.length} meta-refresh redirect stub(s)${refreshRedirectTargets ? `; added ${addedTargets} target(s)` : ''}`,
+    );
+  }
+  if (excludedItems.errorPages.length > 0) {
+    core.info(`🚧 Skipped ${excludedItems.errorPages.length} error page(s)`);
+  }
+  if (excludedItems.spaShells.length > 0) {
+    core.info(
+      `🐚 Skipped ${excludedItems.spaShells.length} empty SPA shell(s)`,
+    );
+  }
   if (skippedCount > 0) {
     core.info(`⏭️  Skipped ${skippedCount} file(s) (excluded or disallowed)`);
   }
+  if (contentHashStore) {
+    try {
+      const stats = contentHashStore.save();
+      core.info(
+        `#️⃣  lastmod from content hashes: ${stats.changed} changed, ${stats.added} new, ${stats.unchanged} unchanged, ${stats.removed} removed (state: ${lastmodStateFile})`,
+      );
+    } catch (err) {
+      core.warning(
+        `⚠️  Could not write lastmod state file ${lastmodStateFile}: ${err.message}`,
+      );
+    }
+  }
+  if (lastmodStrategies.has('meta')) {
+    core.info(
+      `🏷️  lastmod from page metadata: ${lastmodCounts.meta || 0} page(s)`,
+    );
+  }
+  if (gitLastmod?.available) {
+    const gitDatedCount = lastmodCounts.git || 0;
+    const gitChain = lastmodChain.includes('git')
+      ? lastmodChain
+      : urlRules.find((rule) => rule.lastmod?.includes('git')).lastmod;
+    const gitFallback = gitChain[gitChain.indexOf('git') + 1];
+    const routeMatched = gitLastmod.routeMatches.length;
+    core.info(
+      `🕒 lastmod from git history: ${gitDatedCount} page(s)${routeMatched ? ` (${routeMatched} from a source matched by route only)` : ''}; ${gitFallbackFiles.length} fell back to ${gitFallback === 'filemtime' ? 'file modification time' : gitFallback}`,
+    );
+    if (gitFallbackFiles.length > 0 && gitDatedCount === 0) {
+      core.warning(
+        '⚠️  No pages could be matched to committed files. If public_dir is build output, set lastmod_source_map (e.g. "hugo", or "route" to match sources by path) to date pages from their source files.',
+      );
+    }
+    if (debugListFiles && routeMatched > 0) {
+      core.info('[DEBUG] Pages dated from a source matched by route:');
+      for (const match of gitLastmod.routeMatches) {
+        core.info(`[DEBUG] • ${match}`);
+      }
+    }
+    if (debugListFiles && gitFallbackFiles.length > 0) {
+      core.info(`[DEBUG] Files without git history (${gitFallback} used):`);
+      for (const file of gitFallbackFiles) core.info(`[DEBUG] • ${file}`);
+    }
+  }
+  if (excludedItems.noindex.length > 0) {
+    core.info(`🙈 Skipped ${excludedItems.noindex.length} noindex page(s)`);
+  }
   if (parseCanonical && canonicalCount > 0) {
     core.info(`🔗 Found ${canonicalCount} canonical URL(s)`);
     if (debugListCanonical) {
@@ -184,7 +960,23 @@ async function buildUrls(options, core) {
       for (const u of canonicalUrls) core.info(`[DEBUG] • ${u}`);
     }
   }
-  if (discoverLinks && linksDiscoveredCount > 0) {
+  if (includeImages && imageCount > 0) {
+    core.info(
+      `🖼️  Found ${imageCount} image(s) across ${pagesWithImages} page(s)`,
+    );
+  }
+  if (includeVideos && (videoCount > 0 || skippedVideoCount > 0)) {
+    core.info(`🎬 Found ${videoCount} video(s)`);
+    if (skippedVideoCount > 0) {
+      core.warning(
+        `⚠️  Skipped ${skippedVideoCount} video(s) missing a thumbnail, title, description or content/player location`,
+      );
+    }
+  }
+  if (includeNews && newsArticleCount > 0) {
+    core.info(`📰 Found ${newsArticleCount} news article(s)`);
+  }
+  if (followLinks && linksDiscoveredCount > 0) {
     core.info(`🔎 Discovered ${linksDiscoveredCount} additional link(s)`);
     if (discoveredSet.size >= MAX_DISCOVERED_LINKS) {
       core.warning(
@@ -193,15 +985,69 @@ async function buildUrls(options, core) {
     }
   }
 
+  // Prerendered routes from framework manifests; routes served by a file in
+  // publicDir were handled above (or deliberately excluded)
+  if (routeManifests.length) {
+    const manifest = loadRouteManifests(routeManifests, { publicDir });
+    for (const warning of manifest.warnings) core.warning(`⚠️  ${warning}`);
+    let addedRoutes = 0;
+    for (const route of manifest.routes) {
+      const served = routeFileCandidates(route).some((file) =>
+        fs.existsSync(path.join(publicDir, file)),
+      );
+      if (served) continue;
+      items.push({
+        url: styleUrl(normalizeUrl(baseUrl, route)),
+        changefreq,
+        priority,
+      });
+      addedRoutes++;
+    }
+    excludedItems.dynamicRoutes.push(...manifest.dynamic);
+    if (manifest.sources.length) {
+      core.info(
+        `🧭 Loaded ${manifest.routes.length} route(s) from ${manifest.sources.length} manifest(s); ${addedRoutes} without an HTML file added`,
+      );
+    }
+    if (manifest.dynamic.length) {
+      core.info(
+        `🧭 Skipped ${manifest.dynamic.length} dynamic route pattern(s) without prerendered pages`,
+      );
+    }
+    if (debugListFiles) {
+      for (const source of manifest.sources) {
+        core.info(`[DEBUG] Route manifest: ${source}`);
+      }
+    }
+  }
+
   if (additionalUrls && additionalUrls.length) {
     core.info(`➕ Adding ${additionalUrls.length} manual URL(s)`);
     for (const extra of additionalUrls) {
-      items.push({ url: extra, changefreq, priority });
+      // Plain URL strings, or entries loaded from additional_urls_file
+      if (typeof extra === 'string') {
+        items.push({ url: styleUrl(extra), changefreq, priority });
+        continue;
+      }
+      const item = {
+        url: styleUrl(extra.url),
+        changefreq: extra.changefreq || changefreq,
+        priority: extra.priority ?? priority,
+      };
+      if (extra.lastmod) item.lastmod = extra.lastmod;
+      if (extra.images?.length) item.images = extra.images;
+      if (extra.alternates?.length) {
+        item.alternates = extra.alternates.map((alt) => ({
+          lang: alt.lang,
+          url: styleUrl(alt.url),
+        }));
+      }
+      items.push(item);
     }
   }
 
   // Merge discovered links with safety limit
-  if (discoverLinks && discoveredSet.size) {
+  if (followLinks && discoveredSet.size) {
     let addedFromDiscovered = 0;
     for (const u of discoveredSet) {
       // Safety limit: prevent memory issues with extremely large sites
@@ -215,6 +1061,7 @@ async function buildUrls(options, core) {
       if (addedFromDiscovered >= MAX_DISCOVERED_LINKS) {
         break;
       }
+      if (noindexUrls.has(u)) continue;
       if (!items.some((it) => it.url === u)) {
         items.push({ url: u, changefreq, priority });
         addedFromDiscovered++;
@@ -222,6 +1069,134 @@ async function buildUrls(options, core) {
     }
   }
 
+  // Host redirects: sources leave the sitemap and their targets join it;
+  // pages behind a concrete rewrite are listed under the public path
+  if (respectRedirects && hostConfig.redirects.length) {
+    core.info(
+      `↪️  Loaded ${hostConfig.redirects.length} redirect/rewrite rule(s) from ${hostConfig.sources.filter((s) => s !== '_headers').join(', ')}`,
+    );
+    // Rules without force don't apply where a file is served (shadowing)
+    const isServedByFile = (pathname) =>
+      Boolean(resolveStaticFile(publicDir, toPublicPath(pathname)));
+    const kept = [];
+    const targets = [];
+    let rewrittenCount = 0;
+    for (const item of items) {
+      let pathname;
+      try {
+        const parsed = new URL(item.url);
+        if (parsed.origin !== siteOrigin) {
+          kept.push(item);
+          continue;
+        }
+        pathname = parsed.pathname;
+      } catch {
+        kept.push(item);
+        continue;
+      }
+      const redirect = matchRedirect(
+        hostConfig.redirects,
+        pathname,
+        siteOrigin,
+        { isServed: isServedByFile },
+      );
+      if (!redirect) {
+        const source = findRewriteSource(hostConfig.redirects, pathname);
+        if (source) {
+          item.url = styleUrl(normalizeUrl(baseUrl, source));
+          rewrittenCount++;
+        }
+        kept.push(item);
+        continue;
+      }
+      let target = null;
+      if (redirect.target && redirect.rule.status < 400) {
+        try {
+          target = new URL(redirect.target, baseUrl);
+        } catch {
+          // Unresolvable destinations are only reported
+        }
+      }
+      excludedItems.redirects.push(
+        `${item.url} (${redirect.rule.status}${redirect.target ? ` → ${redirect.target}` : ''})`,
+      );
+      // Targets on the site join the sitemap unless they redirect again
+      if (
+        target?.origin === siteOrigin &&
+        !matchRedirect(hostConfig.redirects, target.pathname, siteOrigin, {
+          isServed: isServedByFile,
+        })
+      ) {
+        targets.push(styleUrl(target.href));
+      }
+    }
+    let addedTargets = 0;
+    for (const url of targets) {
+      if (kept.some((it) => it.url === url)) continue;
+      kept.push({ url, changefreq, priority });
+      addedTargets++;
+    }
+    items.splice(0, items.length, ...kept);
+    if (excludedItems.redirects.length > 0) {
+      core.info(
+        `↪️  Dropped ${excludedItems.redirects.length} redirected URL(s); added ${addedTargets} redirect target(s)`,
+      );
+    }
+    if (rewrittenCount > 0) {
+      core.info(
+        `↪️  Listed ${rewrittenCount} rewritten page(s) under their public path`,
+      );
+    }
+  }
+
+  // Broken internal links: targets that no file, redirect, rewrite or
+  // listed route serves
+  if (checkLinks) {
+    const listedUrls = new Set(items.map((item) => item.url));
+    const brokenLinks = unservedLinks.filter(({ url }) => {
+      if (listedUrls.has(url)) return false;
+      const { pathname } = new URL(url);
+      const redirect = matchRedirect(
+        hostConfig.redirects,
+        pathname,
+        siteOrigin,
+      );
+      if (redirect && redirect.rule.status < 400) return false;
+      return !matchRewrite(hostConfig.redirects, pathname, siteOrigin);
+    });
+    brokenLinks.sort(
+      (a, b) => a.source.localeCompare(b.source) || a.line - b.line,
+    );
+    if (brokenLinks.length) {
+      const pageCount = new Set(brokenLinks.map((link) => link.source)).size;
+      const message = `⚠️  Broken link report: ${brokenLinks.length} broken internal link(s) on ${pageCount} page(s)`;
+      if (brokenLinkReport === 'strict') core.error(message);
+      else core.warning(message);
+      for (const link of brokenLinks.slice(0, 10)) {
+        core.info(`   - ${link.source}:${link.line} → ${link.href}`);
+      }
+      if (brokenLinks.length > 10) {
+        core.info(
+          `   … and ${brokenLinks.length - 10} more${brokenLinkReportFile ? ` (see ${brokenLinkReportFile})` : ''}`,
+        );
+      }
+    } else {
+      core.info(
+        `✅ Broken link report: ${checkedLinkCount} internal link(s) checked, none broken`,
+      );
+    }
+    if (brokenLinkReportFile) {
+      try {
+        writeBrokenLinkReport(brokenLinkReportFile, brokenLinks, {
+          siteUrl: baseUrl,
+        });
+        core.info(`   ✓ Broken link report written to ${brokenLinkReportFile}`);
+      } catch (err) {
+        core.warning(`⚠️  Could not write broken link report: ${err.message}`);
+      }
+    }
+  }
+
   // Remove duplicates by URL
   const seenUrls = new Set();
   const uniqueItems = [];
@@ -232,10 +1207,38 @@ async function buildUrls(options, core) {
     }
   }
 
+  // Per-path url_rules: the first matching rule wins
+  const ruledItems = [];
+  const ruleMatches = [];
+  for (const item of uniqueItems) {
+    const rule = itemRules.has(item)
+      ? itemRules.get(item)
+      : matchUrlRule(urlRules, item.url, baseUrl);
+    if (urlRules.length) {
+      ruleMatches.push(`${item.url} → ${rule ? rule.label : '(no rule)'}`);
+    }
+    if (rule?.exclude) {
+      excludedItems.urlRules.push(`${item.url} (rule ${rule.label})`);
+      continue;
+    }
+    if (rule?.changefreq) item.changefreq = rule.changefreq;
+    if (rule?.priority !== undefined) item.priority = rule.priority;
+    ruledItems.push(item);
+  }
+  if (excludedItems.urlRules.length > 0) {
+    core.info(
+      `📏 Excluded ${excludedItems.urlRules.length} URL(s) via url_rules`,
+    );
+  }
+  if (debugListUrls && ruleMatches.length) {
+    core.info('[DEBUG] url_rules matches:');
+    for (const match of ruleMatches) core.info(`[DEBUG] • ${match}`);
+  }
+
   // Filter out excluded URLs
   const filteredItems =
     excludeUrls.length > 0
-      ? uniqueItems.filter((item) => {
+      ? ruledItems.filter((item) => {
           // Check exact match or pattern match
           for (const excludeUrl of excludeUrls) {
             if (item.url === excludeUrl) return false;
@@ -249,13 +1252,47 @@ async function buildUrls(options, core) {
           }
           return true;
         })
-      : uniqueItems;
+      : ruledItems;
 
-  const excludedCount = uniqueItems.length - filteredItems.length;
+  const excludedCount = ruledItems.length - filteredItems.length;
   if (excludedCount > 0) {
     core.info(`🚫 Excluded ${excludedCount} URL(s) via exclude_urls`);
   }
 
+  // Keep the sitemap consistent with the site's own robots.txt
+  if (respectRobotsTxt) {
+    const robotsGroups = loadRobotsTxt(publicDir);
+    if (!robotsGroups) {
+      core.info('ℹ️  respect_robots_txt: no robots.txt found in public_dir');
+    } else {
+      const requestedUrls = new Set(
+        (additionalUrls || []).map((u) => styleUrl(u.url ?? u)),
+      );
+      for (let i = filteredItems.length - 1; i >= 0; i--) {
+        const { url } = filteredItems[i];
+        let sameSite = false;
+        try {
+          sameSite = new URL(url).origin === siteOrigin;
+        } catch {
+          // Invalid URLs are reported by validation
+        }
+        if (!sameSite || isAllowedByRobots(robotsGroups, url)) continue;
+        filteredItems.splice(i, 1);
+        excludedItems.robotsTxt.unshift(url);
+        if (strictValidation && requestedUrls.has(url)) {
+          core.warning(
+            `⚠️  additional_urls entry is disallowed by robots.txt and was left out: ${url}`,
+          );
+        }
+      }
+      if (excludedItems.robotsTxt.length > 0) {
+        core.info(
+          `🤖 Excluded ${excludedItems.robotsTxt.length} URL(s) disallowed by robots.txt`,
+        );
+      }
+    }
+  }
+
   // Debug: Show all exclusions if enabled
   if (debugShowExclusions) {
     core.info('\n[DEBUG] Exclusion Summary:');
@@ -267,20 +1304,110 @@ async function buildUrls(options, core) {
         core.info(`[DEBUG]   - ${item}`);
       }
     }
+    if (excludedItems.noindex.length > 0) {
+      core.info(
+        `[DEBUG] Excluded by noindex (${excludedItems.noindex.length}):`,
+      );
+      for (const item of excludedItems.noindex) {
+        core.info(`[DEBUG]   - ${item}`);
+      }
+    }
+    if (excludedItems.robotsTxt.length > 0) {
+      core.info(
+        `[DEBUG] Excluded by robots.txt (${excludedItems.robotsTxt.length}):`,
+      );
+      for (const item of excludedItems.robotsTxt) {
+        core.info(`[DEBUG]   - ${item}`);
+      }
+    }
+    if (excludedItems.dynamicRoutes.length > 0) {
+      core.info(
+        `[DEBUG] Dynamic route patterns (${excludedItems.dynamicRoutes.length}):`,
+      );
+      for (const item of excludedItems.dynamicRoutes) {
+        core.info(`[DEBUG]   - ${item}`);
+      }
+    }
+    if (excludedItems.crawl.length > 0) {
+      core.info(
+        `[DEBUG] Excluded by crawl status (${excludedItems.crawl.length}):`,
+      );
+      for (const item of excludedItems.crawl) {
+        core.info(`[DEBUG]   - ${item}`);
+      }
+    }
+    for (const [key, label] of [
+      ['refreshRedirects', 'Excluded as meta-refresh redirect stubs'],
+      ['errorPages', 'Excluded as error pages'],
+      ['spaShells', 'Excluded as empty SPA shells'],
+    ]) {
+      if (excludedItems[key].length === 0) continue;
+      core.info(`[DEBUG] ${label} (${excludedItems[key].length}):`);
+      for (const item of excludedItems[key]) {
+        core.info(`[DEBUG]   - ${item}`);
+      }
+    }
+    if (excludedItems.redirects.length > 0) {
+      core.info(
+        `[DEBUG] Excluded as redirect sources (${excludedItems.redirects.length}):`,
+      );
+      for (const item of excludedItems.redirects) {
+        core.info(`[DEBUG]   - ${item}`);
+      }
+    }
+    if (excludedItems.urlRules.length > 0) {
+      core.info(
+        `[DEBUG] Excluded by url_rules (${excludedItems.urlRules.length}):`,
+      );
+      for (const item of excludedItems.urlRules) {
+        core.info(`[DEBUG]   - ${item}`);
+      }
+    }
     if (excludedCount > 0) {
-      const excludedUrls = uniqueItems.filter(
-        (item) => !filteredItems.some((fi) => fi.url === item.url),
+      const excludedUrls = ruledItems.filter(
+        (item) =>
+          !filteredItems.some((fi) => fi.url === item.url) &&
+          !excludedItems.robotsTxt.includes(item.url),
       );
       core.info(`[DEBUG] Excluded by URL patterns (${excludedCount}):`);
       for (const item of excludedUrls) {
         core.info(`[DEBUG]   - ${item.url}`);
       }
     }
-    if (excludedItems.byExtension.length === 0 && excludedCount === 0) {
+    if (
+      excludedItems.byExtension.length === 0 &&
+      excludedItems.noindex.length === 0 &&
+      excludedItems.robotsTxt.length === 0 &&
+      excludedItems.urlRules.length === 0 &&
+      excludedItems.dynamicRoutes.length === 0 &&
+      excludedItems.crawl.length === 0 &&
+      excludedItems.redirects.length === 0 &&
+      excludedItems.refreshRedirects.length === 0 &&
+      excludedItems.errorPages.length === 0 &&
+      excludedItems.spaShells.length === 0 &&
+      excludedCount === 0
+    ) {
       core.info('[DEBUG] No items excluded');
     }
   }
 
+  // Group language variants and attach reciprocal hreflang alternates
+  if (hreflang) {
+    const { clusters, conflicts } = applyHreflangClusters(filteredItems, {
+      locales: hreflangLocales || [],
+      defaultLocale: hreflangDefault,
+    });
+    core.info(`🌐 Grouped ${clusters} hreflang cluster(s)`);
+    if (conflicts.length) {
+      core.warning(
+        `⚠️  ${conflicts.length} page(s) left out of hreflang clusters due to duplicate languages:`,
+      );
+      for (const conflict of conflicts.slice(0, 10)) {
+        core.warning(`   - ${conflict}`);
+      }
+    }
+  }
+
   // Sort for stability
   filteredItems.sort((a, b) => a.url.localeCompare(b.url));
 
@@ -0,0 +1,199 @@
+/**
+ * Blackout Secure Sitemap Generator
+ * Copyright © 2025-2026 Blackout Secure
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Per-path URL rules (changefreq, priority, lastmod, exclude)
+ */
+
+const { VALID_CHANGEFREQ } = require('./sitemap-validator');
+const { parseLastmodStrategy } = require('./lastmod');
+const { servedPaths } = require('./host-rules');
+
+const RULE_KEYS = [
+  'match',
+  'regex',
+  'changefreq',
+  'priority',
+  'lastmod',
+  'exclude',
+];
+
+/**
+ * Convert a URL path glob to a regex
+ * * matches within one segment, ** across segments (a trailing /** also
+ * matches the directory itself), ? one character and {a,b} alternatives.
+ * @param {string} pattern - Path glob (e.g., '/blog/**')
+ * @returns {RegExp}
+ */
+function globToRegex(pattern) {
+  const glob = pattern.startsWith('/') ? pattern : `/${pattern}`;
+  let source = '';
+  let inGroup = false;
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*' && glob[i + 1] === '*') {
+      const slashBefore = source.endsWith('/');
+      const slashAfter = glob[i + 2] === '/';
+      if (slashBefore && (slashAfter || i + 2 === glob.length)) {
+        // '/**/' and a trailing '/**' also match zero segments
+        source = source.slice(0, -1) + (slashAfter ? '(?:/.*)?/' : '(?:/.*)?');
+        i += slashAfter ? 2 : 1;
+      } else {
+        source += '.*';
+        i++;
+      }
+    } else if (c === '*') {
+      source += '[^/]*';
+    } else if (c === '?') {
+      source += '[^/]';
+    } else if (c === '{' && !inGroup) {
+      source += '(?:';
+      inGroup = true;
+    } else if (c === '}' && inGroup) {
+      source += ')';
+      inGroup = false;
+    } else if (c === ',' && inGroup) {
+      source += '|';
+    } else {
+      source += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Validate and compile one rule
+ * @private
+ */
+function compileRule(rule, index) {
+  const label = `#${index + 1}`;
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    return { error: `${label}: expected an object` };
+  }
+  const unknown = Object.keys(rule).filter((k) => !RULE_KEYS.includes(k));
+  if (unknown.length) {
+    return { error: `${label}: unknown key(s) ${unknown.join(', ')}` };
+  }
+  if (!rule.match === !rule.regex) {
+    return { error: `${label}: set exactly one of "match" or "regex"` };
+  }
+  const compiled = {
+    label: `${label} ${rule.match || `/${rule.regex}/`}`,
+  };
+  try {
+    compiled.regex = rule.match
+      ? globToRegex(String(rule.match))
+      : new RegExp(String(rule.regex));
+  } catch (err) {
+    return { error: `${label}: invalid regex (${err.message})` };
+  }
+  if (rule.changefreq !== undefined) {
+    if (!VALID_CHANGEFREQ.includes(rule.changefreq)) {
+      return {
+        error: `${label}: invalid changefreq "${rule.changefreq}" (valid: ${VALID_CHANGEFREQ.join(', ')})`,
+      };
+    }
+    compiled.changefreq = rule.changefreq;
+  }
+  if (rule.priority !== undefined) {
+    const priority = Number(rule.priority);
+    if (
+      rule.priority === '' ||
+      isNaN(priority) ||
+      priority < 0 ||
+      priority > 1
+    ) {
+      return {
+        error: `${label}: invalid priority "${rule.priority}" (must be between 0.0 and 1.0)`,
+      };
+    }
+    compiled.priority = priority;
+  }
+  if (rule.lastmod !== undefined) {
+    const { chain, errors } = parseLastmodStrategy(rule.lastmod);
+    if (errors.length || !chain.length) {
+      return {
+        error: `${label}: invalid lastmod "${rule.lastmod}"${errors.length ? ` (${errors.join(', ')})` : ''}`,
+      };
+    }
+    compiled.lastmod = chain;
+  }
+  if (rule.exclude !== undefined) {
+    if (typeof rule.exclude !== 'boolean') {
+      return { error: `${label}: exclude must be true or false` };
+    }
+    compiled.exclude = rule.exclude;
+  }
+  return { rule: compiled };
+}
+
+/**
+ * Parse url_rules JSON
+ * Accepts an array of rules or an object with a "rules" array. Each rule has
+ * a path glob ("match") or regex ("regex") plus any of changefreq, priority,
+ * lastmod (a strategy or fallback chain) and exclude.
+ * @param {string|Array|Object} input - JSON text or parsed value
+ * @returns {{rules: Array, errors: string[]}} - Compiled rules in order and validation errors
+ */
+function parseUrlRules(input) {
+  let value = input;
+  if (typeof input === 'string') {
+    if (!input.trim()) return { rules: [], errors: [] };
+    try {
+      value = JSON.parse(input);
+    } catch (err) {
+      return { rules: [], errors: [`invalid JSON (${err.message})`] };
+    }
+  }
+  const list = Array.isArray(value) ? value : value?.rules;
+  if (!Array.isArray(list)) {
+    return {
+      rules: [],
+      errors: ['expected an array of rules or an object with "rules"'],
+    };
+  }
+  const rules = [];
+  const errors = [];
+  list.forEach((entry, index) => {
+    const { rule, error } = compileRule(entry, index);
+    if (error) errors.push(error);
+    else rules.push(rule);
+  });
+  return { rules, errors };
+}
+
+/**
+ * First rule matching a URL's path
+ * Clean URL variants are tried too, so "/" matches /index.html and "/about"
+ * matches /about.html whatever url_style is in use. Paths are relative to
+ * the site_url base path: on https://u.github.io/repo/, "/blog/**" matches
+ * /repo/blog/post.html. URLs outside the base path keep their full path.
+ * @param {Array} rules - Rules from parseUrlRules()
+ * @param {string} url - Absolute URL
+ * @param {string} [siteUrl] - Site base URL
+ * @returns {Object|null} - Matching rule
+ */
+function matchUrlRule(rules, url, siteUrl) {
+  if (!rules.length) return null;
+  let pathname;
+  let basePath = '/';
+  try {
+    pathname = new URL(url).pathname;
+    if (siteUrl) basePath = new URL(siteUrl).pathname.replace(/\/?$/, '/');
+  } catch {
+    return null;
+  }
+  if (pathname === basePath.slice(0, -1)) pathname = '/';
+  else if (pathname.startsWith(basePath)) {
+    pathname = pathname.slice(basePath.length - 1);
+  }
+  const paths = servedPaths(pathname);
+  return rules.find((rule) => paths.some((p) => rule.regex.test(p))) || null;
+}
+
+module.exports = {
+  globToRegex,
+  parseUrlRules,
+  matchUrlRule,
+};
@@ -9,7 +9,9 @@
 const fs = require('fs');
 const path = require('path');
 const glob = require('glob');
-const { execSync } = require('child_process');
+
+// Supported url_style values
+const URL_STYLES = ['file', 'directory', 'extensionless'];
 
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 // URL Utilities
@@ -23,7 +25,45 @@ const { execSync } = require('child_process');
  */
 function normalizeUrl(base, rel) {
   if (!base.endsWith('/')) base += '/';
-  return new URL(rel.replace(/^\./, ''), base).toString();
+  // Paths are relative to the base, so a base path (/repo/) is kept
+  return new URL(rel.replace(/^\.?\/+/, ''), base).toString();
+}
+
+/**
+ * Rewrite a page URL according to a url_style policy
+ * - file: literal file paths (/blog/index.html, /about.html)
+ * - directory: always a trailing slash (/blog/, /about/)
+ * - extensionless: never a trailing slash except the root (/blog, /about)
+ * Only .html/.htm pages and extensionless paths are rewritten; other
+ * resources (e.g. /files/report.pdf) keep their path.
+ * @param {string} url - Absolute URL
+ * @param {string} style - One of URL_STYLES (unknown values leave the URL unchanged)
+ * @returns {string} - Styled URL
+ */
+function applyUrlStyle(url, style) {
+  if (!style || style === 'file') return url;
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return url;
+  }
+  let pathname = parsed.pathname.replace(/\/index\.html?$/i, '/');
+  const lastSegment = pathname.slice(pathname.lastIndexOf('/') + 1);
+  if (/\.html?$/i.test(lastSegment)) {
+    pathname = pathname.replace(/\.html?$/i, '');
+  } else if (lastSegment.includes('.')) {
+    return url;
+  }
+  if (style === 'directory') {
+    if (!pathname.endsWith('/')) pathname += '/';
+  } else if (style === 'extensionless') {
+    if (pathname.length > 1) pathname = pathname.replace(/\/+$/, '');
+  } else {
+    return url;
+  }
+  parsed.pathname = pathname;
+  return parsed.toString();
 }
 
 /**
@@ -31,9 +71,10 @@ function normalizeUrl(base, rel) {
  * @param {string} baseUrl - Base URL
  * @param {string} publicDir - Public directory path
  * @param {string} fsPath - File system path
+ * @param {string} [urlStyle] - url_style policy (defaults to 'file')
  * @returns {string} - URL
  */
-function normalizePathToUrl(baseUrl, publicDir, fsPath) {
+function normalizePathToUrl(baseUrl, publicDir, fsPath, urlStyle = 'file') {
   // Support Windows-style inputs regardless of host OS by selecting the
   // appropriate path implementation based on the input format.
   const isWindowsLike =
@@ -45,7 +86,57 @@ function normalizePathToUrl(baseUrl, publicDir, fsPath) {
     ? path.win32.relative(publicDir, fsPath)
     : path.relative(publicDir, fsPath);
   const rel = '/' + relRaw.replace(/\\/g, '/');
-  return normalizeUrl(baseUrl, rel);
+  return applyUrlStyle(normalizeUrl(baseUrl, rel), urlStyle);
+}
+
+/**
+ * Resolve an anchor href to a file path under the public directory
+ * The href is resolved against the linking page (or its <base href>); query
+ * strings and fragments are dropped and percent-encoding is decoded before
+ * the filesystem lookup. publicDir is served at the site_url base path
+ * (/repo/ on a project site). Links to other origins, non-HTTP schemes and
+ * paths outside the base path or publicDir resolve to null.
+ * @param {string} href - Raw href attribute value
+ * @param {string} pageUrl - Absolute URL of the linking page
+ * @param {string} publicDir - Public directory path
+ * @param {string} [baseHref] - <base href> value from the linking page
+ * @param {string} [siteUrl] - Site base URL (defaults to the page's origin)
+ * @returns {string|null} - Absolute file system path or null
+ */
+function resolveInternalLink(href, pageUrl, publicDir, baseHref, siteUrl) {
+  const ref = String(href || '').trim();
+  if (!ref || ref.startsWith('#')) return null;
+  let target;
+  try {
+    const documentBase = baseHref ? new URL(baseHref, pageUrl) : pageUrl;
+    target = new URL(ref, documentBase);
+  } catch {
+    return null;
+  }
+  // mailto:, tel:, javascript:, data: and links to other hosts
+  if (!/^https?:$/.test(target.protocol)) return null;
+  if (target.origin !== new URL(pageUrl).origin) return null;
+
+  const basePath = siteUrl
+    ? new URL(siteUrl).pathname.replace(/\/?$/, '/')
+    : '/';
+  const pathname =
+    `${target.pathname}/` === basePath ? basePath : target.pathname;
+  if (!pathname.startsWith(basePath)) return null;
+
+  let relPath;
+  try {
+    relPath = decodeURIComponent(pathname.slice(basePath.length - 1));
+  } catch {
+    return null;
+  }
+  const root = path.resolve(publicDir);
+  const fsPath = path.join(root, relPath);
+  const rel = path.relative(root, fsPath);
+  if (rel === '..' || rel.startsWith(`..${path.sep}`) || path.isAbsolute(rel)) {
+    return null;
+  }
+  return fsPath;
 }
 
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -124,39 +215,15 @@ function inferSiteUrl(publicDir) {
   return null;
 }
 
-// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-// Git Utilities
-// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-
-/**
- * Get last commit date for a file in ISO format
- * @param {string} filePath - Path to file
- * @returns {string|null} - ISO date string or null
- */
-function getGitLastCommitISO(filePath) {
-  try {
-    const out = execSync(
-      `git log -1 --pretty=format:%cI -- ${JSON.stringify(filePath)}`,
-      {
-        stdio: ['ignore', 'pipe', 'ignore'],
-        cwd: process.cwd(),
-        encoding: 'utf8',
-      },
-    ).trim();
-    return out || null;
-  } catch {
-    return null;
-  }
-}
-
 module.exports = {
   // URL utilities
+  URL_STYLES,
   normalizeUrl,
+  applyUrlStyle,
   normalizePathToUrl,
+  resolveInternalLink,
   // File system utilities
   formatFileSize,
   findPublicDir,
   inferSiteUrl,
-  // Git utilities
-  getGitLastCommitISO,
 };
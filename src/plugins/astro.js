@@ -0,0 +1,48 @@
+/**
+ * Blackout Secure Sitemap Generator
+ * Copyright © 2025-2026 Blackout Secure
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Astro integration: generates sitemaps on astro:build:done
+ */
+
+const { fileURLToPath } = require('url');
+const { runBuildPlugin } = require('../lib/build-plugin');
+
+const INTEGRATION_NAME = 'bos-sitemap-generator';
+
+/**
+ * Create the Astro integration
+ * The output directory is the one Astro built into; the site URL defaults
+ * to `site` joined with `base`.
+ * @param {Object} [options] - generateSitemaps() options
+ * @returns {Object} - Astro integration
+ */
+function sitemapAstroIntegration(options = {}) {
+  let siteUrl;
+  return {
+    name: INTEGRATION_NAME,
+    hooks: {
+      'astro:config:done': ({ config }) => {
+        if (config.site) {
+          siteUrl = new URL(config.base || '/', config.site).href;
+        }
+      },
+      'astro:build:done': async ({ dir, logger = console }) => {
+        await runBuildPlugin(INTEGRATION_NAME, options, {
+          publicDir: fileURLToPath(dir),
+          siteUrl,
+          logger: {
+            info: (message) => logger.info(message),
+            warning: (message) => logger.warn(message),
+            error: (message) => logger.error(message),
+          },
+        });
+      },
+    },
+  };
+}
+
+module.exports = {
+  sitemapAstroIntegration,
+};
@@ -0,0 +1,41 @@
+/**
+ * Blackout Secure Sitemap Generator
+ * Copyright © 2025-2026 Blackout Secure
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Eleventy plugin: generates sitemaps on eleventy.after
+ */
+
+const { runBuildPlugin } = require('../lib/build-plugin');
+
+const PLUGIN_NAME = 'bos-sitemap-generator';
+
+/**
+ * Register the Eleventy plugin (eleventyConfig.addPlugin(sitemapEleventyPlugin, options))
+ * The output directory is Eleventy's output dir. Eleventy has no site URL
+ * setting, so pass siteUrl unless a CNAME file provides it. Serve and watch
+ * rebuilds are skipped.
+ * @param {Object} eleventyConfig - Eleventy configuration API
+ * @param {Object} [options] - generateSitemaps() options
+ */
+function sitemapEleventyPlugin(eleventyConfig, options = {}) {
+  eleventyConfig.on(
+    'eleventy.after',
+    async ({ dir, directories, runMode } = {}) => {
+      if (runMode === 'serve' || runMode === 'watch') return;
+      await runBuildPlugin(PLUGIN_NAME, options, {
+        // Eleventy 3 reports directories; 2.x reports dir
+        publicDir: directories?.output || dir?.output || '_site',
+        logger: {
+          info: (message) => console.log(`[${PLUGIN_NAME}] ${message}`),
+          warning: (message) => console.warn(`[${PLUGIN_NAME}] ${message}`),
+          error: (message) => console.error(`[${PLUGIN_NAME}] ${message}`),
+        },
+      });
+    },
+  );
+}
+
+module.exports = {
+  sitemapEleventyPlugin,
+};
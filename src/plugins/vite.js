@@ -0,0 +1,47 @@
+/**
+ * Blackout Secure Sitemap Generator
+ * Copyright © 2025-2026 Blackout Secure
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Vite plugin: generates sitemaps when the client build closes
+ */
+
+const path = require('path');
+const { runBuildPlugin } = require('../lib/build-plugin');
+
+const PLUGIN_NAME = 'bos-sitemap-generator';
+
+/**
+ * Create the Vite plugin
+ * The output directory is build.outDir; the site URL defaults to `base`
+ * when it is an absolute URL. SSR builds are skipped.
+ * @param {Object} [options] - generateSitemaps() options
+ * @returns {Object} - Vite plugin
+ */
+function sitemapVitePlugin(options = {}) {
+  let config;
+  return {
+    name: PLUGIN_NAME,
+    apply: 'build',
+    configResolved(resolvedConfig) {
+      config = resolvedConfig;
+    },
+    async closeBundle() {
+      if (config.build.ssr) return;
+      const { logger } = config;
+      await runBuildPlugin(PLUGIN_NAME, options, {
+        publicDir: path.resolve(config.root, config.build.outDir),
+        siteUrl: /^https?:\/\//i.test(config.base) ? config.base : undefined,
+        logger: {
+          info: (message) => logger.info(message),
+          warning: (message) => logger.warn(message),
+          error: (message) => logger.error(message),
+        },
+      });
+    },
+  };
+}
+
+module.exports = {
+  sitemapVitePlugin,
+};
@@ -0,0 +1,134 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { TEST_CONFIG } = require('./test-config');
+const { SITEMAP_GENERATION } = TEST_CONFIG;
+const {
+  executeActionWithOverrides,
+  setActionInput,
+} = require('./test-helpers');
+
+/**
+ * Run src/index.js directly so core can be mocked
+ */
+function runSource(publicDir, overrides = {}) {
+  Object.entries(overrides).forEach(([k, v]) => setActionInput(k, v));
+  setActionInput('public_dir', publicDir);
+  setActionInput('sitemap_output_dir', publicDir);
+  const srcPath = path.resolve(__dirname, '..', 'src', 'index.js');
+  delete require.cache[require.resolve(srcPath)];
+  require(srcPath);
+}
+
+describe('Action additional_urls_file', () => {
+  let dir;
+  let listDir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sitemap-extra-'));
+    listDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sitemap-extra-list-'));
+    fs.writeFileSync(path.join(dir, 'index.html'), '<html></html>');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.rmSync(listDir, { recursive: true, force: true });
+    Object.keys(process.env).forEach((k) => {
+      if (k.startsWith('INPUT_')) delete process.env[k];
+    });
+  });
+
+  it('merges JSON entries with their metadata', async () => {
+    const file = path.join(listDir, 'urls.json');
+    fs.writeFileSync(
+      file,
+      JSON.stringify([
+        'https://example.com/app',
+        {
+          url: 'https://example.com/docs/api',
+          lastmod: '2026-01-15T10:00:00Z',
+          changefreq: 'weekly',
+          priority: 0.8,
+          images: ['https://example.com/img/api.png'],
+        },
+      ]),
+    );
+    await executeActionWithOverrides(dir, {
+      site_url: 'https://example.com',
+      lastmod_strategy: 'none',
+      additional_urls: 'https://example.com/inline',
+      additional_urls_file: file,
+    });
+    const xml = fs.readFileSync(path.join(dir, SITEMAP_GENERATION.XML), 'utf8');
+    const locs = [...xml.matchAll(/<loc>([^<]+)<\/loc>/g)].map((m) => m[1]);
+    assert.deepStrictEqual(locs.sort(), [
+      'https://example.com/app',
+      'https://example.com/docs/api',
+      'https://example.com/index.html',
+      'https://example.com/inline',
+    ]);
+    const entry = xml.slice(xml.indexOf('https://example.com/docs/api'));
+    assert.ok(entry.includes('<lastmod>2026-01-15T10:00:00.000Z</lastmod>'));
+    assert.ok(entry.includes('<changefreq>weekly</changefreq>'));
+    assert.ok(entry.includes('<priority>0.8</priority>'));
+    assert.ok(
+      entry.includes('<image:loc>https://example.com/img/api.png</image:loc>'),
+    );
+  });
+
+  it('reports invalid lines and fails with strict_validation', async () => {
+    const file = path.join(listDir, 'urls.txt');
+    fs.writeFileSync(file, 'https://example.com/ok\nnot-a-url\n');
+    const core = require('@actions/core');
+    const failures = [];
+    const warnings = [];
+    const origFailed = core.setFailed;
+    const origWarning = core.warning;
+    core.setFailed = (m) => failures.push(m);
+    core.warning = (m) => warnings.push(m);
+    try {
+      runSource(dir, {
+        site_url: 'https://example.com',
+        strict_validation: 'true',
+        additional_urls_file: file,
+      });
+      await new Promise((r) => setTimeout(r, 100));
+    } finally {
+      core.setFailed = origFailed;
+      core.warning = origWarning;
+    }
+    assert.ok(
+      warnings.some((m) => m.includes('urls.txt line 2: invalid url')),
+      warnings.join('\n'),
+    );
+    assert.ok(
+      failures.includes('additional_urls_file has 1 invalid entry'),
+      failures.join('\n'),
+    );
+  });
+
+  it('fails with the read error when the file cannot be read', async () => {
+    const core = require('@actions/core');
+    const failures = [];
+    const origFailed = core.setFailed;
+    core.setFailed = (m) => failures.push(m);
+    try {
+      // A directory in place of the list makes the read fail with EISDIR
+      runSource(dir, {
+        site_url: 'https://example.com',
+        additional_urls_file: listDir,
+      });
+      await new Promise((r) => setTimeout(r, 100));
+    } finally {
+      core.setFailed = origFailed;
+    }
+    assert.strictEqual(failures.length, 1, failures.join('\n'));
+    assert.ok(
+      failures[0].startsWith(
+        `additional_urls_file cannot be read: ${listDir} (EISDIR`,
+      ),
+      failures[0],
+    );
+  });
+});
@@ -0,0 +1,125 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+  executeActionWithOverrides,
+  setActionInput,
+} = require('./test-helpers');
+
+/**
+ * Run src/index.js directly so core can be mocked
+ */
+function runSource(publicDir, overrides = {}) {
+  Object.entries(overrides).forEach(([k, v]) => setActionInput(k, v));
+  setActionInput('public_dir', publicDir);
+  setActionInput('sitemap_output_dir', publicDir);
+  const srcPath = path.resolve(__dirname, '..', 'src', 'index.js');
+  delete require.cache[require.resolve(srcPath)];
+  require(srcPath);
+}
+
+describe('Action broken_link_report', () => {
+  let dir;
+  let reportDir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sitemap-links-'));
+    reportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sitemap-links-report-'));
+    fs.mkdirSync(path.join(dir, 'docs'));
+    fs.writeFileSync(
+      path.join(dir, 'index.html'),
+      [
+        '<html><body>',
+        '<a href="/about">About</a>',
+        '<a href="docs/">Docs</a>',
+        '<a href="/missing.html#top">Missing</a>',
+        '<a href="/old">Moved</a>',
+        '<a href="https://other.example/nope">External</a>',
+        '</body></html>',
+      ].join('\n'),
+    );
+    fs.writeFileSync(path.join(dir, 'about.html'), '<a href="/gone/">Gone</a>');
+    fs.writeFileSync(path.join(dir, 'docs', 'index.html'), '<p>Docs</p>');
+    fs.writeFileSync(path.join(dir, '_redirects'), '/old /about 301\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.rmSync(reportDir, { recursive: true, force: true });
+    Object.keys(process.env).forEach((k) => {
+      if (k.startsWith('INPUT_')) delete process.env[k];
+    });
+  });
+
+  it('writes missing link targets with their page and line', async () => {
+    const reportFile = path.join(reportDir, 'broken-links.json');
+    await executeActionWithOverrides(dir, {
+      site_url: 'https://example.com',
+      lastmod_strategy: 'none',
+      broken_link_report_file: reportFile,
+    });
+    const report = JSON.parse(fs.readFileSync(reportFile, 'utf8'));
+    assert.strictEqual(report.brokenLinks, 2);
+    assert.strictEqual(report.pages, 2);
+    assert.deepStrictEqual(
+      report.links.map(({ source, line, href }) => [source, line, href]),
+      [
+        ['about.html', 1, '/gone/'],
+        ['index.html', 4, '/missing.html#top'],
+      ],
+    );
+  });
+
+  it('resolves links below the base path of a project site', async () => {
+    const reportFile = path.join(reportDir, 'broken-links.md');
+    fs.writeFileSync(
+      path.join(dir, 'index.html'),
+      [
+        '<a href="/repo/about">About</a>',
+        '<a href="docs/">Docs</a>',
+        '<a href="/repo/missing.html">Missing</a>',
+      ].join('\n'),
+    );
+    fs.writeFileSync(path.join(dir, 'about.html'), '<a href="./">Home</a>');
+    fs.rmSync(path.join(dir, '_redirects'));
+    await executeActionWithOverrides(dir, {
+      site_url: 'https://u.github.io/repo/',
+      lastmod_strategy: 'none',
+      broken_link_report_file: reportFile,
+    });
+    const report = fs.readFileSync(reportFile, 'utf8');
+    assert.ok(
+      report.includes('1 broken internal link(s) on 1 page(s)'),
+      report,
+    );
+    assert.ok(
+      report.includes(
+        '| 3 | `/repo/missing.html` | https://u.github.io/repo/missing.html |',
+      ),
+      report,
+    );
+  });
+
+  it('fails the run in strict mode', async function () {
+    this.timeout(8000);
+    const core = require('@actions/core');
+    const failures = [];
+    const origFailed = core.setFailed;
+    core.setFailed = (m) => failures.push(m);
+    try {
+      runSource(dir, {
+        site_url: 'https://example.com',
+        lastmod_strategy: 'none',
+        broken_link_report: 'strict',
+      });
+      await new Promise((r) => setTimeout(r, 1500));
+    } finally {
+      core.setFailed = origFailed;
+    }
+    assert.deepStrictEqual(
+      failures.filter((m) => m.includes('Broken link report')),
+      ['⚠️  Broken link report: 2 broken internal link(s) on 2 page(s)'],
+    );
+  });
+});
@@ -0,0 +1,91 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { setActionInput } = require('./test-helpers');
+
+/**
+ * Run src/index.js directly so core can be mocked
+ */
+function runSource(publicDir, overrides = {}) {
+  Object.entries(overrides).forEach(([k, v]) => setActionInput(k, v));
+  setActionInput('public_dir', publicDir);
+  setActionInput('sitemap_output_dir', publicDir);
+  const srcPath = path.resolve(__dirname, '..', 'src', 'index.js');
+  delete require.cache[require.resolve(srcPath)];
+  require(srcPath);
+}
+
+describe('Action canonical_report', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sitemap-canonical-'));
+    const page = (canonical) =>
+      `<html><head><link rel="canonical" href="${canonical}"></head><body>Page</body></html>`;
+    fs.writeFileSync(
+      path.join(dir, 'index.html'),
+      page('https://example.com/index.html'),
+    );
+    fs.writeFileSync(
+      path.join(dir, 'a.html'),
+      page('https://example.com/shared.html'),
+    );
+    fs.writeFileSync(
+      path.join(dir, 'b.html'),
+      page('https://example.com/shared.html'),
+    );
+    fs.writeFileSync(path.join(dir, 'c.html'), page('https://other.example/c'));
+    fs.writeFileSync(path.join(dir, 'd.html'), page('/index.html'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    Object.keys(process.env).forEach((k) => {
+      if (k.startsWith('INPUT_')) delete process.env[k];
+    });
+  });
+
+  async function run(overrides) {
+    const core = require('@actions/core');
+    const failures = [];
+    const warnings = [];
+    const origFailed = core.setFailed;
+    const origWarning = core.warning;
+    core.setFailed = (m) => failures.push(m);
+    core.warning = (m) => warnings.push(m);
+    try {
+      runSource(dir, {
+        site_url: 'https://example.com',
+        lastmod_strategy: 'none',
+        ...overrides,
+      });
+      await new Promise((r) => setTimeout(r, 1500));
+    } finally {
+      core.setFailed = origFailed;
+      core.warning = origWarning;
+    }
+    const canonical = (list) =>
+      list.filter((m) => m.includes('Canonical report'));
+    return { failures: canonical(failures), warnings: canonical(warnings) };
+  }
+
+  it('warns about shared, off-site, missing and relative canonicals', async function () {
+    this.timeout(8000);
+    const { failures, warnings } = await run({});
+    assert.deepStrictEqual(failures, []);
+    assert.deepStrictEqual(warnings.sort(), [
+      '⚠️  Canonical report: 1 canonical URL(s) claimed by more than one page',
+      '⚠️  Canonical report: 1 page(s) with a canonical URL on another host',
+      '⚠️  Canonical report: 1 page(s) with a relative canonical URL',
+      '⚠️  Canonical report: 2 page(s) with a canonical URL that is not a page of this build',
+    ]);
+  });
+
+  it('fails the run in strict mode', async function () {
+    this.timeout(8000);
+    const { failures, warnings } = await run({ canonical_report: 'strict' });
+    assert.strictEqual(failures.length, 4);
+    assert.deepStrictEqual(warnings, []);
+  });
+});
@@ -0,0 +1,71 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { TEST_CONFIG } = require('./test-config');
+const { SITEMAP_GENERATION } = TEST_CONFIG;
+const { executeActionWithOverrides } = require('./test-helpers');
+
+describe('Action config_file', () => {
+  let dir;
+  let configDir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sitemap-config-'));
+    configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sitemap-config-file-'));
+    fs.mkdirSync(path.join(dir, 'about'));
+    fs.writeFileSync(path.join(dir, 'about', 'index.html'), '<html></html>');
+    fs.writeFileSync(path.join(dir, 'draft.html'), '<html></html>');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.rmSync(configDir, { recursive: true, force: true });
+    Object.keys(process.env).forEach((k) => {
+      if (k.startsWith('INPUT_')) delete process.env[k];
+    });
+  });
+
+  async function generate(configFile, overrides = {}) {
+    await executeActionWithOverrides(dir, {
+      site_url: TEST_CONFIG.SITE_URL,
+      config_file: configFile,
+      generate_sitemap_txt: 'false',
+      ...overrides,
+    });
+    return fs.readFileSync(path.join(dir, SITEMAP_GENERATION.XML), 'utf8');
+  }
+
+  it('applies YAML options and lets inputs override them', async function () {
+    this.timeout(8000);
+    const configFile = path.join(configDir, 'sitemap.config.yaml');
+    fs.writeFileSync(
+      configFile,
+      [
+        'url_style: directory',
+        'changefreq: weekly',
+        'exclude_urls:',
+        "  - '*/draft/'",
+      ].join('\n'),
+    );
+    const xml = await generate(configFile, { changefreq: 'daily' });
+
+    assert.ok(xml.includes('<loc>https://example.com/about/</loc>'));
+    assert.ok(!xml.includes('draft'));
+    assert.ok(xml.includes('<changefreq>daily</changefreq>'));
+    assert.ok(!xml.includes('<changefreq>weekly</changefreq>'));
+  });
+
+  it('loads CommonJS config files', async function () {
+    this.timeout(8000);
+    const configFile = path.join(configDir, 'sitemap.config.js');
+    fs.writeFileSync(
+      configFile,
+      "module.exports = { url_style: 'extensionless', changefreq: 'monthly' };",
+    );
+    const xml = await generate(configFile);
+
+    assert.ok(xml.includes('<loc>https://example.com/about</loc>'));
+    assert.ok(xml.includes('<changefreq>monthly</changefreq>'));
+  });
+});
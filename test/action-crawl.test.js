@@ -0,0 +1,110 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { TEST_CONFIG } = require('./test-config');
+const { SITEMAP_GENERATION } = TEST_CONFIG;
+const {
+  executeActionWithOverrides,
+  setActionInput,
+} = require('./test-helpers');
+
+function write(file, content) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+}
+
+describe('Action discovery_mode crawl', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sitemap-crawl-'));
+    write(
+      path.join(dir, 'index.html'),
+      '<a href="/about">About</a> <a href="/docs">Docs</a> <a href="/old">Old</a> <a href="/print">Print</a>',
+    );
+    write(path.join(dir, 'about.html'), '<p>About</p>');
+    write(path.join(dir, 'docs/index.html'), '<p>Docs</p>');
+    write(
+      path.join(dir, 'print.html'),
+      '<link rel="canonical" href="https://example.com/about"><p>Print</p>',
+    );
+    write(path.join(dir, 'orphan.html'), '<p>Not linked</p>');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    Object.keys(process.env).forEach((k) => {
+      if (k.startsWith('INPUT_')) delete process.env[k];
+    });
+  });
+
+  it('includes only linked 200 pages that are their own canonical URL', async () => {
+    await executeActionWithOverrides(dir, {
+      site_url: 'https://example.com',
+      lastmod_strategy: 'none',
+      discovery_mode: 'crawl',
+    });
+    const xml = fs.readFileSync(path.join(dir, SITEMAP_GENERATION.XML), 'utf8');
+    const locs = [...xml.matchAll(/<loc>([^<]+)<\/loc>/g)].map((m) => m[1]);
+    assert.deepStrictEqual(locs.sort(), [
+      'https://example.com/',
+      'https://example.com/about',
+      'https://example.com/docs/',
+    ]);
+  });
+
+  it('crawls a site published below a site_url path', async () => {
+    write(
+      path.join(dir, 'index.html'),
+      '<a href="/repo/docs/">Docs</a> <a href="https://me.github.io/repo/about.html">About</a> <a href="/repo/missing">Missing</a>',
+    );
+    await executeActionWithOverrides(dir, {
+      site_url: 'https://me.github.io/repo/',
+      lastmod_strategy: 'none',
+      discovery_mode: 'crawl',
+    });
+    const xml = fs.readFileSync(path.join(dir, SITEMAP_GENERATION.XML), 'utf8');
+    const locs = [...xml.matchAll(/<loc>([^<]+)<\/loc>/g)].map((m) => m[1]);
+    assert.deepStrictEqual(locs.sort(), [
+      'https://me.github.io/repo/',
+      'https://me.github.io/repo/about.html',
+      'https://me.github.io/repo/docs/',
+    ]);
+  });
+
+  it('caps and reports images on crawled pages like file mode', async function () {
+    this.timeout(8000);
+    const imgs = Array.from(
+      { length: 1001 },
+      (_, i) => `<img src="/img/${i}.png">`,
+    ).join('');
+    write(path.join(dir, 'index.html'), `<p>Gallery</p>${imgs}`);
+    const core = require('@actions/core');
+    const warnings = [];
+    const origWarning = core.warning;
+    core.warning = (m) => warnings.push(m);
+    try {
+      setActionInput('public_dir', dir);
+      setActionInput('sitemap_output_dir', dir);
+      setActionInput('site_url', 'https://example.com');
+      setActionInput('lastmod_strategy', 'none');
+      setActionInput('discovery_mode', 'crawl');
+      setActionInput('sitemap_images', 'true');
+      // Run src/index.js directly so core can be mocked
+      const srcPath = path.resolve(__dirname, '..', 'src', 'index.js');
+      delete require.cache[require.resolve(srcPath)];
+      require(srcPath);
+      await new Promise((r) => setTimeout(r, 2000));
+    } finally {
+      core.warning = origWarning;
+    }
+    assert.ok(
+      warnings.includes(
+        '⚠️  https://example.com/ references 1001 images; only the first 1000 are included.',
+      ),
+    );
+    const xml = fs.readFileSync(path.join(dir, SITEMAP_GENERATION.XML), 'utf8');
+    assert.strictEqual(xml.match(/<image:image>/g).length, 1000);
+  });
+});
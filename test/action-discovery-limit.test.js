@@ -64,4 +64,22 @@ describe('Link Discovery Limit Enforcement', () => {
       `Expected at most 5 discovered links, got ${discovered.length}`,
     );
   });
+
+  it('discovers no links when parse_canonical is off', async () => {
+    const dir = createDiscoverSite(3);
+    await executeActionWithOverrides(
+      dir,
+      {
+        site_url: TEST_CONFIG.SITE_URL,
+        parse_canonical: 'false',
+        discover_links: 'true',
+        generate_sitemap_txt: 'false',
+        include_patterns: 'index.html',
+      },
+      300,
+    );
+    const xml = fs.readFileSync(path.join(dir, SITEMAP_GENERATION.XML), 'utf8');
+    assert.ok(xml.includes('/index.html</loc>'));
+    assert.ok(!/linked-\d+\.html/.test(xml));
+  });
 });
@@ -0,0 +1,94 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { TEST_CONFIG } = require('./test-config');
+const { SITEMAP_GENERATION } = TEST_CONFIG;
+const { executeActionWithOverrides } = require('./test-helpers');
+
+describe('Action host redirects', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sitemap-redirects-'));
+    for (const file of [
+      'index.html',
+      'old-page.html',
+      'blog/first.html',
+      'about-us.html',
+    ]) {
+      fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+      fs.writeFileSync(path.join(dir, file), '<html></html>');
+    }
+    fs.writeFileSync(
+      path.join(dir, '_redirects'),
+      [
+        '/old-page /new-page 301!',
+        '/blog/* /posts/:splat 301!',
+        '/about /about-us.html 200',
+      ].join('\n'),
+    );
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    Object.keys(process.env).forEach((k) => {
+      if (k.startsWith('INPUT_')) delete process.env[k];
+    });
+  });
+
+  function readLocs() {
+    const xml = fs.readFileSync(path.join(dir, SITEMAP_GENERATION.XML), 'utf8');
+    return [...xml.matchAll(/<loc>([^<]+)<\/loc>/g)].map((m) => m[1]).sort();
+  }
+
+  it('drops redirect sources, adds targets and lists rewrites by public path', async () => {
+    await executeActionWithOverrides(dir, {
+      site_url: 'https://example.com',
+      lastmod_strategy: 'none',
+      url_style: 'extensionless',
+    });
+    assert.deepStrictEqual(readLocs(), [
+      'https://example.com/',
+      'https://example.com/about',
+      'https://example.com/new-page',
+      'https://example.com/posts/first',
+    ]);
+  });
+
+  it('keeps pages a file serves when the redirect is not forced', async () => {
+    fs.writeFileSync(
+      path.join(dir, '_redirects'),
+      ['/old-page /new-page 301', '/blog/* /posts/:splat 301'].join('\n'),
+    );
+    await executeActionWithOverrides(dir, {
+      site_url: 'https://example.com',
+      lastmod_strategy: 'none',
+      url_style: 'extensionless',
+    });
+    assert.deepStrictEqual(readLocs(), [
+      'https://example.com/',
+      'https://example.com/about-us',
+      'https://example.com/blog/first',
+      'https://example.com/old-page',
+    ]);
+  });
+
+  it('follows vercel.json cleanUrls when url_style is not set', async () => {
+    fs.writeFileSync(
+      path.join(dir, 'vercel.json'),
+      JSON.stringify({ cleanUrls: true, trailingSlash: true }),
+    );
+    await executeActionWithOverrides(dir, {
+      site_url: 'https://example.com',
+      lastmod_strategy: 'none',
+      respect_redirects: 'false',
+    });
+    assert.deepStrictEqual(readLocs(), [
+      'https://example.com/',
+      'https://example.com/about-us/',
+      'https://example.com/blog/first/',
+      'https://example.com/old-page/',
+    ]);
+  });
+});
@@ -0,0 +1,69 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { TEST_CONFIG } = require('./test-config');
+const { SITEMAP_GENERATION } = TEST_CONFIG;
+const { executeActionWithOverrides } = require('./test-helpers');
+const { validateXmlSitemap } = require('../src/lib/sitemap-validator');
+
+function createMultilingualSite() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sitemap-hreflang-'));
+  for (const lang of ['en', 'de', 'fr']) {
+    fs.mkdirSync(path.join(dir, lang));
+    fs.writeFileSync(
+      path.join(dir, lang, 'pricing.html'),
+      `<html lang="${lang}"><body>${lang}</body></html>`,
+      'utf8',
+    );
+  }
+  return dir;
+}
+
+describe('hreflang alternates', () => {
+  afterEach(() => {
+    Object.keys(process.env).forEach((k) => {
+      if (k.startsWith('INPUT_')) delete process.env[k];
+    });
+  });
+
+  it('emits reciprocal xhtml:link entries inferred from locale directories', async () => {
+    const dir = createMultilingualSite();
+    await executeActionWithOverrides(dir, {
+      site_url: TEST_CONFIG.SITE_URL,
+      hreflang: 'true',
+      hreflang_locales: 'en=/en/,de=/de/,fr=/fr/',
+      hreflang_default: 'en',
+      generate_sitemap_txt: 'false',
+    });
+    const xml = fs.readFileSync(path.join(dir, SITEMAP_GENERATION.XML), 'utf8');
+    assert.ok(xml.includes('xmlns:xhtml="http://www.w3.org/1999/xhtml"'));
+    // 3 pages x (3 languages + x-default)
+    assert.strictEqual((xml.match(/<xhtml:link /g) || []).length, 12);
+    assert.ok(
+      xml.includes(
+        '<xhtml:link rel="alternate" hreflang="x-default" href="https://example.com/en/pricing.html"/>',
+      ),
+    );
+    const errors = validateXmlSitemap(xml, { strict: true }).filter(
+      (r) => r.type === 'error',
+    );
+    assert.deepStrictEqual(errors, []);
+  });
+
+  it('validator flags one-way alternates', () => {
+    const xml =
+      '<?xml version="1.0" encoding="UTF-8"?>' +
+      '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" ' +
+      'xmlns:xhtml="http://www.w3.org/1999/xhtml">' +
+      '<url><loc>https://example.com/en</loc>' +
+      '<xhtml:link rel="alternate" hreflang="en" href="https://example.com/en"/>' +
+      '<xhtml:link rel="alternate" hreflang="de" href="https://example.com/de"/>' +
+      '</url><url><loc>https://example.com/de</loc></url></urlset>';
+    const messages = validateXmlSitemap(xml, { strict: true })
+      .filter((r) => r.type === 'error')
+      .map((r) => r.message)
+      .join('\n');
+    assert.ok(messages.includes('without a return link'));
+  });
+});
@@ -0,0 +1,90 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { TEST_CONFIG } = require('./test-config');
+const { SITEMAP_GENERATION } = TEST_CONFIG;
+const { executeActionWithOverrides } = require('./test-helpers');
+const { validateXmlSitemap } = require('../src/lib/sitemap-validator');
+
+function createGallerySite() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sitemap-images-'));
+  fs.mkdirSync(path.join(dir, 'products'));
+  fs.writeFileSync(
+    path.join(dir, 'products', 'gallery.html'),
+    '<html><head><meta property="og:image" content="/og.jpg"></head><body>' +
+      '<img src="shoe.jpg" srcset="shoe.jpg 1x, shoe@2x.jpg 2x">' +
+      '<picture><source srcset="/img/shoe.webp"><img src="shoe.jpg"></picture>' +
+      '</body></html>',
+    'utf8',
+  );
+  fs.writeFileSync(
+    path.join(dir, 'index.html'),
+    '<html><body>No images</body></html>',
+    'utf8',
+  );
+  return dir;
+}
+
+describe('Image sitemap extension', () => {
+  afterEach(() => {
+    Object.keys(process.env).forEach((k) => {
+      if (k.startsWith('INPUT_')) delete process.env[k];
+    });
+  });
+
+  it('emits <image:image> entries when sitemap_images is enabled', async () => {
+    const dir = createGallerySite();
+    await executeActionWithOverrides(dir, {
+      site_url: TEST_CONFIG.SITE_URL,
+      sitemap_images: 'true',
+      generate_sitemap_txt: 'false',
+    });
+    const xml = fs.readFileSync(path.join(dir, SITEMAP_GENERATION.XML), 'utf8');
+    assert.ok(
+      xml.includes(
+        'xmlns:image="http://www.google.com/schemas/sitemap-image/1.1"',
+      ),
+    );
+    for (const img of [
+      'https://example.com/products/shoe.jpg',
+      'https://example.com/products/shoe@2x.jpg',
+      'https://example.com/img/shoe.webp',
+      'https://example.com/og.jpg',
+    ]) {
+      assert.ok(
+        xml.includes(`<image:loc>${img}</image:loc>`),
+        `missing ${img}`,
+      );
+    }
+    // Duplicate sources are listed once
+    assert.strictEqual(xml.split('products/shoe.jpg</image:loc>').length, 2);
+  });
+
+  it('keeps the image namespace out of the default output', async () => {
+    const dir = createGallerySite();
+    await executeActionWithOverrides(dir, {
+      site_url: TEST_CONFIG.SITE_URL,
+      generate_sitemap_txt: 'false',
+    });
+    const xml = fs.readFileSync(path.join(dir, SITEMAP_GENERATION.XML), 'utf8');
+    assert.ok(!xml.includes('xmlns:image'));
+    assert.ok(!xml.includes('<image:image>'));
+  });
+
+  it('validator flags a missing image namespace and the per-URL limit', () => {
+    const images = Array.from(
+      { length: 1001 },
+      (_, i) =>
+        `<image:image><image:loc>https://example.com/${i}.jpg</image:loc></image:image>`,
+    ).join('');
+    const xml =
+      '<?xml version="1.0" encoding="UTF-8"?>' +
+      '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">' +
+      `<url><loc>https://example.com/</loc>${images}</url></urlset>`;
+    const results = validateXmlSitemap(xml, { strict: true });
+    const errors = results.filter((r) => r.type === 'error');
+    assert.ok(errors.some((r) => r.message.includes('xmlns:image')));
+    assert.ok(errors.some((r) => r.message.includes('1000 <image:image>')));
+  });
+});
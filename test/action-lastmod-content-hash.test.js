@@ -0,0 +1,100 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { TEST_CONFIG } = require('./test-config');
+const { SITEMAP_GENERATION } = TEST_CONFIG;
+const {
+  executeActionWithOverrides,
+  setActionInput,
+} = require('./test-helpers');
+
+function readLastmods(dir) {
+  const xml = fs.readFileSync(path.join(dir, SITEMAP_GENERATION.XML), 'utf8');
+  const lastmods = {};
+  for (const m of xml.matchAll(
+    /<loc>([^<]+)<\/loc>\s*<lastmod>([^<]+)<\/lastmod>/g,
+  )) {
+    lastmods[m[1]] = m[2];
+  }
+  return lastmods;
+}
+
+describe('Action content-hash lastmod strategy', () => {
+  afterEach(() => {
+    Object.keys(process.env).forEach((k) => {
+      if (k.startsWith('INPUT_')) delete process.env[k];
+    });
+  });
+
+  it('only bumps lastmod for pages whose content changed', async function () {
+    this.timeout(10000);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sitemap-hash-'));
+    const stateFile = path.join(dir, '..', `${path.basename(dir)}.json`);
+    const inputs = {
+      site_url: TEST_CONFIG.SITE_URL,
+      lastmod_strategy: 'content-hash',
+      lastmod_state_file: stateFile,
+      lastmod_hash_ignore: '.build-time',
+      generate_sitemap_txt: 'false',
+    };
+    fs.writeFileSync(
+      path.join(dir, 'index.html'),
+      '<p>Home</p><span class="build-time">run 1</span>',
+      'utf8',
+    );
+    fs.writeFileSync(path.join(dir, 'about.html'), '<p>About</p>', 'utf8');
+    await executeActionWithOverrides(dir, inputs);
+    const first = readLastmods(dir);
+    assert.ok(fs.existsSync(stateFile));
+
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    fs.writeFileSync(
+      path.join(dir, 'index.html'),
+      '<p>Home</p><span class="build-time">run 2</span>',
+      'utf8',
+    );
+    fs.writeFileSync(path.join(dir, 'about.html'), '<p>About us</p>', 'utf8');
+    await executeActionWithOverrides(dir, inputs);
+    const second = readLastmods(dir);
+
+    const home = 'https://example.com/index.html';
+    const about = 'https://example.com/about.html';
+    assert.strictEqual(second[home], first[home]);
+    assert.ok(second[about] > first[about]);
+    fs.rmSync(stateFile, { force: true });
+  });
+
+  it('warns and still writes the sitemap when the state file cannot be written', async function () {
+    this.timeout(10000);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sitemap-hash-'));
+    fs.writeFileSync(path.join(dir, 'index.html'), '<p>Home</p>', 'utf8');
+    // A directory in place of the state file makes the write fail
+    const stateFile = path.join(dir, 'state');
+    fs.mkdirSync(stateFile);
+    const core = require('@actions/core');
+    const warnings = [];
+    const origWarn = core.warning;
+    core.warning = (m) => warnings.push(m);
+    try {
+      setActionInput('public_dir', dir);
+      setActionInput('sitemap_output_dir', dir);
+      setActionInput('site_url', TEST_CONFIG.SITE_URL);
+      setActionInput('lastmod_strategy', 'content-hash');
+      setActionInput('lastmod_state_file', stateFile);
+      // Run src/index.js directly so core can be mocked
+      const srcPath = path.resolve(__dirname, '..', 'src', 'index.js');
+      delete require.cache[require.resolve(srcPath)];
+      require(srcPath);
+      await new Promise((resolve) => setTimeout(resolve, 1500));
+    } finally {
+      core.warning = origWarn;
+    }
+    assert.ok(
+      warnings.some((m) =>
+        m.startsWith(`⚠️  Could not write lastmod state file ${stateFile}:`),
+      ),
+    );
+    assert.ok(fs.existsSync(path.join(dir, SITEMAP_GENERATION.XML)));
+  });
+});
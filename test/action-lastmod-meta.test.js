@@ -0,0 +1,96 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { TEST_CONFIG } = require('./test-config');
+const { SITEMAP_GENERATION } = TEST_CONFIG;
+const { executeActionWithOverrides } = require('./test-helpers');
+
+function readLastmods(dir) {
+  const xml = fs.readFileSync(path.join(dir, SITEMAP_GENERATION.XML), 'utf8');
+  const lastmods = {};
+  for (const m of xml.matchAll(/<url>([\s\S]*?)<\/url>/g)) {
+    const loc = m[1].match(/<loc>([^<]+)<\/loc>/)[1];
+    lastmods[loc] = m[1].match(/<lastmod>([^<]+)<\/lastmod>/)?.[1];
+  }
+  return lastmods;
+}
+
+describe('Action meta lastmod strategy', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sitemap-meta-'));
+    fs.writeFileSync(
+      path.join(dir, 'article.html'),
+      '<html><head><meta property="article:modified_time" content="2024-05-06T10:00:00+02:00"></head><body></body></html>',
+      'utf8',
+    );
+    fs.writeFileSync(
+      path.join(dir, 'jsonld.html'),
+      '<html><head><script type="application/ld+json">{"@type":"WebPage","dateModified":"2024-04-01"}</script></head></html>',
+      'utf8',
+    );
+    fs.writeFileSync(
+      path.join(dir, 'plain.html'),
+      '<html><body>No dates</body></html>',
+      'utf8',
+    );
+    const old = new Date('2023-01-02T03:04:05Z');
+    fs.utimesSync(path.join(dir, 'plain.html'), old, old);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    Object.keys(process.env).forEach((k) => {
+      if (k.startsWith('INPUT_')) delete process.env[k];
+    });
+  });
+
+  it('uses declared dates and falls back along the chain', async function () {
+    this.timeout(8000);
+    await executeActionWithOverrides(dir, {
+      site_url: TEST_CONFIG.SITE_URL,
+      lastmod_strategy: 'meta,filemtime',
+      generate_sitemap_txt: 'false',
+    });
+    const lastmods = readLastmods(dir);
+
+    assert.strictEqual(
+      lastmods['https://example.com/article.html'],
+      '2024-05-06T08:00:00.000Z',
+    );
+    assert.strictEqual(
+      lastmods['https://example.com/jsonld.html'],
+      '2024-04-01T00:00:00.000Z',
+    );
+    assert.strictEqual(
+      lastmods['https://example.com/plain.html'],
+      '2023-01-02T03:04:05.000Z',
+    );
+  });
+
+  it('reads front matter from mapped source files', async function () {
+    this.timeout(8000);
+    const src = path.join(dir, 'src');
+    fs.mkdirSync(src);
+    fs.writeFileSync(
+      path.join(src, 'plain.md'),
+      '---\ntitle: Plain\nlastmod: 2024-07-08\n---\nBody\n',
+      'utf8',
+    );
+    await executeActionWithOverrides(dir, {
+      site_url: TEST_CONFIG.SITE_URL,
+      lastmod_strategy: 'meta,none',
+      lastmod_source_map: `{page}.html => ${src}/{page}.md`,
+      exclude_patterns: 'src/**',
+      generate_sitemap_txt: 'false',
+    });
+    const lastmods = readLastmods(dir);
+
+    assert.strictEqual(
+      lastmods['https://example.com/plain.html'],
+      '2024-07-08T00:00:00.000Z',
+    );
+  });
+});
@@ -0,0 +1,135 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { TEST_CONFIG } = require('./test-config');
+const { SITEMAP_GENERATION } = TEST_CONFIG;
+const { executeActionWithOverrides } = require('./test-helpers');
+const {
+  selectNewsArticles,
+  writeNewsSitemap,
+} = require('../src/lib/sitemap-writer');
+const { validateXmlSitemap } = require('../src/lib/sitemap-validator');
+
+function article(published, title) {
+  return (
+    '<html lang="en"><head>' +
+    `<meta property="article:published_time" content="${published}">` +
+    `<title>${title}</title></head><body>${title}</body></html>`
+  );
+}
+
+function createNewsSite() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sitemap-news-'));
+  fs.mkdirSync(path.join(dir, 'news'));
+  const recent = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+  fs.writeFileSync(
+    path.join(dir, 'news', 'today.html'),
+    article(recent, 'Fresh story'),
+    'utf8',
+  );
+  fs.writeFileSync(
+    path.join(dir, 'news', 'archive.html'),
+    article('2020-01-01T00:00:00Z', 'Old story'),
+    'utf8',
+  );
+  fs.writeFileSync(path.join(dir, 'index.html'), '<html></html>', 'utf8');
+  return dir;
+}
+
+describe('Google News sitemap', () => {
+  afterEach(() => {
+    Object.keys(process.env).forEach((k) => {
+      if (k.startsWith('INPUT_')) delete process.env[k];
+    });
+  });
+
+  it('writes recent articles to sitemap-news.xml and references it from the index', async () => {
+    const dir = createNewsSite();
+    await executeActionWithOverrides(dir, {
+      site_url: TEST_CONFIG.SITE_URL,
+      generate_news_sitemap: 'true',
+      news_publication_name: 'Example Times',
+      generate_sitemap_txt: 'false',
+    });
+    const newsXml = fs.readFileSync(path.join(dir, 'sitemap-news.xml'), 'utf8');
+    assert.ok(newsXml.includes('https://example.com/news/today.html'));
+    assert.ok(!newsXml.includes('archive.html'));
+    assert.ok(newsXml.includes('<news:name>Example Times</news:name>'));
+    assert.ok(newsXml.includes('<news:title>Fresh story</news:title>'));
+
+    const index = fs.readFileSync(
+      path.join(dir, SITEMAP_GENERATION.INDEX),
+      'utf8',
+    );
+    assert.ok(index.includes('<loc>https://example.com/sitemap.xml</loc>'));
+    assert.ok(
+      index.includes('<loc>https://example.com/sitemap-news.xml</loc>'),
+    );
+  });
+
+  it('caps the selection at 1,000 articles, newest first', () => {
+    const now = new Date('2025-06-01T12:00:00Z');
+    const urls = Array.from({ length: 1200 }, (_, i) => ({
+      url: `https://example.com/a${i}`,
+      news: {
+        publicationDate: new Date(now.getTime() - i * 60000).toISOString(),
+        title: `A${i}`,
+      },
+    }));
+    const selected = selectNewsArticles(urls, now);
+    assert.strictEqual(selected.length, 1000);
+    assert.strictEqual(selected[0].url, 'https://example.com/a0');
+  });
+
+  it('writes publication dates as W3C Datetime', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sitemap-news-'));
+    const outPath = path.join(dir, 'sitemap-news.xml');
+    const now = new Date('2026-10-19T12:00:00Z');
+    const articles = selectNewsArticles(
+      [
+        {
+          url: 'https://example.com/story',
+          news: {
+            publicationDate: 'Mon, 19 Oct 2026 10:00:00 GMT',
+            title: 'S',
+          },
+        },
+        {
+          url: 'https://example.com/undated',
+          news: { publicationDate: 'this morning', title: 'U' },
+        },
+      ],
+      now,
+    );
+    assert.deepStrictEqual(
+      articles.map((a) => a.url),
+      ['https://example.com/story'],
+    );
+    await writeNewsSitemap(articles, outPath, { name: 'Ex', language: 'en' });
+    const xml = fs.readFileSync(outPath, 'utf8');
+    assert.ok(
+      xml.includes(
+        '<news:publication_date>2026-10-19T10:00:00.000Z</news:publication_date>',
+      ),
+    );
+  });
+
+  it('validator rejects publication dates that are not W3C Datetime', () => {
+    const xml = (date) =>
+      '<?xml version="1.0" encoding="UTF-8"?>' +
+      '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" ' +
+      'xmlns:news="http://www.google.com/schemas/sitemap-news/0.9">' +
+      '<url><loc>https://example.com/story</loc><news:news><news:publication>' +
+      '<news:name>Ex</news:name><news:language>en</news:language></news:publication>' +
+      `<news:publication_date>${date}</news:publication_date>` +
+      '<news:title>S</news:title></news:news></url></urlset>';
+    const dateIssues = (date) =>
+      validateXmlSitemap(xml(date), { strict: true }).filter((m) =>
+        m.message.includes('<news:publication_date>'),
+      );
+    assert.strictEqual(dateIssues('Mon, 19 Oct 2026 10:00:00 GMT').length, 1);
+    assert.strictEqual(dateIssues('2026-10-19T10:00:00+02:00').length, 0);
+    assert.strictEqual(dateIssues('2026-10-19').length, 0);
+  });
+});
@@ -0,0 +1,79 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { TEST_CONFIG } = require('./test-config');
+const { SITEMAP_GENERATION } = TEST_CONFIG;
+const { executeActionWithOverrides } = require('./test-helpers');
+
+function createSiteWithNoindexPages() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sitemap-noindex-'));
+  fs.mkdirSync(path.join(dir, 'drafts'));
+  fs.writeFileSync(
+    path.join(dir, 'index.html'),
+    '<html><body><a href="thanks.html">Thanks</a></body></html>',
+    'utf8',
+  );
+  fs.writeFileSync(
+    path.join(dir, 'thanks.html'),
+    '<html><head><meta name="robots" content="noindex, follow"></head>' +
+      '<body><a href="kept.html">Kept</a></body></html>',
+    'utf8',
+  );
+  fs.writeFileSync(
+    path.join(dir, 'search.html'),
+    '<html><head><meta name="GoogleBot" content="none"></head></html>',
+    'utf8',
+  );
+  fs.writeFileSync(
+    path.join(dir, 'kept.html'),
+    '<html><head><meta name="robots" content="index, follow"></head></html>',
+    'utf8',
+  );
+  fs.writeFileSync(
+    path.join(dir, 'drafts', 'post.html'),
+    '<html><body>Draft</body></html>',
+    'utf8',
+  );
+  fs.writeFileSync(
+    path.join(dir, '_headers'),
+    '/drafts/*\n  X-Robots-Tag: noindex\n',
+    'utf8',
+  );
+  return dir;
+}
+
+function readLocs(dir) {
+  const xml = fs.readFileSync(path.join(dir, SITEMAP_GENERATION.XML), 'utf8');
+  return [...xml.matchAll(/<loc>([^<]+)<\/loc>/g)].map((m) => m[1]).sort();
+}
+
+describe('noindex filtering', () => {
+  afterEach(() => {
+    Object.keys(process.env).forEach((k) => {
+      if (k.startsWith('INPUT_')) delete process.env[k];
+    });
+  });
+
+  it('skips pages marked noindex by meta tags or X-Robots-Tag', async () => {
+    const dir = createSiteWithNoindexPages();
+    await executeActionWithOverrides(dir, {
+      site_url: TEST_CONFIG.SITE_URL,
+      generate_sitemap_txt: 'false',
+    });
+    assert.deepStrictEqual(readLocs(dir), [
+      'https://example.com/index.html',
+      'https://example.com/kept.html',
+    ]);
+  });
+
+  it('includes noindex pages when respect_noindex is false', async () => {
+    const dir = createSiteWithNoindexPages();
+    await executeActionWithOverrides(dir, {
+      site_url: TEST_CONFIG.SITE_URL,
+      respect_noindex: 'false',
+      generate_sitemap_txt: 'false',
+    });
+    assert.strictEqual(readLocs(dir).length, 5);
+  });
+});
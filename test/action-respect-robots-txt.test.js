@@ -0,0 +1,67 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { TEST_CONFIG } = require('./test-config');
+const { SITEMAP_GENERATION } = TEST_CONFIG;
+const { executeActionWithOverrides } = require('./test-helpers');
+
+function createSite() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sitemap-robots-rules-'));
+  fs.mkdirSync(path.join(dir, 'admin'));
+  fs.writeFileSync(path.join(dir, 'index.html'), '<html></html>', 'utf8');
+  fs.writeFileSync(
+    path.join(dir, 'admin', 'login.html'),
+    '<html></html>',
+    'utf8',
+  );
+  fs.writeFileSync(
+    path.join(dir, 'admin', 'help.html'),
+    '<html></html>',
+    'utf8',
+  );
+  fs.writeFileSync(
+    path.join(dir, 'robots.txt'),
+    'User-agent: *\nDisallow: /admin/\nAllow: /admin/help.html\nDisallow: /*?print=\n',
+    'utf8',
+  );
+  return dir;
+}
+
+function readLocs(dir) {
+  const xml = fs.readFileSync(path.join(dir, SITEMAP_GENERATION.XML), 'utf8');
+  return [...xml.matchAll(/<loc>([^<]+)<\/loc>/g)].map((m) => m[1]).sort();
+}
+
+describe('respect_robots_txt', () => {
+  afterEach(() => {
+    Object.keys(process.env).forEach((k) => {
+      if (k.startsWith('INPUT_')) delete process.env[k];
+    });
+  });
+
+  it('keeps disallowed URLs by default', async () => {
+    const dir = createSite();
+    await executeActionWithOverrides(dir, {
+      site_url: TEST_CONFIG.SITE_URL,
+      generate_sitemap_txt: 'false',
+    });
+    assert.strictEqual(readLocs(dir).length, 3);
+  });
+
+  it('removes URLs disallowed by robots.txt', async () => {
+    const dir = createSite();
+    await executeActionWithOverrides(dir, {
+      site_url: TEST_CONFIG.SITE_URL,
+      respect_robots_txt: 'true',
+      additional_urls:
+        'https://example.com/report?print=1,https://partner.example.net/admin/',
+      generate_sitemap_txt: 'false',
+    });
+    assert.deepStrictEqual(readLocs(dir), [
+      'https://example.com/admin/help.html',
+      'https://example.com/index.html',
+      'https://partner.example.net/admin/',
+    ]);
+  });
+});
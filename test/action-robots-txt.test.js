@@ -0,0 +1,61 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { TEST_CONFIG } = require('./test-config');
+const { executeActionWithOverrides } = require('./test-helpers');
+
+function createSite() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sitemap-robots-'));
+  fs.writeFileSync(path.join(dir, 'index.html'), '<html></html>', 'utf8');
+  return dir;
+}
+
+describe('robots.txt generation', () => {
+  afterEach(() => {
+    Object.keys(process.env).forEach((k) => {
+      if (k.startsWith('INPUT_')) delete process.env[k];
+    });
+  });
+
+  it('does not touch robots.txt by default', async () => {
+    const dir = createSite();
+    await executeActionWithOverrides(dir, { site_url: TEST_CONFIG.SITE_URL });
+    assert.ok(!fs.existsSync(path.join(dir, 'robots.txt')));
+  });
+
+  it('creates robots.txt pointing at the main sitemap', async () => {
+    const dir = createSite();
+    await executeActionWithOverrides(dir, {
+      site_url: TEST_CONFIG.SITE_URL,
+      generate_robots_txt: 'true',
+    });
+    const robots = fs.readFileSync(path.join(dir, 'robots.txt'), 'utf8');
+    assert.ok(robots.includes('User-agent: *'));
+    assert.ok(robots.includes('Sitemap: https://example.com/sitemap.xml\n'));
+  });
+
+  it('points an existing robots.txt at the sitemap index', async () => {
+    const dir = createSite();
+    fs.writeFileSync(
+      path.join(dir, 'article.html'),
+      `<html><head><meta property="article:published_time" content="${new Date().toISOString()}"><title>News</title></head></html>`,
+      'utf8',
+    );
+    fs.writeFileSync(
+      path.join(dir, 'robots.txt'),
+      'User-agent: *\nDisallow: /admin/\n\nSitemap: https://example.com/sitemap.xml\n',
+      'utf8',
+    );
+    await executeActionWithOverrides(dir, {
+      site_url: TEST_CONFIG.SITE_URL,
+      generate_news_sitemap: 'true',
+      generate_robots_txt: 'true',
+    });
+    const robots = fs.readFileSync(path.join(dir, 'robots.txt'), 'utf8');
+    assert.strictEqual(
+      robots,
+      'User-agent: *\nDisallow: /admin/\n\nSitemap: https://example.com/sitemap-index.xml\n',
+    );
+  });
+});
@@ -0,0 +1,85 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { TEST_CONFIG } = require('./test-config');
+const { SITEMAP_GENERATION } = TEST_CONFIG;
+const {
+  executeActionWithOverrides,
+  setActionInput,
+} = require('./test-helpers');
+
+/**
+ * Run src/index.js directly so core can be mocked
+ */
+function runSource(publicDir, overrides = {}) {
+  Object.entries(overrides).forEach(([k, v]) => setActionInput(k, v));
+  setActionInput('public_dir', publicDir);
+  setActionInput('sitemap_output_dir', publicDir);
+  const srcPath = path.resolve(__dirname, '..', 'src', 'index.js');
+  delete require.cache[require.resolve(srcPath)];
+  require(srcPath);
+}
+
+describe('Action route_manifests', () => {
+  let dir;
+  let nextDir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sitemap-routes-'));
+    nextDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sitemap-next-'));
+    fs.writeFileSync(path.join(dir, 'index.html'), '<html></html>');
+    fs.writeFileSync(path.join(dir, 'about.html'), '<html></html>');
+    fs.writeFileSync(
+      path.join(nextDir, 'prerender-manifest.json'),
+      JSON.stringify({
+        routes: { '/blog/first': {}, '/about': {} },
+        dynamicRoutes: { '/blog/[slug]': {} },
+      }),
+    );
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.rmSync(nextDir, { recursive: true, force: true });
+    Object.keys(process.env).forEach((k) => {
+      if (k.startsWith('INPUT_')) delete process.env[k];
+    });
+  });
+
+  it('adds prerendered routes without an HTML file and skips dynamic patterns', async () => {
+    await executeActionWithOverrides(dir, {
+      site_url: 'https://example.com',
+      lastmod_strategy: 'none',
+      route_manifests: `next=${nextDir}`,
+    });
+    const xml = fs.readFileSync(path.join(dir, SITEMAP_GENERATION.XML), 'utf8');
+    const locs = [...xml.matchAll(/<loc>([^<]+)<\/loc>/g)].map((m) => m[1]);
+    assert.deepStrictEqual(locs.sort(), [
+      'https://example.com/about.html',
+      'https://example.com/blog/first',
+      'https://example.com/index.html',
+    ]);
+    assert.ok(!xml.includes('[slug]'));
+  });
+
+  it('fails on unknown frameworks', async () => {
+    const core = require('@actions/core');
+    const failures = [];
+    const origFailed = core.setFailed;
+    core.setFailed = (m) => failures.push(m);
+    try {
+      runSource(dir, {
+        site_url: 'https://example.com',
+        route_manifests: 'gatsby',
+      });
+      await new Promise((r) => setTimeout(r, 100));
+    } finally {
+      core.setFailed = origFailed;
+    }
+    assert.ok(
+      failures.some((m) => m.startsWith('Invalid route_manifests: gatsby')),
+      failures.join('\n'),
+    );
+  });
+});
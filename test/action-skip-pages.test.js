@@ -0,0 +1,87 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { TEST_CONFIG } = require('./test-config');
+const { SITEMAP_GENERATION } = TEST_CONFIG;
+const { executeActionWithOverrides } = require('./test-helpers');
+
+function readLocs(dir) {
+  const xml = fs.readFileSync(path.join(dir, SITEMAP_GENERATION.XML), 'utf8');
+  return [...xml.matchAll(/<loc>([^<]+)<\/loc>/g)].map((m) => m[1]).sort();
+}
+
+describe('Action refresh stubs, error pages and SPA shells', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sitemap-skip-'));
+    const write = (file, html) => {
+      fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+      fs.writeFileSync(path.join(dir, file), html);
+    };
+    write('index.html', '<html><body><h1>Home</h1></body></html>');
+    write('404.html', '<html><body><h1>Not found</h1></body></html>');
+    write('500.html', '<html><body><h1>Server error</h1></body></html>');
+    write('_not-found.html', '<html><body><h1>Not found</h1></body></html>');
+    write('410.html', '<html><body><h1>Flight 410</h1></body></html>');
+    write('500/index.html', '<html><body><h1>The 500 list</h1></body></html>');
+    write('docs/404.html', '<html><body><h1>Error 404</h1></body></html>');
+    write(
+      'old-post.html',
+      '<html><head><meta http-equiv="refresh" content="0; url=/blog/new-post/"></head><body>Moved</body></html>',
+    );
+    write(
+      'elsewhere.html',
+      '<meta http-equiv="refresh" content="0;url=https://other.example/">',
+    );
+    write(
+      'app.html',
+      '<html><head><title>App</title></head><body><div id="root"></div><script type="module" src="/app.js"></script></body></html>',
+    );
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    Object.keys(process.env).forEach((k) => {
+      if (k.startsWith('INPUT_')) delete process.env[k];
+    });
+  });
+
+  it('leaves out stubs, error pages and shells and can add refresh targets', async () => {
+    await executeActionWithOverrides(dir, {
+      site_url: 'https://example.com',
+      lastmod_strategy: 'none',
+      refresh_redirect_targets: 'true',
+    });
+    assert.deepStrictEqual(readLocs(dir), [
+      'https://example.com/410.html',
+      'https://example.com/500/index.html',
+      'https://example.com/blog/new-post/',
+      'https://example.com/docs/404.html',
+      'https://example.com/index.html',
+    ]);
+  });
+
+  it('keeps every page when the checks are turned off', async () => {
+    await executeActionWithOverrides(dir, {
+      site_url: 'https://example.com',
+      lastmod_strategy: 'none',
+      skip_refresh_redirects: 'false',
+      skip_error_pages: 'false',
+      skip_spa_shells: 'false',
+    });
+    assert.deepStrictEqual(readLocs(dir), [
+      'https://example.com/404.html',
+      'https://example.com/410.html',
+      'https://example.com/500.html',
+      'https://example.com/500/index.html',
+      'https://example.com/_not-found.html',
+      'https://example.com/app.html',
+      'https://example.com/docs/404.html',
+      'https://example.com/elsewhere.html',
+      'https://example.com/index.html',
+      'https://example.com/old-post.html',
+    ]);
+  });
+});
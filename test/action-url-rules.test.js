@@ -0,0 +1,122 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { TEST_CONFIG } = require('./test-config');
+const { SITEMAP_GENERATION } = TEST_CONFIG;
+const {
+  executeActionWithOverrides,
+  setActionInput,
+} = require('./test-helpers');
+
+/**
+ * Run src/index.js directly so core can be mocked
+ */
+function runSource(publicDir, overrides = {}) {
+  Object.entries(overrides).forEach(([k, v]) => setActionInput(k, v));
+  setActionInput('public_dir', publicDir);
+  setActionInput('sitemap_output_dir', publicDir);
+  const srcPath = path.resolve(__dirname, '..', 'src', 'index.js');
+  delete require.cache[require.resolve(srcPath)];
+  require(srcPath);
+}
+
+function readEntries(dir) {
+  const xml = fs.readFileSync(path.join(dir, SITEMAP_GENERATION.XML), 'utf8');
+  const entries = {};
+  for (const m of xml.matchAll(/<url>([\s\S]*?)<\/url>/g)) {
+    const field = (name) =>
+      m[1].match(new RegExp(`<${name}>([^<]+)</${name}>`))?.[1];
+    entries[field('loc')] = {
+      changefreq: field('changefreq'),
+      priority: field('priority'),
+      lastmod: field('lastmod'),
+    };
+  }
+  return entries;
+}
+
+describe('Action url_rules', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sitemap-rules-'));
+    for (const file of [
+      'index.html',
+      'legal/terms.html',
+      'blog/post.html',
+      'tags/news.html',
+    ]) {
+      fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+      fs.writeFileSync(path.join(dir, file), '<html></html>', 'utf8');
+    }
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    Object.keys(process.env).forEach((k) => {
+      if (k.startsWith('INPUT_')) delete process.env[k];
+    });
+  });
+
+  it('applies the first matching rule to each URL', async function () {
+    this.timeout(8000);
+    const rulesFile = path.join(dir, '..', `${path.basename(dir)}.json`);
+    fs.writeFileSync(
+      rulesFile,
+      JSON.stringify({ rules: [{ match: '/**', changefreq: 'never' }] }),
+      'utf8',
+    );
+    try {
+      await executeActionWithOverrides(dir, {
+        site_url: TEST_CONFIG.SITE_URL,
+        changefreq: 'monthly',
+        lastmod_strategy: 'filemtime',
+        url_rules: JSON.stringify([
+          { match: '/', changefreq: 'daily', priority: 1 },
+          { match: '/legal/**', changefreq: 'yearly', lastmod: 'none' },
+          { regex: '^/tags/', exclude: true },
+        ]),
+        url_rules_file: rulesFile,
+        generate_sitemap_txt: 'false',
+      });
+    } finally {
+      fs.rmSync(rulesFile, { force: true });
+    }
+    const entries = readEntries(dir);
+
+    assert.deepStrictEqual(Object.keys(entries).sort(), [
+      'https://example.com/blog/post.html',
+      'https://example.com/index.html',
+      'https://example.com/legal/terms.html',
+    ]);
+    const home = entries['https://example.com/index.html'];
+    assert.strictEqual(home.changefreq, 'daily');
+    assert.strictEqual(home.priority, '1.0');
+    const terms = entries['https://example.com/legal/terms.html'];
+    assert.strictEqual(terms.changefreq, 'yearly');
+    assert.strictEqual(terms.lastmod, undefined);
+    const post = entries['https://example.com/blog/post.html'];
+    assert.strictEqual(post.changefreq, 'never');
+    assert.ok(post.lastmod);
+  });
+
+  it('fails on invalid rules', async function () {
+    this.timeout(8000);
+    const core = require('@actions/core');
+    const failures = [];
+    const origSetFailed = core.setFailed;
+    core.setFailed = (m) => failures.push(m);
+    runSource(dir, {
+      site_url: TEST_CONFIG.SITE_URL,
+      url_rules: '[{"match": "/", "changefreq": "sometimes"}]',
+    });
+    // Wait for execution
+    await new Promise((r) => setTimeout(r, 100));
+    core.setFailed = origSetFailed;
+    assert.ok(
+      failures.some((m) => /Invalid url_rules: #1: invalid changefreq/.test(m)),
+      `Expected url_rules failure. Got: ${JSON.stringify(failures)}`,
+    );
+  });
+});
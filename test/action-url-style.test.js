@@ -0,0 +1,115 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { TEST_CONFIG } = require('./test-config');
+const { SITEMAP_GENERATION } = TEST_CONFIG;
+const {
+  executeActionWithOverrides,
+  setActionInput,
+} = require('./test-helpers');
+
+function createBlogSite() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sitemap-url-style-'));
+  fs.mkdirSync(path.join(dir, 'blog'));
+  fs.writeFileSync(
+    path.join(dir, 'index.html'),
+    '<html><body><a href="about">About</a></body></html>',
+    'utf8',
+  );
+  fs.writeFileSync(
+    path.join(dir, 'about.html'),
+    '<html><head><link rel="canonical" href="https://example.com/about.html"></head></html>',
+    'utf8',
+  );
+  fs.writeFileSync(
+    path.join(dir, 'blog', 'index.html'),
+    '<html><body><a href="../about.html">About</a></body></html>',
+    'utf8',
+  );
+  return dir;
+}
+
+function readLocs(dir) {
+  const xml = fs.readFileSync(path.join(dir, SITEMAP_GENERATION.XML), 'utf8');
+  return [...xml.matchAll(/<loc>([^<]+)<\/loc>/g)].map((m) => m[1]).sort();
+}
+
+describe('url_style', () => {
+  afterEach(() => {
+    Object.keys(process.env).forEach((k) => {
+      if (k.startsWith('INPUT_')) delete process.env[k];
+    });
+  });
+
+  it('keeps literal file paths by default', async () => {
+    const dir = createBlogSite();
+    await executeActionWithOverrides(dir, {
+      site_url: TEST_CONFIG.SITE_URL,
+      generate_sitemap_txt: 'false',
+    });
+    assert.deepStrictEqual(readLocs(dir), [
+      'https://example.com/about.html',
+      'https://example.com/blog/index.html',
+      'https://example.com/index.html',
+    ]);
+  });
+
+  it('writes trailing-slash URLs in directory mode', async () => {
+    const dir = createBlogSite();
+    await executeActionWithOverrides(dir, {
+      site_url: TEST_CONFIG.SITE_URL,
+      url_style: 'directory',
+      additional_urls: 'https://example.com/contact,https://cdn.example.net/a',
+      generate_sitemap_txt: 'false',
+    });
+    assert.deepStrictEqual(readLocs(dir), [
+      'https://cdn.example.net/a',
+      'https://example.com/',
+      'https://example.com/about/',
+      'https://example.com/blog/',
+      'https://example.com/contact/',
+    ]);
+  });
+
+  it('drops extensions and trailing slashes in extensionless mode', async () => {
+    const dir = createBlogSite();
+    await executeActionWithOverrides(dir, {
+      site_url: TEST_CONFIG.SITE_URL,
+      url_style: 'extensionless',
+      additional_urls: 'https://example.com/contact/',
+      generate_sitemap_txt: 'false',
+    });
+    assert.deepStrictEqual(readLocs(dir), [
+      'https://example.com/',
+      'https://example.com/about',
+      'https://example.com/blog',
+      'https://example.com/contact',
+    ]);
+  });
+
+  it('fails the run on an unknown url_style', async function () {
+    this.timeout(8000);
+    const dir = createBlogSite();
+    const core = require('@actions/core');
+    const failures = [];
+    const origFailed = core.setFailed;
+    core.setFailed = (m) => failures.push(m);
+    try {
+      setActionInput('public_dir', dir);
+      setActionInput('sitemap_output_dir', dir);
+      setActionInput('site_url', 'https://example.com');
+      setActionInput('url_style', 'pretty');
+      const srcPath = path.resolve(__dirname, '..', 'src', 'index.js');
+      delete require.cache[require.resolve(srcPath)];
+      require(srcPath);
+      await new Promise((r) => setTimeout(r, 1500));
+    } finally {
+      core.setFailed = origFailed;
+    }
+    assert.deepStrictEqual(failures, [
+      'Invalid url_style: "pretty". Valid values: file, directory, extensionless',
+    ]);
+    assert.ok(!fs.existsSync(path.join(dir, SITEMAP_GENERATION.XML)));
+  });
+});
@@ -0,0 +1,129 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { TEST_CONFIG } = require('./test-config');
+const { SITEMAP_GENERATION } = TEST_CONFIG;
+const { executeActionWithOverrides } = require('./test-helpers');
+const { validateXmlSitemap } = require('../src/lib/sitemap-validator');
+
+function createDocsSite() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sitemap-videos-'));
+  fs.mkdirSync(path.join(dir, 'docs'));
+  fs.writeFileSync(
+    path.join(dir, 'docs', 'tutorial.html'),
+    '<html><head><title>Tutorial</title>' +
+      '<meta name="description" content="A short tutorial.">' +
+      '</head><body>' +
+      '<video poster="poster.jpg"><source src="clip.mp4"></video>' +
+      '<iframe src="https://player.vimeo.com/video/1234" title="Deep dive"></iframe>' +
+      '</body></html>',
+    'utf8',
+  );
+  return dir;
+}
+
+describe('Video sitemap extension', () => {
+  afterEach(() => {
+    Object.keys(process.env).forEach((k) => {
+      if (k.startsWith('INPUT_')) delete process.env[k];
+    });
+  });
+
+  it('emits <video:video> entries when sitemap_videos is enabled', async () => {
+    const dir = createDocsSite();
+    await executeActionWithOverrides(dir, {
+      site_url: TEST_CONFIG.SITE_URL,
+      sitemap_videos: 'true',
+      generate_sitemap_txt: 'false',
+    });
+    const xml = fs.readFileSync(path.join(dir, SITEMAP_GENERATION.XML), 'utf8');
+    assert.ok(
+      xml.includes(
+        'xmlns:video="http://www.google.com/schemas/sitemap-video/1.1"',
+      ),
+    );
+    assert.ok(
+      xml.includes(
+        '<video:content_loc>https://example.com/docs/clip.mp4</video:content_loc>',
+      ),
+    );
+    assert.ok(
+      xml.includes(
+        '<video:thumbnail_loc>https://example.com/docs/poster.jpg</video:thumbnail_loc>',
+      ),
+    );
+    // The Vimeo embed has no thumbnail source, so it is skipped
+    assert.ok(!xml.includes('player.vimeo.com'));
+  });
+
+  it('lists a video once when JSON-LD and <video> use absolute and relative URLs', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sitemap-videos-'));
+    fs.writeFileSync(
+      path.join(dir, 'intro.html'),
+      '<html><head><title>Intro</title>' +
+        '<meta name="description" content="An introduction.">' +
+        '<script type="application/ld+json">{"@type":"VideoObject","name":"Intro","description":"An introduction.",' +
+        '"thumbnailUrl":"https://example.com/intro.jpg","contentUrl":"https://example.com/media/intro.mp4"}</script>' +
+        '</head><body>' +
+        '<video src="/media/intro.mp4" poster="/intro.jpg"></video>' +
+        '</body></html>',
+      'utf8',
+    );
+    await executeActionWithOverrides(dir, {
+      site_url: TEST_CONFIG.SITE_URL,
+      sitemap_videos: 'true',
+      generate_sitemap_txt: 'false',
+    });
+    const xml = fs.readFileSync(path.join(dir, SITEMAP_GENERATION.XML), 'utf8');
+    assert.strictEqual(xml.match(/<video:video>/g).length, 1);
+    assert.ok(
+      xml.includes(
+        '<video:content_loc>https://example.com/media/intro.mp4</video:content_loc>',
+      ),
+    );
+  });
+
+  it('keeps the video and link checks of a page with a JSON-LD language value', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sitemap-videos-'));
+    fs.writeFileSync(
+      path.join(dir, 'clip.html'),
+      '<html><head><title>Clip</title>' +
+        '<script type="application/ld+json">{"@type":"VideoObject","name":[{"@value":"Clip"}],"description":"A clip.",' +
+        '"thumbnailUrl":"https://example.com/clip.jpg","contentUrl":"https://example.com/clip.mp4"}</script>' +
+        '</head><body><a href="/missing.html">Missing</a></body></html>',
+      'utf8',
+    );
+    const reportFile = path.join(dir, 'broken-links.json');
+    await executeActionWithOverrides(dir, {
+      site_url: TEST_CONFIG.SITE_URL,
+      sitemap_videos: 'true',
+      broken_link_report_file: reportFile,
+      generate_sitemap_txt: 'false',
+    });
+    const xml = fs.readFileSync(path.join(dir, SITEMAP_GENERATION.XML), 'utf8');
+    assert.ok(xml.includes('<video:title>Clip</video:title>'));
+    const report = JSON.parse(fs.readFileSync(reportFile, 'utf8'));
+    assert.deepStrictEqual(
+      report.links.map((l) => l.href),
+      ['/missing.html'],
+    );
+  });
+
+  it('validator reports missing required video elements', () => {
+    const xml =
+      '<?xml version="1.0" encoding="UTF-8"?>' +
+      '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" ' +
+      'xmlns:video="http://www.google.com/schemas/sitemap-video/1.1">' +
+      '<url><loc>https://example.com/</loc><video:video>' +
+      '<video:title>Only a title</video:title>' +
+      '</video:video></url></urlset>';
+    const messages = validateXmlSitemap(xml, { strict: true })
+      .filter((r) => r.type === 'error')
+      .map((r) => r.message)
+      .join('\n');
+    assert.ok(messages.includes('<video:thumbnail_loc>'));
+    assert.ok(messages.includes('<video:description>'));
+    assert.ok(messages.includes('<video:content_loc> or <video:player_loc>'));
+  });
+});
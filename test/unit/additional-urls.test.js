@@ -0,0 +1,145 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+  parseAdditionalUrls,
+  loadAdditionalUrlsFile,
+} = require('../../src/lib/additional-urls');
+
+describe('Additional URLs File', () => {
+  describe('parseAdditionalUrls', () => {
+    it('should parse JSON strings and objects', () => {
+      const json = JSON.stringify(
+        [
+          'https://example.com/app',
+          {
+            url: 'https://example.com/docs',
+            lastmod: '2026-01-15',
+            changefreq: 'weekly',
+            priority: 0.8,
+            images: ['https://example.com/a.png'],
+            alternates: [{ lang: 'de', url: 'https://example.com/de/docs' }],
+          },
+        ],
+        null,
+        2,
+      );
+      const { entries, errors } = parseAdditionalUrls(json, 'json');
+      assert.deepStrictEqual(errors, []);
+      assert.deepStrictEqual(entries, [
+        { url: 'https://example.com/app' },
+        {
+          url: 'https://example.com/docs',
+          lastmod: '2026-01-15T00:00:00.000Z',
+          changefreq: 'weekly',
+          priority: 0.8,
+          images: [{ url: 'https://example.com/a.png' }],
+          alternates: [{ lang: 'de', url: 'https://example.com/de/docs' }],
+        },
+      ]);
+    });
+
+    it('should report invalid JSON entries with their line numbers', () => {
+      const json = [
+        '{',
+        '  "urls": [',
+        '    "https://example.com/ok",',
+        '    { "url": "/relative" },',
+        '    { "url": "https://example.com/p", "priority": 2 },',
+        '    { "url": "https://example.com/c", "changefreq": "often" },',
+        '    { "url": "https://example.com/x", "extra": 1 }',
+        '  ]',
+        '}',
+      ].join('\n');
+      const { entries, errors } = parseAdditionalUrls(json, 'json');
+      assert.deepStrictEqual(entries, [{ url: 'https://example.com/ok' }]);
+      assert.strictEqual(errors.length, 4);
+      assert.ok(errors[0].startsWith('line 7: unknown field(s) "extra"'));
+      assert.ok(errors[1].startsWith('line 4: invalid url "/relative"'));
+      assert.ok(errors[2].startsWith('line 5: invalid priority "2"'));
+      assert.ok(errors[3].startsWith('line 6: invalid changefreq "often"'));
+    });
+
+    it('should report JSON syntax errors', () => {
+      const { entries, errors } = parseAdditionalUrls(
+        '[\n  "a",\n  oops\n]',
+        'json',
+      );
+      assert.deepStrictEqual(entries, []);
+      assert.strictEqual(errors.length, 1);
+      assert.ok(/^(line 3: )?invalid JSON/.test(errors[0]), errors[0]);
+    });
+
+    it('should parse CSV with a header row and quoted fields', () => {
+      const csv = [
+        'URL,priority,notes,images,alternates',
+        'https://example.com/a,0.5,"first, really",https://example.com/1.png|https://example.com/2.png,fr=https://example.com/fr/a|de=https://example.com/de/a',
+        '',
+        'https://example.com/b,,,,',
+        'https://example.com/c,high,,,',
+        'https://example.com/d,,,,xx-invalid-=https://example.com/d',
+      ].join('\r\n');
+      const { entries, errors } = parseAdditionalUrls(csv, 'csv');
+      assert.deepStrictEqual(entries, [
+        {
+          url: 'https://example.com/a',
+          priority: 0.5,
+          images: [
+            { url: 'https://example.com/1.png' },
+            { url: 'https://example.com/2.png' },
+          ],
+          alternates: [
+            { lang: 'fr', url: 'https://example.com/fr/a' },
+            { lang: 'de', url: 'https://example.com/de/a' },
+          ],
+        },
+        { url: 'https://example.com/b' },
+      ]);
+      assert.strictEqual(errors.length, 2);
+      assert.ok(errors[0].startsWith('line 5: invalid priority "high"'));
+      assert.ok(errors[1].startsWith('line 6: alternates'));
+    });
+
+    it('should require a url column in CSV', () => {
+      const { errors } = parseAdditionalUrls(
+        'loc\nhttps://example.com/',
+        'csv',
+      );
+      assert.deepStrictEqual(errors, [
+        'line 1: header row must include a "url" column',
+      ]);
+    });
+
+    it('should parse plain text and skip comments', () => {
+      const text =
+        '# extra pages\nhttps://example.com/a\n\nftp://example.com/b\n';
+      const { entries, errors } = parseAdditionalUrls(text, 'txt');
+      assert.deepStrictEqual(entries, [{ url: 'https://example.com/a' }]);
+      assert.deepStrictEqual(errors, [
+        'line 4: invalid url "ftp://example.com/b" (must be absolute http/https)',
+      ]);
+    });
+  });
+
+  describe('loadAdditionalUrlsFile', () => {
+    it('should pick the format from the extension and name the file in errors', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'additional-urls-'));
+      try {
+        const file = path.join(dir, 'urls.csv');
+        fs.writeFileSync(
+          file,
+          'url,lastmod\nhttps://example.com/a,yesterday\n',
+        );
+        const { entries, errors } = loadAdditionalUrlsFile(file);
+        assert.deepStrictEqual(entries, []);
+        assert.deepStrictEqual(errors, [
+          'urls.csv line 2: invalid lastmod "yesterday"',
+        ]);
+        assert.throws(() => loadAdditionalUrlsFile(path.join(dir, 'missing')));
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -0,0 +1,144 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { pathToFileURL } = require('url');
+const { sitemapVitePlugin } = require('../../src/plugins/vite');
+const { sitemapAstroIntegration } = require('../../src/plugins/astro');
+const { sitemapEleventyPlugin } = require('../../src/plugins/eleventy');
+
+function silentLogger() {
+  return { info() {}, warn() {}, error() {} };
+}
+
+describe('Build plugins', () => {
+  let root;
+  let outDir;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'sitemap-plugin-'));
+    outDir = path.join(root, 'dist');
+    fs.mkdirSync(outDir);
+    fs.writeFileSync(path.join(outDir, 'index.html'), '<html></html>');
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  const readSitemap = () =>
+    fs.readFileSync(path.join(outDir, 'sitemap.xml'), 'utf8');
+
+  describe('Vite', () => {
+    function resolve(plugin, overrides = {}) {
+      plugin.configResolved({
+        root,
+        base: '/',
+        build: { outDir: 'dist' },
+        logger: silentLogger(),
+        ...overrides,
+      });
+    }
+
+    it('should write sitemaps to build.outDir on closeBundle', async () => {
+      const plugin = sitemapVitePlugin({
+        siteUrl: 'https://example.com',
+        lastmodStrategy: 'none',
+      });
+      assert.strictEqual(plugin.apply, 'build');
+      resolve(plugin);
+      await plugin.closeBundle();
+      assert.ok(readSitemap().includes('https://example.com/index.html'));
+    });
+
+    it('should use an absolute base as the site URL', async () => {
+      const plugin = sitemapVitePlugin({ lastmodStrategy: 'none' });
+      resolve(plugin, { base: 'https://cdn.example.com/' });
+      await plugin.closeBundle();
+      assert.ok(readSitemap().includes('https://cdn.example.com/index.html'));
+    });
+
+    it('should skip SSR builds', async () => {
+      const plugin = sitemapVitePlugin({ siteUrl: 'https://example.com' });
+      resolve(plugin, { build: { outDir: 'dist', ssr: true } });
+      await plugin.closeBundle();
+      assert.ok(!fs.existsSync(path.join(outDir, 'sitemap.xml')));
+    });
+
+    it('should fail the build without a site URL', async () => {
+      const saved = process.env.GITHUB_REPOSITORY;
+      delete process.env.GITHUB_REPOSITORY;
+      try {
+        const plugin = sitemapVitePlugin();
+        resolve(plugin);
+        await assert.rejects(plugin.closeBundle(), /siteUrl is required/);
+      } finally {
+        if (saved !== undefined) process.env.GITHUB_REPOSITORY = saved;
+      }
+    });
+  });
+
+  describe('Astro', () => {
+    it('should use site from the Astro config', async () => {
+      const integration = sitemapAstroIntegration({
+        lastmodStrategy: 'none',
+      });
+      integration.hooks['astro:config:done']({
+        config: { site: 'https://example.com', base: '/' },
+      });
+      await integration.hooks['astro:build:done']({
+        dir: pathToFileURL(outDir + path.sep),
+        logger: silentLogger(),
+      });
+      assert.ok(readSitemap().includes('https://example.com/index.html'));
+    });
+
+    it('should fail the build on validation errors', async () => {
+      const integration = sitemapAstroIntegration({
+        siteUrl: 'https://example.com',
+        lastmodStrategy: 'none',
+        additionalUrls: ['ftp://example.com/file'],
+      });
+      integration.hooks['astro:config:done']({ config: {} });
+      await assert.rejects(
+        integration.hooks['astro:build:done']({
+          dir: pathToFileURL(outDir + path.sep),
+          logger: silentLogger(),
+        }),
+        /sitemap validation failed/,
+      );
+    });
+  });
+
+  describe('Eleventy', () => {
+    function register(options) {
+      const handlers = {};
+      sitemapEleventyPlugin(
+        { on: (name, fn) => (handlers[name] = fn) },
+        options,
+      );
+      return handlers['eleventy.after'];
+    }
+
+    it('should write sitemaps to the output directory after a build', async () => {
+      const after = register({
+        siteUrl: 'https://example.com',
+        lastmodStrategy: 'none',
+      });
+      const log = console.log;
+      console.log = () => {};
+      try {
+        await after({ directories: { output: outDir }, runMode: 'build' });
+      } finally {
+        console.log = log;
+      }
+      assert.ok(readSitemap().includes('https://example.com/index.html'));
+    });
+
+    it('should skip serve and watch rebuilds', async () => {
+      const after = register({ siteUrl: 'https://example.com' });
+      await after({ dir: { output: outDir }, runMode: 'serve' });
+      assert.ok(!fs.existsSync(path.join(outDir, 'sitemap.xml')));
+    });
+  });
+});
@@ -0,0 +1,86 @@
+const assert = require('assert');
+const { analyzeCanonicals } = require('../../src/lib/canonical-report');
+
+describe('Canonical Report', () => {
+  const siteOrigin = 'https://example.com';
+  const url = (p) => `${siteOrigin}${p}`;
+  const context = {
+    siteOrigin,
+    pageUrls: new Set(
+      ['/', '/a.html', '/b.html', '/c.html', '/d.html', '/print.html'].map(url),
+    ),
+    noindexUrls: new Set([url('/draft.html')]),
+  };
+  const declare = (page, href, canonical = href) => ({
+    page: url(page),
+    href,
+    canonical,
+  });
+
+  it('should accept self-referencing and consolidating canonicals', () => {
+    const issues = analyzeCanonicals(
+      [
+        declare('/a.html', url('/a.html')),
+        declare('/print.html', url('/a.html')),
+      ],
+      context,
+    );
+    assert.deepStrictEqual(issues, []);
+  });
+
+  it('should report pages sharing a canonical', () => {
+    const issues = analyzeCanonicals(
+      [declare('/b.html', url('/a.html')), declare('/c.html', url('/a.html'))],
+      context,
+    );
+    assert.deepStrictEqual(
+      issues.map((issue) => [issue.type, issue.detail]),
+      [
+        [
+          'duplicate',
+          'https://example.com/a.html ← https://example.com/b.html, https://example.com/c.html',
+        ],
+      ],
+    );
+  });
+
+  it('should report off-site, missing and noindex canonicals', () => {
+    const issues = analyzeCanonicals(
+      [
+        declare('/a.html', 'https://other.example/a'),
+        declare('/b.html', url('/gone.html')),
+        declare('/c.html', url('/draft.html')),
+      ],
+      context,
+    );
+    assert.deepStrictEqual(
+      issues.map((issue) => [issue.type, issue.page, issue.canonical]),
+      [
+        ['crossDomain', url('/a.html'), 'https://other.example/a'],
+        ['missingTarget', url('/b.html'), url('/gone.html')],
+        ['noindexTarget', url('/c.html'), url('/draft.html')],
+      ],
+    );
+  });
+
+  it('should report chained and relative canonicals', () => {
+    const issues = analyzeCanonicals(
+      [
+        declare('/a.html', url('/b.html')),
+        declare('/b.html', url('/c.html')),
+        declare('/d.html', '/d.html', url('/d.html')),
+      ],
+      context,
+    );
+    assert.deepStrictEqual(
+      issues.map((issue) => [issue.type, issue.detail]),
+      [
+        [
+          'chained',
+          'https://example.com/a.html → https://example.com/b.html → https://example.com/c.html',
+        ],
+        ['relative', 'https://example.com/d.html (href="/d.html")'],
+      ],
+    );
+  });
+});
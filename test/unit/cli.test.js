@@ -0,0 +1,191 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+  EXIT_OK,
+  EXIT_FAILED,
+  EXIT_USAGE,
+  parseArgs,
+  createCliCore,
+  main,
+} = require('../../src/cli');
+
+function captureIo() {
+  const io = { out: '', err: '' };
+  io.stdout = { write: (m) => (io.out += m) };
+  io.stderr = { write: (m) => (io.err += m) };
+  return io;
+}
+
+describe('CLI', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sitemap-cli-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('parseArgs', () => {
+    it('should map flags to input names', () => {
+      const args = parseArgs([
+        '--site-url',
+        'https://example.com',
+        '--public-dir=out',
+        '--lastmod-strategy',
+        'meta,git',
+      ]);
+      assert.strictEqual(args.command, 'generate');
+      assert.deepStrictEqual(args.inputs, {
+        site_url: 'https://example.com',
+        public_dir: 'out',
+        lastmod_strategy: 'meta,git',
+      });
+      assert.deepStrictEqual(args.errors, []);
+    });
+
+    it('should accept boolean flag forms', () => {
+      const args = parseArgs([
+        '--gzip',
+        '--no-discover-links',
+        '--hreflang=false',
+        '--sitemap-images',
+        'true',
+      ]);
+      assert.deepStrictEqual(args.inputs, {
+        gzip: 'true',
+        discover_links: 'false',
+        hreflang: 'false',
+        sitemap_images: 'true',
+      });
+    });
+
+    it('should report unknown options and missing values', () => {
+      const args = parseArgs(['--site-ur', 'x', '--public-dir']);
+      assert.deepStrictEqual(args.errors, [
+        'Unknown option: --site-ur',
+        '--public-dir requires a value',
+      ]);
+    });
+
+    it('should parse the validate command and its options', () => {
+      const args = parseArgs([
+        'validate',
+        'a.xml',
+        'b.txt',
+        '--strict',
+        '--max-urls',
+        '10',
+      ]);
+      assert.strictEqual(args.command, 'validate');
+      assert.deepStrictEqual(args.positional, ['a.xml', 'b.txt']);
+      assert.deepStrictEqual(args.inputs, { strict: 'true', max_urls: '10' });
+    });
+
+    it('should not accept generate options for validate', () => {
+      const args = parseArgs(['validate', 'a.xml', '--site-url', 'x']);
+      assert.deepStrictEqual(args.errors, ['Unknown option: --site-url']);
+    });
+  });
+
+  describe('createCliCore', () => {
+    it('should fall back to action.yml defaults for unset flags', () => {
+      const cliCore = createCliCore({ gzip: 'false' }, captureIo());
+      assert.strictEqual(cliCore.getInput('gzip'), 'false');
+      assert.strictEqual(cliCore.getInput('public_dir'), 'dist');
+      assert.strictEqual(cliCore.getInput('site_url'), '');
+    });
+
+    it('should only mark the run failed on setFailed', () => {
+      const io = captureIo();
+      const cliCore = createCliCore({}, io);
+      cliCore.error('something');
+      assert.strictEqual(cliCore.failed, false);
+      cliCore.setFailed('boom');
+      assert.strictEqual(cliCore.failed, true);
+      assert.strictEqual(io.err, 'something\nboom\n');
+    });
+  });
+
+  describe('main', () => {
+    it('should print help and version', async () => {
+      const io = captureIo();
+      assert.strictEqual(await main(['--help'], io), EXIT_OK);
+      assert.ok(io.out.includes('--site-url <value>'));
+      assert.ok(io.out.includes('--respect-noindex, --no-respect-noindex'));
+      const versionIo = captureIo();
+      assert.strictEqual(await main(['--version'], versionIo), EXIT_OK);
+      assert.match(versionIo.out, /^\d+\.\d+\.\d+/);
+    });
+
+    it('should exit with a usage error for invalid arguments', async () => {
+      const io = captureIo();
+      assert.strictEqual(await main(['--bogus'], io), EXIT_USAGE);
+      assert.ok(io.err.includes('Unknown option: --bogus'));
+      assert.strictEqual(await main(['stray'], captureIo()), EXIT_USAGE);
+      assert.strictEqual(await main(['validate'], captureIo()), EXIT_USAGE);
+    });
+
+    it('should generate sitemaps', async () => {
+      fs.writeFileSync(path.join(dir, 'index.html'), '<html></html>');
+      const io = captureIo();
+      const code = await main(
+        [
+          '--site-url',
+          'https://example.com',
+          '--public-dir',
+          dir,
+          '--lastmod-strategy',
+          'current',
+          '--no-upload-artifacts',
+          '--no-gzip',
+        ],
+        io,
+      );
+      assert.strictEqual(code, EXIT_OK, io.err);
+      const xml = fs.readFileSync(path.join(dir, 'sitemap.xml'), 'utf8');
+      assert.ok(xml.includes('<loc>https://example.com/index.html</loc>'));
+    });
+
+    it('should exit 1 when generation fails', async () => {
+      const io = captureIo();
+      const code = await main(
+        [
+          '--site-url',
+          'https://example.com',
+          '--public-dir',
+          dir,
+          '--lastmod-strategy',
+          'bogus',
+        ],
+        io,
+      );
+      assert.strictEqual(code, EXIT_FAILED);
+      assert.ok(io.err.includes('Invalid lastmod_strategy'));
+    });
+
+    it('should validate existing sitemaps', async () => {
+      const good = path.join(dir, 'sitemap.txt');
+      fs.writeFileSync(good, 'https://example.com/\n');
+      assert.strictEqual(await main(['validate', good], captureIo()), EXIT_OK);
+
+      const io = captureIo();
+      const missing = path.join(dir, 'missing.xml');
+      assert.strictEqual(await main(['validate', missing], io), EXIT_FAILED);
+      assert.ok(io.err.includes('File not found'));
+    });
+
+    it('should fail structural warnings with --strict', async () => {
+      const bad = path.join(dir, 'bad.xml');
+      fs.writeFileSync(bad, '<urlset>');
+      assert.strictEqual(await main(['validate', bad], captureIo()), EXIT_OK);
+      assert.strictEqual(
+        await main(['validate', bad, '--strict'], captureIo()),
+        EXIT_FAILED,
+      );
+    });
+  });
+});
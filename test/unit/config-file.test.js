@@ -0,0 +1,201 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+  CONFIG_SCHEMA,
+  ConfigError,
+  findConfigFile,
+  validateConfig,
+  loadConfigFile,
+  createInputReader,
+} = require('../../src/lib/config-file');
+
+function fakeCore(inputs) {
+  return { getInput: (name) => inputs[name] || '' };
+}
+
+describe('Config File', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-file-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('CONFIG_SCHEMA', () => {
+    it('should list every action input with its action.yml default', () => {
+      const actionYml = fs.readFileSync(
+        path.join(__dirname, '..', '..', 'action.yml'),
+        'utf8',
+      );
+      const inputs = actionYml.slice(
+        actionYml.indexOf('\ninputs:'),
+        actionYml.indexOf('\noutputs:'),
+      );
+      const defaults = {};
+      let current = null;
+      for (const line of inputs.split('\n')) {
+        const name = line.match(/^ {2}(\w+):$/);
+        if (name) {
+          current = name[1];
+          defaults[current] = undefined;
+        }
+        const def = line.match(/^ {4}default: '(.*)'$/);
+        if (def && current) defaults[current] = def[1];
+      }
+      delete defaults.config_file;
+      assert.deepStrictEqual(
+        Object.keys(CONFIG_SCHEMA).sort(),
+        Object.keys(defaults).sort(),
+      );
+      for (const [name, def] of Object.entries(defaults)) {
+        assert.strictEqual(CONFIG_SCHEMA[name].default, def, name);
+      }
+    });
+  });
+
+  describe('validateConfig', () => {
+    it('should convert values to input strings', () => {
+      const { values, errors } = validateConfig({
+        site_url: 'https://example.com',
+        respect_robots_txt: true,
+        priority: 0.5,
+        exclude_patterns: ['**/drafts/**', '**/404.html'],
+        url_rules: [{ match: '/blog/**', changefreq: 'weekly' }],
+      });
+      assert.deepStrictEqual(errors, []);
+      assert.deepStrictEqual(values, {
+        site_url: 'https://example.com',
+        respect_robots_txt: 'true',
+        priority: '0.5',
+        exclude_patterns: '**/drafts/**,**/404.html',
+        url_rules: '[{"match":"/blog/**","changefreq":"weekly"}]',
+      });
+    });
+
+    it('should report every invalid value with the file name', () => {
+      const { errors } = validateConfig(
+        {
+          site_ur: 'https://example.com',
+          gzip: 'yes',
+          priority: 2,
+          changefreq: 'sometimes',
+          exclude_urls: ['a,b'],
+          artifact_retention_days: 1.5,
+        },
+        'sitemap.config.yaml',
+      );
+      assert.deepStrictEqual(errors, [
+        'sitemap.config.yaml: unknown option "site_ur" (did you mean "site_url"?)',
+        'sitemap.config.yaml: "gzip" must be true or false (got "yes")',
+        'sitemap.config.yaml: "priority" must be a number between 0 and 1 (got 2)',
+        'sitemap.config.yaml: "changefreq" must be one of always, hourly, daily, weekly, monthly, yearly, never (got "sometimes")',
+        'sitemap.config.yaml: "exclude_urls" must be a string or an array of strings without commas (got ["a,b"])',
+        'sitemap.config.yaml: "artifact_retention_days" must be an integer between 1 and 90 (got 1.5)',
+      ]);
+    });
+  });
+
+  describe('loadConfigFile', () => {
+    it('should load YAML, JSON and CommonJS files', () => {
+      const yamlPath = path.join(dir, 'sitemap.config.yaml');
+      fs.writeFileSync(yamlPath, 'public_dir: public\nhreflang: true\n');
+      assert.deepStrictEqual(loadConfigFile(yamlPath).values, {
+        public_dir: 'public',
+        hreflang: 'true',
+      });
+
+      const jsonPath = path.join(dir, 'sitemap.config.json');
+      fs.writeFileSync(jsonPath, '{"url_style": "directory"}');
+      assert.deepStrictEqual(loadConfigFile(jsonPath).values, {
+        url_style: 'directory',
+      });
+
+      const jsPath = path.join(dir, 'sitemap.config.js');
+      fs.writeFileSync(jsPath, "module.exports = { changefreq: 'daily' };");
+      assert.deepStrictEqual(loadConfigFile(jsPath).values, {
+        changefreq: 'daily',
+      });
+    });
+
+    it('should find config files by name', () => {
+      assert.strictEqual(findConfigFile(dir), null);
+      fs.writeFileSync(path.join(dir, 'sitemap.config.yml'), 'gzip: false\n');
+      assert.strictEqual(
+        findConfigFile(dir),
+        path.join(dir, 'sitemap.config.yml'),
+      );
+    });
+
+    it('should throw ConfigError for parse and validation errors', () => {
+      const badYaml = path.join(dir, 'sitemap.config.yaml');
+      fs.writeFileSync(badYaml, 'site_url: [unclosed\n');
+      assert.throws(
+        () => loadConfigFile(badYaml),
+        (err) =>
+          err instanceof ConfigError &&
+          err.message.startsWith('sitemap.config.yaml:'),
+      );
+
+      const invalid = path.join(dir, 'sitemap.config.json');
+      fs.writeFileSync(invalid, '{"gzip": 1, "priority": "high"}');
+      assert.throws(
+        () => loadConfigFile(invalid),
+        /Invalid configuration:\n {2}- sitemap\.config\.json: "gzip"[\s\S]*"priority"/,
+      );
+
+      assert.throws(
+        () => loadConfigFile(path.join(dir, 'missing.json')),
+        /Config file not found/,
+      );
+    });
+  });
+
+  describe('createInputReader', () => {
+    const config = {
+      name: 'sitemap.config.yaml',
+      values: {
+        public_dir: 'public',
+        changefreq: 'weekly',
+        strict_validation: 'false',
+      },
+    };
+
+    it('should merge defaults < config file < inputs', () => {
+      const input = createInputReader(
+        fakeCore({
+          public_dir: 'dist',
+          changefreq: 'daily',
+          strict_validation: 'true',
+          gzip: 'true',
+        }),
+        config,
+      );
+      // Inputs left at their action.yml default do not override the file
+      assert.strictEqual(input.get('public_dir'), 'public');
+      assert.strictEqual(input.get('strict_validation'), 'false');
+      assert.strictEqual(input.get('changefreq'), 'daily');
+      assert.strictEqual(input.get('gzip'), 'true');
+      assert.strictEqual(input.get('priority'), '');
+
+      assert.strictEqual(input.source('public_dir'), 'sitemap.config.yaml');
+      assert.strictEqual(input.source('changefreq'), 'input');
+      assert.strictEqual(input.source('gzip'), 'default');
+      assert.strictEqual(input.source('priority'), 'default');
+      assert.strictEqual(
+        input.source('changefreq', 'public_dir'),
+        'sitemap.config.yaml',
+      );
+    });
+
+    it('should read inputs only when there is no config file', () => {
+      const input = createInputReader(fakeCore({ site_url: 'https://a.b' }));
+      assert.strictEqual(input.get('site_url'), 'https://a.b');
+      assert.strictEqual(input.source('site_url'), 'input');
+    });
+  });
+});
@@ -0,0 +1,149 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+  computeContentHash,
+  isValidSelector,
+  createContentHashStore,
+} = require('../../src/lib/content-hash');
+
+describe('Content Hash', () => {
+  describe('computeContentHash', () => {
+    it('should ignore comments, nonces and whitespace', () => {
+      const a =
+        '<html><body><!-- built 1 --><p>Hi</p><script nonce="abc">x()</script></body></html>';
+      const b =
+        '<html><body><!-- built 2 -->\n  <p>Hi</p>\n<script nonce="xyz">x()</script></body></html>';
+      assert.strictEqual(computeContentHash(a), computeContentHash(b));
+    });
+
+    it('should ignore elements matching ignoreSelectors', () => {
+      const a = '<p>Hi</p><span class="build-time">2025-01-01</span>';
+      const b = '<p>Hi</p><span class="build-time">2025-01-02</span>';
+      assert.notStrictEqual(computeContentHash(a), computeContentHash(b));
+      assert.strictEqual(
+        computeContentHash(a, { ignoreSelectors: '.build-time' }),
+        computeContentHash(b, { ignoreSelectors: '.build-time' }),
+      );
+    });
+
+    it('should detect content changes', () => {
+      assert.notStrictEqual(
+        computeContentHash('<p>Hello</p>'),
+        computeContentHash('<p>Hello, world</p>'),
+      );
+    });
+
+    it('should hash non-HTML content as-is', () => {
+      assert.notStrictEqual(
+        computeContentHash('a  b', { html: false }),
+        computeContentHash('a b', { html: false }),
+      );
+    });
+  });
+
+  describe('isValidSelector', () => {
+    it('should accept selector lists', () => {
+      assert.ok(isValidSelector('.build-time, meta[name=generator]'));
+    });
+  });
+
+  describe('createContentHashStore', () => {
+    let dir;
+    let statePath;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'content-hash-'));
+      statePath = path.join(dir, 'state', 'lastmod.json');
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should keep dates for unchanged pages and bump changed ones', () => {
+      const first = createContentHashStore(statePath, {
+        now: new Date('2025-01-01T00:00:00Z'),
+      });
+      assert.strictEqual(first.found, false);
+      first.lookup('index.html', '<p>Home</p>');
+      first.lookup('about.html', '<p>About</p>');
+      first.lookup('old.html', '<p>Old</p>');
+      assert.deepStrictEqual(first.save(), {
+        changed: 0,
+        unchanged: 0,
+        added: 3,
+        removed: 0,
+      });
+
+      const second = createContentHashStore(statePath, {
+        now: new Date('2025-02-01T00:00:00Z'),
+      });
+      assert.strictEqual(second.found, true);
+      assert.strictEqual(
+        second.lookup('index.html', '<p>Home</p>'),
+        '2025-01-01T00:00:00.000Z',
+      );
+      assert.strictEqual(
+        second.lookup('about.html', '<p>About us</p>'),
+        '2025-02-01T00:00:00.000Z',
+      );
+      assert.strictEqual(
+        second.lookup('new.html', '<p>New</p>'),
+        '2025-02-01T00:00:00.000Z',
+      );
+      assert.deepStrictEqual(second.save(), {
+        changed: 1,
+        unchanged: 1,
+        added: 1,
+        removed: 1,
+      });
+
+      const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+      assert.deepStrictEqual(Object.keys(state.pages), [
+        'about.html',
+        'index.html',
+        'new.html',
+      ]);
+    });
+
+    it('should keep stored entries for pages that were not rehashed', () => {
+      const first = createContentHashStore(statePath, {
+        now: new Date('2025-01-01T00:00:00Z'),
+      });
+      first.lookup('index.html', '<p>Home</p>');
+      first.lookup('dated.html', '<p>Dated</p>');
+      first.save();
+
+      // dated.html is dated by an earlier strategy in the chain this time
+      const second = createContentHashStore(statePath, {
+        now: new Date('2025-02-01T00:00:00Z'),
+      });
+      second.keep('dated.html');
+      second.keep('index.html');
+      second.lookup('index.html', '<p>Home</p>');
+      assert.deepStrictEqual(second.save(), {
+        changed: 0,
+        unchanged: 1,
+        added: 0,
+        removed: 0,
+      });
+
+      const third = createContentHashStore(statePath, {
+        now: new Date('2025-03-01T00:00:00Z'),
+      });
+      assert.strictEqual(
+        third.lookup('dated.html', '<p>Dated</p>'),
+        '2025-01-01T00:00:00.000Z',
+      );
+    });
+
+    it('should start fresh when the state file is unreadable', () => {
+      fs.mkdirSync(path.dirname(statePath), { recursive: true });
+      fs.writeFileSync(statePath, '{not json', 'utf8');
+      const store = createContentHashStore(statePath);
+      assert.strictEqual(store.found, false);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+  resolveStaticFile,
+  startStaticServer,
+  crawlSite,
+} = require('../../src/lib/crawler');
+
+function write(file, content) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+}
+
+describe('Crawler', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'crawler-'));
+    write(
+      path.join(dir, 'index.html'),
+      '<a href="/about">About</a><a href="docs">Docs</a><a href="/missing#x">Missing</a><a href="https://example.com/contact.html">Contact</a><a href="https://other.com/">Other</a>',
+    );
+    write(path.join(dir, 'about.html'), '<a href="/deep/one.html">One</a>');
+    write(path.join(dir, 'docs/index.html'), '<a href="../report.pdf">PDF</a>');
+    write(path.join(dir, 'contact.html'), '<p>Contact</p>');
+    write(path.join(dir, 'deep/one.html'), '<a href="/deep/two.html">Two</a>');
+    write(path.join(dir, 'deep/two.html'), '<p>Two</p>');
+    write(path.join(dir, 'report.pdf'), '%PDF-1.4');
+    write(path.join(dir, 'orphan.html'), '<p>Not linked</p>');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('resolveStaticFile', () => {
+    it('should resolve files, index pages, clean URLs and directory redirects', () => {
+      assert.deepStrictEqual(resolveStaticFile(dir, '/'), {
+        file: 'index.html',
+      });
+      assert.deepStrictEqual(resolveStaticFile(dir, '/about'), {
+        file: 'about.html',
+      });
+      assert.deepStrictEqual(resolveStaticFile(dir, '/docs'), {
+        redirect: '/docs/',
+      });
+      assert.deepStrictEqual(resolveStaticFile(dir, '/docs/'), {
+        file: 'docs/index.html',
+      });
+      assert.strictEqual(resolveStaticFile(dir, '/missing'), null);
+      assert.strictEqual(resolveStaticFile(dir, '/../etc/passwd'), null);
+    });
+  });
+
+  describe('crawlSite', () => {
+    let server;
+
+    beforeEach(async () => {
+      server = await startStaticServer(dir);
+    });
+
+    afterEach(async () => {
+      await server.close();
+    });
+
+    it('should record statuses and redirect targets breadth-first', async () => {
+      const htmlPages = [];
+      const { pages, truncated } = await crawlSite(server.url, {
+        aliasOrigins: ['https://example.com'],
+        onPage: (page, root) => {
+          if (root) htmlPages.push(new URL(page.url).pathname);
+        },
+      });
+      const summary = pages.map((p) => [
+        new URL(p.url).pathname,
+        p.status,
+        new URL(p.finalUrl).pathname,
+        p.depth,
+      ]);
+      assert.deepStrictEqual(summary, [
+        ['/', 200, '/', 0],
+        ['/about', 200, '/about', 1],
+        ['/docs', 301, '/docs/', 1],
+        ['/docs/', 200, '/docs/', 1],
+        ['/missing', 404, '/missing', 1],
+        ['/contact.html', 200, '/contact.html', 1],
+        ['/deep/one.html', 200, '/deep/one.html', 2],
+        ['/report.pdf', 200, '/report.pdf', 2],
+        ['/deep/two.html', 200, '/deep/two.html', 3],
+      ]);
+      assert.strictEqual(truncated, false);
+      assert.ok(!htmlPages.includes('/report.pdf'));
+      assert.ok(!pages.some((p) => p.url.includes('orphan')));
+    });
+
+    it('should stop at the depth and page limits', async () => {
+      const shallow = await crawlSite(server.url, { maxDepth: 1 });
+      assert.ok(!shallow.pages.some((p) => p.url.includes('/deep/')));
+      const limited = await crawlSite(server.url, { maxPages: 3 });
+      assert.strictEqual(limited.pages.length, 3);
+      assert.strictEqual(limited.truncated, true);
+    });
+
+    it('should serve publicDir below a base path', async () => {
+      const mounted = await startStaticServer(dir, { basePath: '/repo/' });
+      try {
+        assert.ok(mounted.url.endsWith('/repo/'));
+        const { pages } = await crawlSite(mounted.url.slice(0, -1), {
+          maxDepth: 0,
+        });
+        assert.deepStrictEqual(
+          pages.map((p) => [new URL(p.url).pathname, p.status]),
+          [
+            ['/repo', 301],
+            ['/repo/', 200],
+          ],
+        );
+        const outside = await crawlSite(new URL('/about', mounted.url).href, {
+          maxDepth: 0,
+        });
+        assert.strictEqual(outside.pages[0].status, 404);
+      } finally {
+        await mounted.close();
+      }
+    });
+  });
+});
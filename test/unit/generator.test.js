@@ -0,0 +1,156 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { generateSitemaps, validateSitemaps } = require('../../src/api');
+
+function captureLogger() {
+  const logger = { lines: [] };
+  for (const level of ['info', 'warning', 'error']) {
+    logger[level] = (message) => logger.lines.push({ level, message });
+  }
+  return logger;
+}
+
+describe('generateSitemaps', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sitemap-api-'));
+    fs.writeFileSync(path.join(dir, 'index.html'), '<html></html>');
+    fs.mkdirSync(path.join(dir, 'about'));
+    fs.writeFileSync(path.join(dir, 'about', 'index.html'), '<html></html>');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should write sitemaps and return a structured result', async () => {
+    const result = await generateSitemaps({
+      siteUrl: 'https://example.com',
+      publicDir: dir,
+      lastmodStrategy: 'current',
+      urlStyle: 'directory',
+    });
+    assert.deepStrictEqual(result.urls.map((u) => u.url).sort(), [
+      'https://example.com/',
+      'https://example.com/about/',
+    ]);
+    assert.deepStrictEqual(result.files, [
+      path.join(dir, 'sitemap.xml'),
+      path.join(dir, 'sitemap.xml.gz'),
+      path.join(dir, 'sitemap.txt'),
+    ]);
+    assert.strictEqual(result.outputs.sitemap_path, result.files[0]);
+    assert.strictEqual(result.outputs.sitemap_index_path, '');
+    assert.strictEqual(result.valid, true);
+    assert.deepStrictEqual(result.issues, []);
+    for (const file of result.files) assert.ok(fs.existsSync(file));
+  });
+
+  it('should send progress to the injected logger', async () => {
+    const logger = captureLogger();
+    await generateSitemaps(
+      {
+        siteUrl: 'https://example.com',
+        publicDir: dir,
+        lastmodStrategy: 'none',
+      },
+      { logger },
+    );
+    assert.ok(
+      logger.lines.some(
+        (l) => l.level === 'info' && l.message.includes('generation completed'),
+      ),
+    );
+  });
+
+  it('should write a news sitemap for recent articles', async () => {
+    const published = new Date(Date.now() - 60 * 1000).toISOString();
+    fs.writeFileSync(
+      path.join(dir, 'story.html'),
+      '<html lang="en"><head>' +
+        `<meta property="article:published_time" content="${published}">` +
+        '<title>Fresh story</title></head><body>Story</body></html>',
+    );
+    const result = await generateSitemaps({
+      siteUrl: 'https://example.com',
+      publicDir: dir,
+      lastmodStrategy: 'none',
+      generateNewsSitemap: true,
+    });
+    const newsPath = path.join(dir, 'sitemap-news.xml');
+    assert.strictEqual(result.outputs.news_sitemap_path, newsPath);
+    const newsXml = fs.readFileSync(newsPath, 'utf8');
+    assert.ok(newsXml.includes('<loc>https://example.com/story.html</loc>'));
+    assert.ok(newsXml.includes('<news:title>Fresh story</news:title>'));
+  });
+
+  it('should split output and write an index', async () => {
+    const outDir = path.join(dir, 'out');
+    const result = await generateSitemaps({
+      siteUrl: 'https://example.com',
+      publicDir: dir,
+      sitemapOutputDir: outDir,
+      lastmodStrategy: 'none',
+      maxUrlsPerSitemap: 1,
+      generateGzip: false,
+      generateTxtSitemap: false,
+    });
+    assert.deepStrictEqual(
+      result.files.map((f) => path.relative(outDir, f)),
+      ['sitemap-1.xml', 'sitemap-2.xml', 'sitemap-index.xml'],
+    );
+    assert.strictEqual(
+      result.outputs.sitemap_index_path,
+      path.join(outDir, 'sitemap-index.xml'),
+    );
+  });
+
+  it('should report validation errors as issues', async () => {
+    const logger = captureLogger();
+    const result = await generateSitemaps(
+      {
+        siteUrl: 'https://example.com',
+        publicDir: dir,
+        lastmodStrategy: 'none',
+        additionalUrls: ['ftp://example.com/file'],
+      },
+      { logger },
+    );
+    assert.strictEqual(result.valid, false);
+    const errors = result.issues.filter((i) => i.type === 'error');
+    assert.ok(errors.length > 0);
+    assert.ok(errors[0].message.includes('additional_urls'));
+    assert.ok(logger.lines.some((l) => l.level === 'error'));
+  });
+
+  it('should reject missing or invalid site and directory options', async () => {
+    await assert.rejects(
+      generateSitemaps({ publicDir: dir }),
+      /site_url is required/,
+    );
+    await assert.rejects(
+      generateSitemaps({ siteUrl: 'example.com', publicDir: dir }),
+      /must start with http/,
+    );
+    await assert.rejects(
+      generateSitemaps({
+        siteUrl: 'https://example.com',
+        publicDir: path.join(dir, 'missing'),
+      }),
+      /public_dir not found/,
+    );
+  });
+
+  it('should expose validateSitemaps for generated files', async () => {
+    const result = await generateSitemaps({
+      siteUrl: 'https://example.com',
+      publicDir: dir,
+      lastmodStrategy: 'none',
+    });
+    const validation = await validateSitemaps([result.outputs.sitemap_path]);
+    assert.strictEqual(validation.valid, true);
+  });
+});
@@ -0,0 +1,179 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { execFileSync } = require('child_process');
+const {
+  parseGitLog,
+  createGitLastmodProvider,
+} = require('../../src/lib/git-lastmod');
+const { parseSourceMap } = require('../../src/lib/source-mapper');
+
+const silentCore = {
+  infos: [],
+  warnings: [],
+  info(msg) {
+    this.infos.push(msg);
+  },
+  warning(msg) {
+    this.warnings.push(msg);
+  },
+};
+
+function git(cwd, args, date) {
+  const env = { ...process.env };
+  if (date) {
+    env.GIT_AUTHOR_DATE = date;
+    env.GIT_COMMITTER_DATE = date;
+  }
+  return execFileSync(
+    'git',
+    ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args],
+    { cwd, env, stdio: ['ignore', 'pipe', 'ignore'], encoding: 'utf8' },
+  );
+}
+
+function writeFile(root, rel, content) {
+  const full = path.join(root, rel);
+  fs.mkdirSync(path.dirname(full), { recursive: true });
+  fs.writeFileSync(full, content, 'utf8');
+}
+
+describe('Git lastmod provider', () => {
+  describe('parseGitLog', () => {
+    it('should keep the newest date for each path', () => {
+      const output = [
+        '\x1f2025-03-02T10:00:00+00:00',
+        '',
+        'content/a.md',
+        'content/b.md',
+        '',
+        '\x1f2025-01-01T10:00:00+00:00',
+        '',
+        'content/a.md',
+        'content/c.md',
+      ].join('\n');
+      const dates = parseGitLog(output);
+      assert.strictEqual(
+        dates.get('content/a.md'),
+        '2025-03-02T10:00:00+00:00',
+      );
+      assert.strictEqual(
+        dates.get('content/b.md'),
+        '2025-03-02T10:00:00+00:00',
+      );
+      assert.strictEqual(
+        dates.get('content/c.md'),
+        '2025-01-01T10:00:00+00:00',
+      );
+    });
+  });
+
+  describe('createGitLastmodProvider', () => {
+    let repo;
+
+    before(function () {
+      this.timeout(10000);
+      repo = fs.mkdtempSync(path.join(os.tmpdir(), 'git-lastmod-'));
+      git(repo, ['init', '-q']);
+      writeFile(repo, '.gitignore', 'public/generated/\n');
+      writeFile(repo, 'content/blog/post.md', '# Post');
+      writeFile(repo, 'public/about.html', '<html></html>');
+      git(repo, ['add', '-A']);
+      git(repo, ['commit', '-q', '-m', 'first'], '2025-01-01T10:00:00Z');
+      writeFile(repo, 'content/blog/post.md', '# Post (edited)');
+      git(repo, ['commit', '-q', '-am', 'second'], '2025-02-01T10:00:00Z');
+      // Build output that is not tracked
+      writeFile(repo, 'public/generated/blog/post/index.html', '<html></html>');
+    });
+
+    after(() => {
+      fs.rmSync(repo, { recursive: true, force: true });
+    });
+
+    it('should date tracked files from a single history pass', () => {
+      const provider = createGitLastmodProvider(
+        path.join(repo, 'public'),
+        silentCore,
+      );
+      assert.strictEqual(provider.available, true);
+      assert.strictEqual(provider.shallow, false);
+      assert.ok(
+        provider
+          .lookup(path.join(repo, 'public/about.html'), 'about.html')
+          .startsWith('2025-01-01'),
+      );
+    });
+
+    it('should map build output to a source by route only when enabled', () => {
+      const output = path.join(repo, 'public/generated/blog/post/index.html');
+      const provider = createGitLastmodProvider(repo, silentCore, {
+        matchRoutes: true,
+      });
+      const iso = provider.lookup(output, 'blog/post/index.html');
+      assert.ok(iso && iso.startsWith('2025-02-01'), iso);
+      assert.deepStrictEqual(provider.routeMatches, [
+        'blog/post/index.html ← content/blog/post.md',
+      ]);
+      const strict = createGitLastmodProvider(repo, silentCore);
+      assert.strictEqual(strict.lookup(output, 'blog/post/index.html'), null);
+      assert.deepStrictEqual(strict.routeMatches, []);
+    });
+
+    it('should prefer configured source map rules', () => {
+      writeFile(repo, 'notes/post.md', '# Unrelated');
+      git(repo, ['add', '-A']);
+      git(repo, ['commit', '-q', '-m', 'third'], '2025-03-01T10:00:00Z');
+      const provider = createGitLastmodProvider(repo, silentCore, {
+        sourceRules: parseSourceMap('blog/{slug}/index.html => notes/{slug}.md')
+          .rules,
+        sourceRoot: repo,
+      });
+      const iso = provider.lookup(
+        path.join(repo, 'public/generated/blog/post/index.html'),
+        'blog/post/index.html',
+      );
+      assert.ok(iso && iso.startsWith('2025-03-01'), iso);
+    });
+
+    it('should return null when no source matches', () => {
+      const provider = createGitLastmodProvider(repo, silentCore);
+      assert.strictEqual(
+        provider.lookup(path.join(repo, 'public/missing.html'), 'missing.html'),
+        null,
+      );
+    });
+
+    it('should warn about shallow clones', function () {
+      this.timeout(10000);
+      const clone = fs.mkdtempSync(path.join(os.tmpdir(), 'git-shallow-'));
+      try {
+        git(os.tmpdir(), [
+          'clone',
+          '-q',
+          '--depth',
+          '1',
+          `file://${repo}`,
+          clone,
+        ]);
+        const core = { ...silentCore, infos: [], warnings: [] };
+        const provider = createGitLastmodProvider(clone, core);
+        assert.strictEqual(provider.shallow, true);
+        assert.ok(core.warnings.some((w) => w.includes('fetch-depth: 0')));
+      } finally {
+        fs.rmSync(clone, { recursive: true, force: true });
+      }
+    });
+
+    it('should be unavailable outside a git repository', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'no-git-'));
+      try {
+        const provider = createGitLastmodProvider(dir, silentCore);
+        assert.strictEqual(provider.available, false);
+        assert.strictEqual(provider.lookup(path.join(dir, 'a.html')), null);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -0,0 +1,312 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+  parseHeadersFile,
+  getHeaderValues,
+  isNoindexDirective,
+  parseRedirectsFile,
+  parseNetlifyToml,
+  parseVercelConfig,
+  loadHostConfig,
+  matchRedirect,
+  matchRewrite,
+  findRewriteSource,
+} = require('../../src/lib/host-rules');
+
+describe('Host Rules', () => {
+  describe('parseHeadersFile', () => {
+    it('should group indented headers under their path', () => {
+      const rules = parseHeadersFile(
+        '# Security\n/*\n  X-Frame-Options: DENY\n\n/drafts/*\n  X-Robots-Tag: noindex\n',
+      );
+      assert.deepStrictEqual(rules, [
+        {
+          pattern: '/*',
+          headers: [{ name: 'X-Frame-Options', value: 'DENY' }],
+        },
+        {
+          pattern: '/drafts/*',
+          headers: [{ name: 'X-Robots-Tag', value: 'noindex' }],
+        },
+      ]);
+    });
+
+    it('should record detached headers', () => {
+      const rules = parseHeadersFile('/public/*\n  ! X-Robots-Tag\n');
+      assert.deepStrictEqual(rules[0].headers, [
+        { name: 'X-Robots-Tag', value: null },
+      ]);
+    });
+  });
+
+  describe('getHeaderValues', () => {
+    const rules = parseHeadersFile(
+      [
+        '/private/*',
+        '  X-Robots-Tag: noindex',
+        '/private/press.html',
+        '  ! X-Robots-Tag',
+        '/:lang/draft',
+        '  x-robots-tag: googlebot: noindex',
+      ].join('\n'),
+    );
+
+    it('should match splats', () => {
+      assert.deepStrictEqual(
+        getHeaderValues(rules, '/private/team.html', 'X-Robots-Tag'),
+        ['noindex'],
+      );
+    });
+
+    it('should clear values for detached headers', () => {
+      assert.deepStrictEqual(
+        getHeaderValues(rules, '/private/press.html', 'X-Robots-Tag'),
+        [],
+      );
+    });
+
+    it('should match placeholders against the served path', () => {
+      assert.deepStrictEqual(
+        getHeaderValues(rules, '/en/draft/index.html', 'X-Robots-Tag'),
+        ['googlebot: noindex'],
+      );
+      assert.deepStrictEqual(
+        getHeaderValues(rules, '/en/draft.html', 'X-Robots-Tag'),
+        ['googlebot: noindex'],
+      );
+    });
+
+    it('should return nothing for unmatched paths', () => {
+      assert.deepStrictEqual(
+        getHeaderValues(rules, '/about.html', 'X-Robots-Tag'),
+        [],
+      );
+    });
+  });
+
+  describe('isNoindexDirective', () => {
+    it('should detect noindex and none', () => {
+      assert.ok(isNoindexDirective('noindex'));
+      assert.ok(isNoindexDirective('NOINDEX, nofollow'));
+      assert.ok(isNoindexDirective('none'));
+      assert.ok(isNoindexDirective('noindex, unavailable_after: 2030-01-01'));
+    });
+
+    it('should honor googlebot-scoped directives only', () => {
+      assert.ok(isNoindexDirective('googlebot: noindex'));
+      assert.ok(!isNoindexDirective('bingbot: noindex'));
+    });
+
+    it('should ignore indexable directives', () => {
+      assert.ok(!isNoindexDirective('index, follow'));
+      assert.ok(!isNoindexDirective('max-snippet: -1'));
+      assert.ok(!isNoindexDirective(''));
+    });
+  });
+
+  describe('parseRedirectsFile', () => {
+    it('should parse status, force and conditions', () => {
+      const rules = parseRedirectsFile(
+        [
+          '# Moved pages',
+          '/old /new',
+          '/blog/*  /posts/:splat  302!',
+          '/store id=:id /blog/:id 301',
+          '/fr/* /fr/index.html 200 Country=fr',
+        ].join('\n'),
+      );
+      assert.deepStrictEqual(
+        rules.map((r) => [r.from, r.to, r.status, r.force, r.conditional]),
+        [
+          ['/old', '/new', 301, false, false],
+          ['/blog/*', '/posts/:splat', 302, true, false],
+          ['/store', '/blog/:id', 301, false, true],
+          ['/fr/*', '/fr/index.html', 200, false, true],
+        ],
+      );
+    });
+  });
+
+  describe('parseNetlifyToml', () => {
+    it('should read redirects and header tables', () => {
+      const { redirects, headers } = parseNetlifyToml(
+        [
+          '[build]',
+          '  publish = "dist" # output',
+          '[[redirects]]',
+          '  from = "/a"',
+          '  to = "/b"',
+          '  status = 302',
+          '  force = true',
+          '[[redirects]]',
+          "  from = '/c'",
+          '  to = "/d"',
+          '  conditions = {Language = ["en"]}',
+          '[[headers]]',
+          '  for = "/drafts/*"',
+          '  [headers.values]',
+          '    X-Robots-Tag = "noindex"',
+        ].join('\n'),
+      );
+      assert.deepStrictEqual(redirects, [
+        { from: '/a', to: '/b', status: 302, force: true, conditional: false },
+        { from: '/c', to: '/d', status: 301, force: false, conditional: true },
+      ]);
+      assert.deepStrictEqual(headers, [
+        {
+          pattern: '/drafts/*',
+          headers: [{ name: 'X-Robots-Tag', value: 'noindex' }],
+        },
+      ]);
+    });
+  });
+
+  describe('parseVercelConfig', () => {
+    it('should read redirects, rewrites, headers and URL settings', () => {
+      const config = parseVercelConfig({
+        cleanUrls: true,
+        trailingSlash: false,
+        redirects: [
+          { source: '/docs/:path*', destination: '/guide/:path*' },
+          { source: '/tmp', destination: '/', permanent: false },
+        ],
+        rewrites: [{ source: '/about', destination: '/about-us.html' }],
+        headers: [
+          {
+            source: '/private/(.*)',
+            headers: [{ key: 'X-Robots-Tag', value: 'noindex' }],
+          },
+        ],
+      });
+      assert.deepStrictEqual(
+        config.redirects.map((r) => [r.from, r.to, r.status]),
+        [
+          ['/docs/:path*', '/guide/:path*', 308],
+          ['/tmp', '/', 307],
+          ['/about', '/about-us.html', 200],
+        ],
+      );
+      assert.deepStrictEqual(
+        getHeaderValues(config.headers, '/private/a.html', 'X-Robots-Tag'),
+        ['noindex'],
+      );
+      assert.strictEqual(config.cleanUrls, true);
+      assert.strictEqual(config.trailingSlash, false);
+    });
+  });
+
+  describe('matchRedirect', () => {
+    const rules = [
+      ...parseRedirectsFile(
+        [
+          '/old /new 301',
+          '/blog/* /posts/:splat 301',
+          '/tag/:name /topics/:name 302',
+          '/gone /404.html 410',
+          '/shop id=:id /store 301',
+          'https://old.example.com/* https://example.com/:splat 301!',
+        ].join('\n'),
+      ),
+      ...parseVercelConfig({
+        redirects: [{ source: '/docs/:path*', destination: '/guide/:path*' }],
+      }).redirects,
+    ];
+
+    it('should match served paths and fill in placeholders', () => {
+      assert.strictEqual(matchRedirect(rules, '/old.html').target, '/new');
+      assert.strictEqual(
+        matchRedirect(rules, '/blog/a/index.html').target,
+        '/posts/a/index.html',
+      );
+      assert.strictEqual(matchRedirect(rules, '/tag/js/').rule.status, 302);
+      assert.strictEqual(
+        matchRedirect(rules, '/docs/setup.html').target,
+        '/guide/setup.html',
+      );
+      assert.strictEqual(matchRedirect(rules, '/gone').rule.status, 410);
+    });
+
+    it('should skip conditional rules and rules for other hosts', () => {
+      assert.strictEqual(matchRedirect(rules, '/shop'), null);
+      assert.strictEqual(
+        matchRedirect(rules, '/page', 'https://example.com'),
+        null,
+      );
+      assert.strictEqual(matchRedirect(rules, '/about.html'), null);
+    });
+
+    it('should not apply rules without force to served paths', () => {
+      const shadowRules = parseRedirectsFile(
+        '/blog/* /posts/:splat 301\n/legacy/* /archive/:splat 301!\n',
+      );
+      const isServed = (p) => ['/blog/a.html', '/legacy/b.html'].includes(p);
+      assert.strictEqual(
+        matchRedirect(shadowRules, '/blog/a.html', undefined, { isServed }),
+        null,
+      );
+      assert.strictEqual(
+        matchRedirect(shadowRules, '/blog/c.html', undefined, { isServed })
+          .target,
+        '/posts/c.html',
+      );
+      assert.strictEqual(
+        matchRedirect(shadowRules, '/legacy/b.html', undefined, { isServed })
+          .target,
+        '/archive/b.html',
+      );
+    });
+  });
+
+  describe('matchRewrite', () => {
+    it('should match rewrites, including catch-all fallbacks', () => {
+      const rules = parseRedirectsFile(
+        '/old /new 301\n/about /about-us.html 200\n/app/* /app/index.html 200\n',
+      );
+      assert.strictEqual(matchRewrite(rules, '/about').to, '/about-us.html');
+      assert.strictEqual(
+        matchRewrite(rules, '/app/settings').to,
+        '/app/index.html',
+      );
+      assert.strictEqual(matchRewrite(rules, '/old'), null);
+      assert.strictEqual(matchRewrite(rules, '/contact'), null);
+    });
+  });
+
+  describe('findRewriteSource', () => {
+    it('should map concrete rewrites and ignore fallbacks', () => {
+      const rules = parseRedirectsFile(
+        '/about /about-us.html 200\n/* /index.html 200\n',
+      );
+      assert.strictEqual(findRewriteSource(rules, '/about-us.html'), '/about');
+      assert.strictEqual(findRewriteSource(rules, '/index.html'), null);
+    });
+  });
+
+  describe('loadHostConfig', () => {
+    it('should merge files from publicDir and the project root', () => {
+      const root = fs.mkdtempSync(path.join(os.tmpdir(), 'host-config-'));
+      const dist = path.join(root, 'dist');
+      try {
+        fs.mkdirSync(dist);
+        fs.writeFileSync(path.join(dist, '_redirects'), '/old /new\n');
+        fs.writeFileSync(
+          path.join(dist, '_headers'),
+          '/drafts/*\n  X-Robots-Tag: noindex\n',
+        );
+        fs.writeFileSync(
+          path.join(root, 'vercel.json'),
+          JSON.stringify({ cleanUrls: true, trailingSlash: true }),
+        );
+        const config = loadHostConfig(dist, { cwd: root });
+        assert.deepStrictEqual(config.sources, ['_redirects', 'vercel.json']);
+        assert.strictEqual(config.redirects.length, 1);
+        assert.strictEqual(config.headers.length, 1);
+        assert.strictEqual(config.urlStyle, 'directory');
+      } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -0,0 +1,136 @@
+const assert = require('assert');
+const {
+  isValidHreflang,
+  parseLocaleMap,
+  applyHreflangClusters,
+} = require('../../src/lib/hreflang');
+
+describe('hreflang', () => {
+  describe('isValidHreflang', () => {
+    it('should accept language, region and x-default codes', () => {
+      assert.ok(isValidHreflang('en'));
+      assert.ok(isValidHreflang('de-AT'));
+      assert.ok(isValidHreflang('zh-Hant-TW'));
+      assert.ok(isValidHreflang('x-default'));
+    });
+
+    it('should reject malformed codes', () => {
+      assert.ok(!isValidHreflang('english'));
+      assert.ok(!isValidHreflang('en_US'));
+      assert.ok(!isValidHreflang(''));
+    });
+  });
+
+  describe('parseLocaleMap', () => {
+    it('should normalize directories and sort longest first', () => {
+      assert.deepStrictEqual(parseLocaleMap('en=/,de=de,pt-BR=/pt/br/'), [
+        { lang: 'pt-BR', prefix: '/pt/br/' },
+        { lang: 'de', prefix: '/de/' },
+        { lang: 'en', prefix: '/' },
+      ]);
+    });
+
+    it('should ignore entries without a directory', () => {
+      assert.deepStrictEqual(parseLocaleMap('en,fr=/fr/'), [
+        { lang: 'fr', prefix: '/fr/' },
+      ]);
+    });
+  });
+
+  describe('applyHreflangClusters', () => {
+    it('should pair locale directories and add x-default', () => {
+      const items = [
+        { url: 'https://example.com/en/guide.html' },
+        { url: 'https://example.com/de/guide.html' },
+        { url: 'https://example.com/fr/guide.html' },
+        { url: 'https://example.com/en/only-english.html' },
+      ];
+      const result = applyHreflangClusters(items, {
+        locales: parseLocaleMap('en=/en/,de=/de/,fr=/fr/'),
+        defaultLocale: 'en',
+      });
+
+      assert.strictEqual(result.clusters, 1);
+      const expected = [
+        { lang: 'de', url: 'https://example.com/de/guide.html' },
+        { lang: 'en', url: 'https://example.com/en/guide.html' },
+        { lang: 'fr', url: 'https://example.com/fr/guide.html' },
+        { lang: 'x-default', url: 'https://example.com/en/guide.html' },
+      ];
+      for (const item of items.slice(0, 3)) {
+        assert.deepStrictEqual(item.links, expected);
+      }
+      assert.strictEqual(items[3].links, undefined);
+    });
+
+    it('should make declared alternates reciprocal', () => {
+      const items = [
+        {
+          url: 'https://example.com/',
+          alternates: [
+            { lang: 'en', url: 'https://example.com/' },
+            { lang: 'es', url: 'https://example.com/inicio.html' },
+            { lang: 'x-default', url: 'https://example.com/' },
+          ],
+        },
+        // The Spanish page declares nothing itself
+        { url: 'https://example.com/inicio.html' },
+      ];
+      applyHreflangClusters(items);
+
+      assert.deepStrictEqual(items[1].links, items[0].links);
+      assert.ok(
+        items[1].links.some(
+          (l) => l.lang === 'es' && l.url === 'https://example.com/inicio.html',
+        ),
+      );
+      assert.strictEqual(items[0].alternates, undefined);
+    });
+
+    it('should give the x-default page the cluster links', () => {
+      const alternates = [
+        { lang: 'en', url: 'https://example.com/en/' },
+        { lang: 'de', url: 'https://example.com/de/' },
+        { lang: 'x-default', url: 'https://example.com/' },
+      ];
+      const items = [
+        // The language selector declares nothing itself
+        { url: 'https://example.com/' },
+        { url: 'https://example.com/en/', alternates },
+        { url: 'https://example.com/de/', alternates },
+      ];
+      const result = applyHreflangClusters(items);
+
+      assert.strictEqual(result.clusters, 1);
+      assert.deepStrictEqual(items[0].links, items[1].links);
+      assert.deepStrictEqual(items[0].links, items[2].links);
+      assert.deepStrictEqual(items[0].links[2], {
+        lang: 'x-default',
+        url: 'https://example.com/',
+      });
+    });
+
+    it('should report duplicate languages in a cluster', () => {
+      const items = [
+        {
+          url: 'https://example.com/a',
+          alternates: [
+            { lang: 'en', url: 'https://example.com/a' },
+            { lang: 'de', url: 'https://example.com/b' },
+          ],
+        },
+        {
+          url: 'https://example.com/b',
+          alternates: [{ lang: 'en', url: 'https://example.com/c' }],
+        },
+        { url: 'https://example.com/c' },
+      ];
+      const result = applyHreflangClusters(items, {
+        locales: parseLocaleMap('de=/'),
+      });
+
+      assert.strictEqual(result.clusters, 1);
+      assert.ok(result.conflicts.length >= 1);
+    });
+  });
+});
@@ -1,8 +1,19 @@
 const assert = require('assert');
+const fs = require('fs');
 const path = require('path');
+const { parse: parseHtml } = require('node-html-parser');
 const {
   extractCanonicalUrl,
   discoverInternalLinks,
+  parseSrcset,
+  extractImageSources,
+  parseIsoDuration,
+  extractVideos,
+  normalizeNewsLanguage,
+  extractNewsMetadata,
+  extractModifiedDates,
+  extractMetaRefresh,
+  isEmptySpaShell,
 } = require('../../src/lib/html-parser');
 
 describe('HTML Parser', () => {
@@ -91,4 +102,294 @@ describe('HTML Parser', () => {
       assert.strictEqual(links.length, 0);
     });
   });
+
+  describe('parseSrcset', () => {
+    it('should return candidate URLs without descriptors', () => {
+      assert.deepStrictEqual(parseSrcset('a.jpg 1x, b.jpg 2x'), [
+        'a.jpg',
+        'b.jpg',
+      ]);
+    });
+
+    it('should return empty array for missing srcset', () => {
+      assert.deepStrictEqual(parseSrcset(undefined), []);
+    });
+  });
+
+  describe('extractImageSources', () => {
+    const loadRoot = (name) =>
+      parseHtml(fs.readFileSync(path.join(fixturesDir, name), 'utf8'));
+
+    it('should collect img, srcset, picture and og:image sources', () => {
+      const sources = extractImageSources(loadRoot('with-images.html'));
+
+      assert.deepStrictEqual(sources, [
+        '/images/hero.jpg',
+        'thumb.png',
+        'thumb@2x.png',
+        '/images/wide.webp',
+        '/images/narrow.webp',
+        'https://cdn.example.com/social.jpg',
+      ]);
+    });
+
+    it('should skip inline data URIs', () => {
+      const sources = extractImageSources(loadRoot('with-images.html'));
+
+      assert.ok(!sources.some((src) => src.startsWith('data:')));
+    });
+
+    it('should return empty array for HTML without images', () => {
+      const sources = extractImageSources(loadRoot('no-canonical.html'));
+
+      assert.deepStrictEqual(sources, []);
+    });
+  });
+
+  describe('parseIsoDuration', () => {
+    it('should convert ISO 8601 durations to seconds', () => {
+      assert.strictEqual(parseIsoDuration('PT2M30S'), 150);
+      assert.strictEqual(parseIsoDuration('PT1H'), 3600);
+    });
+
+    it('should return undefined for invalid durations', () => {
+      assert.strictEqual(parseIsoDuration('P'), undefined);
+      assert.strictEqual(parseIsoDuration('2 minutes'), undefined);
+      assert.strictEqual(parseIsoDuration(undefined), undefined);
+    });
+  });
+
+  describe('extractVideos', () => {
+    const root = parseHtml(
+      fs.readFileSync(path.join(fixturesDir, 'with-videos.html'), 'utf8'),
+    );
+
+    it('should read VideoObject JSON-LD', () => {
+      const videos = extractVideos(root);
+      const jsonLd = videos.find((v) => v.title === 'Installing the CLI');
+
+      assert.deepStrictEqual(jsonLd, {
+        thumbnail_loc: '/thumbs/install.jpg',
+        title: 'Installing the CLI',
+        description: 'Step-by-step installation walkthrough.',
+        content_loc: '/media/install.mp4',
+        player_loc: undefined,
+        duration: 150,
+        publication_date: '2024-05-01',
+      });
+    });
+
+    it('should fall back to page metadata for <video> elements', () => {
+      const intro = extractVideos(root).find(
+        (v) => v.content_loc === '/media/intro.mp4',
+      );
+
+      assert.strictEqual(intro.thumbnail_loc, '/thumbs/intro.jpg');
+      assert.strictEqual(intro.title, 'Getting Started Tutorial');
+      assert.strictEqual(
+        intro.description,
+        'Learn the basics in five minutes.',
+      );
+    });
+
+    it('should recognize player embeds and skip other iframes', () => {
+      const players = extractVideos(root).filter((v) => v.player_loc);
+
+      assert.strictEqual(players.length, 1);
+      assert.strictEqual(
+        players[0].thumbnail_loc,
+        'https://i.ytimg.com/vi/dQw4w9WgXcQ/hqdefault.jpg',
+      );
+      assert.strictEqual(players[0].title, 'Overview');
+    });
+
+    it('should list a location only once, preferring JSON-LD', () => {
+      const installs = extractVideos(root).filter(
+        (v) => v.content_loc === '/media/install.mp4',
+      );
+
+      assert.strictEqual(installs.length, 1);
+      assert.strictEqual(installs[0].title, 'Installing the CLI');
+    });
+
+    it('should unwrap JSON-LD value objects and ignore other non-strings', () => {
+      const videos = extractVideos(
+        parseHtml(
+          '<script type="application/ld+json">' +
+            JSON.stringify({
+              '@type': 'VideoObject',
+              name: [{ '@value': 'Clip', '@language': 'en' }],
+              description: { en: 'Language map' },
+              thumbnailUrl: { '@type': 'ImageObject', url: '/thumb.jpg' },
+              contentUrl: '/clip.mp4',
+            }) +
+            '</script>',
+        ),
+      );
+
+      assert.strictEqual(videos.length, 1);
+      assert.strictEqual(videos[0].title, 'Clip');
+      assert.strictEqual(videos[0].description, undefined);
+      assert.strictEqual(videos[0].thumbnail_loc, '/thumb.jpg');
+    });
+  });
+
+  describe('extractNewsMetadata', () => {
+    it('should read article:published_time and og:title', () => {
+      const root = parseHtml(
+        '<html lang="en-GB"><head>' +
+          '<meta property="article:published_time" content="2025-03-01T08:00:00Z">' +
+          '<meta property="og:title" content="Breaking story">' +
+          '</head></html>',
+      );
+
+      assert.deepStrictEqual(extractNewsMetadata(root), {
+        publicationDate: '2025-03-01T08:00:00.000Z',
+        title: 'Breaking story',
+        language: 'en',
+      });
+    });
+
+    it('should read NewsArticle JSON-LD', () => {
+      const root = parseHtml(
+        '<html><head><title>Site</title><script type="application/ld+json">' +
+          JSON.stringify({
+            '@type': 'NewsArticle',
+            headline: 'Markets rally',
+            datePublished: '2025-03-02',
+            inLanguage: 'zh-Hant',
+          }) +
+          '</script></head></html>',
+      );
+
+      assert.deepStrictEqual(extractNewsMetadata(root), {
+        publicationDate: '2025-03-02T00:00:00.000Z',
+        title: 'Markets rally',
+        language: 'zh-tw',
+      });
+    });
+
+    it('should normalize dates and skip non-string headlines', () => {
+      const root = parseHtml(
+        '<html><head><title>Site title</title><script type="application/ld+json">' +
+          JSON.stringify({
+            '@type': 'NewsArticle',
+            headline: { en: 'Language map' },
+            datePublished: 'Mon, 19 Oct 2026 10:00:00 GMT',
+          }) +
+          '</script></head></html>',
+      );
+
+      assert.deepStrictEqual(extractNewsMetadata(root), {
+        publicationDate: '2026-10-19T10:00:00.000Z',
+        title: 'Site title',
+      });
+    });
+
+    it('should return null when the publication date is not a date', () => {
+      const root = parseHtml(
+        '<html><head><title>Story</title>' +
+          '<meta property="article:published_time" content="yesterday">' +
+          '</head></html>',
+      );
+
+      assert.strictEqual(extractNewsMetadata(root), null);
+    });
+
+    it('should return null for pages that are not articles', () => {
+      const root = parseHtml('<html><head><title>About</title></head></html>');
+
+      assert.strictEqual(extractNewsMetadata(root), null);
+    });
+
+    it('should normalize language tags', () => {
+      assert.strictEqual(normalizeNewsLanguage('de-AT'), 'de');
+      assert.strictEqual(normalizeNewsLanguage('zh-CN'), 'zh-cn');
+      assert.strictEqual(normalizeNewsLanguage(''), undefined);
+    });
+  });
+
+  describe('extractModifiedDates', () => {
+    it('should return declared dates in precedence order', () => {
+      const root = parseHtml(
+        '<html><head>' +
+          '<meta name="Last-Modified" content="Tue, 04 Mar 2025 10:00:00 GMT">' +
+          '<meta property="article:modified_time" content="2025-03-03T09:00:00+01:00">' +
+          '<script type="application/ld+json">' +
+          JSON.stringify({ '@type': 'Article', dateModified: '2025-03-02' }) +
+          '</script></head><body>' +
+          '<time datetime="2025-01-01">Jan 1</time>' +
+          '<time itemprop="dateModified" datetime="2025-03-05">Mar 5</time>' +
+          '</body></html>',
+      );
+
+      assert.deepStrictEqual(extractModifiedDates(root), [
+        { source: 'JSON-LD dateModified', value: '2025-03-02' },
+        { source: 'article:modified_time', value: '2025-03-03T09:00:00+01:00' },
+        {
+          source: 'meta last-modified',
+          value: 'Tue, 04 Mar 2025 10:00:00 GMT',
+        },
+        { source: 'time dateModified', value: '2025-03-05' },
+        { source: 'time', value: '2025-01-01' },
+      ]);
+    });
+
+    it('should return an empty list when nothing is declared', () => {
+      const root = parseHtml('<html><head><title>About</title></head></html>');
+
+      assert.deepStrictEqual(extractModifiedDates(root), []);
+    });
+  });
+
+  describe('extractMetaRefresh', () => {
+    it('should read the delay and target of a refresh redirect', () => {
+      const refresh = (content) =>
+        extractMetaRefresh(
+          parseHtml(`<meta http-equiv="Refresh" content="${content}">`),
+        );
+      assert.deepStrictEqual(refresh('0; url=/new/'), {
+        delay: 0,
+        url: '/new/',
+      });
+      assert.deepStrictEqual(refresh("0;URL='https://example.com/a'"), {
+        delay: 0,
+        url: 'https://example.com/a',
+      });
+      assert.deepStrictEqual(refresh('5, /later'), { delay: 5, url: '/later' });
+      assert.strictEqual(refresh('30'), null);
+      assert.strictEqual(extractMetaRefresh(parseHtml('<p>Hi</p>')), null);
+    });
+  });
+
+  describe('isEmptySpaShell', () => {
+    it('should detect pages with scripts and no visible content', () => {
+      const shell = (html) => isEmptySpaShell(parseHtml(html));
+      assert.strictEqual(
+        shell(
+          '<html><head><title>App</title></head><body><div id="root"></div><script type="module" src="/app.js"></script><noscript>Enable JavaScript</noscript></body></html>',
+        ),
+        true,
+      );
+      assert.strictEqual(
+        shell('<body><div id="root"></div><script src="/app.js"></script>'),
+        true,
+      );
+      assert.strictEqual(
+        shell('<body><h1>Hello</h1><script src="/app.js"></script></body>'),
+        false,
+      );
+      assert.strictEqual(
+        shell('<body><img src="/a.png"><script src="/app.js"></script></body>'),
+        false,
+      );
+      assert.strictEqual(
+        shell(
+          '<body><script type="application/ld+json">{"@type":"WebPage"}</script></body>',
+        ),
+        false,
+      );
+      assert.strictEqual(shell('<body></body>'), false);
+    });
+  });
 });
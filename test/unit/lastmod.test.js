@@ -0,0 +1,120 @@
+const assert = require('assert');
+const {
+  parseLastmodStrategy,
+  toW3CDatetime,
+  pickLastmod,
+  extractFrontMatterDate,
+} = require('../../src/lib/lastmod');
+
+describe('lastmod', () => {
+  describe('parseLastmodStrategy', () => {
+    it('should fall back to filemtime after git or meta', () => {
+      assert.deepStrictEqual(parseLastmodStrategy('git'), {
+        chain: ['git', 'filemtime'],
+        errors: [],
+      });
+      assert.deepStrictEqual(parseLastmodStrategy('meta, git'), {
+        chain: ['meta', 'git', 'filemtime'],
+        errors: [],
+      });
+    });
+
+    it('should keep explicit terminal strategies', () => {
+      assert.deepStrictEqual(parseLastmodStrategy('meta,content-hash').chain, [
+        'meta',
+        'content-hash',
+      ]);
+      assert.deepStrictEqual(parseLastmodStrategy('none').chain, ['none']);
+    });
+
+    it('should report unknown and unreachable entries', () => {
+      const { errors } = parseLastmodStrategy('meta,bogus,filemtime,git');
+      assert.deepStrictEqual(errors, [
+        'bogus',
+        'git (unreachable after filemtime)',
+      ]);
+    });
+
+    it('should return an empty chain for an empty value', () => {
+      assert.deepStrictEqual(parseLastmodStrategy('').chain, []);
+    });
+  });
+
+  describe('toW3CDatetime', () => {
+    it('should normalize ISO 8601 values to UTC', () => {
+      assert.strictEqual(
+        toW3CDatetime('2025-03-03T09:00:00+01:00'),
+        '2025-03-03T08:00:00.000Z',
+      );
+      assert.strictEqual(
+        toW3CDatetime('2025-03-03T09:00:00+0100'),
+        '2025-03-03T08:00:00.000Z',
+      );
+      assert.strictEqual(
+        toW3CDatetime('2025-03-02'),
+        '2025-03-02T00:00:00.000Z',
+      );
+    });
+
+    it('should read times without an offset as UTC', () => {
+      assert.strictEqual(
+        toW3CDatetime('2025-03-03 09:30'),
+        '2025-03-03T09:30:00.000Z',
+      );
+    });
+
+    it('should accept HTTP dates', () => {
+      assert.strictEqual(
+        toW3CDatetime('Tue, 04 Mar 2025 10:00:00 GMT'),
+        '2025-03-04T10:00:00.000Z',
+      );
+    });
+
+    it('should reject values that are not dates', () => {
+      assert.strictEqual(toW3CDatetime('yesterday'), null);
+      assert.strictEqual(toW3CDatetime('03/04/2025'), null);
+      assert.strictEqual(toW3CDatetime('1700000000'), null);
+      assert.strictEqual(toW3CDatetime('2025-13-45'), null);
+      assert.strictEqual(toW3CDatetime(''), null);
+    });
+  });
+
+  describe('pickLastmod', () => {
+    it('should skip candidates that are not valid dates', () => {
+      assert.deepStrictEqual(
+        pickLastmod([
+          { source: 'JSON-LD dateModified', value: 'soon' },
+          { source: 'time', value: '2025-01-01' },
+        ]),
+        { source: 'time', lastmod: '2025-01-01T00:00:00.000Z' },
+      );
+      assert.strictEqual(pickLastmod([]), null);
+    });
+  });
+
+  describe('extractFrontMatterDate', () => {
+    it('should prefer lastmod keys over date in YAML', () => {
+      const content = [
+        '---',
+        'title: Post',
+        'date: 2024-01-01',
+        'last_modified_at: "2024-06-01T12:00:00Z"',
+        '---',
+        '# Post',
+      ].join('\n');
+      assert.strictEqual(
+        extractFrontMatterDate(content),
+        '"2024-06-01T12:00:00Z"',
+      );
+    });
+
+    it('should read TOML front matter', () => {
+      const content = ['+++', 'lastmod = 2024-02-03', '+++', 'Body'].join('\n');
+      assert.strictEqual(extractFrontMatterDate(content), '2024-02-03');
+    });
+
+    it('should return null without front matter', () => {
+      assert.strictEqual(extractFrontMatterDate('# Title\ndate: 2024'), null);
+    });
+  });
+});
@@ -0,0 +1,101 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+  reportFormatOf,
+  formatBrokenLinkReport,
+  writeBrokenLinkReport,
+} = require('../../src/lib/link-report');
+
+describe('Broken Link Report', () => {
+  const siteUrl = 'https://example.com';
+  const links = [
+    {
+      source: 'blog/post.html',
+      line: 12,
+      href: '../missing',
+      url: 'https://example.com/missing',
+    },
+    {
+      source: 'blog/post.html',
+      line: 14,
+      href: '/a|b',
+      url: 'https://example.com/a|b',
+    },
+    {
+      source: 'index.html',
+      line: 3,
+      href: '/old/',
+      url: 'https://example.com/old/',
+    },
+  ];
+
+  describe('reportFormatOf', () => {
+    it('should pick the format from the extension', () => {
+      assert.strictEqual(reportFormatOf('reports/links.JSON'), 'json');
+      assert.strictEqual(reportFormatOf('links.md'), 'markdown');
+      assert.strictEqual(reportFormatOf('links.markdown'), 'markdown');
+      assert.strictEqual(reportFormatOf('links.txt'), null);
+      assert.strictEqual(reportFormatOf(''), null);
+    });
+  });
+
+  describe('formatBrokenLinkReport', () => {
+    it('should render JSON with totals', () => {
+      const report = JSON.parse(
+        formatBrokenLinkReport(links, { format: 'json', siteUrl }),
+      );
+      assert.strictEqual(report.brokenLinks, 3);
+      assert.strictEqual(report.pages, 2);
+      assert.deepStrictEqual(report.links[0], links[0]);
+    });
+
+    it('should render Markdown grouped by page', () => {
+      const report = formatBrokenLinkReport(links, {
+        format: 'markdown',
+        siteUrl,
+      });
+      assert.ok(
+        report.includes(
+          '3 broken internal link(s) on 2 page(s) of https://example.com.',
+        ),
+      );
+      assert.ok(report.includes('## blog/post.html'));
+      assert.ok(
+        report.includes('| 12 | `../missing` | https://example.com/missing |'),
+      );
+      assert.ok(
+        report.includes('| 14 | `/a\\|b` | https://example.com/a\\|b |'),
+      );
+      assert.ok(
+        formatBrokenLinkReport([], { format: 'markdown', siteUrl }).includes(
+          'No broken internal links found',
+        ),
+      );
+    });
+  });
+
+  describe('writeBrokenLinkReport', () => {
+    it('should create the directory and reject other extensions', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'link-report-'));
+      try {
+        const file = path.join(dir, 'reports', 'links.json');
+        writeBrokenLinkReport(file, links, { siteUrl });
+        assert.strictEqual(
+          JSON.parse(fs.readFileSync(file, 'utf8')).brokenLinks,
+          3,
+        );
+        assert.throws(
+          () =>
+            writeBrokenLinkReport(path.join(dir, 'links.txt'), links, {
+              siteUrl,
+            }),
+          /use \.json or \.md/,
+        );
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+});
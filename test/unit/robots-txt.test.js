@@ -0,0 +1,189 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+  renderRobotsTemplate,
+  updateRobotsTxt,
+  writeRobotsTxt,
+  parseRobotsTxt,
+  isAllowedByRobots,
+} = require('../../src/lib/robots-txt');
+
+describe('robots.txt', () => {
+  describe('renderRobotsTemplate', () => {
+    it('should replace placeholders', () => {
+      const result = renderRobotsTemplate(
+        'User-agent: *\nDisallow: /admin/\n# Host: {{ site_url }}\nSitemap: {{sitemap_url}}\n',
+        {
+          siteUrl: 'https://example.com/',
+          sitemapUrls: ['https://example.com/sitemap.xml'],
+        },
+      );
+      assert.ok(result.includes('# Host: https://example.com\n'));
+      assert.ok(result.includes('Sitemap: https://example.com/sitemap.xml'));
+    });
+  });
+
+  describe('updateRobotsTxt', () => {
+    it('should append directives and preserve user-agent groups', () => {
+      const existing =
+        'User-agent: *\nDisallow: /private/\n\nUser-agent: GPTBot\nDisallow: /\n\n';
+      const result = updateRobotsTxt(
+        existing,
+        ['https://example.com/sitemap.xml'],
+        'https://example.com',
+      );
+      assert.strictEqual(
+        result,
+        'User-agent: *\nDisallow: /private/\n\nUser-agent: GPTBot\nDisallow: /\n\nSitemap: https://example.com/sitemap.xml\n',
+      );
+    });
+
+    it('should replace directives for the site in place', () => {
+      const existing = [
+        'Sitemap: https://example.com/sitemap.xml',
+        'sitemap: https://example.com/sitemap.xml.gz',
+        'Sitemap: https://blog.example.org/sitemap.xml',
+        '',
+        'User-agent: *',
+        'Allow: /',
+      ].join('\n');
+      const result = updateRobotsTxt(
+        existing,
+        ['https://example.com/sitemap-index.xml'],
+        'https://example.com',
+      );
+      assert.strictEqual(
+        result,
+        [
+          'Sitemap: https://example.com/sitemap-index.xml',
+          'Sitemap: https://blog.example.org/sitemap.xml',
+          '',
+          'User-agent: *',
+          'Allow: /',
+          '',
+        ].join('\n'),
+      );
+    });
+  });
+
+  describe('writeRobotsTxt', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'robots-txt-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should create robots.txt from the default template', () => {
+      const result = writeRobotsTxt({
+        outputDir: dir,
+        siteUrl: 'https://example.com',
+        sitemapUrls: ['https://example.com/sitemap.xml'],
+      });
+      assert.strictEqual(result.created, true);
+      const content = fs.readFileSync(path.join(dir, 'robots.txt'), 'utf8');
+      assert.ok(content.startsWith('# robots.txt generated by'));
+      assert.ok(content.includes('User-agent: *\nAllow: /\n'));
+      assert.ok(
+        content.endsWith('\n\nSitemap: https://example.com/sitemap.xml\n'),
+      );
+    });
+
+    it('should update an existing robots.txt without applying the template', () => {
+      fs.writeFileSync(
+        path.join(dir, 'robots.txt'),
+        'User-agent: *\nDisallow: /tmp/\n',
+        'utf8',
+      );
+      const result = writeRobotsTxt({
+        outputDir: dir,
+        siteUrl: 'https://example.com',
+        sitemapUrls: ['https://example.com/sitemap.xml'],
+        template: 'User-agent: *\nDisallow: /\n',
+      });
+      assert.strictEqual(result.created, false);
+      assert.strictEqual(
+        result.content,
+        'User-agent: *\nDisallow: /tmp/\n\nSitemap: https://example.com/sitemap.xml\n',
+      );
+    });
+  });
+
+  describe('parseRobotsTxt', () => {
+    it('should group consecutive user-agent lines', () => {
+      const groups = parseRobotsTxt(
+        [
+          '# comment',
+          'User-agent: bingbot',
+          'User-agent: Slurp',
+          'Disallow: /  # everything',
+          '',
+          'User-agent: *',
+          'Disallow:',
+          'Crawl-delay: 10',
+          'Sitemap: https://example.com/sitemap.xml',
+        ].join('\n'),
+      );
+      assert.deepStrictEqual(groups, [
+        { agents: ['bingbot', 'slurp'], rules: [{ allow: false, path: '/' }] },
+        { agents: ['*'], rules: [] },
+      ]);
+    });
+  });
+
+  describe('isAllowedByRobots', () => {
+    const groups = parseRobotsTxt(
+      [
+        'User-agent: *',
+        'Disallow: /private/',
+        'Allow: /private/press',
+        'Disallow: /*.pdf$',
+        'Disallow: /search?',
+        '',
+        'User-agent: Googlebot-Image',
+        'Disallow: /',
+      ].join('\n'),
+    );
+
+    it('should allow URLs without a matching rule', () => {
+      assert.ok(isAllowedByRobots(groups, 'https://example.com/about.html'));
+    });
+
+    it('should apply the longest matching rule', () => {
+      assert.ok(
+        !isAllowedByRobots(groups, 'https://example.com/private/team.html'),
+      );
+      assert.ok(
+        isAllowedByRobots(groups, 'https://example.com/private/press.html'),
+      );
+    });
+
+    it('should support * and $ wildcards', () => {
+      assert.ok(!isAllowedByRobots(groups, 'https://example.com/docs/a.pdf'));
+      assert.ok(
+        isAllowedByRobots(groups, 'https://example.com/docs/a.pdf?v=2'),
+      );
+      assert.ok(!isAllowedByRobots(groups, 'https://example.com/search?q=x'));
+      assert.ok(isAllowedByRobots(groups, 'https://example.com/search'));
+    });
+
+    it('should prefer Allow when rules are equally specific', () => {
+      const tie = parseRobotsTxt(
+        'User-agent: *\nDisallow: /page\nAllow: /page\n',
+      );
+      assert.ok(isAllowedByRobots(tie, 'https://example.com/page'));
+    });
+
+    it('should use the most specific user-agent group', () => {
+      assert.ok(
+        !isAllowedByRobots(groups, 'https://example.com/', 'Googlebot-Image'),
+      );
+      assert.ok(isAllowedByRobots(groups, 'https://example.com/', 'Googlebot'));
+    });
+  });
+});
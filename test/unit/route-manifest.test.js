@@ -0,0 +1,170 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+  isDynamicRoute,
+  parseRouteManifests,
+  loadRouteManifests,
+  routeFileCandidates,
+} = require('../../src/lib/route-manifest');
+
+function write(file, content) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(
+    file,
+    typeof content === 'string' ? content : JSON.stringify(content),
+  );
+}
+
+describe('Route Manifests', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'route-manifest-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('isDynamicRoute', () => {
+    it('should detect dynamic segments of each framework', () => {
+      for (const route of [
+        '/blog/[slug]',
+        '/docs/[...path]',
+        '/user/:id',
+        '/files/*',
+        '/**',
+      ]) {
+        assert.strictEqual(isDynamicRoute(route), true, route);
+      }
+      for (const route of ['/', '/about', '/blog/my-post', '/a:b']) {
+        assert.strictEqual(isDynamicRoute(route), false, route);
+      }
+    });
+  });
+
+  describe('parseRouteManifests', () => {
+    it('should parse frameworks, locations and auto', () => {
+      const { entries, errors } = parseRouteManifests(
+        'next=apps/web/.next, Angular, gatsby',
+      );
+      assert.deepStrictEqual(entries, [
+        { framework: 'next', location: 'apps/web/.next', optional: false },
+        { framework: 'angular', location: null, optional: false },
+      ]);
+      assert.deepStrictEqual(errors, ['gatsby']);
+      const auto = parseRouteManifests(['auto']);
+      assert.deepStrictEqual(
+        auto.entries.map((e) => [e.framework, e.optional]),
+        [
+          ['next', true],
+          ['nuxt', true],
+          ['sveltekit', true],
+          ['angular', true],
+        ],
+      );
+    });
+  });
+
+  describe('loadRouteManifests', () => {
+    it('should read Next.js prerender and routes manifests', () => {
+      const nextDir = path.join(dir, '.next');
+      write(path.join(nextDir, 'prerender-manifest.json'), {
+        version: 4,
+        routes: {
+          '/blog/first': { srcRoute: '/blog/[slug]' },
+          '/_not-found': {},
+          '/404': {},
+        },
+        dynamicRoutes: { '/blog/[slug]': {} },
+      });
+      write(path.join(nextDir, 'routes-manifest.json'), {
+        staticRoutes: [{ page: '/' }, { page: '/about' }, { page: '/_app' }],
+        dynamicRoutes: [{ page: '/shop/[id]' }],
+      });
+      const result = loadRouteManifests(`next=${nextDir}`);
+      assert.deepStrictEqual(result.routes.sort(), [
+        '/',
+        '/about',
+        '/blog/first',
+      ]);
+      assert.deepStrictEqual(result.dynamic.sort(), [
+        '/blog/[slug]',
+        '/shop/[id]',
+      ]);
+      assert.strictEqual(result.sources.length, 2);
+      assert.deepStrictEqual(result.warnings, []);
+    });
+
+    it('should read Nuxt build meta and payload files from publicDir', () => {
+      write(path.join(dir, '_nuxt/builds/meta/abc.json'), {
+        id: 'abc',
+        prerendered: ['/', '/about'],
+      });
+      write(path.join(dir, 'blog/post/_payload.json'), '{}');
+      const result = loadRouteManifests('nuxt', { publicDir: dir });
+      assert.deepStrictEqual(result.routes.sort(), [
+        '/',
+        '/about',
+        '/blog/post',
+      ]);
+    });
+
+    it('should read SvelteKit prerendered pages', () => {
+      const pages = path.join(dir, 'pages');
+      write(path.join(pages, 'index.html'), '');
+      write(path.join(pages, 'about.html'), '');
+      write(path.join(pages, 'docs/index.html'), '');
+      const result = loadRouteManifests(`sveltekit=${pages}`);
+      assert.deepStrictEqual(result.routes.sort(), ['/', '/about', '/docs/']);
+    });
+
+    it('should read both Angular prerendered-routes.json shapes', () => {
+      write(path.join(dir, 'v17/prerendered-routes.json'), {
+        routes: ['/', '/products/:id', '/contact'],
+      });
+      write(path.join(dir, 'v18/prerendered-routes.json'), {
+        routes: { '/pricing': {} },
+      });
+      const result = loadRouteManifests([
+        `angular=${path.join(dir, 'v17')}`,
+        `angular=${path.join(dir, 'v18/prerendered-routes.json')}`,
+      ]);
+      assert.deepStrictEqual(result.routes.sort(), [
+        '/',
+        '/contact',
+        '/pricing',
+      ]);
+      assert.deepStrictEqual(result.dynamic, ['/products/:id']);
+    });
+
+    it('should warn about missing manifests unless auto-detected', () => {
+      const missing = path.join(dir, 'missing');
+      const explicit = loadRouteManifests(`next=${missing}`);
+      assert.deepStrictEqual(explicit.warnings, [
+        `No next route manifest found at ${missing}`,
+      ]);
+      const auto = loadRouteManifests('auto', { publicDir: dir });
+      assert.deepStrictEqual(auto.warnings, []);
+      assert.deepStrictEqual(auto.routes, []);
+    });
+  });
+
+  describe('routeFileCandidates', () => {
+    it('should list the files that serve a route', () => {
+      assert.deepStrictEqual(routeFileCandidates('/'), [
+        'index.html',
+        'index.htm',
+      ]);
+      assert.deepStrictEqual(routeFileCandidates('/caf%C3%A9/'), [
+        'café',
+        'café.html',
+        'café.htm',
+        'café/index.html',
+        'café/index.htm',
+      ]);
+    });
+  });
+});
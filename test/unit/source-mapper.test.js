@@ -0,0 +1,113 @@
+const assert = require('assert');
+const {
+  SOURCE_MAP_PRESETS,
+  parseSourceMap,
+  getSourceCandidates,
+} = require('../../src/lib/source-mapper');
+
+describe('Source Mapper', () => {
+  describe('parseSourceMap', () => {
+    it('should expand presets', () => {
+      const { rules, presets, errors } = parseSourceMap('Hugo');
+      assert.deepStrictEqual(presets, ['hugo']);
+      assert.strictEqual(rules.length, SOURCE_MAP_PRESETS.hugo.length);
+      assert.deepStrictEqual(errors, []);
+    });
+
+    it('should accept route matching as an entry without rules', () => {
+      const { rules, presets, errors } = parseSourceMap('route, hugo');
+      assert.deepStrictEqual(presets, ['route', 'hugo']);
+      assert.strictEqual(rules.length, SOURCE_MAP_PRESETS.hugo.length);
+      assert.deepStrictEqual(errors, []);
+    });
+
+    it('should parse custom rules separated by commas or newlines', () => {
+      const { rules, errors } = parseSourceMap(
+        'blog/{slug}/index.html => content/blog/{slug}.md | content/blog/{slug}/index.md\n/docs/{path*}.html=>docs/{path*}.mdx',
+      );
+      assert.deepStrictEqual(errors, []);
+      assert.deepStrictEqual(
+        rules.map((r) => [r.output, r.sources]),
+        [
+          [
+            'blog/{slug}/index.html',
+            ['content/blog/{slug}.md', 'content/blog/{slug}/index.md'],
+          ],
+          ['docs/{path*}.html', ['docs/{path*}.mdx']],
+        ],
+      );
+    });
+
+    it('should report invalid entries', () => {
+      const { rules, errors } = parseSourceMap('gatsby, blog/{slug}.html =>');
+      assert.strictEqual(rules.length, 0);
+      assert.deepStrictEqual(errors, ['gatsby', 'blog/{slug}.html =>']);
+    });
+  });
+
+  describe('getSourceCandidates', () => {
+    it('should substitute single-segment placeholders', () => {
+      const { rules } = parseSourceMap(
+        'blog/{slug}/index.html => content/blog/{slug}.md',
+      );
+      assert.deepStrictEqual(
+        getSourceCandidates(rules, 'blog/hello-world/index.html'),
+        ['content/blog/hello-world.md'],
+      );
+      assert.deepStrictEqual(
+        getSourceCandidates(rules, 'blog/2024/hello/index.html'),
+        [],
+      );
+    });
+
+    it('should substitute multi-segment placeholders', () => {
+      const { rules } = parseSourceMap('docs/{path*}.html => docs/{path*}.mdx');
+      assert.deepStrictEqual(
+        getSourceCandidates(rules, 'docs/guides/setup/install.html'),
+        ['docs/guides/setup/install.mdx'],
+      );
+    });
+
+    it('should map Hugo page bundles and sections', () => {
+      const { rules } = parseSourceMap('hugo');
+      assert.deepStrictEqual(getSourceCandidates(rules, 'index.html'), [
+        'content/_index.md',
+        'content/_index.html',
+      ]);
+      assert.deepStrictEqual(
+        getSourceCandidates(rules, 'posts/first/index.html'),
+        [
+          'content/posts/first.md',
+          'content/posts/first/index.md',
+          'content/posts/first/_index.md',
+          'content/posts/first.html',
+        ],
+      );
+    });
+
+    it('should map Jekyll posts before generic pages', () => {
+      const { rules } = parseSourceMap('jekyll');
+      const candidates = getSourceCandidates(rules, '2024/05/01/launch.html');
+      assert.strictEqual(candidates[0], '_posts/2024-05-01-launch.md');
+      assert.ok(candidates.includes('2024/05/01/launch.md'));
+    });
+
+    it('should map Docusaurus blog posts to dated sources', () => {
+      const { rules } = parseSourceMap('docusaurus');
+      assert.strictEqual(
+        getSourceCandidates(rules, 'blog/2024/05/01/launch/index.html')[0],
+        'blog/2024-05-01-launch.md',
+      );
+    });
+
+    it('should include candidates for every preset', () => {
+      for (const preset of ['astro', 'eleventy']) {
+        const { rules } = parseSourceMap(preset);
+        assert.ok(
+          getSourceCandidates(rules, 'about/index.html').length > 0,
+          preset,
+        );
+      }
+    });
+  });
+});
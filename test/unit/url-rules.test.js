@@ -0,0 +1,122 @@
+const assert = require('assert');
+const {
+  globToRegex,
+  parseUrlRules,
+  matchUrlRule,
+} = require('../../src/lib/url-rules');
+
+describe('URL Rules', () => {
+  describe('globToRegex', () => {
+    it('should keep * within a segment and let ** span segments', () => {
+      assert.ok(globToRegex('/docs/*.html').test('/docs/intro.html'));
+      assert.ok(!globToRegex('/docs/*.html').test('/docs/v1/intro.html'));
+      assert.ok(globToRegex('/docs/**').test('/docs/v1/intro.html'));
+      assert.ok(globToRegex('/docs/**').test('/docs'));
+      assert.ok(!globToRegex('/docs/**').test('/docsite'));
+      assert.ok(globToRegex('**/*.pdf').test('/files/a/report.pdf'));
+    });
+
+    it('should support ? and {a,b}', () => {
+      assert.ok(globToRegex('/v?/').test('/v2/'));
+      assert.ok(globToRegex('/{legal,privacy}/**').test('/privacy/terms'));
+      assert.ok(!globToRegex('/{legal,privacy}/**').test('/about'));
+    });
+  });
+
+  describe('parseUrlRules', () => {
+    it('should compile rules from an array or a rules object', () => {
+      const json = JSON.stringify([
+        { match: '/blog/**', changefreq: 'weekly', priority: '0.6' },
+        { regex: '^/tags?/', exclude: true },
+        { match: '/docs/**', lastmod: 'meta,git' },
+      ]);
+      const { rules, errors } = parseUrlRules(json);
+      assert.deepStrictEqual(errors, []);
+      assert.strictEqual(rules.length, 3);
+      assert.strictEqual(rules[0].priority, 0.6);
+      assert.strictEqual(rules[1].exclude, true);
+      assert.deepStrictEqual(rules[2].lastmod, ['meta', 'git', 'filemtime']);
+      assert.strictEqual(
+        parseUrlRules({ rules: [{ match: '/' }] }).rules.length,
+        1,
+      );
+    });
+
+    it('should report invalid rules by position', () => {
+      const { errors } = parseUrlRules(
+        JSON.stringify([
+          { match: '/a', changefreq: 'sometimes' },
+          { match: '/b', priority: 2 },
+          { match: '/c', regex: 'c' },
+          { regex: '(' },
+          { match: '/d', lastmod: 'bogus' },
+          { match: '/e', exclude: 'yes' },
+          { match: '/f', weight: 1 },
+        ]),
+      );
+      assert.strictEqual(errors.length, 7);
+      assert.match(errors[0], /^#1: invalid changefreq/);
+      assert.match(errors[1], /^#2: invalid priority/);
+      assert.match(errors[2], /^#3: set exactly one/);
+      assert.match(errors[3], /^#4: invalid regex/);
+      assert.match(errors[4], /^#5: invalid lastmod/);
+      assert.match(errors[5], /^#6: exclude must be/);
+      assert.match(errors[6], /^#7: unknown key\(s\) weight/);
+    });
+
+    it('should report malformed JSON', () => {
+      assert.match(parseUrlRules('[{').errors[0], /^invalid JSON/);
+      assert.deepStrictEqual(parseUrlRules(''), { rules: [], errors: [] });
+    });
+  });
+
+  describe('matchUrlRule', () => {
+    const { rules } = parseUrlRules([
+      { match: '/', priority: 1 },
+      { match: '/blog/**', changefreq: 'weekly' },
+      { match: '/blog/archive/**', exclude: true },
+    ]);
+
+    it('should return the first matching rule', () => {
+      assert.strictEqual(
+        matchUrlRule(rules, 'https://example.com/blog/archive/2020.html'),
+        rules[1],
+      );
+      assert.strictEqual(
+        matchUrlRule(rules, 'https://example.com/about.html'),
+        null,
+      );
+    });
+
+    it('should match clean URL variants', () => {
+      assert.strictEqual(
+        matchUrlRule(rules, 'https://example.com/index.html'),
+        rules[0],
+      );
+      assert.strictEqual(
+        matchUrlRule(rules, 'https://example.com/blog.html'),
+        rules[1],
+      );
+    });
+
+    it('should match paths relative to the site_url base path', () => {
+      const siteUrl = 'https://u.github.io/repo/';
+      assert.strictEqual(
+        matchUrlRule(rules, 'https://u.github.io/repo/blog/post.html', siteUrl),
+        rules[1],
+      );
+      assert.strictEqual(
+        matchUrlRule(rules, 'https://u.github.io/repo/', siteUrl),
+        rules[0],
+      );
+      assert.strictEqual(
+        matchUrlRule(rules, 'https://u.github.io/repo', siteUrl),
+        rules[0],
+      );
+      assert.strictEqual(
+        matchUrlRule(rules, 'https://u.github.io/other/blog/x.html', siteUrl),
+        null,
+      );
+    });
+  });
+});
@@ -1,5 +1,10 @@
 const assert = require('assert');
-const { normalizeUrl, normalizePathToUrl } = require('../../src/lib/utils');
+const {
+  normalizeUrl,
+  normalizePathToUrl,
+  applyUrlStyle,
+  resolveInternalLink,
+} = require('../../src/lib/utils');
 
 describe('URL Utils', () => {
   describe('normalizeUrl', () => {
@@ -37,6 +42,17 @@ describe('URL Utils', () => {
       const result = normalizeUrl('https://example.com', '/');
       assert.strictEqual(result, 'https://example.com/');
     });
+
+    it('should keep the base path of a project site', () => {
+      assert.strictEqual(
+        normalizeUrl('https://u.github.io/repo', '/docs.html'),
+        'https://u.github.io/repo/docs.html',
+      );
+      assert.strictEqual(
+        normalizeUrl('https://u.github.io/repo/', '/'),
+        'https://u.github.io/repo/',
+      );
+    });
   });
 
   describe('normalizePathToUrl', () => {
@@ -73,4 +89,177 @@ describe('URL Utils', () => {
       assert.strictEqual(result, 'https://example.com/page.html');
     });
   });
+
+  describe('applyUrlStyle', () => {
+    it('should leave URLs unchanged in file mode', () => {
+      assert.strictEqual(
+        applyUrlStyle('https://example.com/blog/index.html', 'file'),
+        'https://example.com/blog/index.html',
+      );
+    });
+
+    it('should collapse index.html and .html to a trailing slash in directory mode', () => {
+      assert.strictEqual(
+        applyUrlStyle('https://example.com/index.html', 'directory'),
+        'https://example.com/',
+      );
+      assert.strictEqual(
+        applyUrlStyle('https://example.com/blog/index.html', 'directory'),
+        'https://example.com/blog/',
+      );
+      assert.strictEqual(
+        applyUrlStyle('https://example.com/about.htm', 'directory'),
+        'https://example.com/about/',
+      );
+      assert.strictEqual(
+        applyUrlStyle('https://example.com/contact', 'directory'),
+        'https://example.com/contact/',
+      );
+    });
+
+    it('should strip extensions and trailing slashes in extensionless mode', () => {
+      assert.strictEqual(
+        applyUrlStyle('https://example.com/index.html', 'extensionless'),
+        'https://example.com/',
+      );
+      assert.strictEqual(
+        applyUrlStyle('https://example.com/blog/index.html', 'extensionless'),
+        'https://example.com/blog',
+      );
+      assert.strictEqual(
+        applyUrlStyle('https://example.com/about.html', 'extensionless'),
+        'https://example.com/about',
+      );
+      assert.strictEqual(
+        applyUrlStyle('https://example.com/docs/', 'extensionless'),
+        'https://example.com/docs',
+      );
+    });
+
+    it('should preserve query strings', () => {
+      assert.strictEqual(
+        applyUrlStyle('https://example.com/search.html?q=a', 'directory'),
+        'https://example.com/search/?q=a',
+      );
+    });
+
+    it('should leave non-HTML resources untouched', () => {
+      assert.strictEqual(
+        applyUrlStyle('https://example.com/files/report.pdf', 'directory'),
+        'https://example.com/files/report.pdf',
+      );
+    });
+  });
+
+  describe('normalizePathToUrl with url_style', () => {
+    it('should apply the style to file paths', () => {
+      const result = normalizePathToUrl(
+        'https://example.com',
+        '/workspaces/sitemap-builder/public',
+        '/workspaces/sitemap-builder/public/blog/index.html',
+        'directory',
+      );
+      assert.strictEqual(result, 'https://example.com/blog/');
+    });
+  });
+
+  describe('resolveInternalLink', () => {
+    const publicDir = '/workspaces/sitemap-builder/public';
+    const pageUrl = 'https://example.com/docs/a/page.html';
+
+    it('should resolve parent-relative links against the page directory', () => {
+      const result = resolveInternalLink(
+        '../guide/intro.html',
+        pageUrl,
+        publicDir,
+      );
+      assert.strictEqual(result, `${publicDir}/docs/guide/intro.html`);
+    });
+
+    it('should resolve root-relative links against publicDir', () => {
+      const result = resolveInternalLink('/about.html', pageUrl, publicDir);
+      assert.strictEqual(result, `${publicDir}/about.html`);
+    });
+
+    it('should honor <base href>', () => {
+      const result = resolveInternalLink(
+        'intro.html',
+        pageUrl,
+        publicDir,
+        '/guide/',
+      );
+      assert.strictEqual(result, `${publicDir}/guide/intro.html`);
+    });
+
+    it('should strip query strings and fragments', () => {
+      const result = resolveInternalLink(
+        'next.html?ref=nav#top',
+        pageUrl,
+        publicDir,
+      );
+      assert.strictEqual(result, `${publicDir}/docs/a/next.html`);
+    });
+
+    it('should decode percent-encoded paths', () => {
+      const result = resolveInternalLink(
+        'caf%C3%A9%20menu.html',
+        pageUrl,
+        publicDir,
+      );
+      assert.strictEqual(result, `${publicDir}/docs/a/café menu.html`);
+    });
+
+    it('should accept absolute links to the same origin', () => {
+      const result = resolveInternalLink(
+        'https://example.com/blog/post.html',
+        pageUrl,
+        publicDir,
+      );
+      assert.strictEqual(result, `${publicDir}/blog/post.html`);
+    });
+
+    it('should reject external, protocol-relative and non-HTTP links', () => {
+      for (const href of [
+        'https://other.com/page.html',
+        '//cdn.example.net/lib.js',
+        'mailto:team@example.com',
+        'tel:+15551234',
+        'javascript:void(0)',
+        '#section',
+        '',
+      ]) {
+        assert.strictEqual(
+          resolveInternalLink(href, pageUrl, publicDir),
+          null,
+          href,
+        );
+      }
+    });
+
+    it('should map the site_url base path onto publicDir', () => {
+      const siteUrl = 'https://u.github.io/repo/';
+      const projectPage = 'https://u.github.io/repo/guide/index.html';
+      const resolve = (href) =>
+        resolveInternalLink(href, projectPage, publicDir, undefined, siteUrl);
+      assert.strictEqual(resolve('../docs.html'), `${publicDir}/docs.html`);
+      assert.strictEqual(resolve('/repo/docs.html'), `${publicDir}/docs.html`);
+      assert.strictEqual(resolve('/repo'), `${publicDir}/`);
+      assert.strictEqual(resolve('/other/docs.html'), null);
+      assert.strictEqual(resolve('/repository/docs.html'), null);
+    });
+
+    it('should accept file names starting with two dots', () => {
+      const result = resolveInternalLink('/..foo.html', pageUrl, publicDir);
+      assert.strictEqual(result, `${publicDir}/..foo.html`);
+    });
+
+    it('should reject paths escaping publicDir', () => {
+      const result = resolveInternalLink(
+        '..%2F..%2F..%2F..%2F..%2Fetc%2Fpasswd',
+        pageUrl,
+        publicDir,
+      );
+      assert.strictEqual(result, null);
+    });
+  });
 });